@@ -9,9 +9,9 @@ class DeliveryController {
         this.totalTrips = 0;
         this.completedDeliveries = 0;
         this.systemStartTime = null;
+        this.shiftPlan = null;
     }
 
-
     initialize() {
         console.log('Sistema de Entrega de Drones inicializado');
         
@@ -29,309 +29,220 @@ class DeliveryController {
     }
 
     /**
-     * Otimiza e atribui entregas usando algoritmos inteligentes
-     * @returns {Object} - Resultado da otimização
+     * Otimiza e atribui entregas pelo serviço de planejamento da API
+     * Envia os pedidos pendentes e os drones disponíveis para /api/v1/entregas/planejar e
+     * aplica o plano retornado, o mesmo que a API produziria para essas entradas
+     * @param {string} strategy - Estratégia de otimização (padrão: a selecionada na interface)
+     * @returns {Promise<Object>} - Resultado da otimização
      */
-    optimizeDeliveries() {
+    optimizeDeliveries(strategy = this.getSelectedStrategy()) {
         console.log('Iniciando otimização de entregas...');
 
         if (!window.orderController || !window.droneController) {
-            return {
+            return Promise.resolve({
                 success: false,
                 message: 'Controladores não inicializados'
-            };
+            });
         }
 
         const pendingOrders = window.orderController.getPendingOrders();
         const availableDrones = window.droneController.getAvailableDrones();
 
         if (pendingOrders.length === 0) {
-            return {
+            return Promise.resolve({
                 success: false,
                 message: 'Nenhum pedido pendente para otimizar'
-            };
+            });
         }
 
         if (availableDrones.length === 0) {
-            return {
+            return Promise.resolve({
                 success: false,
                 message: 'Nenhum drone disponível'
-            };
-        }
-
-
-        const optimizationResult = this.performAdvancedOptimization(pendingOrders, availableDrones);
-
-        // Atualiza interface
-        if (window.uiView) {
-            window.uiView.updateOrdersList();
-            window.uiView.updateDroneStatus();
-            window.uiView.updateStatistics();
-        }
-
-        if (window.mapView) {
-            window.mapView.updateMap();
+            });
         }
 
-        console.log('Otimização concluída:', optimizationResult);
-        return optimizationResult;
-    }
-
-    /**
-     * Algoritmo avançado de otimização que minimiza o número de viagens
-     * @param {Array} orders - Pedidos pendentes
-     * @param {Array} drones - Drones disponíveis
-     * @returns {Object} - Resultado da otimização
-     */
-    performAdvancedOptimization(orders, drones) {
-        // Etapa 1: Ordena pedidos por prioridade e urgência
-        const sortedOrders = this.prioritizeOrders(orders);
-        
-        // Etapa 2: Agrupa pedidos próximos
-        const orderGroups = this.createOptimalGroups(sortedOrders, drones);
-        
-        // Etapa 3: Atribui grupos aos drones de forma otimizada
-        const assignmentResult = this.assignGroupsToDrones(orderGroups, drones);
-        
-        return assignmentResult;
-    }
-
-    /**
-     * Prioriza pedidos baseado em múltiplos critérios
-     * @param {Array} orders - Lista de pedidos
-     * @returns {Array} - Pedidos ordenados por prioridade
-     */
-    prioritizeOrders(orders) {
-        return orders.sort((a, b) => {
-            // Critério 1: Prioridade do pedido
-            const priorityScores = { 'alta': 100, 'media': 50, 'baixa': 10 };
-            const priorityDiff = priorityScores[b.priority] - priorityScores[a.priority];
-            
-            if (priorityDiff !== 0) return priorityDiff;
-            
-            // Critério 2: Tempo de espera (pedidos mais antigos primeiro)
-            const timeDiff = b.getWaitingTime() - a.getWaitingTime();
-            if (timeDiff !== 0) return timeDiff;
-            
-            // Critério 3: Peso (pedidos mais leves primeiro para facilitar agrupamento)
-            return a.weight - b.weight;
-        });
-    }
-
-    /**
-     * Cria grupos ótimos de pedidos para minimizar viagens
-     * @param {Array} orders - Pedidos ordenados
-     * @param {Array} drones - Drones disponíveis
-     * @returns {Array} - Grupos de pedidos
-     */
-    createOptimalGroups(orders, drones) {
-        const groups = [];
-        const unassigned = [...orders];
-        const maxCapacity = Math.max(...drones.map(d => d.capacity));
-        const maxRange = Math.max(...drones.map(d => d.range));
-
-        while (unassigned.length > 0) {
-            const group = [];
-            let currentWeight = 0;
-            let basePosition = { x: 10, y: 10 }; // Base dos drones
-
-            // Pega o primeiro pedido (maior prioridade)
-            const firstOrder = unassigned.shift();
-            group.push(firstOrder);
-            currentWeight += firstOrder.weight;
-
-            let lastPosition = firstOrder.location;
-
-            // Tenta adicionar pedidos próximos que cabem na capacidade e alcance
-            for (let i = unassigned.length - 1; i >= 0; i--) {
-                const candidateOrder = unassigned[i];
-                const newWeight = currentWeight + candidateOrder.weight;
-
-                if (newWeight > maxCapacity) continue;
-
-                // Calcula distância total se adicionar este pedido
-                const distanceToCandidate = this.calculateDistance(lastPosition, candidateOrder.location);
-                const distanceToBase = this.calculateDistance(candidateOrder.location, basePosition);
-                const totalGroupDistance = this.calculateGroupDistance([...group, candidateOrder], basePosition);
-
-                if (totalGroupDistance > maxRange) continue;
-
-                // Se passou nas validações, adiciona ao grupo
-                group.push(candidateOrder);
-                currentWeight = newWeight;
-                lastPosition = candidateOrder.location;
-                unassigned.splice(i, 1);
-            }
-
-            groups.push(group);
-        }
-
-        console.log(`Criados ${groups.length} grupos de pedidos`);
-        return groups;
-    }
-
-    /**
-     * Calcula a distância total de um grupo de pedidos
-     * @param {Array} orders - Pedidos do grupo
-     * @param {Object} basePosition - Posição da base
-     * @returns {number} - Distância total
-     */
-    calculateGroupDistance(orders, basePosition) {
-        if (orders.length === 0) return 0;
-
-        let totalDistance = 0;
-        let currentPosition = basePosition;
-
-        // Otimiza a ordem dos pedidos no grupo (algoritmo nearest neighbor)
-        const unvisited = [...orders];
-        const route = [];
+        return fetch('/api/v1/entregas/planejar', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                strategy,
+                drones: availableDrones.map(drone => drone.toJSON()),
+                orders: pendingOrders.map(order => order.toJSON())
+            })
+        })
+            .then(response => response.json())
+            .then(result => {
+                if (!result.success) {
+                    return { success: false, message: result.message };
+                }
 
-        while (unvisited.length > 0) {
-            let nearestIndex = 0;
-            let nearestDistance = this.calculateDistance(currentPosition, unvisited[0].location);
+                const optimizationResult = this.applyPlan(result.data, pendingOrders, availableDrones);
 
-            for (let i = 1; i < unvisited.length; i++) {
-                const distance = this.calculateDistance(currentPosition, unvisited[i].location);
-                if (distance < nearestDistance) {
-                    nearestDistance = distance;
-                    nearestIndex = i;
+                // Atualiza interface
+                if (window.uiView) {
+                    window.uiView.updateOrdersList();
+                    window.uiView.updateDroneStatus();
+                    window.uiView.updateStatistics();
                 }
-            }
 
-            const nearestOrder = unvisited.splice(nearestIndex, 1)[0];
-            route.push(nearestOrder);
-            totalDistance += this.calculateDistance(currentPosition, nearestOrder.location);
-            currentPosition = nearestOrder.location;
-        }
+                if (window.mapView) {
+                    window.mapView.updateMap();
+                }
 
-        // Adiciona distância de retorno à base
-        totalDistance += this.calculateDistance(currentPosition, basePosition);
-        return totalDistance;
+                console.log('Otimização concluída:', optimizationResult);
+                return optimizationResult;
+            })
+            .catch(error => ({
+                success: false,
+                message: 'Serviço de planejamento indisponível: ' + error.message
+            }));
     }
 
     /**
-     * Calcula distância euclidiana entre dois pontos
-     * @param {Object} point1 - Ponto 1
-     * @param {Object} point2 - Ponto 2
-     * @returns {number} - Distância
+     * Retorna a estratégia escolhida na interface
+     * @returns {string} - Estratégia de otimização
      */
-    calculateDistance(point1, point2) {
-        const dx = point2.x - point1.x;
-        const dy = point2.y - point1.y;
-        return Math.sqrt(dx * dx + dy * dy);
+    getSelectedStrategy() {
+        const select = document.getElementById('optimizationStrategy');
+        return select && select.value ? select.value : 'balanced_optimization';
     }
 
     /**
-     * Atribui grupos de pedidos aos drones de forma otimizada
-     * @param {Array} groups - Grupos de pedidos
-     * @param {Array} drones - Drones disponíveis
+     * Aplica um plano da API aos drones e pedidos locais
+     * @param {Object} plan - Plano {strategy, routes: [{droneId, orders, sequenceFixed}], totalOrders, rejections}
+     * @param {Array} orders - Pedidos enviados para o planejamento
+     * @param {Array} drones - Drones enviados para o planejamento
      * @returns {Object} - Resultado da atribuição
      */
-    assignGroupsToDrones(groups, drones) {
-        let assignedGroups = 0;
-        let totalOrders = 0;
+    applyPlan(plan, orders, drones) {
         let assignedOrders = 0;
+        let trips = 0;
 
-        // Conta total de pedidos
-        groups.forEach(group => totalOrders += group.length);
+        for (const route of plan.routes) {
+            const drone = drones.find(d => d.id === route.droneId);
+            if (!drone) continue;
 
-        // Ordena grupos por prioridade (grupos com pedidos de alta prioridade primeiro)
-        const sortedGroups = groups.sort((a, b) => {
-            const aMaxPriority = Math.max(...a.map(o => o.getPriorityScore()));
-            const bMaxPriority = Math.max(...b.map(o => o.getPriorityScore()));
-            return bMaxPriority - aMaxPriority;
-        });
+            const routeOrders = route.orders
+                .map(id => orders.find(o => o.id === id) || drone.assignedOrders.find(o => o.id === id))
+                .filter(Boolean);
+            const newOrders = routeOrders.filter(order => order.status === 'pending');
 
-        for (const group of sortedGroups) {
-            // Encontra o melhor drone para este grupo
-            const bestDrone = this.findBestDroneForGroup(group, drones);
-
-            if (bestDrone) {
-                // Atribui todos os pedidos do grupo ao drone
-                let groupAssigned = true;
-                for (const order of group) {
-                    if (!bestDrone.assignOrder(order)) {
-                        groupAssigned = false;
-                        break;
-                    }
-                }
-
-                if (groupAssigned) {
-                    assignedGroups++;
-                    assignedOrders += group.length;
-                    this.totalTrips++;
-                }
+            if (route.sequenceFixed) {
+                // Ordem de visita definida pelo solver
+                drone.assignPlannedRoute(routeOrders);
+                assignedOrders += newOrders.length;
+            } else {
+                assignedOrders += newOrders.filter(order => drone.assignOrder(order)).length;
             }
+            trips++;
         }
 
+        this.totalTrips += trips;
+
+        // Pedidos que ficaram sem drone, com as restrições que os impediram
+        const rejected = (plan.rejections || []).map(rejection => {
+            const constraints = [...new Set(rejection.drones.map(drone => drone.constraint))];
+            return constraints.length > 0 ? `${rejection.orderId} (${constraints.join(', ')})` : rejection.orderId;
+        });
+
         return {
             success: assignedOrders > 0,
-            message: `${assignedOrders} de ${totalOrders} pedidos atribuídos em ${assignedGroups} viagens`,
+            message: `${assignedOrders} de ${plan.totalOrders} pedidos atribuídos em ${trips} viagens (${plan.strategy})` +
+                (rejected.length > 0 ? ` | Sem drone: ${rejected.join(', ')}` : ''),
+            strategy: plan.strategy,
             assignedOrders: assignedOrders,
-            totalOrders: totalOrders,
-            totalTrips: assignedGroups,
-            efficiency: totalOrders > 0 ? Math.round((assignedOrders / totalOrders) * 100) : 0
+            totalOrders: plan.totalOrders,
+            totalTrips: trips,
+            efficiency: plan.efficiency,
+            solver: plan.solver,
+            rejections: plan.rejections || []
         };
     }
 
     /**
-     * Encontra o melhor drone para um grupo de pedidos
-     * @param {Array} group - Grupo de pedidos
-     * @param {Array} drones - Drones disponíveis
-     * @returns {Drone|null} - Melhor drone ou null
+     * Planeja o turno pelo serviço de planejamento da API (/api/v1/entregas/turno)
+     * Envia os drones disponíveis e os pedidos pendentes e guarda as viagens previstas de cada
+     * drone; nenhum pedido é atribuído
+     * @param {string} strategy - Estratégia de otimização (padrão: a selecionada na interface)
+     * @returns {Promise<Object>} - Resultado do planejamento
      */
-    findBestDroneForGroup(group, drones) {
-        let bestDrone = null;
-        let bestScore = -1;
-        const basePosition = { x: 10, y: 10 };
-
-        for (const drone of drones) {
-            if (drone.status !== 'idle') continue;
-
-            // Verifica se o drone pode carregar todos os pedidos do grupo
-            const totalWeight = group.reduce((sum, order) => sum + order.weight, 0);
-            if (drone.currentLoad + totalWeight > drone.capacity) continue;
-
-            // Verifica se o drone pode alcançar todos os pedidos
-            const totalDistance = this.calculateGroupDistance(group, basePosition);
-            if (totalDistance > drone.range) continue;
-
-            // Calcula score baseado em eficiência e proximidade
-            const avgDistance = totalDistance / group.length;
-            const capacityUtilization = (drone.currentLoad + totalWeight) / drone.capacity;
-            const score = capacityUtilization / (avgDistance + 1);
-
-            if (score > bestScore) {
-                bestScore = score;
-                bestDrone = drone;
-            }
+    planShift(strategy = this.getSelectedStrategy()) {
+        if (!window.orderController || !window.droneController) {
+            return Promise.resolve({
+                success: false,
+                message: 'Controladores não inicializados'
+            });
+        }
+
+        const pendingOrders = window.orderController.getPendingOrders();
+        const availableDrones = window.droneController.getAvailableDrones();
+
+        if (availableDrones.length === 0) {
+            return Promise.resolve({
+                success: false,
+                message: 'Nenhum drone disponível'
+            });
         }
 
-        return bestDrone;
+        return fetch('/api/v1/entregas/turno', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                strategy,
+                drones: availableDrones.map(drone => drone.toJSON()),
+                orders: pendingOrders.map(order => order.toJSON())
+            })
+        })
+            .then(response => response.json())
+            .then(result => {
+                if (!result.success) {
+                    return { success: false, message: result.message };
+                }
+
+                this.shiftPlan = result.data;
+
+                if (window.uiView) {
+                    window.uiView.updateShiftPlan(this.shiftPlan);
+                }
+
+                return {
+                    success: result.data.assignedOrders > 0,
+                    message: result.message,
+                    shift: result.data
+                };
+            })
+            .catch(error => ({
+                success: false,
+                message: 'Serviço de planejamento indisponível: ' + error.message
+            }));
     }
 
     /**
      * Inicia a simulação de entregas
+     * @returns {Promise<boolean>} - True se a simulação foi iniciada
      */
     startSimulation() {
         if (this.isSimulationRunning) {
             console.log('Simulação já está rodando');
-            return false;
+            return Promise.resolve(false);
         }
 
         // Verifica se há drones com pedidos atribuídos
         if (!window.droneController) {
             console.error('DroneController não disponível');
-            return false;
+            return Promise.resolve(false);
         }
 
         const dronesWithOrders = window.droneController.getAllDrones()
             .filter(drone => drone.assignedOrders.length > 0);
 
-        if (dronesWithOrders.length === 0) {
-            // Se não há pedidos atribuídos, tenta otimizar primeiro
-            const optimizationResult = this.optimizeDeliveries();
-            
+        if (dronesWithOrders.length > 0) {
+            return Promise.resolve(this.startDeliveries());
+        }
+
+        // Se não há pedidos atribuídos, tenta otimizar primeiro
+        return this.optimizeDeliveries().then(optimizationResult => {
             if (!optimizationResult.success) {
                 console.log('Não foi possível iniciar a simulação: ' + optimizationResult.message);
                 return false;
@@ -345,8 +256,16 @@ class DeliveryController {
                 console.log('Nenhum drone tem pedidos atribuídos após otimização');
                 return false;
             }
-        }
 
+            return this.startDeliveries();
+        });
+    }
+
+    /**
+     * Inicia as entregas dos drones com pedidos atribuídos e o monitoramento da simulação
+     * @returns {boolean} - True se alguma entrega foi iniciada
+     */
+    startDeliveries() {
         // Inicia as entregas dos drones
         const deliveriesStarted = window.droneController.startAllDeliveries();
         
@@ -374,7 +293,7 @@ class DeliveryController {
      */
     updateSimulationProgress() {
         // Verifica se ainda há drones ativos
-        const activeDrones = window.droneController.getAllDrones().filter(d => d.status !== 'idle');
+        const activeDrones = window.droneController.getAllDrones().filter(d => d.isOnMission());
         
         if (activeDrones.length === 0) {
             this.stopSimulation();
@@ -439,6 +358,7 @@ class DeliveryController {
         this.totalTrips = 0;
         this.completedDeliveries = 0;
         this.systemStartTime = new Date();
+        this.shiftPlan = null;
 
         console.log('Sistema resetado');
 
@@ -447,6 +367,7 @@ class DeliveryController {
             window.uiView.updateDroneStatus();
             window.uiView.updateOrdersList();
             window.uiView.updateStatistics();
+            window.uiView.updateShiftPlan(null);
         }
 
         if (window.mapView) {
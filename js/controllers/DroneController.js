@@ -6,7 +6,14 @@ class DroneController {
     constructor() {
         this.drones = [];
         this.droneIdCounter = 1;
-        this.baseLocation = { x: 10, y: 10 }; // Centro da cidade
+    }
+
+    /**
+     * Retorna o mapa da cidade em uso (carregado da API em main.js)
+     * @returns {World} - Mapa atual ou o mapa padrão
+     */
+    getWorld() {
+        return window.world || new World();
     }
 
     /**
@@ -35,11 +42,12 @@ class DroneController {
         this.drones = [];
         this.droneIdCounter = 1;
 
-        // Cria novos drones
+        // Cria novos drones, distribuídos entre as bases do mapa
+        const bases = this.getWorld().bases;
         for (let i = 0; i < count; i++) {
             const drone = new Drone(`DRONE-${this.droneIdCounter}`, capacity, range);
-            drone.basePosition = { ...this.baseLocation };
-            drone.position = { ...this.baseLocation };
+            drone.setHomeBase(bases[i % bases.length]);
+            drone.position = { ...drone.basePosition };
             this.drones.push(drone);
             this.droneIdCounter++;
         }
@@ -68,7 +76,7 @@ class DroneController {
      * @returns {Array} - Array de drones disponíveis
      */
     getAvailableDrones() {
-        return this.drones.filter(drone => drone.status === 'idle' && !drone.needsToReturn());
+        return this.drones.filter(drone => drone.isAvailableForDispatch() && !drone.needsToReturn());
     }
 
     /**
@@ -143,11 +151,11 @@ class DroneController {
 
     /**
      * Para todas as operações de drones
+     * Drones em missão retornam à base; ociosos, fora de operação ou pousados ficam onde estão
      */
     stopAllOperations() {
         for (const drone of this.drones) {
-            if (drone.status !== 'idle') {
-                drone.status = 'returning';
+            if (drone.isOnMission() && drone.updateStatus('returning')) {
                 // Força retorno à base
                 setTimeout(() => {
                     drone.completeDelivery();
@@ -190,6 +198,7 @@ class DroneController {
             totalDrones: this.drones.length,
             idleDrones: 0,
             activeDrones: 0,
+            unavailableDrones: 0, // Em manutenção, fora de serviço ou em pouso de emergência
             totalDeliveries: 0,
             totalDistance: 0,
             averageEfficiency: 0,
@@ -202,8 +211,10 @@ class DroneController {
         for (const drone of this.drones) {
             if (drone.status === 'idle') {
                 stats.idleDrones++;
-            } else {
+            } else if (drone.isOnMission()) {
                 stats.activeDrones++;
+            } else {
+                stats.unavailableDrones++;
             }
 
             stats.totalDeliveries += drone.deliveriesCount;
@@ -214,7 +225,7 @@ class DroneController {
                 dronesWithDeliveries++;
             }
 
-            if (drone.battery < 30 || drone.needsToReturn()) {
+            if (drone.status === 'maintenance' || drone.isMaintenanceDue()) {
                 stats.dronesNeedingMaintenance++;
             }
         }
@@ -238,12 +249,20 @@ class DroneController {
                 issues.push(`${drone.id}: Bateria baixa (${Math.round(drone.battery)}%)`);
             }
 
+            const battery = drone.getBatteryStatus();
+            if (battery.replaceRecommended) {
+                issues.push(`${drone.id}: Bateria desgastada (saúde ${battery.health}%), troca recomendada`);
+            }
+
             if (drone.status === 'flying' && drone.currentLoad > drone.capacity) {
                 issues.push(`${drone.id}: Sobrecarga detectada`);
             }
 
-            if (drone.totalDistance > 1000) {
-                issues.push(`${drone.id}: Manutenção recomendada (${drone.totalDistance.toFixed(1)}km percorridos)`);
+            const maintenance = drone.getMaintenanceStatus();
+            if (maintenance.due) {
+                issues.push(`${drone.id}: Manutenção preventiva vencida (${maintenance.dueCriteria.join(', ')})`);
+            } else if (maintenance.progress >= 90) {
+                issues.push(`${drone.id}: Manutenção preventiva próxima (${maintenance.progress}% do intervalo)`);
             }
         }
 
@@ -324,11 +343,13 @@ class DroneController {
      */
     exportConfiguration() {
         return {
-            baseLocation: this.baseLocation,
+            baseLocation: this.getWorld().getDefaultBase().location,
             drones: this.drones.map(drone => ({
                 id: drone.id,
                 capacity: drone.capacity,
                 range: drone.range,
+                homeBaseId: drone.homeBaseId,
+                model: drone.model,
                 position: drone.position,
                 status: drone.status,
                 deliveriesCount: drone.deliveriesCount,
@@ -344,14 +365,19 @@ class DroneController {
      */
     importConfiguration(config) {
         try {
-            this.baseLocation = config.baseLocation || { x: 10, y: 10 };
+            const world = this.getWorld();
             this.drones = [];
             this.droneIdCounter = 1;
 
             for (const droneConfig of config.drones || []) {
                 const drone = new Drone(droneConfig.id, droneConfig.capacity, droneConfig.range);
-                drone.basePosition = { ...this.baseLocation };
-                drone.position = droneConfig.position || { ...this.baseLocation };
+                // Base inexistente no mapa atual: drone volta para a base padrão
+                drone.setHomeBase(world.getBase(droneConfig.homeBaseId) || world.getDefaultBase());
+                // Modelo fora do catálogo atual: drone segue com o modelo padrão
+                if (droneConfig.model && DroneCatalog.getModel(droneConfig.model)) {
+                    drone.setModel(droneConfig.model);
+                }
+                drone.position = droneConfig.position || { ...drone.basePosition };
                 drone.status = 'idle'; // Sempre inicia como idle após importar
                 drone.deliveriesCount = droneConfig.deliveriesCount || 0;
                 drone.totalDistance = droneConfig.totalDistance || 0;
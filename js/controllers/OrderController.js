@@ -9,9 +9,17 @@ class OrderController {
         this.deliveredOrders = [];
     }
 
+    /**
+     * Retorna o mapa da cidade em uso (carregado da API em main.js)
+     * @returns {World} - Mapa atual ou o mapa padrão
+     */
+    getWorld() {
+        return window.world || new World();
+    }
+
     /**
      * Adiciona um novo pedido ao sistema
-     * @param {Object} orderData - Dados do pedido {x, y, weight, priority}
+     * @param {Object} orderData - Dados do pedido {x, y, weight, priority, windowStart?, windowEnd?}
      * @returns {Object} - Resultado da operação
      */
     addOrder(orderData) {
@@ -24,8 +32,27 @@ class OrderController {
                 orderData.priority
             );
 
+            // Coleta fora da base (opcional): o drone busca o pacote antes de entregá-lo
+            order.pickupLocation = orderData.pickup || null;
+
+            // Pacote: dimensões (opcionais), fragilidade e temperatura de transporte
+            order.dimensions = orderData.dimensions || null;
+            order.fragile = Boolean(orderData.fragile);
+            order.temperature = orderData.temperature || 'ambiente';
+
+            // Janela de entrega: basta o fim; só o início não define janela
+            if (orderData.windowEnd) {
+                order.setDeliveryWindow(orderData.windowStart, orderData.windowEnd);
+            } else if (orderData.windowStart) {
+                return {
+                    success: false,
+                    message: 'Dados inválidos: informe o fim da janela de entrega',
+                    errors: ['Informe o fim da janela de entrega']
+                };
+            }
+
             // Valida o pedido
-            const validation = order.validate();
+            const validation = order.validate(this.getWorld());
             if (!validation.isValid) {
                 return {
                     success: false,
@@ -78,13 +105,18 @@ class OrderController {
         }
 
         const order = this.orders[orderIndex];
+
+        // O pacote de um pedido em voo já está a bordo do drone
+        if (order.status === 'in_flight') {
+            console.warn(`Pedido ${orderId} está em voo e não pode ser removido`);
+            return false;
+        }
         
         // Se o pedido está atribuído, remove do drone
         if (order.assignedDrone && window.droneController) {
             const drone = window.droneController.getDroneById(order.assignedDrone);
             if (drone) {
-                drone.assignedOrders = drone.assignedOrders.filter(o => o.id !== orderId);
-                drone.currentLoad = Math.max(0, drone.currentLoad - order.weight);
+                drone.releaseOrder(order);
             }
         }
 
@@ -120,11 +152,11 @@ class OrderController {
     }
 
     /**
-     * Retorna pedidos atribuídos
+     * Retorna pedidos atribuídos (aguardando a decolagem ou já em voo)
      * @returns {Array} - Array de pedidos atribuídos
      */
     getAssignedOrders() {
-        return this.orders.filter(order => order.status === 'assigned');
+        return this.orders.filter(order => order.status === 'assigned' || order.status === 'in_flight');
     }
 
     /**
@@ -288,10 +320,19 @@ class OrderController {
         const priorities = ['alta', 'media', 'baixa'];
         const generatedOrders = [];
 
+        const { minX, minY } = this.getWorld().bounds;
+        const width = this.getWorld().getWidth();
+        const height = this.getWorld().getHeight();
+
+        // Grade: km inteiros; geo: graus com 5 casas decimais
+        const randomCoordinate = this.getWorld().isGeographic()
+            ? (min, size) => Math.round((min + Math.random() * size) * 1e5) / 1e5
+            : (min, size) => min + Math.floor(Math.random() * (size + 1));
+
         for (let i = 0; i < count; i++) {
             const orderData = {
-                x: Math.floor(Math.random() * 21), // 0-20
-                y: Math.floor(Math.random() * 21), // 0-20
+                x: randomCoordinate(minX, width), // Dentro dos limites do mapa
+                y: randomCoordinate(minY, height),
                 weight: parseFloat((Math.random() * 4.9 + 0.1).toFixed(1)), // 0.1-5.0 kg
                 priority: priorities[Math.floor(Math.random() * priorities.length)]
             };
@@ -376,12 +417,19 @@ class OrderController {
     validateOrderData(orderData) {
         const errors = [];
 
-        if (!orderData.x || orderData.x < 0 || orderData.x > 20) {
-            errors.push('Coordenada X deve estar entre 0 e 20');
+        const { minX, minY, maxX, maxY } = this.getWorld().bounds;
+
+        if (typeof orderData.x !== 'number' || isNaN(orderData.x) || orderData.x < minX || orderData.x > maxX) {
+            errors.push(`Coordenada X deve estar entre ${minX} e ${maxX}`);
+        }
+
+        if (typeof orderData.y !== 'number' || isNaN(orderData.y) || orderData.y < minY || orderData.y > maxY) {
+            errors.push(`Coordenada Y deve estar entre ${minY} e ${maxY}`);
         }
 
-        if (!orderData.y || orderData.y < 0 || orderData.y > 20) {
-            errors.push('Coordenada Y deve estar entre 0 e 20');
+        const zone = this.getWorld().findNoFlyZone({ x: orderData.x, y: orderData.y });
+        if (zone) {
+            errors.push(`Localização está na zona de exclusão aérea ${zone.name}`);
         }
 
         if (!orderData.weight || orderData.weight < 0.1 || orderData.weight > 20) {
@@ -4,6 +4,7 @@
  */
 
 // Variáveis globais para os controladores
+let world;
 let droneController;
 let orderController;
 let deliverySystem;
@@ -28,6 +29,15 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Adiciona eventos globais
         setupGlobalEvents();
+
+        // Carrega limites e bases configurados na API
+        loadWorld();
+
+        // Carrega o vento e a recarga nas bases usados no consumo de bateria
+        loadPlanningSettings();
+
+        // Carrega os modelos de drone (limites, cruzeiro e perfil de energia)
+        loadCatalog();
         
         console.log('Sistema inicializado com sucesso!');
         
@@ -46,6 +56,10 @@ document.addEventListener('DOMContentLoaded', function() {
  * Inicializa todos os controladores do sistema
  */
 function initializeControllers() {
+    // Mapa padrão até o carregamento do mapa da API
+    world = new World();
+    window.world = world;
+
     // Inicializa controladores principais
     droneController = new DroneController();
     orderController = new OrderController();
@@ -88,11 +102,125 @@ function initializeDeliverySystem() {
     uiView.updateDroneStatus();
     uiView.updateOrdersList();
     uiView.updateStatistics();
+    uiView.updateShiftPlan(null);
     mapView.updateMap();
     
     console.log('Sistema de entrega inicializado');
 }
 
+/**
+ * Carrega o mapa da cidade (limites e bases) da API
+ * Sem API disponível (ex.: página aberta direto do arquivo), mantém o mapa padrão
+ */
+function loadWorld() {
+    fetch('/api/v1/mapa')
+        .then(response => response.json())
+        .then(result => {
+            if (result.success) {
+                applyWorld(World.fromJSON(result.data));
+            }
+        })
+        .catch(error => {
+            console.warn('Mapa da API indisponível, usando mapa padrão:', error.message);
+        });
+}
+
+/**
+ * Carrega da configuração da API o vento considerado pelo modelo de energia dos drones,
+ * a taxa de recarga nas bases, a velocidade usada na previsão das janelas de entrega e
+ * a probabilidade de falha e o máximo de tentativas das entregas
+ * Sem API disponível valem os padrões: sem vento, recarga de 5%/min, 0.5 km/min, sem falhas e 3 tentativas
+ */
+function loadPlanningSettings() {
+    fetch('/api/v1/system/config')
+        .then(response => response.json())
+        .then(result => {
+            if (result.success) {
+                EnergyModel.setWind(result.data.energy.wind);
+                ChargingPlanner.setBaseChargeRate(result.data.system.baseChargeRate);
+                TimeWindows.setSpeed(result.data.system.simulationSpeed);
+                DeliveryOutcomes.setFailureRate(result.data.system.deliveryFailureRate);
+                DeliveryOutcomes.setMaxAttempts(result.data.system.maxDeliveryAttempts);
+            }
+        })
+        .catch(error => {
+            console.warn('Configuração da API indisponível, usando vento nulo, recarga, velocidade e tentativas padrão:', error.message);
+        });
+}
+
+/**
+ * Carrega o catálogo de modelos de drone da API
+ * Sem API disponível valem os modelos de fábrica
+ */
+function loadCatalog() {
+    fetch('/api/v1/modelos')
+        .then(response => response.json())
+        .then(result => {
+            if (result.success) {
+                applyCatalog(result.data);
+            }
+        })
+        .catch(error => {
+            console.warn('Catálogo da API indisponível, usando modelos de fábrica:', error.message);
+        });
+}
+
+/**
+ * Aplica o catálogo de modelos; os drones passam a voar no cruzeiro do seu modelo
+ * @param {Array<Object>} models - Modelos do catálogo
+ */
+function applyCatalog(models) {
+    DroneCatalog.setModels(models);
+    droneController.getAllDrones().forEach(drone => drone.setModel(drone.model));
+    uiView.updateDroneStatus();
+}
+
+/**
+ * Aplica um novo mapa aos controladores e à visualização
+ * @param {World} newWorld - Mapa da cidade
+ */
+function applyWorld(newWorld) {
+    world = newWorld;
+    window.world = newWorld;
+
+    // Distâncias dos modelos seguem o sistema de coordenadas e as zonas de exclusão do mapa;
+    // o planejamento de rotas considera as estações de recarga
+    Geo.setCoordinateSystem(newWorld.coordinateSystem);
+    Airspace.setZones(newWorld.noFlyZones);
+    ChargingPlanner.setStations(newWorld.chargingStations);
+
+    // Drones acompanham a base de origem (ou vão para a padrão, se ela deixou de existir)
+    droneController.getAllDrones().forEach(drone => {
+        const base = newWorld.getBase(drone.homeBaseId) || newWorld.getDefaultBase();
+        const atBase = drone.status === 'idle' &&
+            drone.position.x === drone.basePosition.x &&
+            drone.position.y === drone.basePosition.y;
+
+        drone.setHomeBase(base);
+        if (atBase) {
+            drone.position = { ...base.location };
+        }
+    });
+
+    // Limites dos campos de coordenadas do formulário de pedidos
+    const { minX, minY, maxX, maxY } = newWorld.bounds;
+    const clientX = document.getElementById('clientX');
+    const clientY = document.getElementById('clientY');
+    if (clientX && clientY) {
+        clientX.min = minX;
+        clientX.max = maxX;
+        clientY.min = minY;
+        clientY.max = maxY;
+        // No sistema geo X é a longitude e Y a latitude, em graus decimais
+        clientX.step = newWorld.isGeographic() ? 'any' : '1';
+        clientY.step = newWorld.isGeographic() ? 'any' : '1';
+    }
+
+    mapView.setWorld(newWorld);
+    uiView.updateDroneStatus();
+    console.log(`Mapa carregado: ${newWorld.describeBounds()}, ${newWorld.bases.length} base(s)`);
+}
+
 /**
  * Configura eventos globais e handlers
  */
@@ -111,6 +239,34 @@ function setupGlobalEvents() {
     document.addEventListener('keydown', function(event) {
         handleKeyboardShortcuts(event);
     });
+
+    // Mapa alterado na API (limites ou bases)
+    if (uiView.eventStream) {
+        uiView.eventStream.on('map.updated', function(event) {
+            applyWorld(World.fromJSON(event.data.map));
+        });
+
+        // Modelo de drone criado, alterado ou removido no catálogo
+        uiView.eventStream.on('catalog.updated', function(event) {
+            applyCatalog(event.data.models);
+        });
+
+        // Rota de um drone em voo replanejada com um pedido novo: redesenha a rota
+        uiView.eventStream.on('drone.route', function(event) {
+            const drone = droneController.getDroneById(event.data.droneId);
+            if (drone) {
+                drone.currentRoute = event.data.route;
+                mapView.drawDroneRoute(drone);
+            }
+        });
+
+        // Vento, recarga nas bases ou velocidade alterados na configuração
+        uiView.eventStream.on('config.updated', function(event) {
+            EnergyModel.setWind({ x: event.data.config.windX, y: event.data.config.windY });
+            ChargingPlanner.setBaseChargeRate(event.data.config.baseChargeRate);
+            TimeWindows.setSpeed(event.data.config.simulationSpeed);
+        });
+    }
     
     // Previne fechamento acidental durante simulação
     window.addEventListener('beforeunload', function(event) {
@@ -397,7 +553,25 @@ function setupEventListeners() {
     if (optimizeBtn) {
         optimizeBtn.addEventListener('click', function() {
             if (deliverySystem) {
-                deliverySystem.optimizeDeliveries();
+                deliverySystem.optimizeDeliveries().then(result => {
+                    if (uiView) {
+                        uiView.showNotification(result.message, result.success ? 'success' : 'warning');
+                    }
+                });
+            }
+        });
+    }
+
+    // Botão Planejar Turno
+    const planShiftBtn = document.getElementById('planShift');
+    if (planShiftBtn) {
+        planShiftBtn.addEventListener('click', function() {
+            if (deliverySystem) {
+                deliverySystem.planShift().then(result => {
+                    if (uiView) {
+                        uiView.showNotification(result.message, result.success ? 'success' : 'warning');
+                    }
+                });
             }
         });
     }
@@ -481,34 +655,36 @@ function runDemo() {
                 return;
             }
             
-            // Passo 3: Otimiza entregas
-            const result = deliverySystem.optimizeDeliveries();
-            console.log('Resultado da otimização:', result);
-            
-            if (uiView) {
-                uiView.showNotification('Demo: ' + result.message, result.success ? 'success' : 'warning');
-            }
-            
-            // Verifica se a otimização foi bem-sucedida antes de iniciar simulação
-            if (result.success) {
-                // Passo 4: Inicia simulação após 2 segundos
-                setTimeout(() => {
-                    const simulationResult = deliverySystem.startSimulation();
-                    if (simulationResult !== false) {
-                        if (uiView) {
-                            uiView.showNotification('Demo: Simulação iniciada!', 'success');
-                        }
-                    } else {
-                        if (uiView) {
-                            uiView.showNotification('Demo: Erro ao iniciar simulação', 'error');
-                        }
-                    }
-                }, 2000);
-            } else {
+            // Passo 3: Otimiza entregas (planejamento na API)
+            deliverySystem.optimizeDeliveries().then(result => {
+                console.log('Resultado da otimização:', result);
+                
                 if (uiView) {
-                    uiView.showNotification('Demo: Falha na otimização - simulação não iniciada', 'error');
+                    uiView.showNotification('Demo: ' + result.message, result.success ? 'success' : 'warning');
                 }
-            }
+                
+                // Verifica se a otimização foi bem-sucedida antes de iniciar simulação
+                if (result.success) {
+                    // Passo 4: Inicia simulação após 2 segundos
+                    setTimeout(() => {
+                        deliverySystem.startSimulation().then(simulationResult => {
+                            if (simulationResult !== false) {
+                                if (uiView) {
+                                    uiView.showNotification('Demo: Simulação iniciada!', 'success');
+                                }
+                            } else {
+                                if (uiView) {
+                                    uiView.showNotification('Demo: Erro ao iniciar simulação', 'error');
+                                }
+                            }
+                        });
+                    }, 2000);
+                } else {
+                    if (uiView) {
+                        uiView.showNotification('Demo: Falha na otimização - simulação não iniciada', 'error');
+                    }
+                }
+            });
             
         }, 1500);
         
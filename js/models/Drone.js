@@ -8,70 +8,630 @@ class Drone {
         this.capacity = capacity; // Capacidade em kg
         this.range = range; // Alcance em km
         this.currentLoad = 0; // Carga atual em kg
-        this.battery = 100; // Bateria em percentual
+        this.battery = 100; // Bateria em percentual da capacidade atual do pack
         this.position = { x: 10, y: 10 }; // Posição inicial (base)
-        this.status = 'idle'; // Estados: idle, loading, flying, delivering, returning
+        this.status = 'idle'; // Estados: ver Drone.TRANSITIONS
+        this.statusChangedAt = new Date(); // Momento da última mudança de status
+        this.statusHistory = []; // Transições recentes {from, to, at}
         this.assignedOrders = []; // Pedidos atribuídos para esta viagem
+        this.plannedSequence = []; // Ordem de visita fixada pelo solver (ids dos pedidos)
         this.currentRoute = []; // Rota atual
         this.totalDistance = 0; // Distância total percorrida
         this.deliveriesCount = 0; // Número de entregas realizadas
+        this.flightMinutes = 0; // Tempo total de voo em minutos
+        this.cycles = 0; // Decolagens realizadas
+        this.maintenancePlan = null; // Intervalos próprios de manutenção (null = plano padrão)
         this.basePosition = { x: 10, y: 10 }; // Posição da base
+        this.homeBaseId = null; // Base de origem (null = base padrão)
         this.currentRouteIndex = 0; // Índice atual na rota
-        this.speed = 0.5; // Velocidade do drone (posições por segundo)
+        this.model = Drone.getDroneCatalog().DEFAULT_MODEL; // Modelo do drone (catálogo: limites, cruzeiro e perfil de energia)
+        this.speed = Drone.getDroneCatalog().getSpeed(this.model); // Cruzeiro em km por minuto (1s real = 1 minuto na simulação local)
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+        // Uso registrado na última manutenção preventiva (na criação, o drone novo)
+        this.lastMaintenance = { at: this.createdAt, totalDistance: 0, flightMinutes: 0, cycles: 0 };
+        // Pack de bateria instalado: saúde e ciclos completos equivalentes na instalação e ciclos atuais
+        this.batteryPack = { number: 1, serial: null, installedAt: this.createdAt, initialHealth: 100, initialCycles: 0, cycles: 0 };
+        this.batteryHistory = []; // Recargas e trocas de pack recentes
+    }
+
+    /**
+     * Retorna o contexto do navegador com as views, ou um objeto vazio no servidor
+     * @returns {Object} - window no navegador, {} no Node.js
+     */
+    static getViewContext() {
+        return typeof window !== 'undefined' ? window : {};
+    }
+
+    /**
+     * Retorna o utilitário de espaço aéreo (global no navegador, módulo no Node.js)
+     * @returns {Airspace} - Classe Airspace
+     */
+    static getAirspace() {
+        return typeof Airspace !== 'undefined' ? Airspace : require('../utils/Airspace');
+    }
+
+    /**
+     * Retorna o modelo de consumo de bateria (global no navegador, módulo no Node.js)
+     * @returns {EnergyModel} - Classe EnergyModel
+     */
+    static getEnergyModel() {
+        return typeof EnergyModel !== 'undefined' ? EnergyModel : require('../utils/EnergyModel');
+    }
+
+    /**
+     * Retorna o catálogo de modelos de drone (global no navegador, módulo no Node.js)
+     * @returns {DroneCatalog} - Classe DroneCatalog
+     */
+    static getDroneCatalog() {
+        return typeof DroneCatalog !== 'undefined' ? DroneCatalog : require('../utils/DroneCatalog');
+    }
+
+    /**
+     * Retorna a acomodação de pacotes no compartimento (global no navegador, módulo no Node.js)
+     * @returns {CargoPacker} - Classe CargoPacker
+     */
+    static getCargoPacker() {
+        return typeof CargoPacker !== 'undefined' ? CargoPacker : require('../utils/CargoPacker');
+    }
+
+    /**
+     * Retorna o planejador de recargas (global no navegador, módulo no Node.js)
+     * @returns {ChargingPlanner} - Classe ChargingPlanner
+     */
+    static getChargingPlanner() {
+        return typeof ChargingPlanner !== 'undefined' ? ChargingPlanner : require('../utils/ChargingPlanner');
+    }
+
+    /**
+     * Retorna o planejador de coletas (global no navegador, módulo no Node.js)
+     * @returns {PickupPlanner} - Classe PickupPlanner
+     */
+    static getPickupPlanner() {
+        return typeof PickupPlanner !== 'undefined' ? PickupPlanner : require('../utils/PickupPlanner');
+    }
+
+    /**
+     * Retorna o utilitário de resultados de entrega (global no navegador, módulo no Node.js)
+     * @returns {DeliveryOutcomes} - Classe DeliveryOutcomes
+     */
+    static getDeliveryOutcomes() {
+        return typeof DeliveryOutcomes !== 'undefined' ? DeliveryOutcomes : require('../utils/DeliveryOutcomes');
+    }
+
+    /**
+     * Retorna o utilitário de janelas de entrega (global no navegador, módulo no Node.js)
+     * @returns {TimeWindows} - Classe TimeWindows
+     */
+    static getTimeWindows() {
+        return typeof TimeWindows !== 'undefined' ? TimeWindows : require('../utils/TimeWindows');
+    }
+
+    /**
+     * Retorna o planejador de manutenção (global no navegador, módulo no Node.js)
+     * @returns {MaintenancePlanner} - Classe MaintenancePlanner
+     */
+    static getMaintenancePlanner() {
+        return typeof MaintenancePlanner !== 'undefined' ? MaintenancePlanner : require('../utils/MaintenancePlanner');
+    }
+
+    /**
+     * Retorna o utilitário de saúde da bateria (global no navegador, módulo no Node.js)
+     * @returns {BatteryHealth} - Classe BatteryHealth
+     */
+    static getBatteryHealth() {
+        return typeof BatteryHealth !== 'undefined' ? BatteryHealth : require('../utils/BatteryHealth');
+    }
+
+    /**
+     * Retorna o perfil de energia do modelo do drone, com a capacidade do pack instalado
+     * @returns {Object} - {energyModel, packCapacity, ...parâmetros}
+     */
+    getEnergyProfile() {
+        return { ...Drone.getDroneCatalog().getProfile(this.model), packCapacity: this.getBatteryHealth() / 100 };
+    }
+
+    /**
+     * Retorna o compartimento de carga do modelo do drone
+     * @returns {Object} - {length, width, height} em cm e refrigerated
+     */
+    getCompartment() {
+        return { ...Drone.getDroneCatalog().resolve(this.model).compartment };
+    }
+
+    /**
+     * Retorna a capacidade volumétrica do compartimento
+     * @returns {number} - Volume em litros
+     */
+    getVolumeCapacity() {
+        return Drone.getCargoPacker().getVolume(this.getCompartment());
+    }
+
+    /**
+     * Passa o drone para um modelo do catálogo, com a velocidade de cruzeiro dele
+     * @param {string} name - Nome do modelo
+     */
+    setModel(name) {
+        this.model = name;
+        this.speed = Drone.getDroneCatalog().getSpeed(name);
+    }
+
+    /**
+     * Retorna o estado de saúde do pack de bateria instalado
+     * @returns {number} - Capacidade em % da nominal
+     */
+    getBatteryHealth() {
+        return Drone.getBatteryHealth().getHealth(this.batteryPack);
+    }
+
+    /**
+     * Retorna o alcance numa carga com o pack instalado (o alcance nominal cai com a saúde)
+     * @returns {number} - Alcance em km
+     */
+    getEffectiveRange() {
+        return this.range * this.getBatteryHealth() / 100;
+    }
+
+    /**
+     * Retorna a situação da bateria do drone
+     * @returns {Object} - Ver BatteryHealth.getStatus
+     */
+    getBatteryStatus() {
+        return Drone.getBatteryHealth().getStatus(this);
+    }
+
+    /**
+     * Contabiliza uma recarga no desgaste do pack e no histórico da bateria
+     * @param {number} from - Nível no início da recarga (%)
+     * @param {number} to - Nível no fim da recarga (%)
+     * @param {Date} at - Fim da recarga (padrão: agora)
+     */
+    recordCharge(from, to, at = new Date()) {
+        if (to <= from) {
+            return;
+        }
+
+        this.batteryPack.cycles += Drone.getBatteryHealth().getChargeCycles(from, to);
+        this.pushBatteryHistory({
+            type: 'charge',
+            at,
+            from: Math.round(from * 10) / 10,
+            to: Math.round(to * 10) / 10,
+            cycles: Math.round(this.batteryPack.cycles * 10) / 10,
+            health: this.getBatteryHealth()
+        });
+    }
+
+    /**
+     * Troca o pack de bateria; o pack novo chega carregado
+     * @param {Object} pack - {serial, health (saúde medida do pack, padrão 100), cycles (ciclos já feitos, padrão 0)}
+     * @param {Date} at - Momento da troca (padrão: agora)
+     * @returns {Object} - Pack retirado {number, serial, cycles, health}
+     */
+    swapBattery({ serial = null, health = 100, cycles = 0 } = {}, at = new Date()) {
+        const removed = {
+            number: this.batteryPack.number,
+            serial: this.batteryPack.serial,
+            cycles: Math.round(this.batteryPack.cycles * 10) / 10,
+            health: this.getBatteryHealth()
+        };
+
+        this.batteryPack = { number: removed.number + 1, serial, installedAt: at, initialHealth: health, initialCycles: cycles, cycles };
+        this.battery = 100;
+        this.pushBatteryHistory({
+            type: 'swap',
+            at,
+            removed,
+            installed: { number: this.batteryPack.number, serial, cycles, health: this.getBatteryHealth() }
+        });
+        return removed;
+    }
+
+    /**
+     * Acrescenta um registro ao histórico da bateria, descartando os mais antigos
+     * @param {Object} entry - Registro {type, at, ...}
+     */
+    pushBatteryHistory(entry) {
+        this.batteryHistory.push(entry);
+        if (this.batteryHistory.length > Drone.BATTERY_HISTORY_SIZE) {
+            this.batteryHistory.shift();
+        }
+    }
+
+    /**
+     * Define a base de origem do drone
+     * @param {Object} base - Base {id, name, location}
+     */
+    setHomeBase(base) {
+        this.homeBaseId = base.id;
+        this.basePosition = { ...base.location };
+    }
+
+    /**
+     * Retorna os status para os quais o drone pode passar a partir do atual
+     * @returns {Array<string>} - Status permitidos
+     */
+    getAllowedTransitions() {
+        return Drone.TRANSITIONS[this.status] || [];
+    }
+
+    /**
+     * Verifica se o ciclo de vida permite passar do status atual para outro
+     * @param {string} newStatus - Status desejado
+     * @returns {boolean} - True se a transição é permitida
+     */
+    canTransitionTo(newStatus) {
+        return this.getAllowedTransitions().includes(newStatus);
+    }
+
+    /**
+     * Atualiza o status do drone, respeitando o ciclo de vida (Drone.TRANSITIONS)
+     * e registrando o momento da transição; manter o status atual não é uma transição
+     * @param {string} newStatus - Novo status
+     * @param {Date} at - Momento da mudança (padrão: agora)
+     * @returns {boolean} - True se o drone está no novo status
+     */
+    updateStatus(newStatus, at = new Date()) {
+        if (newStatus === this.status) {
+            return true;
+        }
+        if (!this.canTransitionTo(newStatus)) {
+            return false;
+        }
+
+        this.recordStatus(newStatus, at);
+        return true;
+    }
+
+    /**
+     * Aplica o status sem consultar o ciclo de vida, registrando a transição no histórico
+     * @param {string} newStatus - Novo status
+     * @param {Date} at - Momento da mudança
+     */
+    recordStatus(newStatus, at = new Date()) {
+        this.statusHistory.push({ from: this.status, to: newStatus, at });
+        if (this.statusHistory.length > Drone.STATUS_HISTORY_SIZE) {
+            this.statusHistory.shift();
+        }
+
+        this.status = newStatus;
+        this.statusChangedAt = at;
+    }
+
+    /**
+     * Verifica se o drone pode receber pedidos e partir numa viagem
+     * Drones com a manutenção vencida ficam de fora mesmo antes de entrar em manutenção
+     * @returns {boolean} - True se está disponível para despacho
+     */
+    isAvailableForDispatch() {
+        return this.status === 'idle' && !this.isMaintenanceDue();
+    }
+
+    /**
+     * Retorna a situação da manutenção preventiva do drone
+     * @param {Date} now - Momento da consulta (padrão: agora)
+     * @returns {Object} - Ver MaintenancePlanner.getStatus
+     */
+    getMaintenanceStatus(now = new Date()) {
+        return Drone.getMaintenancePlanner().getStatus(this, now);
+    }
+
+    /**
+     * Verifica se a manutenção preventiva está vencida
+     * @param {Date} now - Momento da consulta (padrão: agora)
+     * @returns {boolean} - True se algum intervalo do plano foi atingido
+     */
+    isMaintenanceDue(now = new Date()) {
+        return Drone.getMaintenancePlanner().isDue(this, now);
+    }
+
+    /**
+     * Leva para manutenção o drone ocioso, sem pedidos, com a manutenção vencida
+     * @param {Date} now - Momento da verificação (padrão: agora)
+     * @returns {boolean} - True se o drone entrou em manutenção
+     */
+    enterMaintenanceIfDue(now = new Date()) {
+        if (this.status !== 'idle' || this.assignedOrders.length > 0 || !this.isMaintenanceDue(now)) {
+            return false;
+        }
+        return this.updateStatus('maintenance', now);
+    }
+
+    /**
+     * Registra uma manutenção preventiva: os intervalos do plano voltam a contar do uso atual
+     * @param {Date} at - Momento da manutenção
+     */
+    completeMaintenance(at = new Date()) {
+        this.lastMaintenance = {
+            at,
+            totalDistance: this.totalDistance,
+            flightMinutes: this.flightMinutes,
+            cycles: this.cycles
+        };
+    }
+
+    /**
+     * Verifica se o drone está no meio de uma missão (fora da base ou recarregando nela)
+     * @returns {boolean} - True se está em missão
+     */
+    isOnMission() {
+        return Drone.MISSION_STATUSES.includes(this.status);
+    }
+
+    /**
+     * Recolhe à base o drone que pousou fora da rota, descarregando o que levava
+     */
+    recoverToBase() {
+        this.position = { ...this.basePosition };
+        this.currentLoad = 0;
+        this.assignedOrders = [];
+        this.plannedSequence = [];
+        this.currentRoute = [];
+        this.currentRouteIndex = 0;
     }
 
     /**
      * Verifica se o drone pode carregar um pedido adicional
+     * A viagem inteira (pedidos atribuídos, selecionados e o novo) precisa caber na bateria e
+     * no alcance efetivo do pack instalado, com a carga de cada trecho diminuindo a cada entrega; paradas em estações
+     * de recarga são consideradas quando necessárias. Os pacotes precisam caber juntos no
+     * compartimento e nenhuma entrega pode chegar depois do fim da sua janela
      * @param {Order} order - Pedido a ser verificado
+     * @param {Array<Order>} selectedOrders - Pedidos já escolhidos para a viagem, ainda não atribuídos
+     * @param {Date} departure - Horário de partida da viagem (padrão: agora)
      * @returns {boolean} - True se pode carregar
      */
-    canCarryOrder(order) {
-        const newLoad = this.currentLoad + order.weight;
-        const distanceToOrder = this.calculateDistance(this.position, order.location);
-        const distanceToBase = this.calculateDistance(order.location, this.basePosition);
-        const totalDistance = distanceToOrder + distanceToBase;
-        
-        return newLoad <= this.capacity && 
-               totalDistance <= this.range && 
-               this.battery >= this.calculateBatteryNeeded(totalDistance);
+    canCarryOrder(order, selectedOrders = [], departure = new Date()) {
+        return this.checkOrder(order, selectedOrders, departure).feasible;
+    }
+
+    /**
+     * Verifica um pedido adicional como canCarryOrder, indicando a restrição que impede a viagem
+     * @param {Order} order - Pedido a ser verificado
+     * @param {Array<Order>} selectedOrders - Pedidos já escolhidos para a viagem, ainda não atribuídos
+     * @param {Date} departure - Horário de partida da viagem (padrão: agora)
+     * @returns {Object} - {feasible, constraint, reason}; constraint é 'weight', 'temperature', 'dimensions',
+     *                     'volume', 'packing', 'battery' ou 'window' (null se viável)
+     */
+    checkOrder(order, selectedOrders = [], departure = new Date()) {
+        const rejection = (constraint, reason) => ({ feasible: false, constraint, reason });
+        const orders = [...this.assignedOrders, ...selectedOrders, order];
+
+        let newLoad = this.currentLoad + selectedOrders.reduce((sum, o) => sum + o.weight, 0) + order.weight;
+        if (newLoad > this.capacity && Drone.getPickupPlanner().hasPickups(orders)) {
+            // Com coletas os pacotes não estão todos a bordo ao mesmo tempo: vale o pico da viagem
+            newLoad = Drone.getPickupPlanner().getPeakLoad(this.getVisits(this.sequenceOrders(orders, this.position, departure)));
+        }
+        if (newLoad > this.capacity) {
+            return rejection('weight', `Carga de ${Math.round(newLoad * 10) / 10}kg excede a capacidade de ${this.capacity}kg`);
+        }
+
+        const cargo = this.checkCargo(orders);
+        if (!cargo.feasible) {
+            return rejection(cargo.constraint, cargo.reason);
+        }
+
+        const trip = this.planTrip(orders, this.position, departure);
+        if (trip.batteryNeeded === Infinity) {
+            return rejection('battery', 'Viagem não cabe na bateria e no alcance do drone, mesmo com paradas de recarga');
+        }
+        if (!trip.feasible) {
+            const late = trip.schedule.violations.map(stop => stop.orderId).join(', ');
+            return rejection('window', `Entrega chegaria depois do fim da janela (${late})`);
+        }
+
+        return { feasible: true, constraint: null, reason: null };
+    }
+
+    /**
+     * Verifica se os pacotes dos pedidos cabem juntos no compartimento do drone
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @returns {Object} - Resultado de CargoPacker.check {feasible, constraint, reason, volume, usedVolume, placements}
+     */
+    checkCargo(orders) {
+        return Drone.getCargoPacker().check(this.getCompartment(), orders);
     }
 
     /**
      * Atribui um pedido ao drone
      * @param {Order} order - Pedido a ser atribuído
+     * @param {Date} departure - Horário de partida da viagem (padrão: agora)
      * @returns {boolean} - True se foi possível atribuir
      */
-    assignOrder(order) {
-        if (this.canCarryOrder(order)) {
+    assignOrder(order, departure = new Date()) {
+        if (this.canCarryOrder(order, [], departure)) {
             this.assignedOrders.push(order);
             this.currentLoad += order.weight;
-            order.status = 'assigned';
-            order.assignedDrone = this.id;
+            order.updateStatus('assigned', this.id);
             return true;
         }
         return false;
     }
 
     /**
-     * Calcula a distância euclidiana entre dois pontos
+     * Retira um pedido do drone (cancelamento ou reatribuição)
+     * @param {Order} order - Pedido atribuído ao drone
+     * @param {boolean} unload - Se false o pacote segue a bordo (drone em voo) e a carga não muda
+     * @returns {boolean} - True se o pedido estava com o drone
+     */
+    releaseOrder(order, unload = true) {
+        const index = this.assignedOrders.findIndex(assigned => assigned.id === order.id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.assignedOrders.splice(index, 1);
+        this.plannedSequence = this.plannedSequence.filter(id => id !== order.id);
+        if (unload) {
+            this.currentLoad = Math.max(0, this.currentLoad - order.weight);
+        }
+        return true;
+    }
+
+    /**
+     * Atribui os pedidos de uma rota planejada e fixa a ordem de visita
+     * A viabilidade da viagem nessa ordem já foi verificada por quem planejou a rota
+     * @param {Array<Order>} sequence - Pedidos na ordem de visita, incluindo os já atribuídos
+     */
+    assignPlannedRoute(sequence) {
+        for (const order of sequence) {
+            if (this.assignedOrders.some(assigned => assigned.id === order.id)) continue;
+
+            this.assignedOrders.push(order);
+            this.currentLoad += order.weight;
+            order.updateStatus('assigned', this.id);
+        }
+        this.plannedSequence = sequence.map(order => order.id);
+    }
+
+    /**
+     * Retorna os pedidos na ordem fixada pelo solver, se ela cobre exatamente esses pedidos
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @returns {Array<Order>|null} - Pedidos na ordem planejada ou null
+     */
+    getPlannedSequence(orders) {
+        if (this.plannedSequence.length === 0 || this.plannedSequence.length !== orders.length) {
+            return null;
+        }
+
+        const planned = this.plannedSequence.map(id => orders.find(order => order.id === id));
+        return planned.every(Boolean) ? planned : null;
+    }
+
+    /**
+     * Calcula a distância de voo entre dois pontos (euclidiana na grade, haversine em lat/lon),
+     * incluindo o desvio de zonas de exclusão aérea
      * @param {Object} point1 - Ponto inicial {x, y}
      * @param {Object} point2 - Ponto final {x, y}
      * @returns {number} - Distância em km
      */
     calculateDistance(point1, point2) {
-        const dx = point2.x - point1.x;
-        const dy = point2.y - point1.y;
-        return Math.sqrt(dx * dx + dy * dy);
+        return Drone.getAirspace().distance(point1, point2);
     }
 
     /**
-     * Calcula a bateria necessária para uma distância
+     * Calcula a bateria necessária para uma distância, sem considerar direção (vento)
      * @param {number} distance - Distância em km
+     * @param {number} payload - Carga levada em kg
      * @returns {number} - Percentual de bateria necessário
      */
-    calculateBatteryNeeded(distance) {
-        // Aproximadamente 5% de bateria por km
-        return Math.min(100, distance * 5);
+    calculateBatteryNeeded(distance, payload = 0) {
+        return Math.min(100, Drone.getEnergyModel().distanceConsumption(this.getEnergyProfile(), distance, payload));
+    }
+
+    /**
+     * Calcula a bateria consumida num trecho reto, com a carga levada e o vento em vigor
+     * @param {Object} point1 - Ponto inicial {x, y}
+     * @param {Object} point2 - Ponto final {x, y}
+     * @param {number} payload - Carga levada no trecho em kg
+     * @returns {number} - Percentual de bateria
+     */
+    calculateSegmentBattery(point1, point2, payload = this.currentLoad) {
+        return Drone.getEnergyModel().segmentConsumption(this.getEnergyProfile(), point1, point2, payload);
+    }
+
+    /**
+     * Calcula a bateria de uma viagem pelos pedidos (vizinho mais próximo) até a base
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @param {Object} start - Ponto de partida (padrão: posição atual)
+     * @returns {number} - Percentual de bateria (Infinity se algum trecho é impossível)
+     */
+    calculateTripBattery(orders, start = this.position) {
+        const visits = this.getVisits(this.sequenceOrders(orders, start), start);
+        return Drone.getEnergyModel().tripConsumption(this.getEnergyProfile(), start, visits, this.basePosition);
+    }
+
+    /**
+     * Paradas de uma viagem: a coleta dos pedidos com coleta fora da base antes da entrega
+     * @param {Array<Order>} orders - Pedidos na ordem de entrega
+     * @param {Object} start - Ponto de partida (padrão: posição atual)
+     * @returns {Array<Object>} - Paradas {type: 'pickup' ou 'delivery', order, location}
+     */
+    getVisits(orders, start = this.position) {
+        return Drone.getPickupPlanner().getVisits(orders, start, this.basePosition, this.capacity);
+    }
+
+    /**
+     * Planeja a viagem pelos pedidos (e suas coletas) até a base, com paradas de recarga e horários previstos
+     * A viagem só é viável se couber na bateria e no alcance e nenhuma janela for violada
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @param {Object} start - Ponto de partida (padrão: posição atual)
+     * @param {Date} departure - Horário de partida (padrão: agora)
+     * @param {number} flownSinceCharge - Km já voados desde a última recarga (drone em voo)
+     * @returns {Object} - Plano do ChargingPlanner {feasible, sequence, chargingStops, batteryNeeded, finalBattery}
+     *                     com schedule {departure, stops, violations, totalLateness, returnTime}
+     */
+    planTrip(orders, start = this.position, departure = new Date(), flownSinceCharge = 0) {
+        const stops = this.sequenceOrders(orders, start, departure);
+        const plan = Drone.getChargingPlanner().planTrip(this, stops, start, this.basePosition, this.battery, flownSinceCharge);
+        const sequence = plan.feasible ? plan.sequence : this.getVisits(stops, start);
+        const schedule = Drone.getTimeWindows().estimate(sequence, start, this.basePosition, departure, this.speed);
+
+        return { ...plan, schedule, feasible: plan.feasible && schedule.violations.length === 0 };
+    }
+
+    /**
+     * Ordena os pedidos de uma viagem: na ordem fixada pelo solver, pelo vizinho mais próximo
+     * ou, havendo janelas de entrega, respeitando as janelas (preferindo uma ordem que caiba na bateria)
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @param {Object} start - Ponto de partida
+     * @param {Date} departure - Horário de partida (padrão: agora)
+     * @returns {Array<Order>} - Pedidos na ordem de visita
+     */
+    sequenceOrders(orders, start, departure = new Date()) {
+        const planned = this.getPlannedSequence(orders);
+        if (planned) {
+            return planned;
+        }
+
+        const nearest = this.nearestNeighborSequence(orders, start);
+        const Windows = Drone.getTimeWindows();
+        if (!Windows.hasWindows(orders)) {
+            return nearest;
+        }
+
+        const Planner = Drone.getChargingPlanner();
+        return Windows.sequence(orders, start, this.basePosition, departure, {
+            alternatives: [nearest],
+            accept: candidate => Planner.planTrip(this, candidate, start, this.basePosition).feasible,
+            speed: this.speed
+        });
+    }
+
+    /**
+     * Ordena os pedidos pelo vizinho mais próximo (com coletas fora da base, entre coletas e entregas)
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @param {Object} start - Ponto de partida
+     * @returns {Array<Order>} - Pedidos na ordem de visita
+     */
+    nearestNeighborSequence(orders, start) {
+        const Pickups = Drone.getPickupPlanner();
+        if (Pickups.hasPickups(orders)) {
+            return Pickups.nearestNeighbor(orders, start, this.capacity);
+        }
+
+        const unvisited = [...orders];
+        const stops = [];
+        let currentPosition = start;
+
+        while (unvisited.length > 0) {
+            let nearestIndex = 0;
+            let nearestDistance = this.calculateDistance(currentPosition, unvisited[0].location);
+
+            for (let i = 1; i < unvisited.length; i++) {
+                const distance = this.calculateDistance(currentPosition, unvisited[i].location);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearestIndex = i;
+                }
+            }
+
+            const nearestOrder = unvisited.splice(nearestIndex, 1)[0];
+            stops.push(nearestOrder);
+            currentPosition = nearestOrder.location;
+        }
+
+        return stops;
     }
 
     /**
@@ -83,24 +643,30 @@ class Drone {
             return [];
         }
 
+        // Com ordem fixada pelo solver ou janelas de entrega a rota segue a ordem usada na atribuição
+        if (this.getPlannedSequence(this.assignedOrders) || Drone.getTimeWindows().hasWindows(this.assignedOrders)) {
+            return this.buildRoute(this.sequenceOrders(this.assignedOrders, this.basePosition));
+        }
+
         // Ordena pedidos por prioridade primeiro
         const sortedOrders = this.assignedOrders.sort((a, b) => {
             const priorityOrder = { 'alta': 3, 'media': 2, 'baixa': 1 };
             return priorityOrder[b.priority] - priorityOrder[a.priority];
         });
 
-        // Algoritmo do vizinho mais próximo para otimizar rota
+        // Algoritmo do vizinho mais próximo para otimizar rota (pedidos com coleta começam pela coleta)
+        const Pickups = Drone.getPickupPlanner();
         const unvisited = [...sortedOrders];
-        const route = [{ ...this.basePosition, type: 'base' }]; // Começa na base
+        const orderedOrders = [];
         let currentPosition = this.basePosition;
 
         while (unvisited.length > 0) {
             let nearestIndex = 0;
-            let nearestDistance = this.calculateDistance(currentPosition, unvisited[0].location);
+            let nearestDistance = this.calculateDistance(currentPosition, Pickups.getEntry(unvisited[0]));
 
             // Encontra o pedido mais próximo, mas considera prioridade
             for (let i = 1; i < unvisited.length; i++) {
-                const distance = this.calculateDistance(currentPosition, unvisited[i].location);
+                const distance = this.calculateDistance(currentPosition, Pickups.getEntry(unvisited[i]));
                 const priorityWeight = unvisited[i].priority === 'alta' ? 0.7 : 
                                      unvisited[i].priority === 'media' ? 0.85 : 1.0;
                 
@@ -112,14 +678,35 @@ class Drone {
 
             // Adiciona à rota e remove da lista
             const nearestOrder = unvisited.splice(nearestIndex, 1)[0];
-            route.push({ ...nearestOrder.location, type: 'delivery', order: nearestOrder });
+            orderedOrders.push(nearestOrder);
             currentPosition = nearestOrder.location;
         }
 
-        // Retorna à base
-        route.push({ ...this.basePosition, type: 'base' });
-        this.currentRoute = route;
-        return route;
+        return this.buildRoute(orderedOrders);
+    }
+
+    /**
+     * Monta a rota a partir dos pedidos já ordenados, com coletas, paradas de recarga e desvios
+     * @param {Array<Order>} orderedOrders - Pedidos na ordem de visita
+     * @returns {Array} - Rota da base à base
+     */
+    buildRoute(orderedOrders) {
+        // Paradas de recarga entram onde a viagem excederia a bateria ou o alcance
+        const plan = Drone.getChargingPlanner().planTrip(this, orderedOrders, this.basePosition, this.basePosition);
+        const stops = plan.feasible ? plan.sequence : this.getVisits(orderedOrders, this.basePosition);
+
+        // Começa e termina na base
+        const route = [
+            { ...this.basePosition, type: 'base' },
+            ...stops.map(stop => stop.type === 'charging'
+                ? { ...stop.location, type: 'charging', station: stop.station, chargeTo: stop.chargeTo }
+                : { ...stop.location, type: stop.type, order: stop.order }),
+            { ...this.basePosition, type: 'base' }
+        ];
+
+        // Desvios de zonas de exclusão entram como waypoints intermediários
+        this.currentRoute = Drone.getAirspace().expandRoute(route);
+        return this.currentRoute;
     }
 
     /**
@@ -146,14 +733,19 @@ class Drone {
             return false;
         }
 
-        this.status = 'loading';
+        this.updateStatus('loading');
+        this.assignedOrders.forEach(order => order.updateStatus('in_flight'));
+        // Decola só com os pacotes da base; os demais sobem a bordo nas coletas
+        this.currentLoad = Drone.getPickupPlanner().getInitialLoad(this.assignedOrders);
         this.optimizeRoute();
         const routeDistance = this.calculateRouteDistance();
         this.totalDistance += routeDistance;
+        this.flightMinutes += routeDistance / this.speed; // 1s real = 1 minuto simulado
+        this.cycles++;
         
         // Simula tempo de carregamento
         setTimeout(() => {
-            this.status = 'flying';
+            this.updateStatus('flying');
             this.currentRouteIndex = 0;
             this.simulateMovement();
         }, 1000);
@@ -174,25 +766,38 @@ class Drone {
         const nextPoint = this.currentRoute[this.currentRouteIndex + 1];
         
         this.moveToPoint(nextPoint, () => {
+            // Consome bateria do trecho com a carga levada até esta parada
+            this.battery = Math.max(0, this.battery - this.calculateSegmentBattery(currentPoint, nextPoint));
+
+            if (nextPoint.type === 'charging') {
+                console.log(`Drone ${this.id} parou para recarga em ${nextPoint.station.name}`);
+                this.currentRouteIndex++;
+                this.chargeBattery(nextPoint.station.chargeRate, nextPoint.chargeTo, () => {
+                    this.updateStatus('flying');
+                    this.simulateMovement();
+                });
+                return;
+            }
+
+            if (nextPoint.type === 'pickup' && nextPoint.order) {
+                this.pickupOrder(nextPoint.order);
+            }
+
             if (nextPoint.type === 'delivery' && nextPoint.order) {
                 console.log(`Drone ${this.id} chegou ao destino do pedido ${nextPoint.order.id}`);
                 this.deliverOrder(nextPoint.order);
                 
                 // Limpa a rota antiga do mapa
-                if (window.mapView) {
-                    window.mapView.clearDroneRoute(this);
+                if (Drone.getViewContext().mapView) {
+                    Drone.getViewContext().mapView.clearDroneRoute(this);
                 }
             }
             
             this.currentRouteIndex++;
             
-            // Consome bateria baseada na distância
-            const distance = this.calculateDistance(currentPoint, nextPoint);
-            this.battery = Math.max(0, this.battery - this.calculateBatteryNeeded(distance));
-            
             // Atualiza a visualização da posição do drone
-            if (window.mapView) {
-                window.mapView.updateDronePosition(this);
+            if (Drone.getViewContext().mapView) {
+                Drone.getViewContext().mapView.updateDronePosition(this);
             }
             
             // Continue para o próximo ponto
@@ -221,8 +826,8 @@ class Drone {
             this.position.y = startPosition.y + (targetPoint.y - startPosition.y) * progress;
             
             // Atualiza a visualização
-            if (window.mapView) {
-                window.mapView.updateDronePosition(this);
+            if (Drone.getViewContext().mapView) {
+                Drone.getViewContext().mapView.updateDronePosition(this);
             }
             
             if (currentStep >= steps) {
@@ -233,14 +838,64 @@ class Drone {
         }, stepTime);
     }
 
+    /**
+     * Recarrega a bateria ao longo do tempo (na base ou numa estação)
+     * Na simulação local 1s real corresponde a 1 minuto simulado, a mesma escala do movimento
+     * @param {number} rate - Percentual de bateria por minuto
+     * @param {number} target - Nível de bateria desejado (%)
+     * @param {Function} callback - Função chamada ao atingir o nível
+     */
+    chargeBattery(rate, target, callback) {
+        this.updateStatus('charging');
+        const tickMs = 500;
+        const startBattery = this.battery;
+
+        const chargeInterval = setInterval(() => {
+            this.battery = Math.min(target, this.battery + rate * tickMs / 1000);
+
+            if (Drone.getViewContext().uiView) {
+                Drone.getViewContext().uiView.updateDroneStatus();
+            }
+
+            if (this.battery >= target) {
+                clearInterval(chargeInterval);
+                this.recordCharge(startBattery, this.battery);
+                callback();
+            }
+        }, tickMs);
+    }
+
+    /**
+     * Coleta o pacote de um pedido fora da base: a partir daqui ele viaja a bordo
+     * @param {Order} order - Pedido coletado
+     */
+    pickupOrder(order) {
+        order.recordPickup();
+        this.currentLoad += order.weight;
+
+        console.log(`Drone ${this.id} coletou o pedido ${order.id}`);
+
+        // O mapa passa a mostrar só a entrega do pedido
+        if (Drone.getViewContext().mapView) {
+            Drone.getViewContext().mapView.removePickupElements(order.id);
+        }
+    }
+
     /**
      * Entrega um pedido específico
      * @param {Order} order - Pedido a ser entregue
      */
     deliverOrder(order) {
-        this.status = 'delivering';
-        order.status = 'delivered';
-        order.deliveredAt = new Date();
+        this.updateStatus('delivering');
+        const Outcomes = Drone.getDeliveryOutcomes();
+        const outcome = Outcomes.draw();
+        order.recordAttempt(outcome, this.id);
+        if (Outcomes.isFailure(outcome)) {
+            this.failDelivery(order, outcome);
+            return;
+        }
+
+        order.updateStatus('delivered');
         this.deliveriesCount++;
         this.currentLoad -= order.weight;
         
@@ -250,61 +905,122 @@ class Drone {
         console.log(`Drone ${this.id} entregou pedido ${order.id}`);
         
         // Notifica o OrderController para mover o pedido para entregues
-        if (window.orderController) {
-            window.orderController.markAsDelivered(order.id);
+        if (Drone.getViewContext().orderController) {
+            Drone.getViewContext().orderController.markAsDelivered(order.id);
         }
         
         // Atualiza o mapa para remover o pedido entregue
-        if (window.mapView) {
-            window.mapView.removeElement(`order-${order.id}`);
+        if (Drone.getViewContext().mapView) {
+            Drone.getViewContext().mapView.removeElement(`order-${order.id}`);
+            Drone.getViewContext().mapView.removePickupElements(order.id);
         }
         
         // Simula tempo de entrega
         setTimeout(() => {
-            this.status = 'flying';
+            this.updateStatus('flying');
             
             // Atualiza interface
-            if (window.uiView) {
-                window.uiView.updateOrdersList();
-                window.uiView.updateStatistics();
+            if (Drone.getViewContext().uiView) {
+                Drone.getViewContext().uiView.updateOrdersList();
+                Drone.getViewContext().uiView.updateStatistics();
             }
         }, 500);
     }
 
+    /**
+     * Registra uma entrega sem sucesso: o pacote segue a bordo, pesando, até a base
+     * @param {Order} order - Pedido não entregue
+     * @param {string} outcome - Motivo da falha (ver DeliveryOutcomes.OUTCOMES)
+     */
+    failDelivery(order, outcome) {
+        order.updateStatus('failed');
+
+        console.log(`Drone ${this.id} não entregou pedido ${order.id}: ${Drone.getDeliveryOutcomes().describe(outcome)}`);
+
+        if (Drone.getViewContext().mapView) {
+            Drone.getViewContext().mapView.removePickupElements(order.id);
+        }
+
+        setTimeout(() => {
+            this.updateStatus('flying');
+
+            if (Drone.getViewContext().uiView) {
+                Drone.getViewContext().uiView.updateOrdersList();
+                Drone.getViewContext().uiView.updateStatistics();
+            }
+        }, 500);
+    }
+
+    /**
+     * Decide o destino de um pedido que voltou à base após uma entrega sem sucesso:
+     * volta à fila para nova tentativa ou é escalonado
+     * @param {Order} order - Pedido devolvido
+     */
+    resolveFailedDelivery(order) {
+        const { action, reason } = Drone.getDeliveryOutcomes().resolve(order);
+        if (action === 'requeue') {
+            order.updateStatus('pending');
+        } else {
+            order.escalate(reason);
+            if (Drone.getViewContext().mapView) {
+                Drone.getViewContext().mapView.removeElement(`order-${order.id}`);
+            }
+        }
+
+        console.log(`Pedido ${order.id}: ${reason}`);
+
+        if (Drone.getViewContext().uiView) {
+            Drone.getViewContext().uiView.showNotification(`Pedido ${order.id}: ${reason}`,
+                action === 'requeue' ? 'info' : 'error');
+        }
+    }
+
     /**
      * Completa o ciclo de entrega e retorna à base
      */
     completeDelivery() {
-        this.status = 'returning';
+        this.updateStatus('returning');
         this.position = { ...this.basePosition };
         this.currentLoad = 0;
+        // Pedidos não entregues voltam com o drone; os de entrega sem sucesso voltam à fila ou são escalonados
+        this.assignedOrders.forEach(order => {
+            const failedDelivery = order.status === 'failed';
+            if (order.updateStatus('returned') && failedDelivery) {
+                this.resolveFailedDelivery(order);
+            }
+        });
         this.assignedOrders = [];
+        this.plannedSequence = [];
         this.currentRoute = [];
         this.currentRouteIndex = 0;
         
         console.log(`Drone ${this.id} completou todas as entregas e retornou à base`);
         
         // Limpa a rota do mapa
-        if (window.mapView) {
-            window.mapView.clearDroneRoute(this);
+        if (Drone.getViewContext().mapView) {
+            Drone.getViewContext().mapView.clearDroneRoute(this);
         }
         
-        setTimeout(() => {
-            this.status = 'idle';
-            this.battery = 100; // Recarrega na base
+        // Recarrega na base ao longo do tempo antes de voltar a ficar ocioso
+        this.chargeBattery(Drone.getChargingPlanner().getBaseChargeRate(), 100, () => {
+            this.updateStatus('idle');
             
             console.log(`Drone ${this.id} está ocioso e recarregado`);
+
+            if (this.enterMaintenanceIfDue()) {
+                console.log(`Drone ${this.id} entrou em manutenção preventiva`);
+            }
             
             // Atualiza interface após retorno
-            if (window.uiView) {
-                window.uiView.updateDroneStatus();
-                window.uiView.updateStatistics();
+            if (Drone.getViewContext().uiView) {
+                Drone.getViewContext().uiView.updateDroneStatus();
+                Drone.getViewContext().uiView.updateStatistics();
             }
             
-            if (window.mapView) {
-                window.mapView.updateDronePosition(this);
+            if (Drone.getViewContext().mapView) {
+                Drone.getViewContext().mapView.updateDronePosition(this);
             }
-        }, 1000);
+        });
     }
 
     /**
@@ -314,8 +1030,11 @@ class Drone {
         this.currentLoad = 0;
         this.battery = 100;
         this.position = { ...this.basePosition };
-        this.status = 'idle';
+        if (this.status !== 'idle') {
+            this.recordStatus('idle');
+        }
         this.assignedOrders = [];
+        this.plannedSequence = [];
         this.currentRoute = [];
         this.currentRouteIndex = 0;
     }
@@ -355,4 +1074,109 @@ class Drone {
             efficiency: this.getEfficiency()
         };
     }
+
+    /**
+     * Converte o drone para JSON
+     * @returns {Object} - Representação JSON do drone
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            uuid: this.uuid,
+            capacity: this.capacity,
+            range: this.range,
+            currentLoad: this.currentLoad,
+            battery: this.battery,
+            position: this.position,
+            status: this.status,
+            statusChangedAt: this.statusChangedAt.toISOString(),
+            statusHistory: this.statusHistory.map(entry => ({ ...entry, at: entry.at.toISOString() })),
+            assignedOrders: this.assignedOrders,
+            plannedSequence: this.plannedSequence,
+            currentRoute: this.currentRoute,
+            totalDistance: this.totalDistance,
+            deliveriesCount: this.deliveriesCount,
+            flightMinutes: this.flightMinutes,
+            cycles: this.cycles,
+            maintenancePlan: this.maintenancePlan,
+            lastMaintenance: { ...this.lastMaintenance, at: this.lastMaintenance.at.toISOString() },
+            batteryPack: { ...this.batteryPack, installedAt: this.batteryPack.installedAt.toISOString() },
+            batteryHistory: this.batteryHistory.map(entry => ({ ...entry, at: entry.at.toISOString() })),
+            basePosition: this.basePosition,
+            homeBaseId: this.homeBaseId,
+            speed: this.speed,
+            model: this.model,
+            volumeCapacity: this.getVolumeCapacity(), // litros, pelo compartimento do modelo
+            efficiency: this.getEfficiency(),
+            createdAt: this.createdAt.toISOString(),
+            updatedAt: this.updatedAt.toISOString()
+        };
+    }
+
+    /**
+     * Cria um drone a partir de dados JSON
+     * @param {Object} data - Dados JSON do drone
+     * @returns {Drone} - Instância do drone
+     */
+    static fromJSON(data) {
+        const drone = new Drone(data.id, data.capacity, data.range);
+        drone.uuid = data.uuid;
+        drone.currentLoad = data.currentLoad || 0;
+        drone.battery = data.battery !== undefined ? data.battery : 100;
+        drone.basePosition = data.basePosition ? { ...data.basePosition } : drone.basePosition;
+        drone.position = data.position ? { ...data.position } : { ...drone.basePosition };
+        drone.homeBaseId = data.homeBaseId || null;
+        drone.status = data.status || 'idle';
+        drone.statusChangedAt = data.statusChangedAt ? new Date(data.statusChangedAt) : new Date();
+        drone.statusHistory = (data.statusHistory || []).map(entry => ({ ...entry, at: new Date(entry.at) }));
+        drone.assignedOrders = data.assignedOrders || [];
+        drone.plannedSequence = data.plannedSequence || [];
+        drone.currentRoute = data.currentRoute || [];
+        drone.totalDistance = data.totalDistance || 0;
+        drone.deliveriesCount = data.deliveriesCount || 0;
+        drone.flightMinutes = data.flightMinutes || 0;
+        drone.cycles = data.cycles || 0;
+        drone.maintenancePlan = data.maintenancePlan || null;
+        drone.model = data.model || drone.model;
+        drone.speed = data.speed || Drone.getDroneCatalog().getSpeed(drone.model);
+        drone.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+        drone.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+        drone.lastMaintenance = data.lastMaintenance
+            ? { ...data.lastMaintenance, at: new Date(data.lastMaintenance.at) }
+            : { at: drone.createdAt, totalDistance: 0, flightMinutes: 0, cycles: 0 };
+        drone.batteryPack = data.batteryPack
+            ? { initialCycles: 0, ...data.batteryPack, installedAt: new Date(data.batteryPack.installedAt) }
+            : { ...drone.batteryPack, installedAt: drone.createdAt };
+        drone.batteryHistory = (data.batteryHistory || []).map(entry => ({ ...entry, at: new Date(entry.at) }));
+        return drone;
+    }
+}
+
+// Ciclo de vida do drone: status seguintes permitidos a partir de cada status
+// maintenance e offline tiram o drone de operação; emergency_landing é o pouso fora da rota,
+// do qual o drone só sai recolhido para manutenção ou fora de serviço
+Drone.TRANSITIONS = Object.freeze({
+    idle: ['loading', 'flying', 'charging', 'maintenance', 'offline'],
+    loading: ['flying', 'idle', 'emergency_landing'],
+    flying: ['delivering', 'returning', 'charging', 'emergency_landing'],
+    delivering: ['flying', 'returning', 'emergency_landing'],
+    returning: ['flying', 'charging', 'idle', 'emergency_landing'],
+    charging: ['flying', 'returning', 'idle'],
+    maintenance: ['idle', 'offline'],
+    offline: ['idle', 'maintenance'],
+    emergency_landing: ['maintenance', 'offline']
+});
+
+// Status de uma missão em andamento (controlados pela simulação)
+Drone.MISSION_STATUSES = Object.freeze(['loading', 'flying', 'delivering', 'returning', 'charging']);
+
+// Status que o operador pode definir pela API
+Drone.MANUAL_STATUSES = Object.freeze(['idle', 'maintenance', 'offline', 'emergency_landing']);
+
+Drone.STATUS_HISTORY_SIZE = 50; // Transições mantidas no histórico
+Drone.BATTERY_HISTORY_SIZE = 50; // Recargas e trocas de pack mantidas no histórico da bateria
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Drone;
 }
\ No newline at end of file
@@ -5,14 +5,131 @@
 class Order {
     constructor(id, clientLocation, weight, priority) {
         this.id = id;
-        this.location = clientLocation; // {x, y}
+        this.location = clientLocation; // {x, y} (entrega)
+        this.pickupLocation = null; // Coleta fora da base {x, y} (null = o pacote sai da base com o drone)
+        this.pickedUpAt = null; // Quando o drone coletou o pacote
         this.weight = weight; // em kg
         this.priority = priority; // 'alta', 'media', 'baixa'
-        this.status = 'pending'; // Estados: pending, assigned, delivered, cancelled
+        this.status = 'pending'; // Estados: ver Order.TRANSITIONS
         this.createdAt = new Date();
         this.assignedDrone = null;
         this.deliveredAt = null;
         this.estimatedDeliveryTime = null;
+        this.customerInfo = {};
+        this.noFlyZoneId = null; // Zona de exclusão criada sobre o pedido (não pode ser entregue)
+        this.deliveryWindow = null; // Janela agendada pelo cliente {start: Date|null, end: Date}
+        this.dimensions = null; // Dimensões do pacote {length, width, height} em cm (null = só o peso conta)
+        this.fragile = false; // Pacote frágil: viaja na posição original e nada é apoiado sobre ele
+        this.temperature = 'ambiente'; // Temperatura de transporte (ver Order.TEMPERATURES)
+        this.deliveryAttempts = []; // Tentativas de entrega {outcome, droneId, at} (ver DeliveryOutcomes)
+        this.escalation = null; // Pedido escalonado após entregas sem sucesso {reason, at}
+        this.recipientPin = null; // PIN que o destinatário informa na entrega (null = entrega sem PIN)
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Verifica se a entrega exige o PIN do destinatário
+     * @returns {boolean} - True se o pedido tem PIN
+     */
+    requiresPin() {
+        return this.recipientPin !== null;
+    }
+
+    /**
+     * Confere o PIN informado na entrega
+     * @param {string} pin - PIN informado pelo destinatário
+     * @returns {boolean} - True se o pedido não exige PIN ou se o PIN confere
+     */
+    verifyPin(pin) {
+        return !this.requiresPin() || pin === this.recipientPin;
+    }
+
+    /**
+     * Retorna o volume do pacote
+     * @returns {number|null} - Volume em litros, ou null sem dimensões informadas
+     */
+    getVolume() {
+        if (!this.dimensions) {
+            return null;
+        }
+        const { length, width, height } = this.dimensions;
+        return length * width * height / 1000;
+    }
+
+    /**
+     * Registra a coleta do pacote pelo drone
+     * @param {Date} at - Momento da coleta (padrão: agora; simulações usam o relógio virtual)
+     */
+    recordPickup(at = new Date()) {
+        this.pickedUpAt = at;
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Registra uma tentativa de entrega
+     * @param {string} outcome - Resultado (ver DeliveryOutcomes.OUTCOMES)
+     * @param {string} droneId - Drone que tentou a entrega
+     * @param {Date} at - Momento da tentativa (padrão: agora; simulações usam o relógio virtual)
+     */
+    recordAttempt(outcome, droneId, at = new Date()) {
+        this.deliveryAttempts.push({ outcome, droneId, at });
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Retorna a última tentativa de entrega
+     * @returns {Object|null} - Tentativa {outcome, droneId, at} ou null
+     */
+    getLastAttempt() {
+        return this.deliveryAttempts[this.deliveryAttempts.length - 1] || null;
+    }
+
+    /**
+     * Conta as tentativas de entrega sem sucesso
+     * @returns {number} - Tentativas que falharam
+     */
+    getFailedAttempts() {
+        return this.deliveryAttempts.filter(attempt => attempt.outcome !== 'delivered').length;
+    }
+
+    /**
+     * Escalona o pedido para atendimento manual; ele fica fora da fila até ser devolvido a ela
+     * @param {string} reason - Motivo do escalonamento
+     * @param {Date} at - Momento do escalonamento
+     */
+    escalate(reason, at = new Date()) {
+        this.escalation = { reason, at };
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Define a janela de entrega agendada pelo cliente
+     * @param {Date|string|null} start - Entrega a partir de (null = sem início)
+     * @param {Date|string} end - Entrega até
+     */
+    setDeliveryWindow(start, end) {
+        this.deliveryWindow = {
+            start: start ? new Date(start) : null,
+            end: new Date(end)
+        };
+    }
+
+    /**
+     * Remove a janela de entrega (volta ao prazo pela prioridade)
+     */
+    clearDeliveryWindow() {
+        this.deliveryWindow = null;
+    }
+
+    /**
+     * Retorna o prazo de entrega: fim da janela, ou criação + espera máxima da prioridade
+     * @returns {Date} - Prazo
+     */
+    getDeadline() {
+        if (this.deliveryWindow) {
+            return this.deliveryWindow.end;
+        }
+        return new Date(this.createdAt.getTime() + this.getMaxWaitTime() * 60000);
     }
 
     /**
@@ -33,51 +150,98 @@ class Order {
      * @returns {number} - Tempo em minutos
      */
     getWaitingTime() {
-        const now = new Date();
-        const diffMs = now - this.createdAt;
+        const end = this.deliveredAt || new Date();
+        const diffMs = end - this.createdAt;
         return Math.floor(diffMs / (1000 * 60)); // em minutos
     }
 
     /**
-     * Verifica se o pedido está atrasado baseado na prioridade
-     * @returns {boolean} - True se está atrasado
+     * Retorna o tempo máximo de espera aceitável: até o fim da janela, quando houver,
+     * ou pela prioridade
+     * @returns {number} - Tempo em minutos
      */
-    isOverdue() {
+    getMaxWaitTime() {
+        if (this.deliveryWindow) {
+            return Math.floor((this.deliveryWindow.end - this.createdAt) / (1000 * 60));
+        }
+
         const maxWaitTimes = {
             'alta': 15,  // 15 minutos
             'media': 30, // 30 minutos
             'baixa': 60  // 60 minutos
         };
         
-        return this.getWaitingTime() > (maxWaitTimes[this.priority] || 60);
+        return maxWaitTimes[this.priority] || 60;
+    }
+
+    /**
+     * Verifica se o pedido está atrasado: entregue (ou ainda pendente) depois do fim da
+     * janela, quando houver, ou da espera máxima da prioridade
+     * @returns {boolean} - True se está atrasado
+     */
+    isOverdue() {
+        if (this.deliveryWindow) {
+            return (this.deliveredAt || new Date()) > this.deliveryWindow.end;
+        }
+        return this.getWaitingTime() > this.getMaxWaitTime();
     }
 
     /**
      * Calcula a distância do pedido até um ponto
      * @param {Object} point - Ponto de referência {x, y}
-     * @returns {number} - Distância euclidiana
+     * @returns {number} - Distância de voo em km (euclidiana na grade, haversine em lat/lon, com desvio de zonas de exclusão)
      */
     getDistanceTo(point) {
-        const dx = this.location.x - point.x;
-        const dy = this.location.y - point.y;
-        return Math.sqrt(dx * dx + dy * dy);
+        return Order.getAirspace().distance(this.location, point);
     }
 
     /**
-     * Atualiza o status do pedido
+     * Retorna os status para os quais o pedido pode passar a partir do atual
+     * @returns {Array<string>} - Status permitidos
+     */
+    getAllowedTransitions() {
+        return Order.TRANSITIONS[this.status] || [];
+    }
+
+    /**
+     * Verifica se o ciclo de vida permite passar do status atual para outro
+     * @param {string} newStatus - Status desejado
+     * @returns {boolean} - True se a transição é permitida
+     */
+    canTransitionTo(newStatus) {
+        return this.getAllowedTransitions().includes(newStatus);
+    }
+
+    /**
+     * Atualiza o status do pedido, respeitando o ciclo de vida (Order.TRANSITIONS)
+     * Voltar a pending desfaz a atribuição ao drone e o escalonamento
      * @param {string} newStatus - Novo status
      * @param {string} droneId - ID do drone (opcional)
+     * @param {Date} at - Momento da mudança (padrão: agora; simulações usam o relógio virtual)
+     * @returns {boolean} - True se a transição foi aplicada
      */
-    updateStatus(newStatus, droneId = null) {
+    updateStatus(newStatus, droneId = null, at = new Date()) {
+        if (!this.canTransitionTo(newStatus)) {
+            return false;
+        }
+
         this.status = newStatus;
         
         if (newStatus === 'assigned' && droneId) {
             this.assignedDrone = droneId;
         }
+
+        if (newStatus === 'pending') {
+            this.assignedDrone = null;
+            this.escalation = null;
+        }
         
         if (newStatus === 'delivered') {
-            this.deliveredAt = new Date();
+            this.deliveredAt = at;
         }
+
+        this.updatedAt = new Date();
+        return true;
     }
 
     /**
@@ -116,15 +280,30 @@ class Order {
         return {
             id: this.id,
             location: this.location,
+            pickupLocation: this.pickupLocation,
+            pickedUpAt: this.pickedUpAt ? this.pickedUpAt.toLocaleTimeString() : null,
             weight: this.weight,
+            dimensions: this.dimensions,
+            volume: this.getVolume(), // litros (null sem dimensões)
+            fragile: this.fragile,
+            temperature: this.temperature,
             priority: this.priority,
             status: this.status,
             createdAt: this.createdAt.toLocaleTimeString(),
             waitingTime: this.getWaitingTime(),
             isOverdue: this.isOverdue(),
+            deliveryWindow: this.deliveryWindow
+                ? {
+                    start: this.deliveryWindow.start ? this.deliveryWindow.start.toLocaleTimeString() : null,
+                    end: this.deliveryWindow.end.toLocaleTimeString()
+                }
+                : null,
             assignedDrone: this.assignedDrone,
             deliveredAt: this.deliveredAt ? this.deliveredAt.toLocaleTimeString() : null,
-            deliveryTime: this.getDeliveryTime()
+            deliveryTime: this.getDeliveryTime(),
+            attempts: this.deliveryAttempts.length,
+            failedAttempts: this.getFailedAttempts(),
+            escalated: Boolean(this.escalation)
         };
     }
 
@@ -145,15 +324,45 @@ class Order {
         clonedOrder.assignedDrone = this.assignedDrone;
         clonedOrder.deliveredAt = this.deliveredAt ? new Date(this.deliveredAt) : null;
         clonedOrder.estimatedDeliveryTime = this.estimatedDeliveryTime;
+        clonedOrder.customerInfo = { ...this.customerInfo };
+        clonedOrder.deliveryWindow = this.deliveryWindow ? { ...this.deliveryWindow } : null;
+        clonedOrder.dimensions = this.dimensions ? { ...this.dimensions } : null;
+        clonedOrder.fragile = this.fragile;
+        clonedOrder.temperature = this.temperature;
+        clonedOrder.pickupLocation = this.pickupLocation ? { ...this.pickupLocation } : null;
+        clonedOrder.pickedUpAt = this.pickedUpAt ? new Date(this.pickedUpAt) : null;
+        clonedOrder.deliveryAttempts = this.deliveryAttempts.map(attempt => ({ ...attempt, at: new Date(attempt.at) }));
+        clonedOrder.escalation = this.escalation ? { ...this.escalation, at: new Date(this.escalation.at) } : null;
+        clonedOrder.recipientPin = this.recipientPin;
+        clonedOrder.uuid = this.uuid;
+        clonedOrder.updatedAt = new Date(this.updatedAt);
         
         return clonedOrder;
     }
 
+    /**
+     * Retorna o mapa padrão (grade 0-20) para validações sem mapa configurado
+     * @returns {World} - Mapa padrão
+     */
+    static getDefaultWorld() {
+        const WorldClass = typeof World !== 'undefined' ? World : require('./World');
+        return new WorldClass();
+    }
+
+    /**
+     * Retorna o utilitário de espaço aéreo (global no navegador, módulo no Node.js)
+     * @returns {Airspace} - Classe Airspace
+     */
+    static getAirspace() {
+        return typeof Airspace !== 'undefined' ? Airspace : require('../utils/Airspace');
+    }
+
     /**
      * Valida se os dados do pedido estão corretos
+     * @param {World} world - Mapa cujos limites a localização deve respeitar
      * @returns {Object} - {isValid: boolean, errors: Array}
      */
-    validate() {
+    validate(world = Order.getDefaultWorld()) {
         const errors = [];
         
         if (!this.location || typeof this.location.x !== 'number' || typeof this.location.y !== 'number') {
@@ -168,11 +377,41 @@ class Order {
             errors.push('Prioridade deve ser alta, média ou baixa');
         }
         
-        if (this.location) {
-            if (this.location.x < 0 || this.location.x > 20 || this.location.y < 0 || this.location.y > 20) {
-                errors.push('Localização deve estar dentro dos limites da cidade (0-20)');
+        if (this.location && !world.contains(this.location)) {
+            errors.push(`Localização deve estar dentro dos limites da cidade (${world.describeBounds()})`);
+        }
+
+        const zone = this.location && world.findNoFlyZone(this.location);
+        if (zone) {
+            errors.push(`Localização está na zona de exclusão aérea ${zone.name} (${zone.id})`);
+        }
+
+        if (this.pickupLocation) {
+            if (typeof this.pickupLocation.x !== 'number' || typeof this.pickupLocation.y !== 'number') {
+                errors.push('Local de coleta inválido');
+            } else if (!world.contains(this.pickupLocation)) {
+                errors.push(`Local de coleta deve estar dentro dos limites da cidade (${world.describeBounds()})`);
+            } else {
+                const pickupZone = world.findNoFlyZone(this.pickupLocation);
+                if (pickupZone) {
+                    errors.push(`Local de coleta está na zona de exclusão aérea ${pickupZone.name} (${pickupZone.id})`);
+                }
             }
         }
+
+        errors.push(...this.validateDeliveryWindow());
+
+        if (this.dimensions && !['length', 'width', 'height'].every(key => this.dimensions[key] > 0)) {
+            errors.push('Dimensões do pacote devem ser positivas (comprimento, largura e altura em cm)');
+        }
+
+        if (!Order.TEMPERATURES.includes(this.temperature)) {
+            errors.push(`Temperatura de transporte deve ser ${Order.TEMPERATURES.join(', ')}`);
+        }
+
+        if (this.requiresPin() && !/^[0-9]{4,8}$/.test(this.recipientPin)) {
+            errors.push('PIN do destinatário deve ter de 4 a 8 dígitos');
+        }
         
         return {
             isValid: errors.length === 0,
@@ -180,6 +419,25 @@ class Order {
         };
     }
 
+    /**
+     * Valida a janela de entrega, se houver
+     * @returns {Array<string>} - Erros encontrados
+     */
+    validateDeliveryWindow() {
+        if (!this.deliveryWindow) {
+            return [];
+        }
+
+        const { start, end } = this.deliveryWindow;
+        if (isNaN(end.getTime()) || (start && isNaN(start.getTime()))) {
+            return ['Janela de entrega inválida'];
+        }
+        if (start && start >= end) {
+            return ['Fim da janela de entrega deve ser posterior ao início'];
+        }
+        return [];
+    }
+
     /**
      * Estima o tempo de entrega baseado na distância da base
      * @param {Object} baseLocation - Localização da base {x, y}
@@ -208,14 +466,35 @@ class Order {
     toJSON() {
         return {
             id: this.id,
+            uuid: this.uuid,
             location: this.location,
+            pickupLocation: this.pickupLocation,
+            pickedUpAt: this.pickedUpAt ? this.pickedUpAt.toISOString() : null,
             weight: this.weight,
+            dimensions: this.dimensions,
+            volume: this.getVolume(), // litros (null sem dimensões)
+            fragile: this.fragile,
+            temperature: this.temperature,
             priority: this.priority,
             status: this.status,
             createdAt: this.createdAt.toISOString(),
             assignedDrone: this.assignedDrone,
             deliveredAt: this.deliveredAt ? this.deliveredAt.toISOString() : null,
-            estimatedDeliveryTime: this.estimatedDeliveryTime
+            estimatedDeliveryTime: this.estimatedDeliveryTime,
+            customerInfo: this.customerInfo,
+            noFlyZoneId: this.noFlyZoneId,
+            deliveryWindow: this.deliveryWindow
+                ? {
+                    start: this.deliveryWindow.start ? this.deliveryWindow.start.toISOString() : null,
+                    end: this.deliveryWindow.end.toISOString()
+                }
+                : null,
+            attempts: this.deliveryAttempts.length,
+            failedAttempts: this.getFailedAttempts(),
+            deliveryAttempts: this.deliveryAttempts.map(attempt => ({ ...attempt, at: attempt.at.toISOString() })),
+            escalation: this.escalation ? { ...this.escalation, at: this.escalation.at.toISOString() } : null,
+            pinRequired: this.requiresPin(), // O PIN em si não sai no JSON
+            updatedAt: this.updatedAt.toISOString()
         };
     }
 
@@ -231,6 +510,45 @@ class Order {
         order.assignedDrone = data.assignedDrone;
         order.deliveredAt = data.deliveredAt ? new Date(data.deliveredAt) : null;
         order.estimatedDeliveryTime = data.estimatedDeliveryTime;
+        order.customerInfo = data.customerInfo || {};
+        order.uuid = data.uuid;
+        order.noFlyZoneId = data.noFlyZoneId || null;
+        order.dimensions = data.dimensions ? { ...data.dimensions } : null;
+        order.fragile = Boolean(data.fragile);
+        order.temperature = data.temperature || 'ambiente';
+        order.pickupLocation = data.pickupLocation ? { ...data.pickupLocation } : null;
+        order.pickedUpAt = data.pickedUpAt ? new Date(data.pickedUpAt) : null;
+        order.deliveryAttempts = (data.deliveryAttempts || []).map(attempt => ({ ...attempt, at: new Date(attempt.at) }));
+        order.escalation = data.escalation ? { ...data.escalation, at: new Date(data.escalation.at) } : null;
+        order.recipientPin = data.recipientPin || null;
+        if (data.deliveryWindow) {
+            order.setDeliveryWindow(data.deliveryWindow.start, data.deliveryWindow.end);
+        }
+        order.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
         return order;
     }
+}
+
+// Temperaturas de transporte; refrigerado e congelado exigem compartimento refrigerado
+Order.TEMPERATURES = Object.freeze(['ambiente', 'refrigerado', 'congelado']);
+
+// Ciclo de vida do pedido: status seguintes permitidos a partir de cada status
+// in_flight é o pedido a bordo de um drone que já decolou; returned, o pacote de volta à base
+Order.TRANSITIONS = Object.freeze({
+    pending: ['assigned', 'cancelled'],
+    assigned: ['pending', 'in_flight', 'cancelled'],
+    in_flight: ['delivered', 'failed', 'returned', 'cancelled'],
+    failed: ['pending', 'returned', 'cancelled'],
+    returned: ['pending', 'cancelled'],
+    delivered: [],
+    cancelled: []
+});
+
+// Status que o operador pode definir pela API; in_flight e delivered ficam com a simulação
+// (decolagem) e com a confirmação da entrega (POST /pedidos/:id/deliver)
+Order.MANUAL_STATUSES = Object.freeze(['pending', 'assigned', 'failed', 'returned', 'cancelled']);
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Order;
 }
\ No newline at end of file
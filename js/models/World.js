@@ -0,0 +1,399 @@
+/**
+ * Classe World - Definição do mapa da cidade
+ * Limites da área de operação, bases (depósitos) de onde os drones partem,
+ * estações de recarga e zonas de exclusão aérea
+ */
+class World {
+    /**
+     * @param {Object} bounds - Limites {minX, minY, maxX, maxY} (km na grade, longitude/latitude no sistema geo)
+     * @param {Array<Object>} bases - Bases {id, name, location: {x, y}}
+     * @param {string} coordinateSystem - 'grid' (km) ou 'geo' (x = longitude, y = latitude)
+     * @param {Array<Object>} noFlyZones - Zonas de exclusão aérea {id, name, type, polygon: [{x, y}]}
+     * @param {Array<Object>} chargingStations - Estações de recarga {id, name, location, chargeRate, slots}
+     */
+    constructor(bounds = World.DEFAULT_BOUNDS, bases = World.DEFAULT_BASES, coordinateSystem = 'grid', noFlyZones = [],
+        chargingStations = []) {
+        this.bounds = { ...bounds };
+        this.bases = bases.map(base => ({ ...base, location: { ...base.location } }));
+        this.coordinateSystem = coordinateSystem;
+        this.noFlyZones = noFlyZones.map(zone => ({ ...zone, polygon: zone.polygon.map(point => ({ ...point })) }));
+        this.chargingStations = chargingStations.map(station => ({ ...station, location: { ...station.location } }));
+    }
+
+    /**
+     * Retorna o utilitário de coordenadas (global no navegador, módulo no Node.js)
+     * @returns {Geo} - Classe Geo
+     */
+    static getGeo() {
+        return typeof Geo !== 'undefined' ? Geo : require('../utils/Geo');
+    }
+
+    /**
+     * Retorna o utilitário de zonas de exclusão (global no navegador, módulo no Node.js)
+     * @returns {Airspace} - Classe Airspace
+     */
+    static getAirspace() {
+        return typeof Airspace !== 'undefined' ? Airspace : require('../utils/Airspace');
+    }
+
+    /**
+     * Limites padrão: grade 0-20 usada originalmente pelo sistema
+     */
+    static get DEFAULT_BOUNDS() {
+        return { minX: 0, minY: 0, maxX: 20, maxY: 20 };
+    }
+
+    /**
+     * Base padrão no centro da grade
+     */
+    static get DEFAULT_BASES() {
+        return [{ id: 'BASE-1', name: 'Base Central', location: { x: 10, y: 10 } }];
+    }
+
+    /**
+     * Verifica se o mapa usa latitude/longitude
+     * @returns {boolean} - True no sistema 'geo'
+     */
+    isGeographic() {
+        return this.coordinateSystem === 'geo';
+    }
+
+    /**
+     * Retorna a largura do mapa
+     * @returns {number} - Largura em km (em graus de longitude no sistema geo)
+     */
+    getWidth() {
+        return this.bounds.maxX - this.bounds.minX;
+    }
+
+    /**
+     * Retorna a altura do mapa
+     * @returns {number} - Altura em km (em graus de latitude no sistema geo)
+     */
+    getHeight() {
+        return this.bounds.maxY - this.bounds.minY;
+    }
+
+    /**
+     * Retorna o centro do mapa
+     * @returns {Object} - Ponto {x, y}
+     */
+    getCenter() {
+        return {
+            x: (this.bounds.minX + this.bounds.maxX) / 2,
+            y: (this.bounds.minY + this.bounds.maxY) / 2
+        };
+    }
+
+    /**
+     * Calcula a distância entre dois pontos no sistema de coordenadas do mapa
+     * @param {Object} point1 - Ponto 1 {x, y}
+     * @param {Object} point2 - Ponto 2 {x, y}
+     * @returns {number} - Distância em km
+     */
+    distance(point1, point2) {
+        const GeoUtils = World.getGeo();
+        return this.isGeographic() ? GeoUtils.haversine(point1, point2) : GeoUtils.euclidean(point1, point2);
+    }
+
+    /**
+     * Retorna as dimensões reais do mapa, medidas pelas linhas centrais
+     * @returns {Object} - {width, height} em km
+     */
+    getSizeKm() {
+        const { minX, minY, maxX, maxY } = this.bounds;
+        const center = this.getCenter();
+
+        return {
+            width: this.distance({ x: minX, y: center.y }, { x: maxX, y: center.y }),
+            height: this.distance({ x: center.x, y: minY }, { x: center.x, y: maxY })
+        };
+    }
+
+    /**
+     * Projeta um ponto na grade local em km, com origem no canto mínimo dos limites
+     * No sistema grid o ponto já está em km e é apenas deslocado
+     * @param {Object} point - Ponto {x, y}
+     * @returns {Object} - Ponto {x, y} em km (y cresce para o norte no sistema geo)
+     */
+    toLocalKm(point) {
+        const origin = { x: this.bounds.minX, y: this.bounds.minY };
+
+        if (!this.isGeographic()) {
+            return { x: point.x - origin.x, y: point.y - origin.y };
+        }
+
+        return World.getGeo().toLocalKm(point, origin, this.getCenter().y);
+    }
+
+    /**
+     * Verifica se um ponto está dentro dos limites do mapa
+     * @param {Object} point - Ponto {x, y}
+     * @returns {boolean} - True se está dentro
+     */
+    contains(point) {
+        return Boolean(point) &&
+            point.x >= this.bounds.minX && point.x <= this.bounds.maxX &&
+            point.y >= this.bounds.minY && point.y <= this.bounds.maxY;
+    }
+
+    /**
+     * Descreve os limites para mensagens de erro
+     * @returns {string} - Ex.: "x: 0-20, y: 0-20"
+     */
+    describeBounds() {
+        const { minX, minY, maxX, maxY } = this.bounds;
+
+        if (this.isGeographic()) {
+            return `lat: ${minY} a ${maxY}, lon: ${minX} a ${maxX}`;
+        }
+
+        return `x: ${minX}-${maxX}, y: ${minY}-${maxY}`;
+    }
+
+    /**
+     * Formata um ponto para exibição: (x, y) em km ou (lat, lon) em graus
+     * @param {Object} point - Ponto {x, y}
+     * @returns {string} - Ex.: "(10.0, 5.0)" ou "(-23.55000, -46.63000)"
+     */
+    formatPoint(point) {
+        if (this.isGeographic()) {
+            return `(${point.y.toFixed(5)}, ${point.x.toFixed(5)})`;
+        }
+
+        return `(${point.x.toFixed(1)}, ${point.y.toFixed(1)})`;
+    }
+
+    /**
+     * Busca uma base pelo id
+     * @param {string} id - Id da base
+     * @returns {Object|null} - Base encontrada ou null
+     */
+    getBase(id) {
+        return this.bases.find(base => base.id === id) || null;
+    }
+
+    /**
+     * Retorna a base padrão (primeira cadastrada)
+     * @returns {Object|null} - Base padrão ou null se não houver bases
+     */
+    getDefaultBase() {
+        return this.bases[0] || null;
+    }
+
+    /**
+     * Encontra a base mais próxima de um ponto
+     * @param {Object} point - Ponto {x, y}
+     * @returns {Object|null} - Base mais próxima ou null se não houver bases
+     */
+    findNearestBase(point) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const base of this.bases) {
+            const distance = this.distance(base.location, point);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = base;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Busca uma estação de recarga pelo id
+     * @param {string} id - Id da estação
+     * @returns {Object|null} - Estação encontrada ou null
+     */
+    getChargingStation(id) {
+        return this.chargingStations.find(station => station.id === id) || null;
+    }
+
+    /**
+     * Busca uma zona de exclusão pelo id
+     * @param {string} id - Id da zona
+     * @returns {Object|null} - Zona encontrada ou null
+     */
+    getNoFlyZone(id) {
+        return this.noFlyZones.find(zone => zone.id === id) || null;
+    }
+
+    /**
+     * Encontra a zona de exclusão que contém um ponto
+     * @param {Object} point - Ponto {x, y}
+     * @returns {Object|null} - Zona encontrada ou null
+     */
+    findNoFlyZone(point) {
+        const AirspaceUtils = World.getAirspace();
+        return this.noFlyZones.find(zone => AirspaceUtils.pointInPolygon(point, zone.polygon)) || null;
+    }
+
+    /**
+     * Valida uma zona de exclusão em relação ao mapa
+     * A zona precisa estar dentro dos limites e não pode cobrir bases nem estações de recarga
+     * @param {Object} zone - Zona {name, type, polygon}
+     * @returns {Object} - {isValid, errors}
+     */
+    validateNoFlyZone(zone) {
+        const errors = [];
+        const AirspaceUtils = World.getAirspace();
+
+        if (!zone.name || typeof zone.name !== 'string') {
+            errors.push('Nome da zona é obrigatório');
+        }
+
+        if (!AirspaceUtils.ZONE_TYPES.includes(zone.type)) {
+            errors.push(`Tipo da zona deve ser: ${AirspaceUtils.ZONE_TYPES.join(', ')}`);
+        }
+
+        const polygon = zone.polygon || [];
+        if (polygon.length < 3 || polygon.some(point => typeof point.x !== 'number' || typeof point.y !== 'number')) {
+            errors.push('Polígono deve ter pelo menos 3 vértices {x, y}');
+        } else if (AirspaceUtils.getArea(polygon) === 0) {
+            errors.push('Polígono não pode ter área nula');
+        } else if (polygon.some(point => !this.contains(point))) {
+            errors.push(`Vértices da zona devem estar dentro dos limites do mapa (${this.describeBounds()})`);
+        } else {
+            const covered = this.bases.filter(base => AirspaceUtils.pointInPolygon(base.location, polygon));
+            if (covered.length > 0) {
+                errors.push(`Zona cobre base(s): ${covered.map(base => base.id).join(', ')}`);
+            }
+
+            const coveredStations = this.chargingStations.filter(station =>
+                AirspaceUtils.pointInPolygon(station.location, polygon));
+            if (coveredStations.length > 0) {
+                errors.push(`Zona cobre estação(ões) de recarga: ${coveredStations.map(station => station.id).join(', ')}`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Valida limites do mapa
+     * @param {Object} bounds - Limites {minX, minY, maxX, maxY}
+     * @param {string} coordinateSystem - 'grid' ou 'geo'
+     * @returns {Object} - {isValid, errors}
+     */
+    static validateBounds(bounds, coordinateSystem = 'grid') {
+        const errors = [];
+        const keys = ['minX', 'minY', 'maxX', 'maxY'];
+
+        if (!World.getGeo().SYSTEMS.includes(coordinateSystem)) {
+            errors.push('Sistema de coordenadas deve ser grid ou geo');
+        } else if (!bounds || keys.some(key => typeof bounds[key] !== 'number' || !isFinite(bounds[key]))) {
+            errors.push('Limites devem ter minX, minY, maxX e maxY numéricos');
+        } else if (bounds.maxX <= bounds.minX || bounds.maxY <= bounds.minY) {
+            errors.push('Limites máximos devem ser maiores que os mínimos');
+        } else if (coordinateSystem === 'geo' &&
+            (bounds.minY < -90 || bounds.maxY > 90 || bounds.minX < -180 || bounds.maxX > 180)) {
+            errors.push('Latitude deve estar entre -90 e 90 e longitude entre -180 e 180');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Valida uma base em relação ao mapa
+     * @param {Object} base - Base {name, location}
+     * @returns {Object} - {isValid, errors}
+     */
+    validateBase(base) {
+        const errors = [];
+
+        if (!base.name || typeof base.name !== 'string') {
+            errors.push('Nome da base é obrigatório');
+        }
+
+        if (!base.location || typeof base.location.x !== 'number' || typeof base.location.y !== 'number') {
+            errors.push('Localização inválida');
+        } else if (!this.contains(base.location)) {
+            errors.push(`Localização da base deve estar dentro dos limites do mapa (${this.describeBounds()})`);
+        } else if (this.findNoFlyZone(base.location)) {
+            errors.push(`Localização da base está na zona de exclusão aérea ${this.findNoFlyZone(base.location).id}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Valida uma estação de recarga em relação ao mapa
+     * @param {Object} station - Estação {name, location, chargeRate, slots}
+     * @returns {Object} - {isValid, errors}
+     */
+    validateChargingStation(station) {
+        const errors = [];
+
+        if (!station.name || typeof station.name !== 'string') {
+            errors.push('Nome da estação é obrigatório');
+        }
+
+        if (typeof station.chargeRate !== 'number' || station.chargeRate <= 0) {
+            errors.push('Taxa de recarga deve ser positiva (% por minuto)');
+        }
+
+        if (!Number.isInteger(station.slots) || station.slots < 1) {
+            errors.push('Estação deve ter pelo menos 1 vaga');
+        }
+
+        if (!station.location || typeof station.location.x !== 'number' || typeof station.location.y !== 'number') {
+            errors.push('Localização inválida');
+        } else if (!this.contains(station.location)) {
+            errors.push(`Localização da estação deve estar dentro dos limites do mapa (${this.describeBounds()})`);
+        } else if (this.findNoFlyZone(station.location)) {
+            errors.push(`Localização da estação está na zona de exclusão aérea ${this.findNoFlyZone(station.location).id}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Converte o mapa para JSON
+     * @returns {Object} - Representação JSON do mapa
+     */
+    toJSON() {
+        return {
+            coordinateSystem: this.coordinateSystem,
+            bounds: this.bounds,
+            width: this.getWidth(),
+            height: this.getHeight(),
+            sizeKm: this.getSizeKm(),
+            bases: this.bases,
+            chargingStations: this.chargingStations,
+            noFlyZones: this.noFlyZones
+        };
+    }
+
+    /**
+     * Cria um mapa a partir de dados JSON
+     * @param {Object} data - Dados JSON do mapa
+     * @returns {World} - Instância do mapa
+     */
+    static fromJSON(data) {
+        return new World(
+            data.bounds || World.DEFAULT_BOUNDS,
+            data.bases || World.DEFAULT_BASES,
+            data.coordinateSystem || 'grid',
+            data.noFlyZones || [],
+            data.chargingStations || []
+        );
+    }
+}
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = World;
+}
\ No newline at end of file
@@ -0,0 +1,306 @@
+/**
+ * Airspace - Zonas de exclusão aérea e desvio de rotas
+ * Mantém as zonas poligonais em vigor (aeroportos, hospitais, eventos) e calcula
+ * o menor caminho entre dois pontos contornando-as por um grafo de visibilidade
+ * sobre os vértices das zonas
+ */
+class Airspace {
+    /**
+     * Folga aplicada aos vértices de desvio, proporcional à distância até o centro da zona
+     */
+    static get VERTEX_MARGIN() {
+        return 0.02;
+    }
+
+    /**
+     * Tipos de zona aceitos
+     */
+    static get ZONE_TYPES() {
+        return ['aeroporto', 'hospital', 'evento', 'outro'];
+    }
+
+    /**
+     * Retorna o utilitário de coordenadas (global no navegador, módulo no Node.js)
+     * @returns {Geo} - Classe Geo
+     */
+    static getGeo() {
+        return typeof Geo !== 'undefined' ? Geo : require('./Geo');
+    }
+
+    /**
+     * Define as zonas de exclusão consideradas no cálculo de caminhos
+     * @param {Array<Object>} zones - Zonas {id, name, polygon: [{x, y}]}
+     */
+    static setZones(zones) {
+        Airspace.zones = zones.map(zone => {
+            const polygon = zone.polygon.map(point => ({ x: point.x, y: point.y }));
+            return {
+                id: zone.id,
+                name: zone.name,
+                polygon,
+                box: Airspace.getBoundingBox(polygon),
+                detourVertices: Airspace.getDetourVertices(polygon)
+            };
+        });
+        Airspace.cache = new Map();
+    }
+
+    /**
+     * Retorna as zonas em vigor
+     * @returns {Array<Object>} - Zonas {id, name, polygon}
+     */
+    static getZones() {
+        return Airspace.zones;
+    }
+
+    /**
+     * Verifica se um ponto está dentro de um polígono (ray casting)
+     * @param {Object} point - Ponto {x, y}
+     * @param {Array<Object>} polygon - Vértices {x, y}
+     * @returns {boolean} - True se está dentro
+     */
+    static pointInPolygon(point, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            const crosses = (a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x;
+            if (crosses) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Encontra a zona de exclusão que contém um ponto
+     * @param {Object} point - Ponto {x, y}
+     * @param {Array<Object>} zones - Zonas a verificar (padrão: as em vigor)
+     * @returns {Object|null} - Zona encontrada ou null
+     */
+    static findZoneAt(point, zones = Airspace.zones) {
+        return zones.find(zone => Airspace.pointInPolygon(point, zone.polygon)) || null;
+    }
+
+    /**
+     * Calcula a área de um polígono (fórmula do laço)
+     * @param {Array<Object>} polygon - Vértices {x, y}
+     * @returns {number} - Área nas unidades do mapa
+     */
+    static getArea(polygon) {
+        let area = 0;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            area += (polygon[j].x + polygon[i].x) * (polygon[j].y - polygon[i].y);
+        }
+        return Math.abs(area) / 2;
+    }
+
+    /**
+     * Retorna o retângulo envolvente de um polígono
+     * @param {Array<Object>} polygon - Vértices {x, y}
+     * @returns {Object} - {minX, minY, maxX, maxY}
+     */
+    static getBoundingBox(polygon) {
+        return {
+            minX: Math.min(...polygon.map(point => point.x)),
+            minY: Math.min(...polygon.map(point => point.y)),
+            maxX: Math.max(...polygon.map(point => point.x)),
+            maxY: Math.max(...polygon.map(point => point.y))
+        };
+    }
+
+    /**
+     * Vértices usados no desvio: os do polígono afastados do centro da zona,
+     * para que o caminho contorne a zona sem tocar a borda
+     * @param {Array<Object>} polygon - Vértices {x, y}
+     * @returns {Array<Object>} - Vértices de desvio {x, y}
+     */
+    static getDetourVertices(polygon) {
+        const center = {
+            x: polygon.reduce((sum, point) => sum + point.x, 0) / polygon.length,
+            y: polygon.reduce((sum, point) => sum + point.y, 0) / polygon.length
+        };
+
+        return polygon.map(point => ({
+            x: point.x + (point.x - center.x) * Airspace.VERTEX_MARGIN,
+            y: point.y + (point.y - center.y) * Airspace.VERTEX_MARGIN
+        }));
+    }
+
+    /**
+     * Verifica se dois segmentos se cruzam propriamente (toques em vértices não contam)
+     * @param {Object} a - Início do segmento 1
+     * @param {Object} b - Fim do segmento 1
+     * @param {Object} c - Início do segmento 2
+     * @param {Object} d - Fim do segmento 2
+     * @returns {boolean} - True se os segmentos se cruzam
+     */
+    static segmentsCross(a, b, c, d) {
+        const orientation = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+        const o1 = orientation(a, b, c);
+        const o2 = orientation(a, b, d);
+        const o3 = orientation(c, d, a);
+        const o4 = orientation(c, d, b);
+
+        return o1 * o2 < 0 && o3 * o4 < 0;
+    }
+
+    /**
+     * Verifica se o trecho reto entre dois pontos atravessa alguma zona
+     * @param {Object} start - Ponto inicial {x, y}
+     * @param {Object} end - Ponto final {x, y}
+     * @param {Array<Object>} zones - Zonas a verificar (padrão: as em vigor)
+     * @returns {boolean} - True se o trecho está bloqueado
+     */
+    static segmentBlocked(start, end, zones = Airspace.zones) {
+        const midpoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+
+        return zones.some(zone => {
+            const { box, polygon } = zone;
+            if (Math.max(start.x, end.x) < box.minX || Math.min(start.x, end.x) > box.maxX ||
+                Math.max(start.y, end.y) < box.minY || Math.min(start.y, end.y) > box.maxY) {
+                return false;
+            }
+
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                if (Airspace.segmentsCross(start, end, polygon[j], polygon[i])) {
+                    return true;
+                }
+            }
+
+            return Airspace.pointInPolygon(midpoint, polygon);
+        });
+    }
+
+    /**
+     * Calcula o menor caminho entre dois pontos contornando as zonas (Dijkstra no grafo de visibilidade)
+     * Zonas que contêm a origem ou o destino são ignoradas, permitindo sair ou entrar nelas
+     * @param {Object} start - Ponto inicial {x, y}
+     * @param {Object} end - Ponto final {x, y}
+     * @returns {Object} - {path: [{x, y}], distance, detoured}; distance é Infinity se não houver caminho
+     */
+    static findPath(start, end) {
+        const key = `${start.x},${start.y},${end.x},${end.y}`;
+        if (Airspace.cache.has(key)) {
+            return Airspace.cache.get(key);
+        }
+
+        const result = Airspace.searchPath(start, end);
+
+        if (Airspace.cache.size >= 10000) {
+            Airspace.cache.clear();
+        }
+        Airspace.cache.set(key, result);
+        return result;
+    }
+
+    /**
+     * Executa a busca de caminho sem cache
+     * @param {Object} start - Ponto inicial {x, y}
+     * @param {Object} end - Ponto final {x, y}
+     * @returns {Object} - {path, distance, detoured}
+     */
+    static searchPath(start, end) {
+        const GeoUtils = Airspace.getGeo();
+        const origin = { x: start.x, y: start.y };
+        const target = { x: end.x, y: end.y };
+        const zones = Airspace.zones.filter(zone =>
+            !Airspace.pointInPolygon(origin, zone.polygon) && !Airspace.pointInPolygon(target, zone.polygon)
+        );
+
+        if (!Airspace.segmentBlocked(origin, target, zones)) {
+            return { path: [origin, target], distance: GeoUtils.distance(origin, target), detoured: false };
+        }
+
+        // Nós: origem, destino e vértices de desvio fora de qualquer zona
+        const nodes = [origin, target, ...zones
+            .flatMap(zone => zone.detourVertices)
+            .filter(vertex => !Airspace.findZoneAt(vertex, zones))];
+        const distances = nodes.map(() => Infinity);
+        const previous = nodes.map(() => -1);
+        const settled = nodes.map(() => false);
+        distances[0] = 0;
+
+        for (let step = 0; step < nodes.length; step++) {
+            let current = -1;
+            for (let i = 0; i < nodes.length; i++) {
+                if (!settled[i] && (current === -1 || distances[i] < distances[current])) {
+                    current = i;
+                }
+            }
+
+            if (current === -1 || distances[current] === Infinity || current === 1) {
+                break;
+            }
+            settled[current] = true;
+
+            for (let next = 0; next < nodes.length; next++) {
+                if (settled[next] || Airspace.segmentBlocked(nodes[current], nodes[next], zones)) {
+                    continue;
+                }
+
+                const distance = distances[current] + GeoUtils.distance(nodes[current], nodes[next]);
+                if (distance < distances[next]) {
+                    distances[next] = distance;
+                    previous[next] = current;
+                }
+            }
+        }
+
+        if (distances[1] === Infinity) {
+            return { path: [origin, target], distance: Infinity, detoured: true };
+        }
+
+        const path = [];
+        for (let node = 1; node !== -1; node = previous[node]) {
+            path.unshift(nodes[node]);
+        }
+
+        return { path, distance: distances[1], detoured: true };
+    }
+
+    /**
+     * Distância de voo entre dois pontos, incluindo desvios das zonas
+     * @param {Object} start - Ponto inicial {x, y}
+     * @param {Object} end - Ponto final {x, y}
+     * @returns {number} - Distância em km
+     */
+    static distance(start, end) {
+        if (Airspace.zones.length === 0) {
+            return Airspace.getGeo().distance(start, end);
+        }
+        return Airspace.findPath(start, end).distance;
+    }
+
+    /**
+     * Insere os vértices de desvio entre os pontos de uma rota
+     * @param {Array<Object>} points - Pontos da rota, na ordem de visita
+     * @returns {Array<Object>} - Rota com os desvios marcados como {x, y, type: 'waypoint'}
+     */
+    static expandRoute(points) {
+        if (points.length === 0) {
+            return [];
+        }
+
+        const route = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const { path } = Airspace.findPath(points[i - 1], points[i]);
+            path.slice(1, -1).forEach(vertex => route.push({ x: vertex.x, y: vertex.y, type: 'waypoint' }));
+            route.push(points[i]);
+        }
+
+        return route;
+    }
+}
+
+// Sem zonas até o mapa ser carregado
+Airspace.zones = [];
+Airspace.cache = new Map();
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Airspace;
+}
\ No newline at end of file
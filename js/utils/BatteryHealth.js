@@ -0,0 +1,60 @@
+/**
+ * BatteryHealth - Estado de saúde (SoH) das baterias dos drones
+ * A capacidade do pack cai a cada ciclo completo equivalente de carga (duas recargas
+ * de 50% contam como um ciclo); o nível de bateria do drone é sempre um percentual da
+ * capacidade atual, então um pack desgastado gasta mais pontos percentuais por km e
+ * alcança menos em cada carga
+ */
+class BatteryHealth {
+    /**
+     * Capacidade de um pack em relação à nominal (%), pelos ciclos feitos desde a instalação
+     * @param {Object} pack - Pack {initialHealth, initialCycles, cycles}; saúde e ciclos na instalação e ciclos atuais
+     * @returns {number} - Estado de saúde em % (arredondado a 0,1)
+     */
+    static getHealth(pack) {
+        const health = pack.initialHealth - (pack.cycles - pack.initialCycles) * BatteryHealth.FADE_PER_CYCLE;
+        return Math.round(Math.max(BatteryHealth.MIN_HEALTH, health) * 10) / 10;
+    }
+
+    /**
+     * Ciclos completos equivalentes de uma recarga
+     * @param {number} from - Nível no início da recarga (%)
+     * @param {number} to - Nível no fim da recarga (%)
+     * @returns {number} - Fração de ciclo
+     */
+    static getChargeCycles(from, to) {
+        return Math.max(0, to - from) / 100;
+    }
+
+    /**
+     * Resume a bateria do drone para a API e os painéis
+     * @param {Drone} drone - Drone
+     * @returns {Object} - {serial, packNumber, installedAt, cycles, health, effectiveRange (km),
+     *                     replaceRecommended, cyclesToEndOfLife}
+     */
+    static getStatus(drone) {
+        const pack = drone.batteryPack;
+        const health = BatteryHealth.getHealth(pack);
+        const cyclesToEndOfLife = Math.max(0, (health - BatteryHealth.END_OF_LIFE) / BatteryHealth.FADE_PER_CYCLE);
+
+        return {
+            serial: pack.serial,
+            packNumber: pack.number,
+            installedAt: pack.installedAt,
+            cycles: Math.round(pack.cycles * 10) / 10,
+            health,
+            effectiveRange: Math.round(drone.range * health / 100 * 10) / 10,
+            replaceRecommended: health <= BatteryHealth.END_OF_LIFE,
+            cyclesToEndOfLife: Math.round(cyclesToEndOfLife)
+        };
+    }
+}
+
+BatteryHealth.FADE_PER_CYCLE = 0.02; // % da capacidade nominal perdidos por ciclo completo (80% em 1000 ciclos)
+BatteryHealth.END_OF_LIFE = 80; // Abaixo desta saúde a troca do pack é recomendada
+BatteryHealth.MIN_HEALTH = 50; // Piso da capacidade modelada
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatteryHealth;
+}
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * CargoPacker - Acomodação dos pacotes no compartimento de carga do drone
+ * Verifica se os pacotes de uma viagem cabem juntos no compartimento: temperatura de
+ * transporte, dimensões de cada pacote, volume total e um empacotamento 3D por pontos
+ * extremos (maiores primeiro, cada pacote no ponto livre mais baixo e ao fundo, deitado ou,
+ * se não couber assim, em pé). Pacotes frágeis viajam com o lado de cima para cima e nada é apoiado sobre eles.
+ * Pedidos sem dimensões contam apenas pelo peso
+ */
+class CargoPacker {
+    /**
+     * Volume de um pacote ou compartimento
+     * @param {Object} dimensions - {length, width, height} em cm
+     * @returns {number} - Volume em litros
+     */
+    static getVolume(dimensions) {
+        return dimensions.length * dimensions.width * dimensions.height / 1000;
+    }
+
+    /**
+     * Rotações possíveis de um pacote; o frágil só gira em torno do eixo vertical
+     * @param {Object} dimensions - {length, width, height} em cm
+     * @param {boolean} fragile - Pacote frágil
+     * @returns {Array<Object>} - Rotações {length, width, height}, sem repetições
+     */
+    static getOrientations({ length, width, height }, fragile = false) {
+        const orientations = [[length, width, height], [width, length, height]];
+        if (!fragile) {
+            orientations.push(
+                [length, height, width], [height, length, width],
+                [width, height, length], [height, width, length]
+            );
+        }
+
+        const unique = new Map(orientations.map(([l, w, h]) => [`${l}x${w}x${h}`, { length: l, width: w, height: h }]));
+        return [...unique.values()];
+    }
+
+    /**
+     * Verifica se um pacote sozinho cabe no compartimento em alguma rotação
+     * @param {Object} dimensions - Dimensões do pacote
+     * @param {Object} compartment - Dimensões do compartimento
+     * @param {boolean} fragile - Pacote frágil
+     * @returns {boolean} - True se cabe
+     */
+    static fitsAlone(dimensions, compartment, fragile = false) {
+        return CargoPacker.getOrientations(dimensions, fragile).some(o =>
+            o.length <= compartment.length + CargoPacker.EPSILON &&
+            o.width <= compartment.width + CargoPacker.EPSILON &&
+            o.height <= compartment.height + CargoPacker.EPSILON);
+    }
+
+    /**
+     * Empacota os pacotes no compartimento, primeiro com os pacotes deitados (menor altura) e,
+     * se não couberem, em pé (maior altura)
+     * @param {Object} compartment - Dimensões do compartimento {length, width, height} em cm
+     * @param {Array<Object>} items - Pacotes {id, dimensions, fragile}
+     * @returns {Object} - {fits, placements: [{id, x, y, z, length, width, height}], unplaced: id do primeiro pacote que não coube}
+     */
+    static pack(compartment, items) {
+        const lying = CargoPacker.packOriented(compartment, items, (a, b) => a.height - b.height);
+        if (lying.fits) {
+            return lying;
+        }
+
+        const standing = CargoPacker.packOriented(compartment, items, (a, b) => b.height - a.height);
+        return standing.fits ? standing : lying;
+    }
+
+    /**
+     * Empacotamento por pontos extremos com uma preferência de rotação
+     * @param {Object} compartment - Dimensões do compartimento
+     * @param {Array<Object>} items - Pacotes {id, dimensions, fragile}
+     * @param {Function} preference - Comparador das rotações de cada pacote (a primeira que couber é usada)
+     * @returns {Object} - {fits, placements, unplaced}
+     */
+    static packOriented(compartment, items, preference) {
+        // Maiores primeiro; os frágeis por último, para ficarem por cima
+        const sorted = [...items].sort((a, b) => (a.fragile - b.fragile) ||
+            (CargoPacker.getVolume(b.dimensions) - CargoPacker.getVolume(a.dimensions)));
+        const placements = [];
+        let points = [{ x: 0, y: 0, z: 0 }];
+
+        for (const item of sorted) {
+            const box = CargoPacker.findPlacement(compartment, placements, points, item, preference);
+            if (!box) {
+                return { fits: false, placements, unplaced: item.id };
+            }
+
+            placements.push(box);
+            points = points
+                .filter(p => !CargoPacker.contains(box, p))
+                .concat([
+                    { x: box.x + box.length, y: box.y, z: box.z },
+                    { x: box.x, y: box.y + box.width, z: box.z },
+                    { x: box.x, y: box.y, z: box.z + box.height }
+                ]);
+        }
+
+        return { fits: true, placements, unplaced: null };
+    }
+
+    /**
+     * Primeira posição válida de um pacote: pontos do mais baixo e ao fundo para o mais alto
+     * @param {Object} compartment - Dimensões do compartimento
+     * @param {Array<Object>} placements - Pacotes já acomodados
+     * @param {Array<Object>} points - Pontos extremos livres {x, y, z}
+     * @param {Object} item - Pacote {id, dimensions, fragile}
+     * @param {Function} preference - Comparador das rotações
+     * @returns {Object|null} - Posição {id, fragile, x, y, z, length, width, height} ou null
+     */
+    static findPlacement(compartment, placements, points, item, preference) {
+        const ordered = [...points].sort((a, b) => (a.z - b.z) || (a.y - b.y) || (a.x - b.x));
+        const orientations = CargoPacker.getOrientations(item.dimensions, item.fragile).sort(preference);
+        const eps = CargoPacker.EPSILON;
+
+        for (const point of ordered) {
+            for (const orientation of orientations) {
+                const box = { id: item.id, fragile: Boolean(item.fragile), ...point, ...orientation };
+
+                const inside = box.x + box.length <= compartment.length + eps &&
+                    box.y + box.width <= compartment.width + eps &&
+                    box.z + box.height <= compartment.height + eps;
+                if (!inside) continue;
+                if (placements.some(other => CargoPacker.overlaps(box, other))) continue;
+                if (!CargoPacker.isSupported(box, placements)) continue;
+
+                return box;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Verifica se o pacote está no piso ou apoiado em pacotes não frágeis (MIN_SUPPORT da base)
+     * @param {Object} box - Posição do pacote
+     * @param {Array<Object>} placements - Pacotes já acomodados
+     * @returns {boolean} - True se está apoiado
+     */
+    static isSupported(box, placements) {
+        if (box.z <= CargoPacker.EPSILON) {
+            return true;
+        }
+
+        let supportedArea = 0;
+        for (const other of placements) {
+            if (Math.abs(other.z + other.height - box.z) > CargoPacker.EPSILON) continue;
+
+            const area = CargoPacker.overlap(box.x, box.length, other.x, other.length) *
+                CargoPacker.overlap(box.y, box.width, other.y, other.width);
+            if (area <= 0) continue;
+            // Nada é apoiado sobre um pacote frágil
+            if (other.fragile) return false;
+            supportedArea += area;
+        }
+
+        return supportedArea >= box.length * box.width * CargoPacker.MIN_SUPPORT - CargoPacker.EPSILON;
+    }
+
+    // Sobreposição de dois intervalos [a, a + la) e [b, b + lb)
+    static overlap(a, la, b, lb) {
+        return Math.max(0, Math.min(a + la, b + lb) - Math.max(a, b));
+    }
+
+    // Dois pacotes ocupam parte do mesmo espaço
+    static overlaps(a, b) {
+        const eps = CargoPacker.EPSILON;
+        return CargoPacker.overlap(a.x, a.length, b.x, b.length) > eps &&
+            CargoPacker.overlap(a.y, a.width, b.y, b.width) > eps &&
+            CargoPacker.overlap(a.z, a.height, b.z, b.height) > eps;
+    }
+
+    // Ponto dentro do pacote (excluídas as faces de saída), ou seja, não está mais livre
+    static contains(box, point) {
+        return point.x >= box.x && point.x < box.x + box.length &&
+            point.y >= box.y && point.y < box.y + box.width &&
+            point.z >= box.z && point.z < box.z + box.height;
+    }
+
+    /**
+     * Verifica se os pedidos podem viajar juntos no compartimento
+     * @param {Object} compartment - Compartimento {length, width, height, refrigerated}
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @returns {Object} - {feasible, constraint ('temperature', 'dimensions', 'volume' ou 'packing'),
+     *                     reason, volume, usedVolume (litros), placements}
+     */
+    static check(compartment, orders) {
+        const volume = CargoPacker.getVolume(compartment);
+        const result = (constraint, reason, extra = {}) => ({
+            feasible: !constraint,
+            constraint: constraint || null,
+            reason: reason || null,
+            volume,
+            usedVolume: 0,
+            placements: [],
+            ...extra
+        });
+
+        // Temperatura: só compartimento refrigerado leva refrigerado ou congelado, e não os dois juntos
+        const controlled = orders.filter(order => order.temperature && order.temperature !== 'ambiente');
+        if (controlled.length > 0 && !compartment.refrigerated) {
+            return result('temperature',
+                `Pedido ${controlled[0].id} exige transporte ${controlled[0].temperature} e o compartimento não é refrigerado`);
+        }
+        const temperatures = [...new Set(controlled.map(order => order.temperature))];
+        if (temperatures.length > 1) {
+            return result('temperature', `Pedidos ${temperatures.join(' e ')} não podem dividir o compartimento`);
+        }
+
+        const boxes = orders.filter(order => order.dimensions);
+        if (boxes.length === 0) {
+            return result(null);
+        }
+
+        const describe = ({ length, width, height }) => `${length} x ${width} x ${height} cm`;
+        const oversized = boxes.find(order => !CargoPacker.fitsAlone(order.dimensions, compartment, order.fragile));
+        if (oversized) {
+            return result('dimensions',
+                `Pacote do pedido ${oversized.id} (${describe(oversized.dimensions)}${oversized.fragile ? ', frágil' : ''}) não cabe no compartimento (${describe(compartment)})`);
+        }
+
+        const usedVolume = boxes.reduce((sum, order) => sum + CargoPacker.getVolume(order.dimensions), 0);
+        if (usedVolume > volume + CargoPacker.EPSILON) {
+            return result('volume',
+                `Volume dos pacotes (${Number(usedVolume.toFixed(3))} L) excede o do compartimento (${Number(volume.toFixed(3))} L)`, { usedVolume });
+        }
+
+        const packing = CargoPacker.pack(compartment,
+            boxes.map(order => ({ id: order.id, dimensions: order.dimensions, fragile: order.fragile })));
+        if (!packing.fits) {
+            return result('packing',
+                `Pacotes não se acomodam juntos no compartimento (${describe(compartment)}): o do pedido ${packing.unplaced} não encontra espaço`,
+                { usedVolume });
+        }
+
+        return result(null, null, { usedVolume, placements: packing.placements });
+    }
+}
+
+CargoPacker.MIN_SUPPORT = 0.75; // Fração mínima da base de um pacote apoiada nos de baixo
+CargoPacker.EPSILON = 1e-6; // Tolerância nas comparações de medidas (cm)
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CargoPacker;
+}
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * ChargingPlanner - Estações de recarga e paradas de recarga nas rotas
+ * Mantém as estações em vigor e encaixa paradas de recarga numa viagem quando o
+ * próximo trecho excederia a bateria ou o alcance efetivo do drone (que cai com a saúde do pack)
+ */
+class ChargingPlanner {
+    /**
+     * Nível de bateria ao sair de uma estação de recarga (%)
+     */
+    static get CHARGE_TARGET() {
+        return 100;
+    }
+
+    /**
+     * Retorna o utilitário de espaço aéreo (global no navegador, módulo no Node.js)
+     * @returns {Airspace} - Classe Airspace
+     */
+    static getAirspace() {
+        return typeof Airspace !== 'undefined' ? Airspace : require('./Airspace');
+    }
+
+    /**
+     * Retorna o planejador de coletas (global no navegador, módulo no Node.js)
+     * @returns {PickupPlanner} - Classe PickupPlanner
+     */
+    static getPickupPlanner() {
+        return typeof PickupPlanner !== 'undefined' ? PickupPlanner : require('./PickupPlanner');
+    }
+
+    /**
+     * Retorna o modelo de consumo de bateria (global no navegador, módulo no Node.js)
+     * @returns {EnergyModel} - Classe EnergyModel
+     */
+    static getEnergyModel() {
+        return typeof EnergyModel !== 'undefined' ? EnergyModel : require('./EnergyModel');
+    }
+
+    /**
+     * Define as estações de recarga consideradas no planejamento
+     * @param {Array<Object>} stations - Estações {id, name, location, chargeRate, slots}
+     */
+    static setStations(stations) {
+        ChargingPlanner.stations = stations.map(station => ({ ...station, location: { ...station.location } }));
+    }
+
+    /**
+     * Retorna as estações em vigor
+     * @returns {Array<Object>} - Estações {id, name, location, chargeRate, slots}
+     */
+    static getStations() {
+        return ChargingPlanner.stations;
+    }
+
+    /**
+     * Busca uma estação pelo id
+     * @param {string} id - Id da estação
+     * @returns {Object|null} - Estação encontrada ou null
+     */
+    static getStation(id) {
+        return ChargingPlanner.stations.find(station => station.id === id) || null;
+    }
+
+    /**
+     * Define a taxa de recarga nas bases
+     * @param {number} rate - Percentual de bateria por minuto
+     */
+    static setBaseChargeRate(rate) {
+        ChargingPlanner.baseChargeRate = rate;
+    }
+
+    /**
+     * Retorna a taxa de recarga nas bases
+     * @returns {number} - Percentual de bateria por minuto
+     */
+    static getBaseChargeRate() {
+        return ChargingPlanner.baseChargeRate;
+    }
+
+    /**
+     * Planeja uma viagem pelas entregas, inserindo paradas de recarga quando necessário
+     * Pedidos com coleta fora da base ganham a parada de coleta antes da entrega (PickupPlanner),
+     * e a carga de cada trecho é a que está a bordo nele. Cada trecho precisa caber na bateria
+     * e no alcance restantes, e após cada parada o drone precisa ainda alcançar a base de
+     * chegada ou alguma estação
+     * @param {Drone} drone - Drone da viagem (perfil de energia, capacidade e alcance efetivo)
+     * @param {Array<Order>} stops - Pedidos na ordem de entrega {location, weight, pickupLocation}
+     * @param {Object} start - Ponto de partida {x, y}
+     * @param {Object} end - Ponto de chegada {x, y} (base)
+     * @param {number} battery - Bateria na partida (%)
+     * @param {number} flownSinceCharge - Km já voados desde a última recarga (drone em voo)
+     * @returns {Object} - {feasible, sequence, chargingStops, batteryNeeded, finalBattery}; sequence traz as paradas
+     *                     {type: 'pickup' ou 'delivery', order, location} e
+     *                     {type: 'charging', station, location, arrivalBattery, chargeTo, chargingTime}
+     */
+    static planTrip(drone, stops, start, end, battery = drone.battery, flownSinceCharge = 0) {
+        const AirspaceUtils = ChargingPlanner.getAirspace();
+        const Energy = ChargingPlanner.getEnergyModel();
+        const profile = drone.getEnergyProfile();
+        const range = drone.getEffectiveRange();
+
+        const sequence = [];
+        const chargingStops = [];
+        const Pickups = ChargingPlanner.getPickupPlanner();
+        const targets = [...Pickups.getVisits(stops, start, end, drone.capacity), { type: 'end' }];
+        let payload = Pickups.getInitialLoad(stops);
+        let position = start;
+        let level = battery;
+        let flown = flownSinceCharge; // km desde a última recarga
+        let batteryNeeded = 0;
+
+        // Verifica se um trecho cabe na bateria e no alcance restantes
+        const fits = (from, to, load, available, flownSoFar) => {
+            const cost = Energy.legConsumption(profile, from, to, load);
+            const distance = AirspaceUtils.distance(from, to);
+            return { ok: cost <= available && flownSoFar + distance <= range, cost, distance };
+        };
+
+        // Após chegar a um ponto, o drone precisa alcançar a base ou uma estação
+        const canReachCharger = (point, load, available, flownSoFar) =>
+            [end, ...ChargingPlanner.stations.map(station => station.location)]
+                .some(charger => fits(point, charger, load, available, flownSoFar).ok);
+
+        for (const target of targets) {
+            const location = target.type === 'end' ? end : target.location;
+            const loadAfter = target.type === 'end' ? 0
+                : payload + (target.type === 'pickup' ? target.order.weight : -target.order.weight);
+            const isSafe = (from, available, flownSoFar) => {
+                const leg = fits(from, location, payload, available, flownSoFar);
+                const safe = leg.ok && (target.type === 'end' ||
+                    canReachCharger(location, loadAfter, available - leg.cost, flownSoFar + leg.distance));
+                return { ...leg, ok: safe };
+            };
+
+            let leg = isSafe(position, level, flown);
+
+            if (!leg.ok) {
+                // Estação alcançável agora e de onde o trecho é possível com a bateria cheia;
+                // escolhe a que menos alonga o caminho
+                let best = null;
+                for (const station of ChargingPlanner.stations) {
+                    const approach = fits(position, station.location, payload, level, flown);
+                    if (!approach.ok) continue;
+
+                    const after = isSafe(station.location, ChargingPlanner.CHARGE_TARGET, 0);
+                    if (!after.ok) continue;
+
+                    const detour = approach.distance + after.distance;
+                    if (!best || detour < best.detour) {
+                        best = { station, approach, after, detour };
+                    }
+                }
+
+                if (!best) {
+                    return { feasible: false, sequence, chargingStops, batteryNeeded: Infinity, finalBattery: 0 };
+                }
+
+                const arrivalBattery = level - best.approach.cost;
+                const chargingStop = {
+                    type: 'charging',
+                    station: best.station,
+                    location: { ...best.station.location },
+                    arrivalBattery,
+                    chargeTo: ChargingPlanner.CHARGE_TARGET,
+                    chargingTime: (ChargingPlanner.CHARGE_TARGET - arrivalBattery) / best.station.chargeRate // minutos
+                };
+                sequence.push(chargingStop);
+                chargingStops.push(chargingStop);
+
+                batteryNeeded += best.approach.cost;
+                position = best.station.location;
+                level = ChargingPlanner.CHARGE_TARGET;
+                flown = 0;
+                leg = best.after;
+            }
+
+            batteryNeeded += leg.cost;
+            level -= leg.cost;
+            flown += leg.distance;
+            position = location;
+
+            if (target.type !== 'end') {
+                sequence.push({ type: target.type, order: target.order, location: target.location });
+                payload = loadAfter;
+            }
+        }
+
+        return { feasible: true, sequence, chargingStops, batteryNeeded, finalBattery: level };
+    }
+}
+
+// Sem estações até o mapa ser carregado
+ChargingPlanner.stations = [];
+
+// Recarga nas bases em % por minuto até a configuração ser carregada
+ChargingPlanner.baseChargeRate = 5;
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChargingPlanner;
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * DeliveryOutcomes - Resultado das tentativas de entrega
+ * Ao chegar ao destino a entrega pode falhar: destinatário ausente, local de entrega obstruído
+ * ou pacote avariado. A probabilidade de falha é configurável (zero por padrão, quando toda
+ * entrega é bem-sucedida) e o motivo de cada falha é sorteado pelos pesos de FAILURE_WEIGHTS.
+ * Um pedido com PIN sem a confirmação do destinatário no prazo falha como pin_invalido (não sorteado).
+ * O pacote de uma entrega que falhou segue a bordo até a base; lá o pedido volta à fila para
+ * nova tentativa ou, esgotadas as tentativas (ou com o pacote avariado), é escalonado
+ */
+class DeliveryOutcomes {
+    /**
+     * Define a probabilidade de falha usada quando a simulação não informa outra
+     * @param {number} rate - Probabilidade de falha de cada tentativa (0 a 1)
+     */
+    static setFailureRate(rate) {
+        DeliveryOutcomes.failureRate = rate;
+    }
+
+    /**
+     * Retorna a probabilidade de falha em vigor
+     * @returns {number} - Probabilidade de 0 a 1
+     */
+    static getFailureRate() {
+        return DeliveryOutcomes.failureRate;
+    }
+
+    /**
+     * Define quantas tentativas sem sucesso um pedido pode ter antes de ser escalonado
+     * @param {number} attempts - Número máximo de tentativas
+     */
+    static setMaxAttempts(attempts) {
+        DeliveryOutcomes.maxAttempts = attempts;
+    }
+
+    /**
+     * Retorna o número máximo de tentativas em vigor
+     * @returns {number} - Tentativas
+     */
+    static getMaxAttempts() {
+        return DeliveryOutcomes.maxAttempts;
+    }
+
+    /**
+     * Verifica se o resultado é uma falha de entrega
+     * @param {string} outcome - Resultado da tentativa
+     * @returns {boolean} - True se o pacote não foi entregue
+     */
+    static isFailure(outcome) {
+        return outcome !== 'delivered';
+    }
+
+    /**
+     * Descreve um resultado para exibição
+     * @param {string} outcome - Resultado da tentativa
+     * @returns {string} - Descrição
+     */
+    static describe(outcome) {
+        return DeliveryOutcomes.LABELS[outcome] || outcome;
+    }
+
+    /**
+     * Sorteia o resultado de uma tentativa de entrega
+     * @param {number} failureRate - Probabilidade de falha (padrão: a configurada)
+     * @param {Function} random - Gerador de números em [0, 1) (padrão: Math.random)
+     * @returns {string} - Um dos resultados de DeliveryOutcomes.OUTCOMES
+     */
+    static draw(failureRate = DeliveryOutcomes.failureRate, random = Math.random) {
+        // Sem falhas configuradas não consome o gerador: a simulação segue determinística
+        if (failureRate <= 0 || random() >= failureRate) {
+            return 'delivered';
+        }
+
+        const weights = Object.entries(DeliveryOutcomes.FAILURE_WEIGHTS);
+        let pick = random() * weights.reduce((sum, [, weight]) => sum + weight, 0);
+        for (const [outcome, weight] of weights) {
+            pick -= weight;
+            if (pick < 0) {
+                return outcome;
+            }
+        }
+        return weights[weights.length - 1][0];
+    }
+
+    /**
+     * Decide o destino de um pedido que voltou à base após uma entrega sem sucesso
+     * O pacote avariado precisa ser substituído e é sempre escalonado; nos demais casos o pedido
+     * volta à fila até atingir o número máximo de tentativas sem sucesso
+     * @param {Order} order - Pedido com as tentativas registradas
+     * @param {number} maxAttempts - Número máximo de tentativas (padrão: o configurado)
+     * @returns {Object} - {action: 'requeue' ou 'escalate', reason}
+     */
+    static resolve(order, maxAttempts = DeliveryOutcomes.maxAttempts) {
+        const last = order.getLastAttempt();
+        const failures = order.getFailedAttempts();
+
+        if (last && last.outcome === 'damaged') {
+            return { action: 'escalate', reason: 'Pacote avariado, precisa ser substituído' };
+        }
+        if (failures >= maxAttempts) {
+            return {
+                action: 'escalate',
+                reason: `${failures} tentativa(s) sem sucesso (máximo ${maxAttempts}), última: ${DeliveryOutcomes.describe(last.outcome)}`
+            };
+        }
+        const label = DeliveryOutcomes.describe(last.outcome);
+        return {
+            action: 'requeue',
+            reason: `Nova tentativa após ${label.charAt(0).toLowerCase()}${label.slice(1)} (${failures} de ${maxAttempts})`
+        };
+    }
+}
+
+// Resultados possíveis de uma tentativa de entrega
+DeliveryOutcomes.OUTCOMES = Object.freeze(['delivered', 'recipient_unavailable', 'drop_zone_blocked', 'damaged', 'pin_invalido']);
+
+// Peso de cada motivo entre as entregas que falham
+DeliveryOutcomes.FAILURE_WEIGHTS = Object.freeze({
+    recipient_unavailable: 0.6,
+    drop_zone_blocked: 0.3,
+    damaged: 0.1
+});
+
+DeliveryOutcomes.LABELS = Object.freeze({
+    delivered: 'Entregue',
+    recipient_unavailable: 'Destinatário ausente',
+    drop_zone_blocked: 'Local de entrega obstruído',
+    damaged: 'Pacote avariado',
+    pin_invalido: 'Destinatário não confirmou o PIN'
+});
+
+// Padrões até a configuração da API ser carregada: sem falhas e até 3 tentativas
+DeliveryOutcomes.failureRate = 0;
+DeliveryOutcomes.maxAttempts = 3;
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeliveryOutcomes;
+}
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * DroneCatalog - Catálogo de modelos de drone
+ * Cada modelo define a carga máxima, o alcance numa carga, a velocidade de cruzeiro, o perfil
+ * de energia (modelo de energia e parâmetros) e o compartimento de carga (dimensões e se é
+ * refrigerado). Os drones criados a partir de um modelo herdam os limites e a velocidade dele
+ */
+class DroneCatalog {
+    /**
+     * Modelo de drone usado quando nenhum é informado
+     */
+    static get DEFAULT_MODEL() {
+        return 'padrao';
+    }
+
+    /**
+     * Define os modelos do catálogo
+     * @param {Array<Object>} models - Modelos {name, description, maxPayload, range, cruiseSpeed, energy, compartment}
+     */
+    static setModels(models) {
+        DroneCatalog.models = {};
+        models.forEach(model => {
+            DroneCatalog.models[model.name] = {
+                ...model,
+                energy: { ...model.energy },
+                compartment: { ...model.compartment }
+            };
+        });
+    }
+
+    /**
+     * Retorna os modelos do catálogo
+     * @returns {Array<Object>} - Modelos cadastrados
+     */
+    static getModels() {
+        return Object.values(DroneCatalog.models);
+    }
+
+    /**
+     * Retorna os nomes dos modelos cadastrados
+     * @returns {Array<string>} - Nomes dos modelos
+     */
+    static getModelNames() {
+        return Object.keys(DroneCatalog.models);
+    }
+
+    /**
+     * Busca um modelo pelo nome
+     * @param {string} name - Nome do modelo
+     * @returns {Object|null} - Modelo encontrado ou null
+     */
+    static getModel(name) {
+        return DroneCatalog.models[name] || null;
+    }
+
+    /**
+     * Retorna o modelo, ou o padrão se ele não está no catálogo
+     * @param {string} name - Nome do modelo
+     * @returns {Object} - Modelo
+     */
+    static resolve(name) {
+        return DroneCatalog.getModel(name) || DroneCatalog.getModel(DroneCatalog.DEFAULT_MODEL) || DroneCatalog.DEFAULT_MODELS[0];
+    }
+
+    /**
+     * Retorna o perfil de energia de um modelo, com a velocidade de cruzeiro usada no consumo
+     * @param {string} name - Nome do modelo
+     * @returns {Object} - {energyModel, cruiseSpeed, ...parâmetros}
+     */
+    static getProfile(name) {
+        const model = DroneCatalog.resolve(name);
+        return { ...model.energy, cruiseSpeed: model.cruiseSpeed };
+    }
+
+    /**
+     * Velocidade de cruzeiro de um modelo na unidade da simulação
+     * @param {string} name - Nome do modelo
+     * @returns {number} - Velocidade em km por minuto
+     */
+    static getSpeed(name) {
+        return DroneCatalog.resolve(name).cruiseSpeed / 60;
+    }
+}
+
+// Modelos de fábrica: carga em kg, alcance em km, cruzeiro em km/h, compartimento em cm;
+// no perfil de energia, consumo em % de bateria por km vazio e peso vazio em kg
+DroneCatalog.DEFAULT_MODELS = Object.freeze([
+    {
+        name: 'padrao',
+        description: 'Perfil genérico, com os limites históricos da API',
+        maxPayload: 20,
+        range: 50,
+        cruiseSpeed: 30,
+        energy: { energyModel: 'payload', consumptionPerKm: 5, emptyWeight: 10 },
+        compartment: { length: 40, width: 30, height: 25, refrigerated: false }
+    },
+    {
+        name: 'carga',
+        description: 'Octocóptero refrigerado para volumes pesados',
+        maxPayload: 15,
+        range: 8,
+        cruiseSpeed: 25,
+        energy: { energyModel: 'payload', consumptionPerKm: 6, emptyWeight: 18 },
+        compartment: { length: 60, width: 45, height: 40, refrigerated: true }
+    },
+    {
+        name: 'legado',
+        description: 'Primeira geração, consumo fixo por km',
+        maxPayload: 5,
+        range: 10,
+        cruiseSpeed: 30,
+        energy: { energyModel: 'flat', consumptionPerKm: 5 },
+        compartment: { length: 30, width: 30, height: 20, refrigerated: false }
+    }
+]);
+
+// Modelos de fábrica até o catálogo da API ser carregado
+DroneCatalog.setModels(DroneCatalog.DEFAULT_MODELS);
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DroneCatalog;
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * EnergyModel - Consumo de bateria dos drones
+ * O perfil de energia de cada modelo de drone (DroneCatalog) aponta para um modelo de energia
+ * registrado ('flat', 'payload', ...) com seus parâmetros; o consumo de um trecho considera
+ * a carga levada nele, a velocidade de cruzeiro e o vento em vigor. Com packCapacity no perfil
+ * (fração da capacidade nominal do pack instalado), o consumo é expresso em % da capacidade atual
+ */
+class EnergyModel {
+    /**
+     * Retorna o utilitário de coordenadas (global no navegador, módulo no Node.js)
+     * @returns {Geo} - Classe Geo
+     */
+    static getGeo() {
+        return typeof Geo !== 'undefined' ? Geo : require('./Geo');
+    }
+
+    /**
+     * Retorna o utilitário de espaço aéreo (global no navegador, módulo no Node.js)
+     * @returns {Airspace} - Classe Airspace
+     */
+    static getAirspace() {
+        return typeof Airspace !== 'undefined' ? Airspace : require('./Airspace');
+    }
+
+    /**
+     * Registra um modelo de energia
+     * @param {string} name - Nome do modelo
+     * @param {Object} model - {description, consumption(leg, params)}; consumption retorna % de bateria
+     */
+    static register(name, model) {
+        EnergyModel.models[name] = model;
+    }
+
+    /**
+     * Lista os modelos de energia registrados
+     * @returns {Array<Object>} - {name, description}
+     */
+    static listModels() {
+        return Object.entries(EnergyModel.models).map(([name, model]) => ({ name, description: model.description }));
+    }
+
+    /**
+     * Retorna os nomes dos modelos de energia registrados
+     * @returns {Array<string>} - Nomes dos modelos
+     */
+    static getModelNames() {
+        return Object.keys(EnergyModel.models);
+    }
+
+    /**
+     * Define o vento em vigor
+     * @param {Object} wind - Vetor {x, y} em km/h, nos eixos do mapa (no sistema geo: x leste, y norte)
+     */
+    static setWind(wind) {
+        EnergyModel.wind = { x: wind.x || 0, y: wind.y || 0 };
+    }
+
+    /**
+     * Retorna o vento em vigor
+     * @returns {Object} - Vetor {x, y} em km/h
+     */
+    static getWind() {
+        return EnergyModel.wind;
+    }
+
+    /**
+     * Direção de um trecho como vetor unitário nos eixos do mapa (km no sistema geo)
+     * @param {Object} from - Ponto inicial {x, y}
+     * @param {Object} to - Ponto final {x, y}
+     * @returns {Object} - Vetor {x, y} (nulo se os pontos coincidem)
+     */
+    static getHeading(from, to) {
+        const GeoUtils = EnergyModel.getGeo();
+        const delta = GeoUtils.isGeographic()
+            ? GeoUtils.toLocalKm(to, from, (from.y + to.y) / 2)
+            : { x: to.x - from.x, y: to.y - from.y };
+        const length = Math.sqrt(delta.x * delta.x + delta.y * delta.y);
+
+        return length > 0 ? { x: delta.x / length, y: delta.y / length } : { x: 0, y: 0 };
+    }
+
+    /**
+     * Consumo para uma distância sem direção definida (vento desconsiderado)
+     * @param {Object} profile - Perfil de energia do modelo de drone
+     * @param {number} distance - Distância em km
+     * @param {number} payload - Carga levada em kg
+     * @returns {number} - Percentual de bateria
+     */
+    static distanceConsumption(profile, distance, payload) {
+        return EnergyModel.models[profile.energyModel].consumption({
+            distance,
+            payload,
+            heading: { x: 0, y: 0 },
+            wind: { x: 0, y: 0 }
+        }, profile) / (profile.packCapacity || 1);
+    }
+
+    /**
+     * Consumo de um trecho reto
+     * @param {Object} profile - Perfil de energia do modelo de drone
+     * @param {Object} from - Ponto inicial {x, y}
+     * @param {Object} to - Ponto final {x, y}
+     * @param {number} payload - Carga levada no trecho em kg
+     * @returns {number} - Percentual de bateria (Infinity se o vento impede o trecho)
+     */
+    static segmentConsumption(profile, from, to, payload) {
+        return EnergyModel.models[profile.energyModel].consumption({
+            distance: EnergyModel.getGeo().distance(from, to),
+            payload,
+            heading: EnergyModel.getHeading(from, to),
+            wind: EnergyModel.wind
+        }, profile) / (profile.packCapacity || 1);
+    }
+
+    /**
+     * Consumo de um trecho entre dois pontos, seguindo o desvio das zonas de exclusão aérea
+     * @param {Object} profile - Perfil de energia do modelo de drone
+     * @param {Object} from - Ponto inicial {x, y}
+     * @param {Object} to - Ponto final {x, y}
+     * @param {number} payload - Carga levada no trecho em kg
+     * @returns {number} - Percentual de bateria (Infinity se não há caminho)
+     */
+    static legConsumption(profile, from, to, payload) {
+        const AirspaceUtils = EnergyModel.getAirspace();
+        if (AirspaceUtils.getZones().length === 0) {
+            return EnergyModel.segmentConsumption(profile, from, to, payload);
+        }
+
+        const { path, distance } = AirspaceUtils.findPath(from, to);
+        if (distance === Infinity) {
+            return Infinity;
+        }
+
+        return path.slice(1).reduce((sum, point, i) =>
+            sum + EnergyModel.segmentConsumption(profile, path[i], point, payload), 0);
+    }
+
+    /**
+     * Consumo de uma viagem pelas paradas, com a carga aumentando a cada coleta e diminuindo
+     * a cada entrega
+     * @param {Object} profile - Perfil de energia do modelo de drone
+     * @param {Object} start - Ponto de partida {x, y}
+     * @param {Array<Object>} stops - Paradas na ordem de visita {type: 'pickup' ou 'delivery', order, location}
+     * @param {Object} end - Ponto de chegada {x, y} (base)
+     * @returns {number} - Percentual de bateria
+     */
+    static tripConsumption(profile, start, stops, end) {
+        // Sai da base com as entregas cuja coleta não faz parte da viagem
+        const change = stop => (stop.type === 'pickup' ? stop.order.weight : -stop.order.weight);
+        let payload = -stops.reduce((sum, stop) => sum + change(stop), 0);
+        let position = start;
+        let consumption = 0;
+
+        for (const stop of stops) {
+            consumption += EnergyModel.legConsumption(profile, position, stop.location, payload);
+            payload += change(stop);
+            position = stop.location;
+        }
+
+        return consumption + EnergyModel.legConsumption(profile, position, end, 0);
+    }
+}
+
+// Modelos de energia registrados
+EnergyModel.models = {};
+
+// Consumo fixo por km, sem efeito da carga ou do vento (comportamento original: 5%/km)
+EnergyModel.register('flat', {
+    description: 'Consumo fixo por km, sem efeito de carga ou vento',
+    consumption: ({ distance }, { consumptionPerKm }) => distance * consumptionPerKm
+});
+
+// Potência de cruzeiro proporcional à massa total; o consumo por km de solo cresce com
+// o vento contrário (menor velocidade de solo) e com o vento lateral (correção de rumo)
+EnergyModel.register('payload', {
+    description: 'Consumo proporcional a massa total (drone + carga), corrigido pelo vento',
+    consumption: ({ distance, payload, heading, wind }, { consumptionPerKm, emptyWeight, cruiseSpeed }) => {
+        if (distance === 0) {
+            return 0;
+        }
+
+        const massFactor = (emptyWeight + payload) / emptyWeight;
+        const tailwind = wind.x * heading.x + wind.y * heading.y;
+        const crosswind = wind.x * heading.y - wind.y * heading.x;
+        const groundSpeed = Math.sqrt(Math.max(0, cruiseSpeed ** 2 - crosswind ** 2)) + tailwind;
+
+        // Vento lateral acima do cruzeiro ou contrário mais forte que o drone: trecho impossível
+        if (Math.abs(crosswind) >= cruiseSpeed || groundSpeed <= 0) {
+            return Infinity;
+        }
+
+        return distance * consumptionPerKm * massFactor * (cruiseSpeed / groundSpeed);
+    }
+});
+
+// Sem vento até a configuração ser carregada
+EnergyModel.wind = { x: 0, y: 0 };
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnergyModel;
+}
\ No newline at end of file
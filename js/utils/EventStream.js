@@ -0,0 +1,111 @@
+/**
+ * EventStream - Cliente do stream de eventos em tempo real da API
+ * Encapsula o EventSource de /api/v1/events e distribui os eventos por tipo
+ */
+class EventStream {
+    /**
+     * @param {string} url - Endereço do stream
+     * @param {Array<string>} types - Tipos ou categorias a receber (vazio = todos)
+     */
+    constructor(url = '/api/v1/events', types = []) {
+        this.url = url;
+        this.types = types;
+        this.source = null;
+        this.connected = false;
+        this.handlers = {};
+        this.lastEventId = null;
+    }
+
+    /**
+     * Verifica se o navegador suporta Server-Sent Events
+     * @returns {boolean} - True se EventSource está disponível
+     */
+    static isSupported() {
+        return typeof EventSource !== 'undefined';
+    }
+
+    /**
+     * Abre a conexão; o EventSource reconecta sozinho enviando o Last-Event-ID
+     * @returns {EventStream} - O próprio cliente
+     */
+    connect() {
+        if (this.source || !EventStream.isSupported()) {
+            return this;
+        }
+
+        const query = this.types.length > 0 ? `?types=${this.types.join(',')}` : '';
+        this.source = new EventSource(this.url + query);
+
+        this.source.onopen = () => {
+            this.connected = true;
+            this.dispatch('open', null);
+        };
+
+        this.source.onerror = () => {
+            this.connected = false;
+            this.dispatch('error', null);
+        };
+
+        // Listeners registrados antes da conexão
+        Object.keys(this.handlers)
+            .filter(type => type !== 'open' && type !== 'error')
+            .forEach(type => this.listen(type));
+
+        return this;
+    }
+
+    /**
+     * Fecha a conexão com o stream
+     */
+    disconnect() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.connected = false;
+    }
+
+    /**
+     * Registra um handler para um tipo de evento (ex.: 'drone.position')
+     * Também aceita 'open' e 'error' para acompanhar a conexão
+     * @param {string} type - Tipo do evento
+     * @param {Function} handler - Recebe o evento {id, type, timestamp, data}
+     * @returns {EventStream} - O próprio cliente
+     */
+    on(type, handler) {
+        if (!this.handlers[type]) {
+            this.handlers[type] = [];
+            if (this.source && type !== 'open' && type !== 'error') {
+                this.listen(type);
+            }
+        }
+        this.handlers[type].push(handler);
+        return this;
+    }
+
+    /**
+     * Associa um tipo de evento do servidor aos handlers registrados
+     * @param {string} type - Tipo do evento
+     */
+    listen(type) {
+        this.source.addEventListener(type, (message) => {
+            this.lastEventId = message.lastEventId;
+            this.dispatch(type, JSON.parse(message.data));
+        });
+    }
+
+    /**
+     * Chama os handlers de um tipo
+     * @param {string} type - Tipo do evento
+     * @param {Object} event - Evento recebido
+     */
+    dispatch(type, event) {
+        (this.handlers[type] || []).forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Erro ao tratar evento ${type}:`, error);
+            }
+        });
+    }
+}
\ No newline at end of file
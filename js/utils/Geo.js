@@ -0,0 +1,136 @@
+/**
+ * Geo - Sistema de coordenadas e cálculo de distâncias
+ * No sistema 'grid' os pontos {x, y} são km numa grade plana (distância euclidiana);
+ * no sistema 'geo' x é a longitude e y a latitude em graus (distância de grande círculo)
+ */
+class Geo {
+    /**
+     * Raio médio da Terra em km
+     */
+    static get EARTH_RADIUS_KM() {
+        return 6371.0088;
+    }
+
+    /**
+     * Sistemas de coordenadas suportados
+     */
+    static get SYSTEMS() {
+        return ['grid', 'geo'];
+    }
+
+    /**
+     * Define o sistema de coordenadas usado pelos cálculos de distância
+     * @param {string} system - 'grid' ou 'geo'
+     */
+    static setCoordinateSystem(system) {
+        if (!Geo.SYSTEMS.includes(system)) {
+            throw new Error(`Sistema de coordenadas invalido: ${system}`);
+        }
+        Geo.coordinateSystem = system;
+    }
+
+    /**
+     * Retorna o sistema de coordenadas em uso
+     * @returns {string} - 'grid' ou 'geo'
+     */
+    static getCoordinateSystem() {
+        return Geo.coordinateSystem;
+    }
+
+    /**
+     * Verifica se o sistema em uso é geográfico
+     * @returns {boolean} - True no sistema 'geo'
+     */
+    static isGeographic() {
+        return Geo.coordinateSystem === 'geo';
+    }
+
+    /**
+     * Calcula a distância entre dois pontos no sistema em uso
+     * @param {Object} point1 - Ponto 1 {x, y}
+     * @param {Object} point2 - Ponto 2 {x, y}
+     * @returns {number} - Distância em km
+     */
+    static distance(point1, point2) {
+        return Geo.isGeographic() ? Geo.haversine(point1, point2) : Geo.euclidean(point1, point2);
+    }
+
+    /**
+     * Distância euclidiana entre dois pontos da grade
+     * @param {Object} point1 - Ponto 1 {x, y}
+     * @param {Object} point2 - Ponto 2 {x, y}
+     * @returns {number} - Distância em unidades da grade (km)
+     */
+    static euclidean(point1, point2) {
+        const dx = point2.x - point1.x;
+        const dy = point2.y - point1.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Distância de grande círculo (fórmula de haversine)
+     * @param {Object} point1 - Ponto 1 {x: longitude, y: latitude}
+     * @param {Object} point2 - Ponto 2 {x: longitude, y: latitude}
+     * @returns {number} - Distância em km
+     */
+    static haversine(point1, point2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(point2.y - point1.y);
+        const dLon = toRadians(point2.x - point1.x);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(point1.y)) * Math.cos(toRadians(point2.y)) * Math.sin(dLon / 2) ** 2;
+
+        return 2 * Geo.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    /**
+     * Verifica se um ponto foi informado como {lat, lon}
+     * @param {Object} point - Ponto recebido
+     * @returns {boolean} - True se possui latitude e longitude
+     */
+    static isLatLon(point) {
+        return Boolean(point) && typeof point.lat === 'number' && typeof point.lon === 'number';
+    }
+
+    /**
+     * Converte {lat, lon} para o ponto interno {x: lon, y: lat}
+     * @param {Object} point - Ponto {lat, lon}
+     * @returns {Object} - Ponto {x, y}
+     */
+    static fromLatLon(point) {
+        return { x: point.lon, y: point.lat };
+    }
+
+    /**
+     * Converte o ponto interno {x: lon, y: lat} para {lat, lon}
+     * @param {Object} point - Ponto {x, y}
+     * @returns {Object} - Ponto {lat, lon}
+     */
+    static toLatLon(point) {
+        return { lat: point.y, lon: point.x };
+    }
+
+    /**
+     * Projeta um ponto geográfico em km a partir de uma origem (equiretangular)
+     * x cresce para leste e y para norte; precisa o bastante na escala de uma cidade
+     * @param {Object} point - Ponto {x: longitude, y: latitude}
+     * @param {Object} origin - Origem da projeção {x: longitude, y: latitude}
+     * @param {number} referenceLatitude - Latitude usada na correção da longitude
+     * @returns {Object} - Ponto {x, y} em km
+     */
+    static toLocalKm(point, origin, referenceLatitude = origin.y) {
+        const kmPerDegree = Geo.EARTH_RADIUS_KM * Math.PI / 180;
+        return {
+            x: (point.x - origin.x) * kmPerDegree * Math.cos(referenceLatitude * Math.PI / 180),
+            y: (point.y - origin.y) * kmPerDegree
+        };
+    }
+}
+
+// Sistema padrão: grade em km usada originalmente pelo sistema
+Geo.coordinateSystem = 'grid';
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geo;
+}
\ No newline at end of file
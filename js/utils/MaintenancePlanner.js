@@ -0,0 +1,129 @@
+/**
+ * MaintenancePlanner - Planos de manutenção preventiva dos drones
+ * Um plano define intervalos por distância voada (km), tempo de voo (horas), ciclos
+ * (decolagens) e calendário (dias); a manutenção vence quando o uso desde a última
+ * manutenção atinge qualquer um deles. A data prevista dos intervalos de uso é estimada
+ * pelo ritmo de uso do drone desde a última manutenção
+ */
+class MaintenancePlanner {
+    /**
+     * Critérios de um plano, na ordem em que são avaliados
+     */
+    static get CRITERIA() {
+        return ['distanceKm', 'flightHours', 'cycles', 'days'];
+    }
+
+    /**
+     * Retorna o plano em vigor para o drone (o padrão com as alterações do drone)
+     * @param {Drone} drone - Drone
+     * @returns {Object} - {distanceKm, flightHours, cycles, days}; null desativa o critério
+     */
+    static getPlan(drone) {
+        return { ...MaintenancePlanner.DEFAULT_PLAN, ...(drone.maintenancePlan || {}) };
+    }
+
+    /**
+     * Calcula o uso do drone desde a última manutenção
+     * @param {Drone} drone - Drone
+     * @param {Date} now - Momento da consulta
+     * @returns {Object} - {distanceKm, flightHours, cycles, days}
+     */
+    static getUsage(drone, now = new Date()) {
+        const last = drone.lastMaintenance;
+        return {
+            distanceKm: Math.max(0, drone.totalDistance - last.totalDistance),
+            flightHours: Math.max(0, drone.flightMinutes - last.flightMinutes) / 60,
+            cycles: Math.max(0, drone.cycles - last.cycles),
+            days: Math.max(0, now - last.at) / 86400000
+        };
+    }
+
+    /**
+     * Avalia a manutenção do drone: uso, o que falta em cada critério e a data prevista
+     * @param {Drone} drone - Drone
+     * @param {Date} now - Momento da consulta
+     * @returns {Object} - {plan, usage, remaining, due, dueCriteria, progress (% do critério mais
+     *                     próximo), dueAt (data prevista ou null sem uso), dueBy (critério de dueAt),
+     *                     lastMaintenanceAt}
+     */
+    static getStatus(drone, now = new Date()) {
+        const plan = MaintenancePlanner.getPlan(drone);
+        const usage = MaintenancePlanner.getUsage(drone, now);
+        const remaining = {};
+        const dueCriteria = [];
+        let progress = 0;
+        let dueAt = null;
+        let dueBy = null;
+
+        for (const criterion of MaintenancePlanner.CRITERIA) {
+            const interval = plan[criterion];
+            if (!interval) {
+                remaining[criterion] = null;
+                continue;
+            }
+
+            const used = usage[criterion];
+            remaining[criterion] = Math.round(Math.max(0, interval - used) * 10) / 10;
+            progress = Math.max(progress, used / interval);
+            if (used >= interval) {
+                dueCriteria.push(criterion);
+            }
+
+            // Calendário vence numa data fixa; os demais, no ritmo de uso desde a última manutenção
+            let estimate = null;
+            if (criterion === 'days') {
+                estimate = new Date(drone.lastMaintenance.at.getTime() + interval * 86400000);
+            } else if (used >= interval) {
+                estimate = now;
+            } else if (used > 0 && usage.days > 0) {
+                const perDay = used / usage.days;
+                estimate = new Date(now.getTime() + (interval - used) / perDay * 86400000);
+            }
+
+            if (estimate && (!dueAt || estimate < dueAt)) {
+                dueAt = estimate;
+                dueBy = criterion;
+            }
+        }
+
+        return {
+            plan,
+            usage: {
+                distanceKm: Math.round(usage.distanceKm * 10) / 10,
+                flightHours: Math.round(usage.flightHours * 10) / 10,
+                cycles: usage.cycles,
+                days: Math.round(usage.days * 10) / 10
+            },
+            remaining,
+            due: dueCriteria.length > 0,
+            dueCriteria,
+            progress: Math.round(progress * 100),
+            dueAt,
+            dueBy,
+            lastMaintenanceAt: drone.lastMaintenance.at
+        };
+    }
+
+    /**
+     * Verifica se a manutenção do drone está vencida
+     * @param {Drone} drone - Drone
+     * @param {Date} now - Momento da consulta
+     * @returns {boolean} - True se algum intervalo do plano foi atingido
+     */
+    static isDue(drone, now = new Date()) {
+        return MaintenancePlanner.getStatus(drone, now).due;
+    }
+}
+
+// Plano usado pelos drones sem plano próprio
+MaintenancePlanner.DEFAULT_PLAN = Object.freeze({
+    distanceKm: 1000,
+    flightHours: 50,
+    cycles: 200,
+    days: 90
+});
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaintenancePlanner;
+}
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * PickupPlanner - Coletas fora da base nas viagens (pickup and delivery)
+ * Um pedido com local de coleta não sai da base com o drone: a viagem passa pela coleta,
+ * onde a carga aumenta, antes da entrega, onde ela diminui. A partir da ordem de entrega
+ * dos pedidos, encaixa cada coleta antes da sua entrega no ponto de menor desvio em que a
+ * carga a bordo não passa da capacidade do drone
+ */
+class PickupPlanner {
+    /**
+     * Retorna o utilitário de espaço aéreo (global no navegador, módulo no Node.js)
+     * @returns {Airspace} - Classe Airspace
+     */
+    static getAirspace() {
+        return typeof Airspace !== 'undefined' ? Airspace : require('./Airspace');
+    }
+
+    /**
+     * Verifica se o drone ainda precisa passar pela coleta do pedido
+     * @param {Order} order - Pedido
+     * @returns {boolean} - True se a coleta fora da base ainda não foi feita
+     */
+    static needsPickup(order) {
+        return Boolean(order.pickupLocation && !order.pickedUpAt);
+    }
+
+    /**
+     * Verifica se algum pedido ainda precisa de coleta
+     * @param {Array<Order>} orders - Pedidos
+     * @returns {boolean} - True se há coletas
+     */
+    static hasPickups(orders) {
+        return orders.some(order => PickupPlanner.needsPickup(order));
+    }
+
+    /**
+     * Ponto em que o drone começa a atender o pedido: a coleta, se ainda não foi feita, ou a entrega
+     * @param {Order} order - Pedido
+     * @returns {Object} - Ponto {x, y}
+     */
+    static getEntry(order) {
+        return PickupPlanner.needsPickup(order) ? order.pickupLocation : order.location;
+    }
+
+    /**
+     * Carga a bordo na partida: os pedidos que não dependem de coleta
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @returns {number} - Carga em kg
+     */
+    static getInitialLoad(orders) {
+        return orders
+            .filter(order => !PickupPlanner.needsPickup(order))
+            .reduce((sum, order) => sum + order.weight, 0);
+    }
+
+    /**
+     * Ordena os pedidos pelo vizinho mais próximo entre as coletas e as entregas: a cada passo o
+     * drone vai à parada mais próxima entre as entregas dos pacotes a bordo e as coletas que cabem
+     * na carga (qualquer coleta, se não há nada a bordo)
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @param {Object} start - Ponto de partida {x, y}
+     * @param {number} capacity - Carga máxima do drone em kg
+     * @returns {Array<Order>} - Pedidos na ordem de entrega
+     */
+    static nearestNeighbor(orders, start, capacity = Infinity) {
+        const AirspaceUtils = PickupPlanner.getAirspace();
+        const onBoard = orders.filter(order => !PickupPlanner.needsPickup(order));
+        const waiting = orders.filter(order => PickupPlanner.needsPickup(order));
+        const sequence = [];
+        let load = PickupPlanner.getInitialLoad(orders);
+        let position = start;
+
+        while (onBoard.length + waiting.length > 0) {
+            const candidates = [
+                ...onBoard.map(order => ({ type: 'delivery', order, location: order.location })),
+                ...waiting
+                    .filter(order => onBoard.length === 0 || load + order.weight <= capacity)
+                    .map(order => ({ type: 'pickup', order, location: order.pickupLocation }))
+            ];
+
+            let nearest = null;
+            for (const candidate of candidates) {
+                const distance = AirspaceUtils.distance(position, candidate.location);
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { ...candidate, distance };
+                }
+            }
+
+            if (nearest.type === 'pickup') {
+                waiting.splice(waiting.indexOf(nearest.order), 1);
+                onBoard.push(nearest.order);
+                load += nearest.order.weight;
+            } else {
+                onBoard.splice(onBoard.indexOf(nearest.order), 1);
+                sequence.push(nearest.order);
+                load -= nearest.order.weight;
+            }
+            position = nearest.location;
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Monta as paradas da viagem a partir dos pedidos na ordem de entrega
+     * @param {Array<Order>} orders - Pedidos na ordem de entrega
+     * @param {Object} start - Ponto de partida {x, y}
+     * @param {Object} end - Ponto de chegada {x, y} (base)
+     * @param {number} capacity - Carga máxima do drone em kg
+     * @returns {Array<Object>} - Paradas {type: 'pickup' ou 'delivery', order, location}; a coleta de um pedido
+     *                            vem sempre antes da sua entrega
+     */
+    static getVisits(orders, start, end, capacity = Infinity) {
+        const visits = orders.map(order => ({ type: 'delivery', order, location: order.location }));
+        if (!PickupPlanner.hasPickups(orders)) {
+            return visits;
+        }
+
+        const AirspaceUtils = PickupPlanner.getAirspace();
+        // Pedidos cuja coleta ainda não foi encaixada não contam na carga
+        const pending = new Set(orders.filter(o => PickupPlanner.needsPickup(o)));
+        for (const order of [...pending]) {
+            pending.delete(order);
+            const pickup = { type: 'pickup', order, location: order.pickupLocation };
+            const deliveryIndex = visits.findIndex(visit => visit.type === 'delivery' && visit.order === order);
+            let best = null;
+
+            // Posições antes da entrega; sem nenhuma dentro da capacidade, a coleta fica logo antes dela
+            for (let i = 0; i <= deliveryIndex; i++) {
+                const candidate = [...visits.slice(0, i), pickup, ...visits.slice(i)];
+                if (PickupPlanner.getPeakLoad(candidate.filter(visit => !pending.has(visit.order))) > capacity) continue;
+
+                const previous = i === 0 ? start : visits[i - 1].location;
+                const next = visits[i].location;
+                const detour = AirspaceUtils.distance(previous, pickup.location) +
+                    AirspaceUtils.distance(pickup.location, next) - AirspaceUtils.distance(previous, next);
+                if (!best || detour < best.detour) {
+                    best = { index: i, detour };
+                }
+            }
+
+            visits.splice(best ? best.index : deliveryIndex, 0, pickup);
+        }
+
+        return visits;
+    }
+
+    /**
+     * Carga a bordo ao longo da viagem
+     * @param {Array<Object>} visits - Paradas na ordem {type, order}
+     * @returns {Array<number>} - Carga na partida e após cada parada, em kg
+     */
+    static getLoadProfile(visits) {
+        const picked = new Set(visits.filter(visit => visit.type === 'pickup').map(visit => visit.order));
+        let load = visits
+            .filter(visit => visit.type === 'delivery' && !picked.has(visit.order))
+            .reduce((sum, visit) => sum + visit.order.weight, 0);
+        const profile = [load];
+
+        for (const visit of visits) {
+            load += visit.type === 'pickup' ? visit.order.weight : -visit.order.weight;
+            profile.push(load);
+        }
+        return profile;
+    }
+
+    /**
+     * Maior carga a bordo ao longo da viagem
+     * @param {Array<Object>} visits - Paradas na ordem {type, order}
+     * @returns {number} - Carga em kg
+     */
+    static getPeakLoad(visits) {
+        return Math.max(...PickupPlanner.getLoadProfile(visits));
+    }
+}
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PickupPlanner;
+}
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * TimeWindows - Janelas de entrega e horários previstos das viagens
+ * Estima a chegada a cada parada (voo na velocidade do drone, tempo parado em
+ * estações de recarga e espera pelo início da janela) e ordena as entregas de uma
+ * viagem respeitando as janelas (VRPTW). As janelas valem para a entrega; coletas fora
+ * da base só consomem tempo de voo
+ */
+class TimeWindows {
+    /**
+     * Folga máxima (min) considerada na escolha da próxima entrega; pedidos sem janela
+     * usam esse valor e cedem a vez a entregas com janela mais apertada
+     */
+    static get SLACK_HORIZON() {
+        return 60;
+    }
+
+    /**
+     * Retorna o utilitário de espaço aéreo (global no navegador, módulo no Node.js)
+     * @returns {Airspace} - Classe Airspace
+     */
+    static getAirspace() {
+        return typeof Airspace !== 'undefined' ? Airspace : require('./Airspace');
+    }
+
+    /**
+     * Retorna o planejador de coletas (global no navegador, módulo no Node.js)
+     * @returns {PickupPlanner} - Classe PickupPlanner
+     */
+    static getPickupPlanner() {
+        return typeof PickupPlanner !== 'undefined' ? PickupPlanner : require('./PickupPlanner');
+    }
+
+    /**
+     * Define a velocidade usada para prever os horários quando o drone não é informado
+     * @param {number} speed - Velocidade em km por minuto
+     */
+    static setSpeed(speed) {
+        TimeWindows.speed = speed;
+    }
+
+    /**
+     * Retorna a velocidade usada para prever os horários
+     * @returns {number} - Velocidade em km por minuto
+     */
+    static getSpeed() {
+        return TimeWindows.speed;
+    }
+
+    /**
+     * Verifica se algum pedido tem janela de entrega
+     * @param {Array<Order>} orders - Pedidos
+     * @returns {boolean} - True se há janelas
+     */
+    static hasWindows(orders) {
+        return orders.some(order => Boolean(order.deliveryWindow));
+    }
+
+    /**
+     * Calcula espera e atraso de uma chegada em relação à janela do pedido
+     * @param {Order} order - Pedido
+     * @param {Date} arrival - Chegada prevista
+     * @returns {Object} - {serviceStart, waitMinutes, lateMinutes}
+     */
+    static checkArrival(order, arrival) {
+        const window = order.deliveryWindow;
+        if (!window) {
+            return { serviceStart: arrival, waitMinutes: 0, lateMinutes: 0 };
+        }
+
+        const serviceStart = window.start && arrival < window.start ? window.start : arrival;
+        return {
+            serviceStart,
+            waitMinutes: (serviceStart - arrival) / 60000,
+            lateMinutes: Math.max(0, (serviceStart - window.end) / 60000)
+        };
+    }
+
+    /**
+     * Estima os horários de uma viagem
+     * @param {Array<Object>} sequence - Paradas na ordem {type: 'delivery' ou 'pickup', order, location} ou
+     *                                   {type: 'charging', location, chargingTime}
+     * @param {Object} start - Ponto de partida {x, y}
+     * @param {Object} end - Ponto de chegada {x, y} (base)
+     * @param {Date} departure - Horário de partida
+     * @param {number} speed - Velocidade do drone em km por minuto (padrão: a de planejamento)
+     * @returns {Object} - {departure, stops, violations, totalLateness, returnTime}; stops traz
+     *                     {orderId, arrival, serviceStart, waitMinutes, lateMinutes, window}
+     */
+    static estimate(sequence, start, end, departure = new Date(), speed = TimeWindows.speed) {
+        const AirspaceUtils = TimeWindows.getAirspace();
+        const stops = [];
+        let position = start;
+        let clock = departure.getTime();
+
+        for (const stop of sequence) {
+            clock += AirspaceUtils.distance(position, stop.location) / speed * 60000;
+            position = stop.location;
+
+            if (stop.type === 'charging') {
+                clock += stop.chargingTime * 60000;
+                continue;
+            }
+            if (stop.type === 'pickup') {
+                continue;
+            }
+
+            const arrival = new Date(clock);
+            const { serviceStart, waitMinutes, lateMinutes } = TimeWindows.checkArrival(stop.order, arrival);
+            clock = serviceStart.getTime();
+
+            stops.push({
+                orderId: stop.order.id,
+                arrival,
+                serviceStart,
+                waitMinutes,
+                lateMinutes,
+                window: stop.order.deliveryWindow
+            });
+        }
+
+        clock += AirspaceUtils.distance(position, end) / speed * 60000;
+        const violations = stops.filter(stop => stop.lateMinutes > 0);
+
+        return {
+            departure,
+            stops,
+            violations,
+            totalLateness: violations.reduce((sum, stop) => sum + stop.lateMinutes, 0),
+            returnTime: new Date(clock)
+        };
+    }
+
+    /**
+     * Ordena as entregas de uma viagem considerando as janelas
+     * Compara a escolha gulosa por início de atendimento e folga e a ordem por fim de janela
+     * (EDF) com as ordens alternativas informadas, ficando com a de menos violações, menor
+     * atraso e menor duração entre as aceitas (por exemplo, as que cabem na bateria)
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @param {Object} start - Ponto de partida {x, y}
+     * @param {Object} end - Ponto de chegada {x, y} (base)
+     * @param {Date} departure - Horário de partida
+     * @param {Object} options - {alternatives: [Array<Order>], accept: (sequence) => boolean, speed (km/min)}
+     * @returns {Array<Order>} - Pedidos na ordem de visita (a melhor de todas se nenhuma for aceita)
+     */
+    static sequence(orders, start, end, departure = new Date(),
+        { alternatives = [], accept = () => true, speed = TimeWindows.speed } = {}) {
+        const candidates = [
+            TimeWindows.greedySequence(orders, start, departure, speed),
+            [...orders].sort((a, b) => {
+                const difference = TimeWindows.getWindowEnd(a) - TimeWindows.getWindowEnd(b);
+                return Number.isNaN(difference) ? 0 : difference; // ambos sem janela
+            }),
+            ...alternatives
+        ];
+
+        const Pickups = TimeWindows.getPickupPlanner();
+        const evaluated = candidates.map(candidate => {
+            const schedule = TimeWindows.estimate(
+                Pickups.getVisits(candidate, start, end),
+                start,
+                end,
+                departure,
+                speed
+            );
+            return { candidate, schedule, duration: schedule.returnTime - departure };
+        });
+
+        evaluated.sort((a, b) =>
+            (a.schedule.violations.length - b.schedule.violations.length) ||
+            (a.schedule.totalLateness - b.schedule.totalLateness) ||
+            (a.duration - b.duration)
+        );
+
+        const accepted = evaluated.find(({ candidate }) => accept(candidate));
+        return (accepted || evaluated[0]).candidate;
+    }
+
+    /**
+     * Escolha gulosa: a próxima entrega é a de menor início de atendimento somado à folga
+     * até o fim da janela (limitada a SLACK_HORIZON); sem janelas equivale ao vizinho mais próximo
+     * @param {Array<Order>} orders - Pedidos da viagem
+     * @param {Object} start - Ponto de partida {x, y}
+     * @param {Date} departure - Horário de partida
+     * @param {number} speed - Velocidade do drone em km por minuto
+     * @returns {Array<Order>} - Pedidos na ordem de visita
+     */
+    static greedySequence(orders, start, departure, speed = TimeWindows.speed) {
+        const AirspaceUtils = TimeWindows.getAirspace();
+        const unvisited = [...orders];
+        const sequence = [];
+        let position = start;
+        let clock = departure.getTime();
+
+        while (unvisited.length > 0) {
+            let best = null;
+
+            unvisited.forEach((order, index) => {
+                const arrival = new Date(clock + AirspaceUtils.distance(position, order.location) / speed * 60000);
+                const { serviceStart } = TimeWindows.checkArrival(order, arrival);
+                const slack = order.deliveryWindow
+                    ? Math.min((order.deliveryWindow.end - serviceStart) / 60000, TimeWindows.SLACK_HORIZON)
+                    : TimeWindows.SLACK_HORIZON;
+                const score = (serviceStart.getTime() - clock) / 60000 + slack;
+
+                if (!best || score < best.score) {
+                    best = { index, score, serviceStart };
+                }
+            });
+
+            const next = unvisited.splice(best.index, 1)[0];
+            sequence.push(next);
+            position = next.location;
+            clock = best.serviceStart.getTime();
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Fim da janela de um pedido
+     * @param {Order} order - Pedido
+     * @returns {number} - Timestamp em ms (Infinity sem janela)
+     */
+    static getWindowEnd(order) {
+        return order.deliveryWindow ? order.deliveryWindow.end.getTime() : Infinity;
+    }
+}
+
+// Velocidade de planejamento em km por minuto (sem drone informado) até a configuração ser carregada (simulationSpeed)
+TimeWindows.speed = 0.5;
+
+// Exporta como módulo CommonJS no Node.js (API); no navegador a classe fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeWindows;
+}
\ No newline at end of file
@@ -5,9 +5,8 @@
 class MapView {
     constructor(mapElementId) {
         this.mapElement = document.getElementById(mapElementId);
-        this.mapSize = { width: 21, height: 21 }; // Grade 21x21 (0-20)
+        this.world = new World(); // Limites e bases (substituído pelo mapa da API em setWorld)
         this.scale = 1;
-        this.basePosition = { x: 10, y: 10 };
         this.elements = new Map(); // Cache de elementos do DOM
         
         this.initializeMap();
@@ -24,13 +23,15 @@ class MapView {
 
         // Define o tamanho do mapa baseado no container
         const rect = this.mapElement.getBoundingClientRect();
-        this.scale = Math.min(rect.width, rect.height) / 21;
+        this.scale = Math.min(rect.width / this.world.getWidth(), rect.height / this.world.getHeight());
         
         // Limpa o mapa
         this.clearMap();
         
-        // Adiciona a base dos drones
-        this.addBaseElement();
+        // Adiciona as zonas de exclusão aérea, as bases dos drones e as estações de recarga
+        this.world.noFlyZones.forEach(zone => this.addNoFlyZoneElement(zone));
+        this.world.bases.forEach(base => this.addBaseElement(base));
+        this.world.chargingStations.forEach(station => this.addChargingStationElement(station));
         
         console.log('Mapa inicializado com escala:', this.scale);
     }
@@ -46,18 +47,111 @@ class MapView {
     }
 
     /**
-     * Adiciona o elemento da base no mapa
+     * Define o mapa exibido (limites e bases) e redesenha
+     * @param {World} world - Mapa da cidade
      */
-    addBaseElement() {
+    setWorld(world) {
+        this.world = world;
+        this.initializeMap();
+        this.updateMap();
+    }
+
+    /**
+     * Adiciona o elemento de uma base no mapa
+     * @param {Object} base - Base {id, name, location}
+     */
+    addBaseElement(base) {
         const baseElement = document.createElement('div');
         baseElement.className = 'map-element base-element';
-        baseElement.title = 'Base dos Drones';
+        baseElement.title = `${base.name} (${base.id})`;
         baseElement.textContent = 'B';
         
-        this.positionElement(baseElement, this.basePosition);
+        this.positionElement(baseElement, base.location);
         this.mapElement.appendChild(baseElement);
         
-        this.elements.set('base', baseElement);
+        this.elements.set(`base-${base.id}`, baseElement);
+    }
+
+    /**
+     * Adiciona o elemento de uma estação de recarga no mapa
+     * @param {Object} station - Estação {id, name, location, chargeRate, slots}
+     */
+    addChargingStationElement(station) {
+        const stationElement = document.createElement('div');
+        stationElement.className = 'map-element station-element';
+        stationElement.title = `${station.name} (${station.id}) - ${station.slots} vaga(s), ${station.chargeRate}%/min`;
+        stationElement.textContent = 'R';
+
+        this.positionElement(stationElement, station.location);
+        this.mapElement.appendChild(stationElement);
+
+        this.elements.set(`station-${station.id}`, stationElement);
+    }
+
+    /**
+     * Adiciona o polígono de uma zona de exclusão aérea no mapa
+     * O SVG ocupa a mesma área útil usada pelos centros dos elementos (12px de margem)
+     * @param {Object} zone - Zona {id, name, type, polygon}
+     */
+    addNoFlyZoneElement(zone) {
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('class', 'no-fly-zone');
+        svg.setAttribute('viewBox', '0 0 100 100');
+        svg.setAttribute('preserveAspectRatio', 'none');
+
+        const polygon = document.createElementNS(svgNamespace, 'polygon');
+        polygon.setAttribute('points', zone.polygon
+            .map(point => this.toRelative(point))
+            .map(relative => `${relative.x * 100},${relative.y * 100}`)
+            .join(' '));
+
+        const title = document.createElementNS(svgNamespace, 'title');
+        title.textContent = `Zona de exclusão: ${zone.name} (${zone.type})`;
+        polygon.appendChild(title);
+
+        svg.appendChild(polygon);
+        this.mapElement.appendChild(svg);
+
+        this.elements.set(`zone-${zone.id}`, svg);
+    }
+
+    /**
+     * Converte coordenadas do mapa em fração (0-1) da área visível
+     * No sistema geo o norte (latitude maior) fica no topo
+     * @param {Object} position - Posição {x, y} (km ou longitude/latitude)
+     * @returns {Object} - Posição relativa {x, y}
+     */
+    toRelative(position) {
+        const { minX, minY } = this.world.bounds;
+        const y = (position.y - minY) / this.world.getHeight();
+        return {
+            x: (position.x - minX) / this.world.getWidth(),
+            y: this.world.isGeographic() ? 1 - y : y
+        };
+    }
+
+    /**
+     * Converte uma fração (0-1) da área visível em coordenadas do mapa
+     * @param {Object} relative - Posição relativa {x, y}
+     * @returns {Object} - Posição {x, y} (km ou longitude/latitude)
+     */
+    fromRelative(relative) {
+        const { minX, minY } = this.world.bounds;
+        const y = this.world.isGeographic() ? 1 - relative.y : relative.y;
+        return {
+            x: minX + relative.x * this.world.getWidth(),
+            y: minY + y * this.world.getHeight()
+        };
+    }
+
+    /**
+     * Formata uma coordenada para exibição (graus com 4 casas no sistema geo)
+     * @param {number} value - Coordenada
+     * @returns {string|number} - Valor formatado
+     */
+    formatCoordinate(value) {
+        return this.world.isGeographic() ? value.toFixed(4) : Math.round(value * 10) / 10;
     }
 
     /**
@@ -66,8 +160,9 @@ class MapView {
      * @param {Object} position - Posição {x, y}
      */
     positionElement(element, position) {
-        const pixelX = (position.x / 20) * (this.mapElement.clientWidth - 24);
-        const pixelY = (position.y / 20) * (this.mapElement.clientHeight - 24);
+        const relative = this.toRelative(position);
+        const pixelX = relative.x * (this.mapElement.clientWidth - 24);
+        const pixelY = relative.y * (this.mapElement.clientHeight - 24);
         
         element.style.left = `${pixelX}px`;
         element.style.top = `${pixelY}px`;
@@ -84,7 +179,7 @@ class MapView {
         orderElement.textContent = order.id.split('-')[1]; // Número do pedido
         
         // Cor baseada no status
-        if (order.status === 'assigned') {
+        if (order.status === 'assigned' || order.status === 'in_flight') {
             orderElement.style.opacity = '0.7';
             orderElement.style.border = '2px solid #3b82f6';
         } else if (order.status === 'delivered') {
@@ -101,6 +196,44 @@ class MapView {
         orderElement.addEventListener('click', () => {
             this.showOrderDetails(order);
         });
+
+        // Coleta fora da base ainda não feita: marca o ponto e liga à entrega
+        if (order.pickupLocation && !order.pickedUpAt) {
+            this.addPickupElement(order);
+        }
+    }
+
+    /**
+     * Adiciona no mapa o ponto de coleta de um pedido, ligado ao ponto de entrega
+     * @param {Order} order - Pedido com coleta fora da base
+     */
+    addPickupElement(order) {
+        const pickupElement = document.createElement('div');
+        pickupElement.className = 'map-element pickup-element';
+        pickupElement.title = `Coleta do pedido ${order.id} - ${order.weight}kg`;
+        pickupElement.textContent = `C${order.id.split('-')[1]}`;
+
+        this.positionElement(pickupElement, order.pickupLocation);
+        this.mapElement.appendChild(pickupElement);
+        this.elements.set(`pickup-${order.id}`, pickupElement);
+
+        const link = this.createRouteLine(order.pickupLocation, order.location);
+        link.classList.add('pickup-link');
+        this.mapElement.appendChild(link);
+        this.elements.set(`pickup-link-${order.id}`, link);
+
+        pickupElement.addEventListener('click', () => {
+            this.showOrderDetails(order);
+        });
+    }
+
+    /**
+     * Remove do mapa o ponto de coleta de um pedido e a ligação com a entrega
+     * @param {string} orderId - Id do pedido
+     */
+    removePickupElements(orderId) {
+        this.removeElement(`pickup-${orderId}`);
+        this.removeElement(`pickup-link-${orderId}`);
     }
 
     /**
@@ -130,6 +263,16 @@ class MapView {
             case 'returning':
                 droneElement.style.backgroundColor = '#8b5cf6';
                 break;
+            case 'charging':
+                droneElement.style.backgroundColor = '#14b8a6';
+                break;
+            case 'maintenance':
+            case 'offline':
+                droneElement.style.backgroundColor = '#6b7280';
+                break;
+            case 'emergency_landing':
+                droneElement.style.backgroundColor = '#dc2626';
+                break;
         }
         
         this.positionElement(droneElement, drone.position);
@@ -170,6 +313,16 @@ class MapView {
                 case 'returning':
                     droneElement.style.backgroundColor = '#8b5cf6';
                     break;
+                case 'charging':
+                    droneElement.style.backgroundColor = '#14b8a6';
+                    break;
+                case 'maintenance':
+                case 'offline':
+                    droneElement.style.backgroundColor = '#6b7280';
+                    break;
+                case 'emergency_landing':
+                    droneElement.style.backgroundColor = '#dc2626';
+                    break;
             }
         }
     }
@@ -194,6 +347,11 @@ class MapView {
             const routeLine = this.createRouteLine(startPoint, endPoint);
             routeLine.dataset.droneId = drone.id;
             routeLine.dataset.routeSegment = i;
+
+            // Trechos que contornam zonas de exclusão (passam por waypoints de desvio)
+            if (startPoint.type === 'waypoint' || endPoint.type === 'waypoint') {
+                routeLine.classList.add('detour');
+            }
             
             this.mapElement.appendChild(routeLine);
         }
@@ -209,14 +367,17 @@ class MapView {
         const line = document.createElement('div');
         line.className = 'route-line';
         
+        const startRelative = this.toRelative(start);
+        const endRelative = this.toRelative(end);
+
         const startPixel = {
-            x: (start.x / 20) * (this.mapElement.clientWidth - 24) + 12,
-            y: (start.y / 20) * (this.mapElement.clientHeight - 24) + 12
+            x: startRelative.x * (this.mapElement.clientWidth - 24) + 12,
+            y: startRelative.y * (this.mapElement.clientHeight - 24) + 12
         };
         
         const endPixel = {
-            x: (end.x / 20) * (this.mapElement.clientWidth - 24) + 12,
-            y: (end.y / 20) * (this.mapElement.clientHeight - 24) + 12
+            x: endRelative.x * (this.mapElement.clientWidth - 24) + 12,
+            y: endRelative.y * (this.mapElement.clientHeight - 24) + 12
         };
         
         const dx = endPixel.x - startPixel.x;
@@ -257,14 +418,14 @@ class MapView {
      * Atualiza todo o mapa com dados atuais
      */
     updateMap() {
-        // Limpa elementos dinâmicos (mantém a base)
+        // Limpa elementos dinâmicos (mantém as bases)
         this.clearDynamicElements();
         
-        // Adiciona apenas pedidos pendentes e atribuídos (não entregues)
+        // Adiciona apenas pedidos pendentes, atribuídos e em voo (não entregues nem cancelados)
         if (window.orderController) {
             const allOrders = window.orderController.getAllOrders();
             allOrders.forEach(order => {
-                if (order.status === 'pending' || order.status === 'assigned') {
+                if (['pending', 'assigned', 'in_flight'].includes(order.status)) {
                     this.addOrderElement(order);
                 }
             });
@@ -283,23 +444,17 @@ class MapView {
     }
 
     /**
-     * Limpa elementos dinâmicos (pedidos e drones, mantém base)
+     * Limpa elementos dinâmicos (pedidos e drones, mantém bases, estações e zonas)
      */
     clearDynamicElements() {
-        // Remove todos os elementos exceto a base
+        // Remove todos os elementos exceto as bases, as estações de recarga e as zonas de exclusão
         for (const [key, element] of this.elements) {
-            if (key !== 'base') {
+            if (!key.startsWith('base-') && !key.startsWith('station-') && !key.startsWith('zone-')) {
                 element.remove();
+                this.elements.delete(key);
             }
         }
         
-        // Mantém apenas a base no Map
-        const baseElement = this.elements.get('base');
-        this.elements.clear();
-        if (baseElement) {
-            this.elements.set('base', baseElement);
-        }
-        
         // Remove linhas de rota
         const routeLines = this.mapElement.querySelectorAll('.route-line');
         routeLines.forEach(line => line.remove());
@@ -312,7 +467,7 @@ class MapView {
     showOrderDetails(order) {
         const details = `
 Pedido: ${order.id}
-Localização: (${order.location.x}, ${order.location.y})
+${order.pickupLocation ? `Coleta: (${order.pickupLocation.x}, ${order.pickupLocation.y})${order.pickedUpAt ? ' - coletado' : ''}\n` : ''}Localização: (${order.location.x}, ${order.location.y})
 Peso: ${order.weight}kg
 Prioridade: ${order.priority}
 Status: ${order.status}
@@ -331,7 +486,7 @@ ${order.assignedDrone ? `Drone atribuído: ${order.assignedDrone}` : ''}
         const details = `
 Drone: ${drone.id}
 Status: ${drone.status}
-Posição: (${drone.position.x.toFixed(1)}, ${drone.position.y.toFixed(1)})
+Posição: ${this.world.formatPoint(drone.position)}
 Bateria: ${Math.round(drone.battery)}%
 Carga atual: ${drone.currentLoad.toFixed(1)}kg / ${drone.capacity}kg
 Pedidos atribuídos: ${drone.assignedOrders.length}
@@ -356,11 +511,16 @@ Distância total: ${drone.totalDistance.toFixed(1)}km
         gridContainer.style.pointerEvents = 'none';
         gridContainer.style.zIndex = '1';
 
+        // Linhas a cada quarto do mapa (5km na grade padrão 0-20)
+        const { minX, minY, maxX, maxY } = this.world.bounds;
+        const stepX = this.world.getWidth() / 4;
+        const stepY = this.world.getHeight() / 4;
+
         // Adiciona linhas verticais
-        for (let x = 0; x <= 20; x += 5) {
+        for (let x = minX; x <= maxX; x += stepX) {
             const line = document.createElement('div');
             line.style.position = 'absolute';
-            line.style.left = `${(x / 20) * 100}%`;
+            line.style.left = `${this.toRelative({ x, y: minY }).x * 100}%`;
             line.style.top = '0';
             line.style.width = '1px';
             line.style.height = '100%';
@@ -369,9 +529,9 @@ Distância total: ${drone.totalDistance.toFixed(1)}km
 
             // Label
             const label = document.createElement('span');
-            label.textContent = x;
+            label.textContent = this.formatCoordinate(x);
             label.style.position = 'absolute';
-            label.style.left = `${(x / 20) * 100}%`;
+            label.style.left = `${this.toRelative({ x, y: minY }).x * 100}%`;
             label.style.bottom = '-20px';
             label.style.fontSize = '10px';
             label.style.transform = 'translateX(-50%)';
@@ -379,10 +539,10 @@ Distância total: ${drone.totalDistance.toFixed(1)}km
         }
 
         // Adiciona linhas horizontais
-        for (let y = 0; y <= 20; y += 5) {
+        for (let y = minY; y <= maxY; y += stepY) {
             const line = document.createElement('div');
             line.style.position = 'absolute';
-            line.style.top = `${(y / 20) * 100}%`;
+            line.style.top = `${this.toRelative({ x: minX, y }).y * 100}%`;
             line.style.left = '0';
             line.style.width = '100%';
             line.style.height = '1px';
@@ -391,9 +551,9 @@ Distância total: ${drone.totalDistance.toFixed(1)}km
 
             // Label
             const label = document.createElement('span');
-            label.textContent = y;
+            label.textContent = this.formatCoordinate(y);
             label.style.position = 'absolute';
-            label.style.top = `${(y / 20) * 100}%`;
+            label.style.top = `${this.toRelative({ x: minX, y }).y * 100}%`;
             label.style.left = '-25px';
             label.style.fontSize = '10px';
             label.style.transform = 'translateY(-50%)';
@@ -410,16 +570,25 @@ Distância total: ${drone.totalDistance.toFixed(1)}km
         this.mapElement.addEventListener('click', (event) => {
             if (event.target === this.mapElement) {
                 const rect = this.mapElement.getBoundingClientRect();
-                const x = Math.round(((event.clientX - rect.left) / rect.width) * 20);
-                const y = Math.round(((event.clientY - rect.top) / rect.height) * 20);
+                const { minX, minY, maxX, maxY } = this.world.bounds;
+                const point = this.fromRelative({
+                    x: (event.clientX - rect.left) / rect.width,
+                    y: (event.clientY - rect.top) / rect.height
+                });
+                // Grade: km inteiros; geo: graus com 5 casas (~1 m)
+                const round = this.world.isGeographic()
+                    ? value => Math.round(value * 1e5) / 1e5
+                    : Math.round;
+                const x = round(point.x);
+                const y = round(point.y);
                 
                 const weight = prompt('Peso do pacote (kg):', '1.0');
                 const priority = prompt('Prioridade (alta/media/baixa):', 'media');
                 
                 if (weight && priority && ['alta', 'media', 'baixa'].includes(priority)) {
                     const orderData = {
-                        x: Math.max(0, Math.min(20, x)),
-                        y: Math.max(0, Math.min(20, y)),
+                        x: Math.max(minX, Math.min(maxX, x)),
+                        y: Math.max(minY, Math.min(maxY, y)),
                         weight: parseFloat(weight),
                         priority: priority
                     };
@@ -468,8 +637,9 @@ Distância total: ${drone.totalDistance.toFixed(1)}km
      * @param {Object} position - Posição para centralizar {x, y}
      */
     centerOn(position) {
-        const elementX = (position.x / 20) * this.mapElement.clientWidth;
-        const elementY = (position.y / 20) * this.mapElement.clientHeight;
+        const relative = this.toRelative(position);
+        const elementX = relative.x * this.mapElement.clientWidth;
+        const elementY = relative.y * this.mapElement.clientHeight;
         
         this.mapElement.scrollTo({
             left: elementX - this.mapElement.clientWidth / 2,
@@ -6,6 +6,8 @@ class UIView {
     constructor() {
         this.updateInterval = null;
         this.isAutoUpdateEnabled = true;
+        this.eventStream = null;
+        this.refreshScheduled = false;
     }
 
     /**
@@ -47,8 +49,14 @@ class UIView {
         const orderData = {
             x: parseFloat(document.getElementById('clientX').value),
             y: parseFloat(document.getElementById('clientY').value),
+            pickup: this.parsePickup(),
             weight: parseFloat(document.getElementById('packageWeight').value),
-            priority: document.getElementById('priority').value
+            priority: document.getElementById('priority').value,
+            windowStart: this.parseTimeOfDay(document.getElementById('windowStart').value),
+            windowEnd: this.parseTimeOfDay(document.getElementById('windowEnd').value),
+            dimensions: this.parseDimensions(),
+            fragile: document.getElementById('fragile').checked,
+            temperature: document.getElementById('temperature').value
         };
 
         if (window.orderController) {
@@ -64,6 +72,49 @@ class UIView {
         }
     }
 
+    /**
+     * Lê o local de coleta no formulário
+     * @returns {Object|null} - {x, y}, ou null se a coleta não foi informada (o pacote sai da base)
+     */
+    parsePickup() {
+        const [x, y] = ['pickupX', 'pickupY'].map(id => parseFloat(document.getElementById(id).value));
+
+        if (isNaN(x) || isNaN(y)) {
+            return null;
+        }
+        return { x, y };
+    }
+
+    /**
+     * Lê as dimensões do pacote no formulário
+     * @returns {Object|null} - {length, width, height} em cm, ou null se não foram todas informadas
+     */
+    parseDimensions() {
+        const [length, width, height] = ['packageLength', 'packageWidth', 'packageHeight']
+            .map(id => parseFloat(document.getElementById(id).value));
+
+        if ([length, width, height].some(value => isNaN(value))) {
+            return null;
+        }
+        return { length, width, height };
+    }
+
+    /**
+     * Converte um horário do formulário (HH:MM) em data de hoje
+     * @param {string} value - Horário informado (vazio = sem horário)
+     * @returns {Date|null} - Data de hoje no horário ou null
+     */
+    parseTimeOfDay(value) {
+        if (!value) {
+            return null;
+        }
+
+        const [hours, minutes] = value.split(':').map(Number);
+        const date = new Date();
+        date.setHours(hours, minutes, 0, 0);
+        return date;
+    }
+
     /**
      * Atualiza o status dos drones na interface
      */
@@ -85,6 +136,14 @@ class UIView {
         });
     }
 
+    /**
+     * Retorna o mapa da cidade em uso (carregado da API em main.js)
+     * @returns {World} - Mapa atual ou o mapa padrão
+     */
+    getWorld() {
+        return window.world || new World();
+    }
+
     /**
      * Cria um card de status do drone
      * @param {Drone} drone - Drone para criar o card
@@ -96,6 +155,7 @@ class UIView {
         
         const statusClass = this.getStatusClass(drone.status);
         const batteryColor = this.getBatteryColor(drone.battery);
+        const usedVolume = drone.assignedOrders.reduce((sum, order) => sum + (order.getVolume() || 0), 0);
         
         card.innerHTML = `
             <h4>${drone.id}</h4>
@@ -107,13 +167,21 @@ class UIView {
                     <span>Bateria:</span>
                     <span style="color: ${batteryColor}">${Math.round(drone.battery)}%</span>
                 </div>
+                <div class="info-row">
+                    <span>Saúde da bateria:</span>
+                    <span>${drone.getBatteryHealth()}%</span>
+                </div>
                 <div class="info-row">
                     <span>Carga:</span>
                     <span>${drone.currentLoad.toFixed(1)}kg/${drone.capacity}kg</span>
                 </div>
+                <div class="info-row">
+                    <span>Volume:</span>
+                    <span>${usedVolume.toFixed(1)}L/${drone.getVolumeCapacity().toFixed(1)}L</span>
+                </div>
                 <div class="info-row">
                     <span>Posição:</span>
-                    <span>(${drone.position.x.toFixed(1)}, ${drone.position.y.toFixed(1)})</span>
+                    <span>${this.getWorld().formatPoint(drone.position)}</span>
                 </div>
                 <div class="info-row">
                     <span>Pedidos:</span>
@@ -151,7 +219,11 @@ class UIView {
             'loading': 'status-loading',
             'flying': 'status-flying',
             'delivering': 'status-delivering',
-            'returning': 'status-flying'
+            'returning': 'status-flying',
+            'charging': 'status-charging',
+            'maintenance': 'status-maintenance',
+            'offline': 'status-offline',
+            'emergency_landing': 'status-emergency'
         };
         return statusClasses[status] || 'status-idle';
     }
@@ -167,7 +239,11 @@ class UIView {
             'loading': 'Carregando',
             'flying': 'Voando',
             'delivering': 'Entregando',
-            'returning': 'Retornando'
+            'returning': 'Retornando',
+            'charging': 'Recarregando',
+            'maintenance': 'Em manutenção',
+            'offline': 'Fora de serviço',
+            'emergency_landing': 'Pouso de emergência'
         };
         return statusTexts[status] || 'Desconhecido';
     }
@@ -215,6 +291,22 @@ class UIView {
         
         const priorityClass = `priority-${order.priority}`;
         const isOverdue = order.isOverdue();
+        const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const windowText = order.deliveryWindow
+            ? ` | Janela: ${order.deliveryWindow.start ? formatTime(order.deliveryWindow.start) : '--:--'}-${formatTime(order.deliveryWindow.end)}`
+            : '';
+        const pickupText = order.pickupLocation
+            ? `Coleta: (${order.pickupLocation.x}, ${order.pickupLocation.y})${order.pickedUpAt ? ' ✓' : ''} → `
+            : '';
+        const cargoText = [
+            order.dimensions ? `${order.dimensions.length}x${order.dimensions.width}x${order.dimensions.height}cm` : null,
+            order.fragile ? 'frágil' : null,
+            order.temperature !== 'ambiente' ? order.temperature : null
+        ].filter(Boolean).join(', ');
+        const lastAttempt = order.getLastAttempt();
+        const attemptsText = order.getFailedAttempts() > 0
+            ? ` | Tentativas: ${order.getFailedAttempts()} (última: ${DeliveryOutcomes.describe(lastAttempt.outcome)})`
+            : '';
         
         element.innerHTML = `
             <div class="order-info">
@@ -224,9 +316,9 @@ class UIView {
                     ${isOverdue ? '<span style="color: #ef4444; font-size: 12px;">⚠ Atrasado</span>' : ''}
                 </div>
                 <div style="font-size: 14px; color: #64748b;">
-                    Localização: (${order.location.x}, ${order.location.y}) | 
-                    Peso: ${order.weight}kg | 
-                    Aguardando: ${order.getWaitingTime()}min
+                    ${pickupText}Localização: (${order.location.x}, ${order.location.y}) | 
+                    Peso: ${order.weight}kg${cargoText ? ` (${cargoText})` : ''} | 
+                    Aguardando: ${order.getWaitingTime()}min${windowText}${attemptsText}
                 </div>
             </div>
             <div class="order-actions">
@@ -239,6 +331,56 @@ class UIView {
         return element;
     }
 
+    /**
+     * Mostra o turno planejado: as viagens de cada drone com partida, retorno e a
+     * entrega prevista de cada pedido
+     * @param {Object|null} shift - Turno retornado por /api/v1/entregas/turno (null = nenhum)
+     */
+    updateShiftPlan(shift) {
+        const container = document.getElementById('shiftPlan');
+        if (!container) return;
+
+        const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const drones = shift ? shift.drones.filter(drone => drone.trips.length > 0) : [];
+
+        if (drones.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #64748b;">Nenhum turno planejado</p>';
+            return;
+        }
+
+        const unassigned = shift.unassignedOrders.length > 0
+            ? ` | Sem drone: ${shift.unassignedOrders.join(', ')}`
+            : '';
+
+        container.innerHTML = `
+            <div class="shift-summary">
+                ${shift.assignedOrders} de ${shift.totalOrders} pedidos em ${shift.totalTrips} viagens (${shift.strategy}) |
+                Fim previsto: ${formatTime(shift.end)}${unassigned}
+            </div>
+            <div class="shift-drones">
+                ${drones.map(drone => `
+                    <div class="shift-drone">
+                        <strong>${drone.droneId}</strong>
+                        <span style="font-size: 14px; color: #64748b;">
+                            ${drone.totalOrders} pedidos | Livre às ${formatTime(drone.completedAt)}
+                        </span>
+                        ${drone.trips.map(trip => `
+                            <div class="shift-trip">
+                                Viagem ${trip.trip}: ${formatTime(trip.departure)} - ${formatTime(trip.returnTime)}
+                                (${trip.distance.toFixed(1)} km${trip.chargingStops.length > 0 ? `, recarga em ${trip.chargingStops.join(', ')}` : ''})
+                                <ul>
+                                    ${trip.orders.map(order => `
+                                        <li>${order.orderId}: ${formatTime(order.expectedDelivery)}${order.lateMinutes > 0 ? ' ⚠ Atrasado' : ''}</li>
+                                    `).join('')}
+                                </ul>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     /**
      * Atualiza as estatísticas do sistema
      */
@@ -319,11 +461,62 @@ class UIView {
 
     /**
      * Inicia a atualização automática da interface
+     * Usa o stream de eventos da API; o polling fica como alternativa enquanto ele não conecta
      */
     startAutoUpdate() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
+        if (typeof EventStream !== 'undefined' && EventStream.isSupported()) {
+            this.subscribeToEvents();
+        }
+
+        if (!this.eventStream || !this.eventStream.connected) {
+            this.startPolling();
         }
+    }
+
+    /**
+     * Assina o stream de eventos e atualiza a interface a cada mudança
+     */
+    subscribeToEvents() {
+        if (this.eventStream) return;
+
+        this.eventStream = new EventStream();
+        this.eventStream
+            .on('open', () => this.stopPolling())
+            .on('error', () => this.startPolling());
+
+        ['drone.created', 'drone.removed', 'drone.position', 'drone.battery', 'drone.status', 'drone.route',
+            'order.created', 'order.assigned', 'order.in_flight', 'order.picked_up', 'order.delivered', 'order.failed',
+            'order.returned', 'order.requeued', 'order.escalated', 'order.cancelled',
+            'optimization.completed', 'system.reset'
+        ].forEach(type => this.eventStream.on(type, () => this.scheduleRefresh()));
+
+        this.eventStream.connect();
+    }
+
+    /**
+     * Agrupa os eventos recebidos em uma única atualização por quadro
+     */
+    scheduleRefresh() {
+        if (this.refreshScheduled || !this.isAutoUpdateEnabled) return;
+        this.refreshScheduled = true;
+
+        requestAnimationFrame(() => {
+            this.refreshScheduled = false;
+            this.updateDroneStatus();
+            this.updateOrdersList();
+            this.updateStatistics();
+
+            if (window.mapView) {
+                window.mapView.updateMap();
+            }
+        });
+    }
+
+    /**
+     * Inicia a atualização periódica (sem stream de eventos)
+     */
+    startPolling() {
+        if (this.updateInterval) return;
 
         this.updateInterval = setInterval(() => {
             if (this.isAutoUpdateEnabled) {
@@ -334,15 +527,27 @@ class UIView {
     }
 
     /**
-     * Para a atualização automática
+     * Para a atualização periódica
      */
-    stopAutoUpdate() {
+    stopPolling() {
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
         }
     }
 
+    /**
+     * Para a atualização automática
+     */
+    stopAutoUpdate() {
+        this.stopPolling();
+
+        if (this.eventStream) {
+            this.eventStream.disconnect();
+            this.eventStream = null;
+        }
+    }
+
     /**
      * Gera botões para pedidos de exemplo
      */
@@ -430,6 +635,7 @@ class UIView {
                 <h3>Status dos Drones</h3>
                 <p>Drones Ativos: ${report.statistics.activeDrones}</p>
                 <p>Drones Ociosos: ${report.statistics.idleDrones}</p>
+                <p>Drones Indisponíveis: ${report.statistics.unavailableDrones}</p>
                 <p>Score de Saúde: ${report.droneHealth.healthScore}%</p>
             </div>
 
@@ -16,10 +16,19 @@ const dronesRoutes = require('./src/routes/drones');
 const pedidosRoutes = require('./src/routes/pedidos');
 const entregasRoutes = require('./src/routes/entregas');
 const systemRoutes = require('./src/routes/system');
+const eventsRoutes = require('./src/routes/events');
+const mapaRoutes = require('./src/routes/mapa');
+const despachoRoutes = require('./src/routes/despacho');
+const manutencaoRoutes = require('./src/routes/manutencao');
+const modelosRoutes = require('./src/routes/modelos');
+
+// Importa serviços
+const maintenanceService = require('./src/services/maintenanceService');
 
 // Importa middlewares
 const errorHandler = require('./src/middleware/errorHandler');
 const validateRequest = require('./src/middleware/validateRequest');
+const coordinateFormat = require('./src/middleware/coordinateFormat');
 
 // Configurações
 const PORT = process.env.PORT || 3000;
@@ -49,14 +58,19 @@ app.use(cors({
     credentials: true
 }));
 app.use(compression());
-app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
+// Sem log de requisições nos testes (o Jest define NODE_ENV=test)
+if (NODE_ENV !== 'test') {
+    app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
+}
 
 // Middlewares de parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Servir arquivos estáticos (frontend)
-app.use(express.static(path.join(__dirname)));
+// Servir arquivos estáticos (frontend); só css/ e js/, para não expor o código do servidor
+// nem o diretório de dados (DATA_DIR), com os pedidos, os PINs e as fotos dos comprovantes
+app.use('/css', express.static(path.join(__dirname, 'css')));
+app.use('/js', express.static(path.join(__dirname, 'js')));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -69,11 +83,19 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Formato das coordenadas nas respostas (?coords=latlon|km)
+app.use('/api/v1', coordinateFormat);
+
 // API Routes
 app.use('/api/v1/drones', dronesRoutes);
 app.use('/api/v1/pedidos', pedidosRoutes);
 app.use('/api/v1/entregas', entregasRoutes);
 app.use('/api/v1/system', systemRoutes);
+app.use('/api/v1/events', eventsRoutes);
+app.use('/api/v1/mapa', mapaRoutes);
+app.use('/api/v1/despacho', despachoRoutes);
+app.use('/api/v1/manutencao', manutencaoRoutes);
+app.use('/api/v1/modelos', modelosRoutes);
 
 // Documentação da API
 app.get('/api', (req, res) => {
@@ -95,18 +117,77 @@ app.get('/api', (req, res) => {
                 list: 'GET /api/v1/pedidos',
                 get: 'GET /api/v1/pedidos/:id',
                 update: 'PUT /api/v1/pedidos/:id',
+                cancel: 'POST /api/v1/pedidos/:id/cancel',
+                reassign: 'POST /api/v1/pedidos/:id/reassign',
+                deliver: 'POST /api/v1/pedidos/:id/deliver',
+                proof: 'GET /api/v1/pedidos/:id/proof',
+                proofPhoto: 'GET /api/v1/pedidos/:id/proof/photo',
                 delete: 'DELETE /api/v1/pedidos/:id'
             },
             entregas: {
                 rotas: 'GET /api/v1/entregas/rota',
                 otimizar: 'POST /api/v1/entregas/otimizar',
+                planejar: 'POST /api/v1/entregas/planejar',
+                turno: 'POST /api/v1/entregas/turno',
                 simular: 'POST /api/v1/entregas/simular',
+                simulacoes: 'GET /api/v1/entregas/simular',
+                simulacao: 'GET /api/v1/entregas/simular/:id',
+                controlarSimulacao: 'POST /api/v1/entregas/simular/:id/(pausar|retomar|parar|avancar)',
+                inserir: 'POST /api/v1/entregas/inserir',
+                janelas: 'GET /api/v1/entregas/janelas',
                 status: 'GET /api/v1/entregas/status'
             },
+            despacho: {
+                status: 'GET /api/v1/despacho',
+                iniciar: 'POST /api/v1/despacho/iniciar',
+                parar: 'POST /api/v1/despacho/parar',
+                config: 'PUT /api/v1/despacho/config',
+                decisoes: 'GET /api/v1/despacho/decisoes'
+            },
+            manutencao: {
+                agenda: 'GET /api/v1/manutencao',
+                drone: 'GET /api/v1/manutencao/drones/:id',
+                plano: 'PUT /api/v1/manutencao/drones/:id/plano',
+                planoPadrao: 'DELETE /api/v1/manutencao/drones/:id/plano',
+                registros: 'GET /api/v1/manutencao/registros',
+                registrar: 'POST /api/v1/manutencao/registros'
+            },
+            modelos: {
+                list: 'GET /api/v1/modelos',
+                get: 'GET /api/v1/modelos/:name',
+                create: 'POST /api/v1/modelos',
+                update: 'PUT /api/v1/modelos/:name',
+                delete: 'DELETE /api/v1/modelos/:name'
+            },
+            mapa: {
+                get: 'GET /api/v1/mapa',
+                limites: 'PUT /api/v1/mapa/limites',
+                bases: 'GET /api/v1/mapa/bases',
+                base: 'GET /api/v1/mapa/bases/:id',
+                createBase: 'POST /api/v1/mapa/bases',
+                updateBase: 'PUT /api/v1/mapa/bases/:id',
+                deleteBase: 'DELETE /api/v1/mapa/bases/:id',
+                zonas: 'GET /api/v1/mapa/zonas',
+                zona: 'GET /api/v1/mapa/zonas/:id',
+                createZona: 'POST /api/v1/mapa/zonas',
+                updateZona: 'PUT /api/v1/mapa/zonas/:id',
+                deleteZona: 'DELETE /api/v1/mapa/zonas/:id',
+                estacoes: 'GET /api/v1/mapa/estacoes',
+                estacao: 'GET /api/v1/mapa/estacoes/:id',
+                createEstacao: 'POST /api/v1/mapa/estacoes',
+                updateEstacao: 'PUT /api/v1/mapa/estacoes/:id',
+                deleteEstacao: 'DELETE /api/v1/mapa/estacoes/:id'
+            },
             system: {
                 reset: 'POST /api/v1/system/reset',
                 stats: 'GET /api/v1/system/stats',
-                config: 'GET /api/v1/system/config'
+                config: 'GET /api/v1/system/config',
+                updateConfig: 'PUT /api/v1/system/config',
+                resetConfig: 'DELETE /api/v1/system/config'
+            },
+            events: {
+                stream: 'GET /api/v1/events (text/event-stream)',
+                types: 'GET /api/v1/events/types'
             }
         },
         documentation: '/api/docs'
@@ -114,7 +195,7 @@ app.get('/api', (req, res) => {
 });
 
 // Rota para servir o frontend na raiz
-app.get('/', (req, res) => {
+app.get(['/', '/index.html'], (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
@@ -134,6 +215,9 @@ app.use(errorHandler);
 let server;
 
 const startServer = () => {
+    // Vencimentos de manutenção por calendário não dependem de missões
+    maintenanceService.start();
+
     server = app.listen(PORT, () => {
         console.log(`
 🚁 ═══════════════════════════════════════════════════════════
@@ -151,6 +235,7 @@ const startServer = () => {
 };
 
 const stopServer = () => {
+    maintenanceService.stop();
     if (server) {
         server.close(() => {
             console.log('Servidor encerrado gracefully');
@@ -0,0 +1,124 @@
+/**
+ * Middleware - Coordinate Format
+ * Converte as coordenadas das respostas conforme o parâmetro ?coords=
+ * - latlon: pontos {x, y} viram {lat, lon} (apenas no sistema geo)
+ * - km: pontos viram {x, y} em km na grade local, com origem no canto mínimo do mapa
+ * Sem o parâmetro as respostas usam o formato interno {x, y}. Só os campos de localização
+ * conhecidos são convertidos; outros vetores {x, y} (ex.: o vento) seguem como estão
+ */
+
+const Geo = require('../../js/utils/Geo');
+const mapService = require('../services/mapService');
+
+const FORMATS = ['latlon', 'km'];
+
+// Campos das respostas que são um ponto no mapa
+const POINT_FIELDS = ['location', 'clientLocation', 'pickupLocation', 'dropLocation', 'position', 'basePosition'];
+
+// Campos das respostas que são listas de pontos (rotas e polígonos)
+const POINT_LIST_FIELDS = ['route', 'currentRoute', 'path', 'waypoints', 'polygon'];
+
+/**
+ * Verifica se um valor é um ponto {x, y}
+ * @param {*} value - Valor da resposta
+ * @returns {boolean} - True se possui x e y numéricos
+ */
+const isPoint = (value) => typeof value.x === 'number' && typeof value.y === 'number';
+
+/**
+ * Verifica se um valor são limites {minX, minY, maxX, maxY}
+ * @param {*} value - Valor da resposta
+ * @returns {boolean} - True se possui os quatro limites numéricos
+ */
+const isBounds = (value) => ['minX', 'minY', 'maxX', 'maxY'].every(key => typeof value[key] === 'number');
+
+/**
+ * Cria o conversor de pontos e limites de um formato
+ * @param {string} format - 'latlon' ou 'km'
+ * @param {World} world - Mapa atual
+ * @returns {Object} - {point, bounds}
+ */
+const createConverter = (format, world) => {
+    if (format === 'latlon') {
+        return {
+            point: ({ x, y, ...rest }) => ({ ...Geo.toLatLon({ x, y }), ...rest }),
+            bounds: ({ minX, minY, maxX, maxY }) => ({ minLat: minY, minLon: minX, maxLat: maxY, maxLon: maxX })
+        };
+    }
+
+    return {
+        point: ({ x, y, ...rest }) => ({ ...world.toLocalKm({ x, y }), ...rest }),
+        bounds: () => ({ minX: 0, minY: 0, maxX: world.getSizeKm().width, maxY: world.getSizeKm().height })
+    };
+};
+
+/**
+ * Percorre a resposta convertendo pontos e limites
+ * @param {*} value - Valor já serializado em JSON
+ * @param {Object} converter - Conversor criado por createConverter
+ * @param {string} field - Campo em que o valor está (null na raiz e nos itens de listas comuns)
+ * @returns {*} - Valor convertido
+ */
+const convertCoordinates = (value, converter, field = null) => {
+    if (Array.isArray(value)) {
+        // Itens de uma lista de pontos são pontos; nas demais listas vale o campo de cada item
+        const itemField = POINT_LIST_FIELDS.includes(field) ? field : null;
+        return value.map(item => convertCoordinates(item, converter, itemField));
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (isBounds(value)) {
+        return converter.bounds(value);
+    }
+
+    const converted = {};
+    for (const [key, item] of Object.entries(value)) {
+        converted[key] = convertCoordinates(item, converter, key);
+    }
+
+    const pointField = POINT_FIELDS.includes(field) || POINT_LIST_FIELDS.includes(field);
+    return pointField && isPoint(converted) ? converter.point(converted) : converted;
+};
+
+/**
+ * Middleware que aplica o formato de coordenadas pedido em ?coords=
+ */
+const coordinateFormat = (req, res, next) => {
+    const format = req.query.coords;
+
+    if (format === undefined) {
+        return next();
+    }
+
+    // Remove o parâmetro para não interferir na validação das rotas
+    delete req.query.coords;
+
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Dados invalidos',
+            message: `coords deve ser: ${FORMATS.join(', ')}`
+        });
+    }
+
+    const world = mapService.getWorld();
+
+    if (format === 'latlon' && !world.isGeographic()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Dados invalidos',
+            message: 'coords=latlon exige o mapa no sistema geo'
+        });
+    }
+
+    const converter = createConverter(format, world);
+    const json = res.json.bind(res);
+
+    res.json = (body) => json(convertCoordinates(JSON.parse(JSON.stringify(body)), converter));
+    next();
+};
+
+module.exports = coordinateFormat;
\ No newline at end of file
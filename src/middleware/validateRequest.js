@@ -4,6 +4,7 @@
  */
 
 const Joi = require('joi');
+const DroneCatalog = require('../../js/utils/DroneCatalog');
 
 /**
  * Middleware para validar requests
@@ -89,16 +90,26 @@ const commonSchemas = {
         })
     }),
 
-    // Validacao de coordenadas
-    coordinates: Joi.object({
-        x: Joi.number().min(0).max(20).required().messages({
-            'number.min': 'Coordenada X deve estar entre 0 e 20',
-            'number.max': 'Coordenada X deve estar entre 0 e 20'
+    // Validacao de coordenadas (os limites dependem do mapa configurado em /api/v1/mapa)
+    // Ponto {x, y} (km na grade; longitude/latitude no sistema geo) ou {lat, lon}
+    coordinates: Joi.alternatives().try(
+        Joi.object({
+            x: Joi.number().required(),
+            y: Joi.number().required()
         }),
-        y: Joi.number().min(0).max(20).required().messages({
-            'number.min': 'Coordenada Y deve estar entre 0 e 20',
-            'number.max': 'Coordenada Y deve estar entre 0 e 20'
+        Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lon: Joi.number().min(-180).max(180).required()
         })
+    ).messages({
+        'alternatives.match': 'Coordenadas devem ser x/y ou lat/lon (latitude entre -90 e 90, longitude entre -180 e 180)'
+    }),
+
+    // Modelo de drone cadastrado no catálogo (/api/v1/modelos), verificado a cada requisição
+    droneModel: Joi.string().custom((value, helpers) =>
+        (DroneCatalog.getModel(value) ? value : helpers.error('any.invalid'))
+    ).messages({
+        'any.invalid': 'Modelo de drone nao cadastrado no catalogo (veja /api/v1/modelos)'
     })
 };
 
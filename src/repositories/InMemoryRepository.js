@@ -0,0 +1,91 @@
+/**
+ * InMemoryRepository - Coleção de entidades mantida em memória
+ * Implementação padrão do repositório; os dados se perdem ao reiniciar o servidor
+ */
+class InMemoryRepository {
+    /**
+     * @param {string} name - Nome da coleção (ex.: 'drones')
+     */
+    constructor(name) {
+        this.name = name;
+        this.items = [];
+        this.idCounter = 1;
+    }
+
+    /**
+     * Retorna todas as entidades (array vivo, mutações devem ser seguidas de save())
+     * @returns {Array} - Entidades da coleção
+     */
+    all() {
+        return this.items;
+    }
+
+    /**
+     * Busca uma entidade pelo id
+     * @param {string} id - Id da entidade
+     * @returns {Object|null} - Entidade encontrada ou null
+     */
+    findById(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Reserva o próximo número sequencial da coleção
+     * @returns {number} - Número a usar no id da nova entidade
+     */
+    nextId() {
+        return this.idCounter++;
+    }
+
+    /**
+     * Adiciona uma entidade à coleção
+     * @param {Object} entity - Entidade a adicionar
+     * @returns {Object} - A entidade adicionada
+     */
+    add(entity) {
+        this.items.push(entity);
+        this.save();
+        return entity;
+    }
+
+    /**
+     * Remove uma entidade pelo id
+     * @param {string} id - Id da entidade
+     * @returns {Object|null} - Entidade removida ou null
+     */
+    remove(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const [removed] = this.items.splice(index, 1);
+        this.save();
+        return removed;
+    }
+
+    /**
+     * Substitui todas as entidades da coleção
+     * @param {Array} items - Novas entidades
+     */
+    replaceAll(items) {
+        this.items = items;
+        this.save();
+    }
+
+    /**
+     * Remove todas as entidades e reinicia a sequência de ids
+     */
+    clear() {
+        this.items = [];
+        this.idCounter = 1;
+        this.save();
+    }
+
+    /**
+     * Persiste o estado atual da coleção (sem efeito em memória)
+     */
+    save() {}
+}
+
+module.exports = InMemoryRepository;
\ No newline at end of file
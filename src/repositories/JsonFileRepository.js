@@ -0,0 +1,57 @@
+/**
+ * JsonFileRepository - Coleção de entidades persistida em arquivo JSON
+ * Mantém os dados em memória e regrava o arquivo a cada alteração
+ */
+
+const fs = require('fs');
+const path = require('path');
+const InMemoryRepository = require('./InMemoryRepository');
+
+class JsonFileRepository extends InMemoryRepository {
+    /**
+     * @param {string} name - Nome da coleção
+     * @param {Object} options - Opções de persistência
+     * @param {string} options.filePath - Caminho do arquivo JSON
+     * @param {Function} options.serialize - Converte uma entidade em objeto JSON
+     * @param {Function} options.deserialize - Reconstrói a entidade a partir do JSON
+     */
+    constructor(name, { filePath, serialize, deserialize }) {
+        super(name);
+        this.filePath = filePath;
+        this.serialize = serialize || (item => item);
+        this.deserialize = deserialize || (data => data);
+        this.load();
+    }
+
+    /**
+     * Carrega a coleção do arquivo, se existir
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.items = (content.items || []).map(data => this.deserialize(data));
+        this.idCounter = content.idCounter || 1;
+    }
+
+    /**
+     * Grava a coleção no arquivo (escrita atômica via arquivo temporário)
+     */
+    save() {
+        const content = {
+            collection: this.name,
+            idCounter: this.idCounter,
+            savedAt: new Date().toISOString(),
+            items: this.items.map(item => this.serialize(item))
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(content, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = JsonFileRepository;
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Repositórios - Camada de persistência da API
+ * Seleciona a implementação pela variável STORAGE_DRIVER:
+ *   memory (padrão) - dados em memória, perdidos ao reiniciar
+ *   json            - dados gravados em arquivos JSON no diretório DATA_DIR
+ */
+
+const path = require('path');
+const Drone = require('../../js/models/Drone');
+const Order = require('../../js/models/Order');
+const InMemoryRepository = require('./InMemoryRepository');
+const JsonFileRepository = require('./JsonFileRepository');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '../../data'));
+
+// O PIN do destinatário fica fora do JSON da API e é gravado só no arquivo
+const serializeOrder = (order) => ({
+    ...order.toJSON(),
+    recipientPin: order.recipientPin
+});
+
+// Drones referenciam pedidos pelo id no arquivo; os objetos são religados após a carga
+const serializeDrone = (drone) => ({
+    ...drone.toJSON(),
+    assignedOrders: drone.assignedOrders.map(order => order.id)
+});
+
+/**
+ * Cria um repositório de acordo com o driver configurado
+ * @param {string} name - Nome da coleção
+ * @param {Function} serialize - Conversão entidade -> JSON
+ * @param {Function} deserialize - Conversão JSON -> entidade
+ * @returns {InMemoryRepository} - Repositório da coleção
+ */
+function createRepository(name, serialize, deserialize) {
+    switch (STORAGE_DRIVER) {
+        case 'memory':
+            return new InMemoryRepository(name);
+        case 'json':
+            return new JsonFileRepository(name, {
+                filePath: path.join(DATA_DIR, `${name}.json`),
+                serialize,
+                deserialize
+            });
+        default:
+            throw new Error(`STORAGE_DRIVER invalido: ${STORAGE_DRIVER} (use memory ou json)`);
+    }
+}
+
+const orders = createRepository('orders', serializeOrder, Order.fromJSON);
+const deliveredOrders = createRepository('delivered-orders', serializeOrder, Order.fromJSON);
+const drones = createRepository('drones', serializeDrone, Drone.fromJSON);
+// Configurações de runtime sobrescritas via API (documentos simples, sem modelo)
+const settings = createRepository('settings');
+
+// Bases (depósitos) do mapa da cidade
+const bases = createRepository('bases');
+
+// Zonas de exclusão aérea (polígonos) do mapa da cidade
+const noFlyZones = createRepository('no-fly-zones');
+
+// Estações de recarga do mapa da cidade
+const chargingStations = createRepository('charging-stations');
+
+// Registros de manutenção dos drones (documentos simples)
+const maintenanceRecords = createRepository('maintenance-records');
+
+// Catálogo de modelos de drone (documentos simples; o nome do modelo é o id)
+const droneModels = createRepository('drone-models');
+
+// Comprovantes de entrega (documentos simples; o id do pedido é o id); as fotos ficam em DATA_DIR/comprovantes
+const proofsOfDelivery = createRepository('proofs-of-delivery');
+
+// Religa os pedidos atribuídos aos drones carregados do arquivo
+for (const drone of drones.all()) {
+    drone.assignedOrders = drone.assignedOrders
+        .map(ref => (typeof ref === 'string' ? orders.findById(ref) : ref))
+        .filter(Boolean);
+}
+
+// As simulações ficam só em memória: drones gravados em missão não têm mais quem os conduza.
+// Como na interrupção de uma simulação, voltam ociosos à base, descarregados, e os pedidos
+// que levavam (ou aguardavam a decolagem) voltam à fila
+const orphanedDrones = drones.all().filter(drone => drone.isOnMission());
+if (orphanedDrones.length > 0) {
+    const orphanedIds = orphanedDrones.map(drone => drone.id);
+    const orphanedOrders = orders.all()
+        .filter(order => orphanedIds.includes(order.assignedDrone) && ['assigned', 'in_flight', 'failed'].includes(order.status));
+
+    for (const order of orphanedOrders) {
+        if (order.status !== 'assigned') {
+            order.updateStatus('returned');
+        }
+        order.updateStatus('pending');
+    }
+    for (const drone of orphanedDrones) {
+        drone.recoverToBase();
+        if (!drone.canTransitionTo('idle')) {
+            drone.updateStatus('returning');
+        }
+        drone.updateStatus('idle');
+        drone.updatedAt = new Date();
+    }
+    orders.save();
+    drones.save();
+}
+
+module.exports = {
+    driver: STORAGE_DRIVER,
+    dataDir: DATA_DIR,
+    drones,
+    orders,
+    deliveredOrders,
+    settings,
+    bases,
+    noFlyZones,
+    chargingStations,
+    maintenanceRecords,
+    droneModels,
+    proofsOfDelivery
+};
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * Rotas da API - Despacho automático
+ * Endpoints para ligar, desligar, configurar e acompanhar o despacho contínuo de pedidos
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+const dronesModule = require('./drones');
+const pedidosModule = require('./pedidos');
+const entregasModule = require('./entregas');
+const AutoDispatcher = require('../services/AutoDispatcher');
+const simulationService = require('../services/simulationService');
+const planningService = require('../services/planningService');
+
+// Schema da configuração do despacho (atualização parcial)
+const dispatchConfigSchema = Joi.object({
+    strategy: Joi.string().valid(...planningService.getStrategies()),
+    holdingWindow: Joi.number().min(0).max(3600), // segundos
+    maxBatchSize: Joi.number().integer().min(1).max(100),
+    maxDistance: Joi.number().min(1).max(50),
+    timeBudget: Joi.number().integer().min(50).max(10000),
+    speed: Joi.number().min(0.1).max(5.0).allow(null),
+    realTime: Joi.boolean()
+});
+
+// Schema da consulta ao registro de decisões
+const decisionsQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// Pedidos pendentes fora de zonas de exclusão aérea, como na otimização
+const getPendingOrders = () => pedidosModule.getOrders().filter(o => o.status === 'pending' && !o.noFlyZoneId);
+const getIdleDrones = () => dronesModule.getDrones().filter(d => d.isAvailableForDispatch());
+
+// Despachante único: atribui pela estratégia configurada e lança as viagens numa simulação
+const dispatcher = new AutoDispatcher({
+    getPendingOrders,
+    getIdleDrones,
+    dispatch: ({ strategy, maxDistance, timeBudget, speed, realTime }) => {
+        const result = entregasModule.assignOrders(getPendingOrders(), getIdleDrones(), { strategy, maxDistance, timeBudget });
+        if (result.assignments.length === 0) {
+            return { ...result, drones: [], simulationId: null };
+        }
+
+        const orders = pedidosModule.getOrders();
+        const dronesWithOrders = getIdleDrones().filter(d =>
+            orders.some(o => o.assignedDrone === d.id && o.status === 'assigned'));
+        const simulation = simulationService.launch(dronesWithOrders, orders, {
+            speed,
+            realTime
+        });
+
+        return { ...result, drones: dronesWithOrders.map(d => d.id), simulationId: simulation.id };
+    }
+});
+
+/**
+ * GET /api/v1/despacho
+ * Estado do despacho automático
+ */
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: dispatcher.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/despacho/iniciar
+ * Liga o despacho automático, opcionalmente alterando a configuração
+ */
+router.post('/iniciar', (req, res) => {
+    try {
+        const { error, value } = dispatchConfigSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        if (!dispatcher.start(value)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: 'Despacho automatico ja esta ligado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: dispatcher.getStatus(),
+            message: 'Despacho automatico ligado',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/despacho/parar
+ * Desliga o despacho automático; viagens já lançadas continuam
+ */
+router.post('/parar', (req, res) => {
+    try {
+        if (!dispatcher.stop()) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: 'Despacho automatico ja esta desligado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: dispatcher.getStatus(),
+            message: 'Despacho automatico desligado',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/despacho/config
+ * Altera a configuração do despacho (atualização parcial)
+ */
+router.put('/config', (req, res) => {
+    try {
+        const { error, value } = dispatchConfigSchema.min(1).validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const config = dispatcher.updateConfig(value);
+
+        res.json({
+            success: true,
+            data: config,
+            message: 'Configuracao do despacho atualizada',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/despacho/decisoes
+ * Registro das decisões do despacho, da mais recente para a mais antiga
+ */
+router.get('/decisoes', (req, res) => {
+    try {
+        const { error, value } = decisionsQuerySchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const decisions = dispatcher.getDecisions(value.limit);
+
+        res.json({
+            success: true,
+            data: decisions,
+            count: decisions.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+// Desliga o despacho e descarta o registro (usado pelo sistema)
+const resetDispatcher = () => dispatcher.reset();
+
+module.exports = router;
+module.exports.resetDispatcher = resetDispatcher;
@@ -7,33 +7,60 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
+const Drone = require('../../js/models/Drone');
+const DroneCatalog = require('../../js/utils/DroneCatalog');
+const BatteryHealth = require('../../js/utils/BatteryHealth');
+const pedidosModule = require('./pedidos');
+const repositories = require('../repositories');
+const eventBus = require('../services/eventBus');
+const configService = require('../services/configService');
+const mapService = require('../services/mapService');
+const simulationService = require('../services/simulationService');
+const { commonSchemas } = require('../middleware/validateRequest');
+const { EVENT_TYPES } = eventBus;
 
-// Simulação de banco de dados em memória
-let drones = [];
-let droneIdCounter = 1;
+// Repositório de drones (memória ou arquivo, conforme STORAGE_DRIVER)
+const droneRepository = repositories.drones;
 
-// Schema de validação para drones
+// Schema de validação para drones (capacidade e alcance padrão vêm do modelo ou da configuração)
 const droneSchema = Joi.object({
-    capacity: Joi.number().min(1).max(20).required().messages({
+    capacity: Joi.number().min(1).max(20).messages({
         'number.min': 'Capacidade deve ser pelo menos 1kg',
         'number.max': 'Capacidade nao pode exceder 20kg'
     }),
-    range: Joi.number().min(1).max(50).required().messages({
+    range: Joi.number().min(1).max(50).messages({
         'number.min': 'Alcance deve ser pelo menos 1km',
         'number.max': 'Alcance nao pode exceder 50km'
     }),
-    status: Joi.string().valid('idle', 'loading', 'flying', 'delivering', 'returning').default('idle')
+    // Drones novos entram em operação ou ficam fora dela (manutenção, fora de serviço)
+    status: Joi.string().valid('idle', 'maintenance', 'offline').default('idle'),
+    baseId: Joi.string(),
+    // Modelo do catálogo define os limites, a velocidade de cruzeiro e o consumo de bateria
+    model: commonSchemas.droneModel
 });
 
 const droneUpdateSchema = Joi.object({
     capacity: Joi.number().min(1).max(20),
     range: Joi.number().min(1).max(50),
-    status: Joi.string().valid('idle', 'loading', 'flying', 'delivering', 'returning'),
+    // Status de missão são controlados pela simulação; a transição é validada na rota
+    status: Joi.string().valid(...Drone.MANUAL_STATUSES),
     battery: Joi.number().min(0).max(100),
-    position: Joi.object({
-        x: Joi.number().min(0).max(20),
-        y: Joi.number().min(0).max(20)
-    })
+    // Limites da posição dependem do mapa configurado (validados na rota)
+    position: commonSchemas.coordinates,
+    baseId: Joi.string(),
+    model: commonSchemas.droneModel
+});
+
+// Campos controlados pela simulação enquanto o drone está em missão
+const MISSION_FIELDS = ['position', 'battery', 'capacity', 'range'];
+
+// Schema da troca do pack de bateria (pack novo por padrão; um pack usado informa saúde e ciclos)
+const batterySwapSchema = Joi.object({
+    serial: Joi.string().trim().max(50),
+    health: Joi.number().min(BatteryHealth.MIN_HEALTH).max(100).default(100).messages({
+        'number.min': `Saude do pack deve ser pelo menos ${BatteryHealth.MIN_HEALTH}%`
+    }),
+    cycles: Joi.number().min(0).max(10000).default(0)
 });
 
 /**
@@ -42,25 +69,33 @@ const droneUpdateSchema = Joi.object({
  */
 router.get('/status', (req, res) => {
     try {
+        const drones = droneRepository.all();
         const dronesStatus = drones.map(drone => ({
             id: drone.id,
             status: drone.status,
+            statusChangedAt: drone.statusChangedAt.toISOString(),
             battery: drone.battery,
+            batteryHealth: drone.getBatteryHealth(),
             currentLoad: drone.currentLoad,
             capacity: drone.capacity,
             position: drone.position,
             assignedOrders: drone.assignedOrders.length,
             deliveriesCount: drone.deliveriesCount,
             totalDistance: drone.totalDistance,
-            efficiency: drone.efficiency || 0
+            efficiency: drone.getEfficiency()
         }));
 
         const summary = {
             totalDrones: drones.length,
-            activeDrones: drones.filter(d => d.status !== 'idle').length,
+            activeDrones: drones.filter(d => d.isOnMission()).length,
             idleDrones: drones.filter(d => d.status === 'idle').length,
+            // Em manutenção, fora de serviço ou em pouso de emergência
+            unavailableDrones: drones.filter(d => !d.isOnMission() && d.status !== 'idle').length,
             averageBattery: drones.length > 0 ? 
                 Math.round(drones.reduce((sum, d) => sum + d.battery, 0) / drones.length) : 0,
+            averageBatteryHealth: drones.length > 0 ?
+                Math.round(drones.reduce((sum, d) => sum + d.getBatteryHealth(), 0) / drones.length * 10) / 10 : 0,
+            batteriesToReplace: drones.filter(d => d.getBatteryStatus().replaceRecommended).length,
             totalDeliveries: drones.reduce((sum, d) => sum + d.deliveriesCount, 0)
         };
 
@@ -89,7 +124,7 @@ router.get('/', (req, res) => {
     try {
         const { status, available } = req.query;
         
-        let filteredDrones = [...drones];
+        let filteredDrones = [...droneRepository.all()];
         
         if (status) {
             filteredDrones = filteredDrones.filter(drone => drone.status === status);
@@ -97,7 +132,7 @@ router.get('/', (req, res) => {
         
         if (available === 'true') {
             filteredDrones = filteredDrones.filter(drone => 
-                drone.status === 'idle' && drone.battery >= 20
+                drone.isAvailableForDispatch() && !drone.needsToReturn()
             );
         }
 
@@ -122,7 +157,7 @@ router.get('/', (req, res) => {
  */
 router.get('/:id', (req, res) => {
     try {
-        const drone = drones.find(d => d.id === req.params.id);
+        const drone = droneRepository.findById(req.params.id);
         
         if (!drone) {
             return res.status(404).json({
@@ -134,7 +169,12 @@ router.get('/:id', (req, res) => {
 
         res.json({
             success: true,
-            data: drone,
+            data: {
+                ...drone.toJSON(),
+                allowedTransitions: drone.getAllowedTransitions(),
+                maintenance: drone.getMaintenanceStatus(),
+                batteryHealth: drone.getBatteryStatus()
+            },
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -163,24 +203,33 @@ router.post('/', async (req, res) => {
             });
         }
 
-        const newDrone = {
-            id: `DRONE-${droneIdCounter++}`,
-            uuid: uuidv4(),
-            capacity: value.capacity,
-            range: value.range,
-            currentLoad: 0,
-            battery: 100,
-            position: { x: 10, y: 10 }, // Base position
-            status: value.status,
-            assignedOrders: [],
-            currentRoute: [],
-            totalDistance: 0,
-            deliveriesCount: 0,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        const maxDrones = configService.get('maxDrones');
+        if (droneRepository.all().length >= maxDrones) {
+            return res.status(409).json({
+                success: false,
+                error: 'Limite de drones atingido',
+                message: `A frota ja possui o maximo de ${maxDrones} drones (maxDrones)`
+            });
+        }
 
-        drones.push(newDrone);
+        if (value.baseId && !mapService.getWorld().getBase(value.baseId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados inválidos',
+                message: `Base ${value.baseId} nao existe`
+            });
+        }
+
+        const limitError = checkModelLimits(value);
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados inválidos',
+                message: limitError
+            });
+        }
+
+        const newDrone = createDrone(value);
 
         res.status(201).json({
             success: true,
@@ -203,9 +252,9 @@ router.post('/', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
     try {
-        const droneIndex = drones.findIndex(d => d.id === req.params.id);
+        const drone = droneRepository.findById(req.params.id);
         
-        if (droneIndex === -1) {
+        if (!drone) {
             return res.status(404).json({
                 success: false,
                 error: 'Drone nao encontrado',
@@ -224,18 +273,148 @@ router.put('/:id', async (req, res) => {
             });
         }
 
+        const world = mapService.getWorld();
+
+        if (value.position) {
+            const { point, error: positionError } = mapService.normalizePoint(value.position);
+            if (positionError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Dados inválidos',
+                    message: positionError
+                });
+            }
+            value.position = point;
+        }
+
+        if (value.position && !world.contains(value.position)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados inválidos',
+                message: `Posicao deve estar dentro dos limites do mapa (${world.describeBounds()})`
+            });
+        }
+
+        const { baseId, status, ...changes } = value;
+
+        // Em missão, a posição, a bateria e os limites do drone são os da simulação
+        const missionFields = MISSION_FIELDS.filter(field => changes[field] !== undefined);
+        if (missionFields.length > 0 && drone.isOnMission()) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Drone ${drone.id} esta em missao; ${missionFields.join(', ')} so pode(m) ser alterado(s) fora de voo`
+            });
+        }
+
+        // Troca de modelo sem carga e alcance informados adota os do novo modelo
+        if (changes.model && changes.model !== drone.model) {
+            if (drone.isOnMission()) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Operacao nao permitida',
+                    message: `Drone ${drone.id} esta em missao; o modelo so pode ser alterado fora de voo`
+                });
+            }
+            const model = DroneCatalog.getModel(changes.model);
+            changes.capacity = changes.capacity || model.maxPayload;
+            changes.range = changes.range || model.range;
+        }
+
+        const limitError = checkModelLimits({
+            model: changes.model || drone.model,
+            capacity: changes.capacity,
+            range: changes.range
+        });
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados inválidos',
+                message: limitError
+            });
+        }
+
+        if (status && status !== drone.status) {
+            if (!drone.canTransitionTo(status)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Operacao nao permitida',
+                    message: `Drone ${drone.id} nao pode passar de ${drone.status} para ${status}`,
+                    allowedTransitions: drone.getAllowedTransitions()
+                });
+            }
+            // Com a manutenção vencida, o drone só volta à operação após a preventiva
+            if (status === 'idle' && drone.isMaintenanceDue()) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Operacao nao permitida',
+                    message: `Drone ${drone.id} esta com a manutencao vencida (${drone.getMaintenanceStatus().dueCriteria.join(', ')}); registre a manutencao preventiva antes`
+                });
+            }
+            // Sair de operação exige reatribuir ou cancelar os pedidos que aguardam a decolagem
+            if (drone.status === 'idle' && drone.assignedOrders.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Operacao nao permitida',
+                    message: `Drone ${drone.id} tem ${drone.assignedOrders.length} pedido(s) atribuido(s); reatribua ou cancele antes`
+                });
+            }
+        }
+
+        if (baseId) {
+            const base = world.getBase(baseId);
+            if (!base) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Dados inválidos',
+                    message: `Base ${baseId} nao existe`
+                });
+            }
+            if (drone.status !== 'idle' || drone.assignedOrders.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Operacao nao permitida',
+                    message: 'A base de origem so pode ser alterada com o drone ocioso e sem pedidos atribuidos'
+                });
+            }
+
+            // Drone é transferido para a nova base
+            drone.setHomeBase(base);
+            if (!changes.position) {
+                changes.position = { ...base.location };
+            }
+        }
+
+        const previous = { status: drone.status, battery: drone.battery, position: drone.position };
+
+        // Drone pousado fora da rota é recolhido à base ao sair do pouso de emergência
+        if (status && previous.status === 'emergency_landing' && status !== previous.status) {
+            drone.recoverToBase();
+        }
+
         // Atualiza apenas os campos fornecidos
-        const updatedDrone = {
-            ...drones[droneIndex],
-            ...value,
-            updatedAt: new Date().toISOString()
-        };
+        const { model, ...fields } = changes;
+        Object.assign(drone, fields);
+        if (model) {
+            drone.setModel(model);
+        }
+        if (status) {
+            drone.updateStatus(status);
+        }
+        drone.updatedAt = new Date();
+        droneRepository.save();
+        publishDroneChanges(drone, previous);
 
-        drones[droneIndex] = updatedDrone;
+        // Pouso de emergência encerra a missão; recolhido o drone, os pedidos que falharam voltam com ele
+        if (drone.status === 'emergency_landing' && previous.status !== 'emergency_landing') {
+            simulationService.handleEmergencyLanding(drone.id);
+        } else if (previous.status === 'emergency_landing' && drone.status !== 'emergency_landing') {
+            simulationService.returnFailedOrders(drone.id);
+        }
 
         res.json({
             success: true,
-            data: updatedDrone,
+            data: drone,
             message: 'Drone atualizado com sucesso',
             timestamp: new Date().toISOString()
         });
@@ -248,37 +427,114 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/v1/drones/:id/bateria
+ * Troca o pack de bateria de um drone fora de missão; o pack instalado chega carregado
+ */
+router.post('/:id/bateria', (req, res) => {
+    try {
+        const drone = droneRepository.findById(req.params.id);
+
+        if (!drone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Drone nao encontrado',
+                message: `Drone com ID ${req.params.id} nao existe`
+            });
+        }
+
+        const { error, value } = batterySwapSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        if (drone.isOnMission() || drone.status === 'emergency_landing') {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Drone ${drone.id} esta com status ${drone.status}; a troca de bateria e feita com o drone na base`
+            });
+        }
+
+        const previous = { status: drone.status, battery: drone.battery, position: drone.position };
+        const removed = drone.swapBattery(value);
+        drone.updatedAt = new Date();
+        droneRepository.save();
+        publishDroneChanges(drone, previous);
+        eventBus.publish(EVENT_TYPES.DRONE_BATTERY_SWAPPED, {
+            droneId: drone.id,
+            removed,
+            installed: drone.getBatteryStatus()
+        });
+
+        res.json({
+            success: true,
+            data: {
+                removed,
+                batteryHealth: drone.getBatteryStatus()
+            },
+            message: 'Bateria trocada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
 /**
  * DELETE /api/v1/drones/:id
  * Remove um drone
  */
 router.delete('/:id', (req, res) => {
     try {
-        const droneIndex = drones.findIndex(d => d.id === req.params.id);
+        const drone = droneRepository.findById(req.params.id);
         
-        if (droneIndex === -1) {
+        if (!drone) {
             return res.status(404).json({
                 success: false,
                 error: 'Drone nao encontrado',
                 message: `Drone com ID ${req.params.id} nao existe`
             });
         }
-
-        const drone = drones[droneIndex];
         
-        // Nao permite deletar drones em operacao
-        if (drone.status !== 'idle') {
-            return res.status(400).json({
+        // Nao permite deletar drones em missao ou pousados fora da base
+        if (drone.isOnMission() || drone.status === 'emergency_landing') {
+            return res.status(409).json({
                 success: false,
                 error: 'Operacao nao permitida',
-                message: 'Nao e possivel deletar drone que esta em operacao'
+                message: `Drone ${drone.id} esta com status ${drone.status}; aguarde o fim da missao ou recolha o drone antes de remover`,
+                allowedTransitions: drone.getAllowedTransitions()
             });
         }
 
-        drones.splice(droneIndex, 1);
+        // Pedidos atribuidos que ainda nao decolaram voltam para a fila com drain=true
+        if (drone.assignedOrders.length > 0 && req.query.drain !== 'true') {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Drone ${drone.id} tem ${drone.assignedOrders.length} pedido(s) atribuido(s); use drain=true para devolve-los a fila`
+            });
+        }
+
+        const requeuedOrders = pedidosModule.getOrders()
+            .filter(order => order.assignedDrone === drone.id && order.status === 'assigned')
+            .map(order => pedidosModule.transitionOrder(order, 'pending').order.id);
+
+        droneRepository.remove(drone.id);
+        eventBus.publish(EVENT_TYPES.DRONE_REMOVED, { droneId: drone.id, requeuedOrders });
 
         res.json({
             success: true,
+            data: { requeuedOrders },
             message: `Drone ${req.params.id} removido com sucesso`,
             timestamp: new Date().toISOString()
         });
@@ -297,7 +553,7 @@ router.delete('/:id', (req, res) => {
  */
 router.post('/batch', async (req, res) => {
     try {
-        const { count, capacity, range } = req.body;
+        const { count, capacity, range, baseId, model } = req.body;
         
         if (!count || count < 1 || count > 10) {
             return res.status(400).json({
@@ -307,7 +563,7 @@ router.post('/batch', async (req, res) => {
             });
         }
 
-        const { error } = droneSchema.validate({ capacity, range });
+        const { error } = droneSchema.validate({ capacity, range, baseId, model });
         
         if (error) {
             return res.status(400).json({
@@ -317,27 +573,36 @@ router.post('/batch', async (req, res) => {
             });
         }
 
+        if (baseId && !mapService.getWorld().getBase(baseId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: `Base ${baseId} nao existe`
+            });
+        }
+
+        const limitError = checkModelLimits({ capacity, range, model });
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: limitError
+            });
+        }
+
+        const maxDrones = configService.get('maxDrones');
+        const fleetSize = droneRepository.all().length;
+        if (fleetSize + count > maxDrones) {
+            return res.status(409).json({
+                success: false,
+                error: 'Limite de drones atingido',
+                message: `Criar ${count} drones excederia o maximo de ${maxDrones} (frota atual: ${fleetSize})`
+            });
+        }
+
         const newDrones = [];
         for (let i = 0; i < count; i++) {
-            const drone = {
-                id: `DRONE-${droneIdCounter++}`,
-                uuid: uuidv4(),
-                capacity,
-                range,
-                currentLoad: 0,
-                battery: 100,
-                position: { x: 10, y: 10 },
-                status: 'idle',
-                assignedOrders: [],
-                currentRoute: [],
-                totalDistance: 0,
-                deliveriesCount: 0,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            
-            drones.push(drone);
-            newDrones.push(drone);
+            newDrones.push(createDrone({ capacity, range, baseId, model }));
         }
 
         res.status(201).json({
@@ -355,14 +620,77 @@ router.post('/batch', async (req, res) => {
     }
 });
 
+// Carga e alcance informados não podem exceder os do modelo do catálogo
+// Retorna a mensagem de erro, ou null se os valores cabem no modelo
+const checkModelLimits = ({ capacity, range, model = DroneCatalog.DEFAULT_MODEL }) => {
+    const { maxPayload, range: maxRange } = DroneCatalog.resolve(model);
+    if (capacity > maxPayload) {
+        return `Capacidade de ${capacity}kg excede a carga maxima do modelo ${model} (${maxPayload}kg)`;
+    }
+    if (range > maxRange) {
+        return `Alcance de ${range}km excede o alcance do modelo ${model} (${maxRange}km)`;
+    }
+    return null;
+};
+
+// Cria e registra um drone a partir dos dados validados
+// Com modelo informado, carga e alcance omitidos são os do modelo; sem modelo, os da configuração
+// Sem baseId, o drone pertence à base padrão do mapa
+const createDrone = ({
+    capacity,
+    range,
+    status = 'idle',
+    baseId,
+    model
+}) => {
+    const world = mapService.getWorld();
+    const base = (baseId && world.getBase(baseId)) || world.getDefaultBase();
+    const catalogModel = model && DroneCatalog.getModel(model);
+
+    const drone = new Drone(
+        `DRONE-${droneRepository.nextId()}`,
+        capacity || (catalogModel ? catalogModel.maxPayload : configService.get('defaultDroneCapacity')),
+        range || (catalogModel ? catalogModel.range : configService.get('defaultDroneRange'))
+    );
+    drone.uuid = uuidv4();
+    drone.status = status;
+    drone.setModel(model || DroneCatalog.DEFAULT_MODEL);
+    drone.setHomeBase(base);
+    drone.position = { ...base.location };
+
+    droneRepository.add(drone);
+    eventBus.publish(EVENT_TYPES.DRONE_CREATED, { drone: drone.toJSON() });
+    return drone;
+};
+
+// Publica eventos de status, bateria e posição que mudaram em relação ao estado anterior
+const publishDroneChanges = (drone, previous) => {
+    if (drone.status !== previous.status) {
+        eventBus.publish(EVENT_TYPES.DRONE_STATUS, {
+            droneId: drone.id,
+            status: drone.status,
+            previousStatus: previous.status
+        });
+    }
+
+    if (drone.battery !== previous.battery) {
+        eventBus.publish(EVENT_TYPES.DRONE_BATTERY, { droneId: drone.id, battery: drone.battery });
+    }
+
+    if (drone.position.x !== previous.position.x || drone.position.y !== previous.position.y) {
+        eventBus.publish(EVENT_TYPES.DRONE_POSITION, { droneId: drone.id, position: drone.position });
+    }
+};
+
 // Middleware para resetar drones (usado pelo sistema)
 const resetDrones = () => {
-    drones = [];
-    droneIdCounter = 1;
+    droneRepository.clear();
 };
 
 // Exporta o router e funções utilitárias
 module.exports = router;
 module.exports.resetDrones = resetDrones;
-module.exports.getDrones = () => drones;
-module.exports.setDrones = (newDrones) => { drones = newDrones; };
\ No newline at end of file
+module.exports.createDrone = createDrone;
+module.exports.getDrones = () => droneRepository.all();
+module.exports.setDrones = (newDrones) => droneRepository.replaceAll(newDrones);
+module.exports.saveDrones = () => droneRepository.save();
\ No newline at end of file
@@ -10,17 +10,95 @@ const Joi = require('joi');
 // Importa dados dos outros módulos
 const dronesModule = require('./drones');
 const pedidosModule = require('./pedidos');
+const SimulationEngine = require('../services/SimulationEngine');
+const simulationService = require('../services/simulationService');
+const orderService = require('../services/orderService');
+const eventBus = require('../services/eventBus');
+const configService = require('../services/configService');
+const mapService = require('../services/mapService');
+const TimeWindows = require('../../js/utils/TimeWindows');
+const { commonSchemas } = require('../middleware/validateRequest');
+const { EVENT_TYPES } = eventBus;
+const { calculateDistance, calculateOptimizedRoute } = require('../utils/routing');
+const planningService = require('../services/planningService');
+const vrpSolver = require('../utils/vrpSolver');
+
+// Status dos pedidos que entram na rota do drone atribuído
+const ROUTE_STATUSES = ['assigned', 'in_flight'];
 
 // Schema para otimização
 const optimizationSchema = Joi.object({
-    strategy: Joi.string().valid('priority_first', 'capacity_optimization', 'distance_optimization', 'balanced_optimization').default('balanced_optimization'),
-    maxDistance: Joi.number().min(1).max(50).default(15)
+    strategy: Joi.string().valid(...planningService.getStrategies()).default(planningService.DEFAULT_STRATEGY),
+    maxDistance: Joi.number().min(1).max(50).default(15),
+    // Orçamento de tempo do vrp_solver em ms
+    timeBudget: Joi.number().integer().min(50).max(10000).default(vrpSolver.DEFAULT_TIME_BUDGET)
 });
 
-// Schema para simulação
+// Ponto no formato interno dos modelos {x, y}
+const pointSchema = Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required()
+});
+
+// Drones e pedidos enviados pelo cliente para planejar (JSON dos modelos)
+const snapshotDronesSchema = Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    capacity: Joi.number().min(1).max(20).required(),
+    range: Joi.number().min(1).max(50).required(),
+    battery: Joi.number().min(0).max(100),
+    status: Joi.string(),
+    model: commonSchemas.droneModel,
+    position: pointSchema,
+    basePosition: pointSchema.required(),
+    assignedOrders: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object().unknown(true)))
+}).unknown(true)).min(1);
+
+const snapshotOrdersSchema = Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    location: pointSchema.required(),
+    weight: Joi.number().min(0.1).max(20).required(),
+    priority: Joi.string().valid('alta', 'media', 'baixa').required(),
+    status: Joi.string().default('pending'),
+    createdAt: Joi.date().iso().required(),
+    dimensions: Joi.object({
+        length: Joi.number().min(1).max(300).required(),
+        width: Joi.number().min(1).max(300).required(),
+        height: Joi.number().min(1).max(300).required()
+    }).allow(null),
+    fragile: Joi.boolean(),
+    temperature: Joi.string().valid('ambiente', 'refrigerado', 'congelado'),
+    pickupLocation: pointSchema.allow(null),
+    pickedUpAt: Joi.date().iso().allow(null)
+}).unknown(true));
+
+// Schema para planejamento sem estado: drones e pedidos vêm do cliente
+const planningSchema = optimizationSchema.keys({
+    drones: snapshotDronesSchema.required(),
+    orders: snapshotOrdersSchema.required()
+});
+
+// Schema para o planejamento do turno: drones e pedidos do servidor ou, juntos, enviados pelo cliente
+const shiftSchema = optimizationSchema.keys({
+    start: Joi.date().iso(),
+    drones: snapshotDronesSchema,
+    orders: snapshotOrdersSchema
+}).and('drones', 'orders');
+
+// Schema para simulação (sem speed, vale simulationSpeed na proporção do cruzeiro de cada modelo)
 const simulationSchema = Joi.object({
-    speed: Joi.number().min(0.1).max(2.0).default(0.5),
-    realTime: Joi.boolean().default(false)
+    speed: Joi.number().min(0.1).max(5.0),
+    realTime: Joi.boolean().default(false),
+    failureRate: Joi.number().min(0).max(1)
+});
+
+// Schema para inserir um pedido na rota de um drone em voo
+const insertionSchema = Joi.object({
+    orderId: Joi.string().required()
+});
+
+// Schema para avanço manual do relógio da simulação
+const stepSchema = Joi.object({
+    seconds: Joi.number().min(1).max(86400).default(60)
 });
 
 /**
@@ -33,7 +111,7 @@ router.get('/rota', (req, res) => {
         const orders = pedidosModule.getOrders();
         
         const routes = drones.map(drone => {
-            const droneOrders = orders.filter(order => order.assignedDrone === drone.id);
+            const droneOrders = getRouteOrders(orders, drone.id);
             
             if (droneOrders.length === 0) {
                 return {
@@ -54,10 +132,14 @@ router.get('/rota', (req, res) => {
                 status: drone.status,
                 route: optimizedRoute.path,
                 totalDistance: optimizedRoute.distance,
+                detourDistance: optimizedRoute.detourDistance, // km extras para contornar zonas de exclusão
                 estimatedTime: optimizedRoute.estimatedTime,
+                chargingStops: optimizedRoute.chargingStops,
+                windowViolations: optimizedRoute.windowViolations, // entregas previstas após o fim da janela
                 orders: droneOrders.map(o => ({
                     id: o.id,
                     location: o.location,
+                    pickupLocation: o.pickupLocation, // coleta fora da base (null = sai da base)
                     weight: o.weight,
                     priority: o.priority
                 })),
@@ -109,7 +191,7 @@ router.get('/rota/:droneId', (req, res) => {
             });
         }
 
-        const droneOrders = orders.filter(order => order.assignedDrone === drone.id);
+        const droneOrders = getRouteOrders(orders, drone.id);
         
         if (droneOrders.length === 0) {
             return res.json({
@@ -136,10 +218,17 @@ router.get('/rota/:droneId', (req, res) => {
                 status: drone.status,
                 route: optimizedRoute.path,
                 totalDistance: optimizedRoute.distance,
+                detourDistance: optimizedRoute.detourDistance,
                 estimatedTime: optimizedRoute.estimatedTime,
                 orders: droneOrders,
+                visits: optimizedRoute.visits, // coletas e entregas na ordem, com a carga a bordo após cada uma
                 efficiency: calculateRouteEfficiency(optimizedRoute, droneOrders),
-                batteryConsumption: optimizedRoute.distance * 5 // 5% por km
+                batteryConsumption: optimizedRoute.batteryNeeded, // % pelo modelo de energia do drone
+                chargingStops: optimizedRoute.chargingStops,
+                chargingTime: optimizedRoute.chargingTime, // minutos parados em estações
+                feasible: optimizedRoute.feasible,
+                schedule: optimizedRoute.schedule, // horário previsto de cada entrega
+                windowViolations: optimizedRoute.windowViolations
             },
             timestamp: new Date().toISOString()
         });
@@ -171,8 +260,10 @@ router.post('/otimizar', async (req, res) => {
         const drones = dronesModule.getDrones();
         const orders = pedidosModule.getOrders();
         
-        const availableDrones = drones.filter(d => d.status === 'idle');
-        const pendingOrders = orders.filter(o => o.status === 'pending');
+        const availableDrones = drones.filter(d => d.isAvailableForDispatch());
+        // Pedidos cobertos por zonas de exclusão aérea ficam de fora até a zona ser removida
+        const pendingOrders = orders.filter(o => o.status === 'pending' && !o.noFlyZoneId);
+        const restrictedOrders = orders.filter(o => o.status === 'pending' && o.noFlyZoneId).map(o => o.id);
         
         if (availableDrones.length === 0) {
             return res.status(400).json({
@@ -188,25 +279,112 @@ router.post('/otimizar', async (req, res) => {
                 data: {
                     assignedOrders: 0,
                     totalOrders: 0,
-                    assignments: []
+                    assignments: [],
+                    restrictedOrders
                 },
                 message: 'Nenhum pedido pendente para otimizar',
                 timestamp: new Date().toISOString()
             });
         }
 
-        // Aplica algoritmo de otimização
-        const optimizationResult = applyOptimizationStrategy(
-            pendingOrders,
-            availableDrones,
-            value.strategy,
-            value.maxDistance
-        );
+        const optimizationResult = assignOrders(pendingOrders, availableDrones, value);
+
+        res.json({
+            success: true,
+            data: { ...optimizationResult, restrictedOrders },
+            message: `Otimizacao concluida usando estrategia: ${optimizationResult.strategy}`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/entregas/planejar
+ * Planeja a atribuição para drones e pedidos enviados pelo cliente, sem alterar os do servidor
+ * Usado pela interface para obter o mesmo plano que /otimizar produziria para essas entradas
+ */
+router.post('/planejar', async (req, res) => {
+    try {
+        const { error, value } = planningSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const { drones, orders, ...options } = value;
+        const snapshot = planningService.fromSnapshot({ drones, orders });
+        const plan = planningService.plan(snapshot.orders, snapshot.drones, options);
 
         res.json({
             success: true,
-            data: optimizationResult,
-            message: `Otimizacao concluida usando estrategia: ${value.strategy}`,
+            data: planningService.describe(plan),
+            message: `Plano calculado usando estrategia: ${plan.strategy}`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/entregas/turno
+ * Planeja o turno: viagens sucessivas de cada drone até atender todos os pedidos pendentes,
+ * com recarga e preparo na base entre viagens e o horário previsto de cada entrega
+ * Não altera drones nem pedidos; sem drones e pedidos no corpo usa os do servidor
+ */
+router.post('/turno', async (req, res) => {
+    try {
+        const { error, value } = shiftSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const { drones, orders, start = new Date(), ...options } = value;
+        let shiftDrones;
+        let shiftOrders;
+
+        if (drones) {
+            ({ drones: shiftDrones, orders: shiftOrders } = planningService.fromSnapshot({ drones, orders }));
+        } else {
+            shiftDrones = dronesModule.getDrones();
+            // Pedidos cobertos por zonas de exclusão aérea ficam de fora, como na otimização
+            shiftOrders = pedidosModule.getOrders().filter(o => !o.noFlyZoneId);
+        }
+
+        if (!shiftDrones.some(d => d.isAvailableForDispatch())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nenhum drone disponivel',
+                message: 'Todos os drones estao ocupados ou indisponiveis'
+            });
+        }
+
+        const shift = planningService.planShift(shiftOrders, shiftDrones, { ...options, start });
+        const result = planningService.describeShift(shift);
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Turno planejado: ${result.assignedOrders} de ${result.totalOrders} pedidos em ${result.totalTrips} viagens (${result.strategy})`,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -237,7 +415,9 @@ router.post('/simular', async (req, res) => {
         const drones = dronesModule.getDrones();
         const orders = pedidosModule.getOrders();
         
+        // Drones ja em voo pertencem a outra simulacao
         const dronesWithOrders = drones.filter(d => 
+            d.isAvailableForDispatch() &&
             orders.some(o => o.assignedDrone === d.id && o.status === 'assigned')
         );
         
@@ -249,22 +429,49 @@ router.post('/simular', async (req, res) => {
             });
         }
 
-        // Simula início das entregas
-        const simulation = {
-            id: `SIM-${Date.now()}`,
-            startedAt: new Date().toISOString(),
-            drones: dronesWithOrders.length,
-            totalOrders: orders.filter(o => o.status === 'assigned').length,
-            estimatedDuration: calculateSimulationDuration(dronesWithOrders, orders),
-            speed: value.speed,
-            realTime: value.realTime,
-            status: 'running'
-        };
+        // Sem speed, vale simulationSpeed na proporção do cruzeiro de cada modelo
+        const speed = value.speed || null;
+        const estimatedDuration = calculateSimulationDuration(dronesWithOrders, orders, speed);
+        const windowViolations = predictWindowViolations(dronesWithOrders, orders);
+        const simulation = simulationService.launch(dronesWithOrders, orders, { speed, realTime: value.realTime, failureRate: value.failureRate });
+
+        res.json({
+            success: true,
+            data: {
+                ...simulation.getStatus(),
+                drones: dronesWithOrders.length,
+                estimatedDuration,
+                windowViolations
+            },
+            message: windowViolations.length > 0
+                ? `Simulacao iniciada com sucesso; ${windowViolations.length} entrega(s) previstas fora da janela`
+                : 'Simulacao iniciada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/entregas/simular
+ * Lista as simulações registradas
+ */
+router.get('/simular', (req, res) => {
+    try {
+        const data = simulationService.list().map(simulation => {
+            const { drones, ...summary } = simulation.getStatus();
+            return { ...summary, drones: drones.length };
+        });
 
         res.json({
             success: true,
-            data: simulation,
-            message: 'Simulacao iniciada com sucesso',
+            data,
+            count: data.length,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -276,6 +483,225 @@ router.post('/simular', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/v1/entregas/simular/:id
+ * Retorna o estado de uma simulação
+ */
+router.get('/simular/:id', (req, res) => {
+    try {
+        const simulation = simulationService.get(req.params.id);
+
+        if (!simulation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Simulacao nao encontrada',
+                message: `Simulacao com ID ${req.params.id} nao existe`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: simulation.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/entregas/simular/:id/:acao
+ * Controla uma simulação: pausar, retomar, parar ou avancar
+ */
+router.post('/simular/:id/:acao', (req, res) => {
+    try {
+        const simulation = simulationService.get(req.params.id);
+
+        if (!simulation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Simulacao nao encontrada',
+                message: `Simulacao com ID ${req.params.id} nao existe`
+            });
+        }
+
+        let applied;
+        switch (req.params.acao) {
+            case 'pausar':
+                applied = simulation.pause();
+                break;
+            case 'retomar':
+                applied = simulation.resume();
+                break;
+            case 'parar':
+                applied = simulation.stop();
+                break;
+            case 'avancar': {
+                const { error, value } = stepSchema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Dados invalidos',
+                        message: error.details[0].message
+                    });
+                }
+                applied = simulation.status === 'running' || simulation.status === 'paused';
+                if (applied) {
+                    simulation.step(value.seconds);
+                }
+                break;
+            }
+            default:
+                return res.status(404).json({
+                    success: false,
+                    error: 'Acao nao encontrada',
+                    message: 'Acoes disponiveis: pausar, retomar, parar, avancar'
+                });
+        }
+
+        if (!applied) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Simulacao ${simulation.id} esta com status ${simulation.status}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: simulation.getStatus(),
+            message: `Acao ${req.params.acao} aplicada a simulacao ${simulation.id}`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/entregas/inserir
+ * Insere um pedido pendente na rota de um drone já em voo, replanejando as entregas restantes
+ */
+router.post('/inserir', (req, res) => {
+    try {
+        const { error, value } = insertionSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const order = pedidosModule.getOrders().find(o => o.id === value.orderId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pedido nao encontrado',
+                message: `Pedido com ID ${value.orderId} nao existe`
+            });
+        }
+
+        if (order.status !== 'pending' || order.noFlyZoneId) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: order.noFlyZoneId
+                    ? `Pedido ${order.id} esta em zona de exclusao aerea`
+                    : `Pedido ${order.id} esta com status ${order.status}`
+            });
+        }
+
+        const change = simulationService.insertIntoFlights(order);
+
+        if (!change) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Nenhum drone em voo pode levar o pedido ${order.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: change,
+            message: `Pedido ${order.id} inserido na rota do drone ${change.droneId}`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/entregas/janelas
+ * Prevê violações de janelas de entrega antes do despacho: entregas atribuídas a drones
+ * ainda na base que chegariam após o fim da janela e pedidos pendentes cuja janela não
+ * é alcançável nem com voo direto da base mais próxima, no drone mais rápido da frota
+ */
+router.get('/janelas', (req, res) => {
+    try {
+        const drones = dronesModule.getDrones();
+        const orders = pedidosModule.getOrders();
+        const world = mapService.getWorld();
+        const now = new Date();
+        const fastestSpeed = drones.length > 0 ? Math.max(...drones.map(d => d.speed)) : TimeWindows.getSpeed();
+
+        const violations = predictWindowViolations(drones.filter(d => d.isAvailableForDispatch()), orders);
+
+        const unreachable = orders
+            .filter(o => o.status === 'pending' && o.deliveryWindow)
+            .map(order => {
+                const base = world.findNearestBase(order.location);
+                const flightMinutes = calculateDistance(base.location, order.location) / fastestSpeed;
+                const earliestArrival = new Date(now.getTime() + flightMinutes * 60000);
+                return {
+                    orderId: order.id,
+                    baseId: base.id,
+                    earliestArrival: earliestArrival.toISOString(),
+                    deliveryWindow: order.toJSON().deliveryWindow,
+                    lateMinutes: Math.max(0, (earliestArrival - order.deliveryWindow.end) / 60000)
+                };
+            })
+            .filter(prediction => prediction.lateMinutes > 0);
+
+        res.json({
+            success: true,
+            data: {
+                violations,
+                unreachable,
+                summary: {
+                    ordersWithWindow: orders.filter(o => o.deliveryWindow).length,
+                    predictedViolations: violations.length,
+                    unreachableOrders: unreachable.length,
+                    overdueOrders: orders.filter(o => o.isOverdue()).length
+                }
+            },
+            timestamp: now.toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/v1/entregas/status
  * Retorna status atual das entregas
@@ -290,19 +716,25 @@ router.get('/status', (req, res) => {
             drones: {
                 total: drones.length,
                 idle: drones.filter(d => d.status === 'idle').length,
-                active: drones.filter(d => d.status !== 'idle').length,
+                active: drones.filter(d => d.isOnMission()).length,
+                unavailable: drones.filter(d => !d.isOnMission() && d.status !== 'idle').length,
                 byStatus: {
                     idle: drones.filter(d => d.status === 'idle').length,
                     loading: drones.filter(d => d.status === 'loading').length,
                     flying: drones.filter(d => d.status === 'flying').length,
                     delivering: drones.filter(d => d.status === 'delivering').length,
-                    returning: drones.filter(d => d.status === 'returning').length
+                    returning: drones.filter(d => d.status === 'returning').length,
+                    charging: drones.filter(d => d.status === 'charging').length,
+                    maintenance: drones.filter(d => d.status === 'maintenance').length,
+                    offline: drones.filter(d => d.status === 'offline').length,
+                    emergency_landing: drones.filter(d => d.status === 'emergency_landing').length
                 }
             },
             orders: {
                 total: orders.length + deliveredOrders.length,
                 pending: orders.filter(o => o.status === 'pending').length,
                 assigned: orders.filter(o => o.status === 'assigned').length,
+                inFlight: orders.filter(o => o.status === 'in_flight').length,
                 delivered: deliveredOrders.length,
                 byPriority: {
                     alta: orders.filter(o => o.priority === 'alta').length,
@@ -335,57 +767,11 @@ router.get('/status', (req, res) => {
 });
 
 // Funções auxiliares
-function calculateDistance(point1, point2) {
-    const dx = point2.x - point1.x;
-    const dy = point2.y - point1.y;
-    return Math.sqrt(dx * dx + dy * dy);
-}
-
-function calculateOptimizedRoute(drone, orders) {
-    const basePosition = { x: 10, y: 10 };
-    
-    if (orders.length === 0) {
-        return {
-            path: [basePosition],
-            distance: 0,
-            estimatedTime: 0
-        };
-    }
 
-    // Algoritmo nearest neighbor simples
-    const route = [basePosition];
-    const unvisited = [...orders];
-    let currentPosition = basePosition;
-    let totalDistance = 0;
-
-    while (unvisited.length > 0) {
-        let nearestIndex = 0;
-        let nearestDistance = calculateDistance(currentPosition, unvisited[0].location);
-
-        for (let i = 1; i < unvisited.length; i++) {
-            const distance = calculateDistance(currentPosition, unvisited[i].location);
-            if (distance < nearestDistance) {
-                nearestDistance = distance;
-                nearestIndex = i;
-            }
-        }
-
-        const nearestOrder = unvisited.splice(nearestIndex, 1)[0];
-        route.push(nearestOrder.location);
-        totalDistance += nearestDistance;
-        currentPosition = nearestOrder.location;
-    }
-
-    // Retorna à base
-    const returnDistance = calculateDistance(currentPosition, basePosition);
-    route.push(basePosition);
-    totalDistance += returnDistance;
-
-    return {
-        path: route,
-        distance: totalDistance,
-        estimatedTime: Math.round(totalDistance / 0.5 * 60) // minutos
-    };
+// Pedidos na rota de um drone: atribuídos ou em voo. Cancelados, devolvidos e com entrega
+// sem sucesso mantêm assignedDrone apenas como histórico
+function getRouteOrders(orders, droneId) {
+    return orders.filter(order => order.assignedDrone === droneId && ROUTE_STATUSES.includes(order.status));
 }
 
 function calculateRouteEfficiency(route, orders) {
@@ -393,75 +779,37 @@ function calculateRouteEfficiency(route, orders) {
     return Math.round((orders.length / route.distance) * 100);
 }
 
-function applyOptimizationStrategy(orders, drones, strategy, maxDistance) {
-    let assignedOrdersCount = 0;
-    const assignments = [];
-
-    // Ordena pedidos por prioridade
-    const sortedOrders = orders.sort((a, b) => {
-        const priorityScores = { 'alta': 3, 'media': 2, 'baixa': 1 };
-        return priorityScores[b.priority] - priorityScores[a.priority];
-    });
-
-    for (const order of sortedOrders) {
-        // Encontra melhor drone para o pedido
-        let bestDrone = null;
-        let bestScore = -1;
-
-        for (const drone of drones) {
-            if (drone.status !== 'idle') continue;
-            
-            const distance = calculateDistance({ x: 10, y: 10 }, order.location);
-            if (distance > maxDistance) continue;
-            
-            const currentLoad = (drone.assignedOrders || []).reduce((sum, o) => sum + o.weight, 0);
-            if (currentLoad + order.weight > drone.capacity) continue;
-
-            const score = (drone.capacity - currentLoad) / (distance + 1);
-            if (score > bestScore) {
-                bestScore = score;
-                bestDrone = drone;
-            }
-        }
-
-        if (bestDrone) {
-            order.status = 'assigned';
-            order.assignedDrone = bestDrone.id;
-            bestDrone.assignedOrders = bestDrone.assignedOrders || [];
-            bestDrone.assignedOrders.push(order);
-            assignedOrdersCount++;
-            
-            assignments.push({
-                orderId: order.id,
-                droneId: bestDrone.id,
-                distance: calculateDistance({ x: 10, y: 10 }, order.location)
-            });
-        }
-    }
-
-    return {
-        assignedOrders: assignedOrdersCount,
-        totalOrders: orders.length,
-        assignments,
-        strategy,
-        efficiency: Math.round((assignedOrdersCount / orders.length) * 100)
-    };
-}
-
-function calculateSimulationDuration(drones, orders) {
+function calculateSimulationDuration(drones, orders, speed) {
     let maxDuration = 0;
     
     for (const drone of drones) {
-        const droneOrders = orders.filter(o => o.assignedDrone === drone.id);
+        const droneOrders = getRouteOrders(orders, drone.id);
         if (droneOrders.length > 0) {
             const route = calculateOptimizedRoute(drone, droneOrders);
-            maxDuration = Math.max(maxDuration, route.estimatedTime);
+            // Segundos de voo mais o tempo parado em estações de recarga
+            const droneSpeed = SimulationEngine.resolveSpeed(drone, speed, configService.get('simulationSpeed'));
+            maxDuration = Math.max(maxDuration, Math.round(route.distance / droneSpeed * 60 + route.chargingTime * 60));
         }
     }
     
     return maxDuration;
 }
 
+// Entregas atribuídas previstas após o fim da janela, se os drones partissem agora
+function predictWindowViolations(drones, orders) {
+    const violations = [];
+
+    for (const drone of drones) {
+        const droneOrders = orders.filter(o => o.assignedDrone === drone.id && o.status === 'assigned');
+        if (droneOrders.length === 0) continue;
+
+        calculateOptimizedRoute(drone, droneOrders).windowViolations
+            .forEach(violation => violations.push({ droneId: drone.id, ...violation }));
+    }
+
+    return violations;
+}
+
 function calculateSystemEfficiency(orders, deliveredOrders, drones) {
     const totalOrders = orders.length + deliveredOrders.length;
     if (totalOrders === 0) return 0;
@@ -473,4 +821,34 @@ function calculateSystemEfficiency(orders, deliveredOrders, drones) {
     return Math.round((completionRate + averageBattery) / 2);
 }
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Planeja pela estratégia pedida, atribui os pedidos aos drones e publica as atribuições
+ * Usado por /otimizar e pelo despacho automático
+ * @param {Array<Order>} pendingOrders - Pedidos pendentes
+ * @param {Array<Drone>} availableDrones - Drones ociosos
+ * @param {Object} options - {strategy, maxDistance, timeBudget}
+ * @returns {Object} - Resumo do plano com as atribuições feitas
+ */
+function assignOrders(pendingOrders, availableDrones, options) {
+    const plan = planningService.plan(pendingOrders, availableDrones, options);
+    const assignments = planningService.apply(plan);
+    const optimizationResult = { ...planningService.describe(plan), assignments };
+
+    dronesModule.saveDrones();
+    pedidosModule.saveOrders();
+
+    for (const assignment of assignments) {
+        orderService.publishStatus(pendingOrders.find(o => o.id === assignment.orderId));
+    }
+    eventBus.publish(EVENT_TYPES.OPTIMIZATION_COMPLETED, {
+        strategy: optimizationResult.strategy,
+        assignedOrders: optimizationResult.assignedOrders,
+        totalOrders: optimizationResult.totalOrders,
+        efficiency: optimizationResult.efficiency
+    });
+
+    return optimizationResult;
+}
+
+module.exports = router;
+module.exports.assignOrders = assignOrders;
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Rotas da API - Eventos
+ * Stream em tempo real (Server-Sent Events) das mudanças de drones e pedidos
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const eventBus = require('../services/eventBus');
+const { EVENT_TYPES } = eventBus;
+
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 3000;
+
+const eventTypes = Object.values(EVENT_TYPES);
+const eventCategories = [...new Set(eventTypes.map(type => type.split('.')[0]))];
+
+// Schema dos filtros do stream
+const streamSchema = Joi.object({
+    // Tipos separados por vírgula; aceita o tipo completo (drone.position) ou a categoria (drone)
+    types: Joi.string().pattern(/^[a-z._]+(,[a-z._]+)*$/),
+    lastEventId: Joi.number().integer().min(0)
+});
+
+/**
+ * GET /api/v1/events/types
+ * Lista os tipos de evento publicados no stream
+ */
+router.get('/types', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                types: eventTypes,
+                categories: eventCategories
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/events
+ * Abre o stream de eventos (text/event-stream)
+ */
+router.get('/', (req, res) => {
+    try {
+        const { error, value } = streamSchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const filters = value.types ? value.types.split(',') : [];
+        const unknown = filters.filter(f => !eventTypes.includes(f) && !eventCategories.includes(f));
+
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: `Tipos de evento desconhecidos: ${unknown.join(', ')}`,
+                details: { availableTypes: eventTypes, availableCategories: eventCategories }
+            });
+        }
+
+        const matches = (event) => filters.length === 0 ||
+            filters.includes(event.type) ||
+            filters.includes(event.type.split('.')[0]);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        // compression() acumula a resposta; flush garante a entrega imediata
+        const write = (chunk) => {
+            res.write(chunk);
+            if (res.flush) res.flush();
+        };
+
+        const send = (event) => {
+            if (!matches(event)) return;
+            write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        write(`retry: ${RETRY_MS}\n\n`);
+
+        // Reenvia o que o cliente perdeu enquanto estava desconectado
+        const lastEventId = req.get('Last-Event-ID') !== undefined
+            ? Number(req.get('Last-Event-ID'))
+            : value.lastEventId;
+        if (Number.isInteger(lastEventId)) {
+            eventBus.since(lastEventId).forEach(send);
+        }
+
+        const unsubscribe = eventBus.subscribe(send);
+        const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+        if (heartbeat.unref) {
+            heartbeat.unref();
+        }
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
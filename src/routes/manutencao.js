@@ -0,0 +1,357 @@
+/**
+ * Rotas da API - Manutenção
+ * Endpoints para os planos de manutenção preventiva dos drones, os registros de
+ * manutenção e a agenda da frota. A entrada automática em manutenção dos drones com a
+ * manutenção vencida fica com o maintenanceService
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const repositories = require('../repositories');
+const eventBus = require('../services/eventBus');
+const maintenanceService = require('../services/maintenanceService');
+const { EVENT_TYPES } = eventBus;
+
+const droneRepository = repositories.drones;
+const recordRepository = repositories.maintenanceRecords;
+
+// Tipos de registro; só a preventiva reinicia a contagem dos intervalos do plano
+const RECORD_TYPES = ['preventiva', 'corretiva', 'inspecao'];
+
+// Schema do plano (atualização parcial; null desativa o critério)
+const planSchema = Joi.object({
+    distanceKm: Joi.number().min(1).max(100000).allow(null),
+    flightHours: Joi.number().min(0.1).max(10000).allow(null),
+    cycles: Joi.number().integer().min(1).max(100000).allow(null),
+    days: Joi.number().integer().min(1).max(3650).allow(null)
+}).min(1);
+
+// Schema dos registros de manutenção
+const recordSchema = Joi.object({
+    droneId: Joi.string().required().messages({
+        'any.required': 'Drone e obrigatorio'
+    }),
+    type: Joi.string().valid(...RECORD_TYPES).default('preventiva'),
+    description: Joi.string().trim().max(500).allow(''),
+    technician: Joi.string().trim().max(100),
+    performedAt: Joi.date().iso().max('now').messages({
+        'date.max': 'Data da manutencao nao pode estar no futuro'
+    })
+});
+
+// Schema da agenda da frota
+const fleetQuerySchema = Joi.object({
+    days: Joi.number().min(0).max(3650), // Só drones com vencimento previsto nos próximos dias
+    due: Joi.boolean() // Só drones com a manutenção vencida
+});
+
+// Schema da listagem de registros
+const recordsQuerySchema = Joi.object({
+    droneId: Joi.string(),
+    type: Joi.string().valid(...RECORD_TYPES),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+/**
+ * GET /api/v1/manutencao
+ * Agenda da frota: situação da manutenção de cada drone, do vencimento mais próximo ao mais distante
+ */
+router.get('/', (req, res) => {
+    try {
+        const { error, value } = fleetQuerySchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const now = new Date();
+        let schedule = droneRepository.all().map(drone => describeDrone(drone, now));
+
+        if (value.due !== undefined) {
+            schedule = schedule.filter(item => item.due === value.due);
+        }
+        if (value.days !== undefined) {
+            const limit = now.getTime() + value.days * 86400000;
+            schedule = schedule.filter(item => item.dueAt && new Date(item.dueAt).getTime() <= limit);
+        }
+
+        // Sem previsão (drone ainda sem uso e sem calendário) vai para o fim
+        schedule.sort((a, b) => (a.dueAt ? new Date(a.dueAt).getTime() : Infinity) -
+            (b.dueAt ? new Date(b.dueAt).getTime() : Infinity));
+
+        res.json({
+            success: true,
+            data: schedule,
+            count: schedule.length,
+            summary: {
+                due: schedule.filter(item => item.due).length,
+                inMaintenance: schedule.filter(item => item.status === 'maintenance').length
+            },
+            timestamp: now.toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/manutencao/drones/:id
+ * Situação da manutenção de um drone com o seu histórico de registros
+ */
+router.get('/drones/:id', (req, res) => {
+    try {
+        const drone = droneRepository.findById(req.params.id);
+
+        if (!drone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Drone nao encontrado',
+                message: `Drone com ID ${req.params.id} nao existe`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...describeDrone(drone, new Date()),
+                records: getRecords({ droneId: drone.id })
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/manutencao/drones/:id/plano
+ * Define os intervalos do plano do drone (os omitidos seguem o plano atual)
+ */
+router.put('/drones/:id/plano', (req, res) => {
+    try {
+        const drone = droneRepository.findById(req.params.id);
+
+        if (!drone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Drone nao encontrado',
+                message: `Drone com ID ${req.params.id} nao existe`
+            });
+        }
+
+        const { error, value } = planSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        drone.maintenancePlan = { ...(drone.maintenancePlan || {}), ...value };
+        drone.updatedAt = new Date();
+        droneRepository.save();
+        maintenanceService.checkDrone(drone);
+
+        res.json({
+            success: true,
+            data: describeDrone(drone, new Date()),
+            message: 'Plano de manutencao atualizado',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/manutencao/drones/:id/plano
+ * Volta o drone ao plano padrão
+ */
+router.delete('/drones/:id/plano', (req, res) => {
+    try {
+        const drone = droneRepository.findById(req.params.id);
+
+        if (!drone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Drone nao encontrado',
+                message: `Drone com ID ${req.params.id} nao existe`
+            });
+        }
+
+        drone.maintenancePlan = null;
+        drone.updatedAt = new Date();
+        droneRepository.save();
+        maintenanceService.checkDrone(drone);
+
+        res.json({
+            success: true,
+            data: describeDrone(drone, new Date()),
+            message: 'Drone voltou ao plano de manutencao padrao',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/manutencao/registros
+ * Lista os registros de manutenção, do mais recente ao mais antigo
+ */
+router.get('/registros', (req, res) => {
+    try {
+        const { error, value } = recordsQuerySchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const records = getRecords(value).slice(0, value.limit);
+
+        res.json({
+            success: true,
+            data: records,
+            count: records.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/manutencao/registros
+ * Registra uma manutenção feita num drone fora de missão
+ * A preventiva reinicia a contagem dos intervalos do plano a partir do uso atual
+ */
+router.post('/registros', (req, res) => {
+    try {
+        const { error, value } = recordSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const drone = droneRepository.findById(value.droneId);
+        if (!drone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Drone nao encontrado',
+                message: `Drone com ID ${value.droneId} nao existe`
+            });
+        }
+
+        if (drone.isOnMission() || drone.status === 'emergency_landing') {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Drone ${drone.id} esta com status ${drone.status}; recolha o drone antes de registrar a manutencao`
+            });
+        }
+
+        const performedAt = value.performedAt || new Date();
+        const record = {
+            id: `MNT-${recordRepository.nextId()}`,
+            droneId: drone.id,
+            type: value.type,
+            description: value.description || '',
+            technician: value.technician || null,
+            performedAt: performedAt.toISOString(),
+            // Uso do drone no momento da manutenção
+            usage: {
+                totalDistance: Math.round(drone.totalDistance * 10) / 10,
+                flightHours: Math.round(drone.flightMinutes / 6) / 10,
+                cycles: drone.cycles
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        if (record.type === 'preventiva') {
+            drone.completeMaintenance(performedAt);
+            drone.updatedAt = new Date();
+            droneRepository.save();
+        }
+
+        recordRepository.add(record);
+        eventBus.publish(EVENT_TYPES.MAINTENANCE_RECORDED, { record });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                record,
+                maintenance: describeDrone(drone, new Date())
+            },
+            message: 'Manutencao registrada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+// Situação da manutenção de um drone para as respostas da API
+const describeDrone = (drone, now) => {
+    const status = drone.getMaintenanceStatus(now);
+    return {
+        droneId: drone.id,
+        status: drone.status,
+        model: drone.model,
+        customPlan: Boolean(drone.maintenancePlan),
+        ...status,
+        dueAt: status.dueAt ? status.dueAt.toISOString() : null,
+        lastMaintenanceAt: status.lastMaintenanceAt.toISOString()
+    };
+};
+
+// Registros filtrados por drone e tipo, do mais recente ao mais antigo
+const getRecords = ({ droneId, type } = {}) => recordRepository.all()
+    .filter(record => (!droneId || record.droneId === droneId) && (!type || record.type === type))
+    .sort((a, b) => new Date(b.performedAt) - new Date(a.performedAt));
+
+// Descarta os registros de manutenção (usado pelo sistema)
+const resetMaintenance = () => {
+    recordRepository.clear();
+};
+
+module.exports = router;
+module.exports.resetMaintenance = resetMaintenance;
\ No newline at end of file
@@ -0,0 +1,821 @@
+/**
+ * Rotas da API - Mapa
+ * Endpoints para os limites da cidade, o cadastro de bases (depósitos),
+ * as zonas de exclusão aérea e as estações de recarga
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const mapService = require('../services/mapService');
+const chargingService = require('../services/chargingService');
+const Airspace = require('../../js/utils/Airspace');
+const { commonSchemas } = require('../middleware/validateRequest');
+
+// Schema para limites do mapa: minX/minY/maxX/maxY ou, no sistema geo, minLat/minLon/maxLat/maxLon
+const boundsSchema = Joi.object({
+    coordinateSystem: Joi.string().valid('grid', 'geo'),
+    minX: Joi.number(),
+    minY: Joi.number(),
+    maxX: Joi.number(),
+    maxY: Joi.number(),
+    minLat: Joi.number(),
+    minLon: Joi.number(),
+    maxLat: Joi.number(),
+    maxLon: Joi.number()
+})
+    .and('minX', 'minY', 'maxX', 'maxY')
+    .and('minLat', 'minLon', 'maxLat', 'maxLon')
+    .xor('minX', 'minLat');
+
+// Schema para bases
+const baseSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50).required().messages({
+        'any.required': 'Nome da base e obrigatorio'
+    }),
+    location: commonSchemas.coordinates.required()
+});
+
+const baseUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    location: commonSchemas.coordinates
+}).min(1);
+
+// Schema para zonas de exclusão aérea
+const zoneSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50).required().messages({
+        'any.required': 'Nome da zona e obrigatorio'
+    }),
+    type: Joi.string().valid(...Airspace.ZONE_TYPES).default('outro'),
+    polygon: Joi.array().items(commonSchemas.coordinates).min(3).max(50).required()
+});
+
+const zoneUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    type: Joi.string().valid(...Airspace.ZONE_TYPES),
+    polygon: Joi.array().items(commonSchemas.coordinates).min(3).max(50)
+}).min(1);
+
+// Schema para estações de recarga (taxa em % de bateria por minuto)
+const stationSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50).required().messages({
+        'any.required': 'Nome da estacao e obrigatorio'
+    }),
+    location: commonSchemas.coordinates.required(),
+    chargeRate: Joi.number().min(0.1).max(100).default(10),
+    slots: Joi.number().integer().min(1).max(20).default(1)
+});
+
+const stationUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    location: commonSchemas.coordinates,
+    chargeRate: Joi.number().min(0.1).max(100),
+    slots: Joi.number().integer().min(1).max(20)
+}).min(1);
+
+// Converte limites em lat/lon para o formato interno (x = longitude, y = latitude)
+const normalizeBounds = (value) => (value.minLat !== undefined
+    ? { minX: value.minLon, minY: value.minLat, maxX: value.maxLon, maxY: value.maxLat }
+    : { minX: value.minX, minY: value.minY, maxX: value.maxX, maxY: value.maxY });
+
+// Converte a localização recebida ({x, y} ou {lat, lon}); retorna a mensagem de erro, se houver
+const normalizeLocation = (value) => {
+    if (!value.location) {
+        return null;
+    }
+
+    const { point, error } = mapService.normalizePoint(value.location);
+    value.location = point;
+    return error;
+};
+
+// Converte os vértices do polígono ({x, y} ou {lat, lon}); retorna a mensagem de erro, se houver
+const normalizePolygon = (value) => {
+    if (!value.polygon) {
+        return null;
+    }
+
+    const points = value.polygon.map(point => mapService.normalizePoint(point));
+    const failed = points.find(result => result.error);
+    value.polygon = points.map(result => result.point);
+    return failed ? failed.error : null;
+};
+
+// Resumo de uma zona com os pedidos sinalizados dentro dela
+const describeZone = (zone) => ({
+    ...zone,
+    orders: mapService.getOrdersInNoFlyZone(zone.id).map(order => order.id)
+});
+
+// Resumo de uma estação com os drones recarregando e na fila
+const describeStation = (station) => ({
+    ...station,
+    occupancy: chargingService.getOccupancy(station.id)
+});
+
+// Resumo de uma base com os drones que partem dela
+const describeBase = (base) => ({
+    ...base,
+    drones: mapService.getDronesOfBase(base.id).map(drone => drone.id)
+});
+
+/**
+ * GET /api/v1/mapa
+ * Retorna limites e bases do mapa
+ */
+router.get('/', (req, res) => {
+    try {
+        const world = mapService.getWorld();
+
+        res.json({
+            success: true,
+            data: {
+                ...world.toJSON(),
+                defaultBaseId: world.getDefaultBase().id
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/mapa/limites
+ * Altera os limites do mapa e, opcionalmente, o sistema de coordenadas (grid ou geo)
+ */
+router.put('/limites', (req, res) => {
+    try {
+        const { error, value } = boundsSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const currentSystem = mapService.getCoordinateSystem();
+        const coordinateSystem = value.coordinateSystem ||
+            (value.minLat !== undefined ? 'geo' : currentSystem);
+
+        if (value.minLat !== undefined && coordinateSystem !== 'geo') {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: 'Limites em lat/lon exigem coordinateSystem geo'
+            });
+        }
+
+        if (coordinateSystem !== currentSystem) {
+            const blockers = mapService.getCoordinateSystemBlockers();
+            if (blockers.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Operacao nao permitida',
+                    message: `Nao e possivel trocar o sistema de coordenadas com ${blockers.join(' e ')}. Use POST /api/v1/system/reset antes`
+                });
+            }
+        }
+
+        const validation = mapService.updateBounds(normalizeBounds(value), coordinateSystem);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
+
+        res.json({
+            success: true,
+            data: mapService.getWorld().toJSON(),
+            message: 'Limites do mapa atualizados com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/mapa/bases
+ * Lista as bases cadastradas
+ */
+router.get('/bases', (req, res) => {
+    try {
+        const bases = mapService.getWorld().bases.map(describeBase);
+
+        res.json({
+            success: true,
+            data: bases,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/mapa/bases/:id
+ * Retorna uma base
+ */
+router.get('/bases/:id', (req, res) => {
+    try {
+        const base = mapService.getWorld().getBase(req.params.id);
+
+        if (!base) {
+            return res.status(404).json({
+                success: false,
+                error: 'Base nao encontrada',
+                message: `Base com ID ${req.params.id} nao existe`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeBase(base),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/mapa/bases
+ * Cadastra uma nova base
+ */
+router.post('/bases', (req, res) => {
+    try {
+        const { error, value } = baseSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const locationError = normalizeLocation(value);
+        if (locationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: locationError
+            });
+        }
+
+        const { base, validation } = mapService.createBase(value);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: base,
+            message: 'Base criada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/mapa/bases/:id
+ * Atualiza nome e/ou localização de uma base
+ */
+router.put('/bases/:id', (req, res) => {
+    try {
+        if (!mapService.getWorld().getBase(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Base nao encontrada',
+                message: `Base com ID ${req.params.id} nao existe`
+            });
+        }
+
+        const { error, value } = baseUpdateSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const locationError = normalizeLocation(value);
+        if (locationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: locationError
+            });
+        }
+
+        const { base, validation } = mapService.updateBase(req.params.id, value);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeBase(base),
+            message: 'Base atualizada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/mapa/bases/:id
+ * Remove uma base sem drones
+ */
+router.delete('/bases/:id', (req, res) => {
+    try {
+        const world = mapService.getWorld();
+
+        if (!world.getBase(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Base nao encontrada',
+                message: `Base com ID ${req.params.id} nao existe`
+            });
+        }
+
+        if (world.bases.length === 1) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: 'O mapa precisa ter pelo menos uma base'
+            });
+        }
+
+        const drones = mapService.getDronesOfBase(req.params.id);
+        if (drones.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Base possui drones: ${drones.map(drone => drone.id).join(', ')}. Transfira-os antes de remover`
+            });
+        }
+
+        mapService.removeBase(req.params.id);
+
+        res.json({
+            success: true,
+            message: `Base ${req.params.id} removida com sucesso`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/mapa/zonas
+ * Lista as zonas de exclusão aérea
+ */
+router.get('/zonas', (req, res) => {
+    try {
+        const zones = mapService.getWorld().noFlyZones.map(describeZone);
+
+        res.json({
+            success: true,
+            data: zones,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/mapa/zonas/:id
+ * Retorna uma zona de exclusão aérea
+ */
+router.get('/zonas/:id', (req, res) => {
+    try {
+        const zone = mapService.getWorld().getNoFlyZone(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Zona nao encontrada',
+                message: `Zona com ID ${req.params.id} nao existe`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeZone(zone),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/mapa/zonas
+ * Cadastra uma zona de exclusão aérea (polígono)
+ */
+router.post('/zonas', (req, res) => {
+    try {
+        const { error, value } = zoneSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const polygonError = normalizePolygon(value);
+        if (polygonError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: polygonError
+            });
+        }
+
+        const { zone, validation, requeuedOrders } = mapService.createNoFlyZone(value);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
+
+        const described = describeZone(zone);
+
+        res.status(201).json({
+            success: true,
+            data: described,
+            requeuedOrders, // atribuídos a drones que ainda não decolaram, de volta à fila
+            message: described.orders.length > 0
+                ? `Zona criada com sucesso; ${described.orders.length} pedido(s) dentro dela foram sinalizados` +
+                    (requeuedOrders.length > 0 ? ` e ${requeuedOrders.length} atribuido(s) voltaram a fila` : '')
+                : 'Zona criada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/mapa/zonas/:id
+ * Atualiza nome, tipo e/ou polígono de uma zona
+ */
+router.put('/zonas/:id', (req, res) => {
+    try {
+        if (!mapService.getWorld().getNoFlyZone(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Zona nao encontrada',
+                message: `Zona com ID ${req.params.id} nao existe`
+            });
+        }
+
+        const { error, value } = zoneUpdateSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const polygonError = normalizePolygon(value);
+        if (polygonError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: polygonError
+            });
+        }
+
+        const { zone, validation, requeuedOrders } = mapService.updateNoFlyZone(req.params.id, value);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeZone(zone),
+            requeuedOrders,
+            message: 'Zona atualizada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/mapa/zonas/:id
+ * Remove uma zona de exclusão aérea
+ */
+router.delete('/zonas/:id', (req, res) => {
+    try {
+        if (!mapService.removeNoFlyZone(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Zona nao encontrada',
+                message: `Zona com ID ${req.params.id} nao existe`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Zona ${req.params.id} removida com sucesso`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/mapa/estacoes
+ * Lista as estações de recarga com a ocupação atual
+ */
+router.get('/estacoes', (req, res) => {
+    try {
+        const stations = mapService.getWorld().chargingStations.map(describeStation);
+
+        res.json({
+            success: true,
+            data: stations,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/mapa/estacoes/:id
+ * Retorna uma estação de recarga
+ */
+router.get('/estacoes/:id', (req, res) => {
+    try {
+        const station = mapService.getWorld().getChargingStation(req.params.id);
+
+        if (!station) {
+            return res.status(404).json({
+                success: false,
+                error: 'Estacao nao encontrada',
+                message: `Estacao com ID ${req.params.id} nao existe`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeStation(station),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/mapa/estacoes
+ * Cadastra uma estação de recarga
+ */
+router.post('/estacoes', (req, res) => {
+    try {
+        const { error, value } = stationSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const locationError = normalizeLocation(value);
+        if (locationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: locationError
+            });
+        }
+
+        const { station, validation } = mapService.createChargingStation(value);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: describeStation(station),
+            message: 'Estacao criada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/mapa/estacoes/:id
+ * Atualiza nome, localização, taxa de recarga e/ou vagas de uma estação
+ */
+router.put('/estacoes/:id', (req, res) => {
+    try {
+        if (!mapService.getWorld().getChargingStation(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Estacao nao encontrada',
+                message: `Estacao com ID ${req.params.id} nao existe`
+            });
+        }
+
+        const { error, value } = stationUpdateSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const locationError = normalizeLocation(value);
+        if (locationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: locationError
+            });
+        }
+
+        const { station, validation } = mapService.updateChargingStation(req.params.id, value);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeStation(station),
+            message: 'Estacao atualizada com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/mapa/estacoes/:id
+ * Remove uma estação de recarga sem drones a caminho, recarregando ou na fila
+ */
+router.delete('/estacoes/:id', (req, res) => {
+    try {
+        if (!mapService.getWorld().getChargingStation(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Estacao nao encontrada',
+                message: `Estacao com ID ${req.params.id} nao existe`
+            });
+        }
+
+        if (chargingService.isOccupied(req.params.id)) {
+            const { incoming, charging, queue } = chargingService.getOccupancy(req.params.id);
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Estacao em uso pelos drones: ${[...new Set([...incoming, ...charging, ...queue])].join(', ')}`
+            });
+        }
+
+        mapService.removeChargingStation(req.params.id);
+
+        res.json({
+            success: true,
+            message: `Estacao ${req.params.id} removida com sucesso`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
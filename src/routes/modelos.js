@@ -0,0 +1,252 @@
+/**
+ * Rotas da API - Modelos de drone
+ * Endpoints para o catálogo de modelos: carga máxima, alcance, velocidade de cruzeiro,
+ * perfil de energia e compartimento de carga (dimensões e refrigeração). Drones são criados a partir
+ * de um modelo e herdam os limites e a velocidade dele
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const catalogService = require('../services/catalogService');
+const DroneCatalog = require('../../js/utils/DroneCatalog');
+const EnergyModel = require('../../js/utils/EnergyModel');
+
+// Perfil de energia: consumo em % de bateria por km; o modelo payload precisa do peso vazio (kg)
+const energySchema = Joi.object({
+    energyModel: Joi.string().valid(...EnergyModel.getModelNames()).required(),
+    consumptionPerKm: Joi.number().min(0.1).max(50).required(),
+    emptyWeight: Joi.number().min(0.1).max(200).when('energyModel', {
+        is: 'payload',
+        then: Joi.required()
+    })
+});
+
+// Dimensões internas do compartimento de carga em cm; refrigerated permite pedidos refrigerados e congelados
+const dimension = Joi.number().min(1).max(300);
+
+// Schema para modelos (carga em kg, alcance em km, cruzeiro em km/h)
+const modelSchema = Joi.object({
+    name: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(30).required().messages({
+        'any.required': 'Nome do modelo e obrigatorio',
+        'string.pattern.base': 'Nome do modelo deve ter apenas letras minusculas, numeros, _ e -'
+    }),
+    description: Joi.string().trim().max(200).allow(''),
+    maxPayload: Joi.number().min(1).max(20).required(),
+    range: Joi.number().min(1).max(50).required(),
+    cruiseSpeed: Joi.number().min(5).max(150).required(),
+    energy: energySchema.required(),
+    compartment: Joi.object({
+        length: dimension.required(),
+        width: dimension.required(),
+        height: dimension.required(),
+        refrigerated: Joi.boolean().default(false)
+    }).required()
+});
+
+const modelUpdateSchema = Joi.object({
+    description: Joi.string().trim().max(200).allow(''),
+    maxPayload: Joi.number().min(1).max(20),
+    range: Joi.number().min(1).max(50),
+    cruiseSpeed: Joi.number().min(5).max(150),
+    energy: energySchema,
+    compartment: Joi.object({
+        length: dimension,
+        width: dimension,
+        height: dimension,
+        refrigerated: Joi.boolean()
+    }).min(1)
+}).min(1);
+
+// Modelo com a quantidade de drones que o usam
+const describeModel = (model) => ({
+    ...model,
+    isDefault: model.name === DroneCatalog.DEFAULT_MODEL,
+    drones: catalogService.getDronesOfModel(model.name).length
+});
+
+/**
+ * GET /api/v1/modelos
+ * Lista os modelos do catálogo
+ */
+router.get('/', (req, res) => {
+    try {
+        const models = catalogService.getModels().map(describeModel);
+
+        res.json({
+            success: true,
+            data: models,
+            count: models.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/modelos/:name
+ * Retorna um modelo
+ */
+router.get('/:name', (req, res) => {
+    try {
+        const model = catalogService.getModel(req.params.name);
+
+        if (!model) {
+            return res.status(404).json({
+                success: false,
+                error: 'Modelo nao encontrado',
+                message: `Modelo ${req.params.name} nao existe`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeModel(model),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/modelos
+ * Cadastra um modelo no catálogo
+ */
+router.post('/', (req, res) => {
+    try {
+        const { error, value } = modelSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        if (catalogService.getModel(value.name)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Modelo ${value.name} ja existe`
+            });
+        }
+
+        const model = catalogService.createModel(value);
+
+        res.status(201).json({
+            success: true,
+            data: describeModel(model),
+            message: 'Modelo criado com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/modelos/:name
+ * Atualiza um modelo; os drones dele passam a voar no novo cruzeiro e têm carga e
+ * alcance limitados aos novos valores
+ */
+router.put('/:name', (req, res) => {
+    try {
+        if (!catalogService.getModel(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Modelo nao encontrado',
+                message: `Modelo ${req.params.name} nao existe`
+            });
+        }
+
+        const { error, value } = modelUpdateSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const { model, drones } = catalogService.updateModel(req.params.name, value);
+
+        res.json({
+            success: true,
+            data: describeModel(model),
+            updatedDrones: drones,
+            message: 'Modelo atualizado com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/modelos/:name
+ * Remove um modelo sem drones (o modelo padrão não pode ser removido)
+ */
+router.delete('/:name', (req, res) => {
+    try {
+        if (!catalogService.getModel(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Modelo nao encontrado',
+                message: `Modelo ${req.params.name} nao existe`
+            });
+        }
+
+        if (req.params.name === DroneCatalog.DEFAULT_MODEL) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `O modelo padrao do catalogo (${DroneCatalog.DEFAULT_MODEL}) nao pode ser removido`
+            });
+        }
+
+        const drones = catalogService.getDronesOfModel(req.params.name);
+        if (drones.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operacao nao permitida',
+                message: `Modelo possui drones: ${drones.map(drone => drone.id).join(', ')}. Altere o modelo deles antes de remover`
+            });
+        }
+
+        catalogService.removeModel(req.params.name);
+
+        res.json({
+            success: true,
+            message: `Modelo ${req.params.name} removido com sucesso`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -7,24 +7,38 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-
-// Simulação de banco de dados em memória
-let orders = [];
-let deliveredOrders = [];
-let orderIdCounter = 1;
+const Order = require('../../js/models/Order');
+const repositories = require('../repositories');
+const eventBus = require('../services/eventBus');
+const mapService = require('../services/mapService');
+const proofService = require('../services/proofService');
+const planningService = require('../services/planningService');
+const orderService = require('../services/orderService');
+const simulationService = require('../services/simulationService');
+const { commonSchemas } = require('../middleware/validateRequest');
+const { EVENT_TYPES } = eventBus;
+
+// Repositórios de pedidos (memória ou arquivo, conforme STORAGE_DRIVER)
+const orderRepository = repositories.orders;
+const deliveredOrderRepository = repositories.deliveredOrders;
+// Drones cuja carga e pedidos acompanham as transições dos pedidos
+const droneRepository = repositories.drones;
+
+// Schema da janela de entrega agendada (ISO 8601); o início é opcional e o fim não pode ter passado
+const deliveryWindowSchema = Joi.object({
+    start: Joi.date().iso(),
+    end: Joi.date().iso().greater('now').required().messages({
+        'date.greater': 'Fim da janela de entrega ja passou',
+        'any.required': 'Fim da janela de entrega e obrigatorio'
+    })
+});
 
 // Schema de validação para pedidos
 const orderSchema = Joi.object({
-    clientLocation: Joi.object({
-        x: Joi.number().min(0).max(20).required().messages({
-            'number.min': 'Coordenada X deve estar entre 0 e 20',
-            'number.max': 'Coordenada X deve estar entre 0 e 20'
-        }),
-        y: Joi.number().min(0).max(20).required().messages({
-            'number.min': 'Coordenada Y deve estar entre 0 e 20',
-            'number.max': 'Coordenada Y deve estar entre 0 e 20'
-        })
-    }).required(),
+    // {x, y} ou {lat, lon}; limites das coordenadas vêm do mapa configurado (validados pelo modelo)
+    clientLocation: commonSchemas.coordinates.required(),
+    // Coleta fora da base (mesmos formatos de clientLocation); sem ela o pacote sai da base com o drone
+    pickupLocation: commonSchemas.coordinates,
     weight: Joi.number().min(0.1).max(20).required().messages({
         'number.min': 'Peso deve ser pelo menos 0.1kg',
         'number.max': 'Peso nao pode exceder 20kg'
@@ -36,20 +50,58 @@ const orderSchema = Joi.object({
         name: Joi.string().max(100),
         phone: Joi.string().max(20),
         email: Joi.string().email().max(100)
-    }).optional()
+    }).optional(),
+    deliveryWindow: deliveryWindowSchema,
+    // Sem dimensões o pacote conta apenas pelo peso na carga do drone
+    dimensions: Joi.object({
+        length: Joi.number().min(1).max(300).required(),
+        width: Joi.number().min(1).max(300).required(),
+        height: Joi.number().min(1).max(300).required()
+    }).messages({
+        'number.min': 'Dimensoes do pacote devem ser de pelo menos 1cm',
+        'number.max': 'Dimensoes do pacote nao podem exceder 300cm'
+    }),
+    fragile: Joi.boolean().default(false),
+    temperature: Joi.string().valid(...Order.TEMPERATURES).default('ambiente').messages({
+        'any.only': 'Temperatura deve ser: ambiente, refrigerado ou congelado'
+    }),
+    // Com PIN, a entrega só é confirmada com o código informado pelo destinatário
+    recipientPin: Joi.string().pattern(/^[0-9]{4,8}$/).messages({
+        'string.pattern.base': 'PIN do destinatario deve ter de 4 a 8 digitos'
+    })
 });
 
+// deliveryWindow null remove a janela (apenas pedidos pendentes); status segue o ciclo de
+// vida do pedido (Order.TRANSITIONS) e assignedDrone indica o drone ao passar para assigned
 const orderUpdateSchema = Joi.object({
-    status: Joi.string().valid('pending', 'assigned', 'delivered', 'cancelled'),
+    status: Joi.string().valid(...Order.MANUAL_STATUSES),
     priority: Joi.string().valid('alta', 'media', 'baixa'),
-    assignedDrone: Joi.string()
+    assignedDrone: Joi.string().when('status', { is: 'assigned', then: Joi.required(), otherwise: Joi.forbidden() }),
+    deliveryWindow: deliveryWindowSchema.allow(null)
 });
 
-// Função auxiliar para calcular tempo máximo de espera
-const getMaxWaitTime = (priority) => {
-    const maxWaitTimes = { 'alta': 15, 'media': 30, 'baixa': 60 };
-    return maxWaitTimes[priority] || 60;
-};
+// Schema da reatribuição: sem droneId o pedido volta à fila de pendentes
+const reassignSchema = Joi.object({
+    droneId: Joi.string()
+});
+
+// Schema da confirmação de entrega: PIN do destinatário (obrigatório se o pedido tiver PIN),
+// ponto exato em que o pacote foi deixado (padrão: o endereço do pedido) e foto opcional em base64
+const deliverSchema = Joi.object({
+    pin: Joi.string().pattern(/^[0-9]{4,8}$/).messages({
+        'string.pattern.base': 'PIN deve ter de 4 a 8 digitos'
+    }),
+    dropLocation: commonSchemas.coordinates,
+    photo: Joi.object({
+        data: Joi.string().base64().max(Math.ceil(proofService.MAX_PHOTO_BYTES / 3) * 4).required().messages({
+            'string.base64': 'Foto deve estar em base64',
+            'string.max': 'Foto nao pode exceder 5 MB'
+        }),
+        mimeType: Joi.string().valid(...Object.keys(proofService.PHOTO_TYPES)).required().messages({
+            'any.only': 'Foto deve ser image/jpeg, image/png ou image/webp'
+        })
+    })
+});
 
 /**
  * POST /api/v1/pedidos
@@ -68,22 +120,17 @@ router.post('/', async (req, res) => {
             });
         }
 
-        const newOrder = {
-            id: `ORDER-${orderIdCounter++}`,
-            uuid: uuidv4(),
-            location: value.clientLocation,
-            weight: value.weight,
-            priority: value.priority,
-            status: 'pending',
-            customerInfo: value.customerInfo || {},
-            assignedDrone: null,
-            createdAt: new Date().toISOString(),
-            deliveredAt: null,
-            estimatedDeliveryTime: null,
-            updatedAt: new Date().toISOString()
-        };
+        // Aplica as mesmas regras de validação do modelo usado no frontend
+        const { order: newOrder, validation } = createOrder(value);
 
-        orders.push(newOrder);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: validation.errors[0],
+                details: validation.errors
+            });
+        }
 
         res.status(201).json({
             success: true,
@@ -106,9 +153,10 @@ router.post('/', async (req, res) => {
  */
 router.get('/', (req, res) => {
     try {
-        const { status, priority, assignedDrone, limit = 50, offset = 0 } = req.query;
+        const { status, priority, assignedDrone, overdue, escalated, limit = 50, offset = 0 } = req.query;
         
-        let filteredOrders = [...orders];
+        const deliveredOrders = deliveredOrderRepository.all();
+        let filteredOrders = [...orderRepository.all()];
         
         // Filtros
         if (status) {
@@ -122,6 +170,14 @@ router.get('/', (req, res) => {
         if (assignedDrone) {
             filteredOrders = filteredOrders.filter(order => order.assignedDrone === assignedDrone);
         }
+
+        if (overdue !== undefined) {
+            filteredOrders = filteredOrders.filter(order => order.isOverdue() === (overdue === 'true'));
+        }
+
+        if (escalated !== undefined) {
+            filteredOrders = filteredOrders.filter(order => Boolean(order.escalation) === (escalated === 'true'));
+        }
         
         // Paginação
         const startIndex = parseInt(offset);
@@ -133,6 +189,7 @@ router.get('/', (req, res) => {
             total: filteredOrders.length,
             pending: filteredOrders.filter(o => o.status === 'pending').length,
             assigned: filteredOrders.filter(o => o.status === 'assigned').length,
+            inFlight: filteredOrders.filter(o => o.status === 'in_flight').length,
             delivered: deliveredOrders.length,
             byPriority: {
                 alta: filteredOrders.filter(o => o.priority === 'alta').length,
@@ -168,11 +225,8 @@ router.get('/', (req, res) => {
  */
 router.get('/:id', (req, res) => {
     try {
-        let order = orders.find(o => o.id === req.params.id);
-        
-        if (!order) {
-            order = deliveredOrders.find(o => o.id === req.params.id);
-        }
+        const order = orderRepository.findById(req.params.id) ||
+            deliveredOrderRepository.findById(req.params.id);
         
         if (!order) {
             return res.status(404).json({
@@ -183,14 +237,12 @@ router.get('/:id', (req, res) => {
         }
 
         // Calcula informações adicionais
-        const waitingTime = order.deliveredAt ? 
-            Math.floor((new Date(order.deliveredAt) - new Date(order.createdAt)) / (1000 * 60)) :
-            Math.floor((new Date() - new Date(order.createdAt)) / (1000 * 60));
-
         const enrichedOrder = {
-            ...order,
-            waitingTime,
-            isOverdue: waitingTime > getMaxWaitTime(order.priority)
+            ...order.toJSON(),
+            allowedTransitions: order.getAllowedTransitions(),
+            waitingTime: order.getWaitingTime(),
+            deadline: order.getDeadline().toISOString(), // fim da janela ou espera máxima da prioridade
+            isOverdue: order.isOverdue()
         };
 
         res.json({
@@ -207,15 +259,72 @@ router.get('/:id', (req, res) => {
     }
 });
 
+/**
+ * GET /api/v1/pedidos/:id/proof
+ * Retorna o comprovante de entrega do pedido
+ */
+router.get('/:id/proof', (req, res) => {
+    try {
+        const proof = findProof(req.params.id);
+
+        if (proof.error) {
+            return res.status(404).json({ success: false, ...proof.error });
+        }
+
+        res.json({
+            success: true,
+            data: proof.proof,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/pedidos/:id/proof/photo
+ * Retorna a foto do comprovante de entrega
+ */
+router.get('/:id/proof/photo', (req, res) => {
+    try {
+        const proof = findProof(req.params.id);
+
+        if (proof.error) {
+            return res.status(404).json({ success: false, ...proof.error });
+        }
+
+        const photoPath = proofService.getPhotoPath(proof.proof);
+        if (!photoPath) {
+            return res.status(404).json({
+                success: false,
+                error: 'Foto nao encontrada',
+                message: `Comprovante do pedido ${req.params.id} nao tem foto`
+            });
+        }
+
+        res.type(proof.proof.photo.mimeType).sendFile(photoPath);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
 /**
  * PUT /api/v1/pedidos/:id
  * Atualiza um pedido
  */
 router.put('/:id', async (req, res) => {
     try {
-        const orderIndex = orders.findIndex(o => o.id === req.params.id);
+        const order = orderRepository.findById(req.params.id);
         
-        if (orderIndex === -1) {
+        if (!order) {
             return res.status(404).json({
                 success: false,
                 error: 'Pedido nao encontrado',
@@ -233,17 +342,45 @@ router.put('/:id', async (req, res) => {
             });
         }
 
-        const updatedOrder = {
-            ...orders[orderIndex],
-            ...value,
-            updatedAt: new Date().toISOString()
-        };
+        const { status, assignedDrone, deliveryWindow, ...changes } = value;
+        const previousWindow = order.deliveryWindow;
 
-        orders[orderIndex] = updatedOrder;
+        if (deliveryWindow !== undefined) {
+            if (order.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Operacao nao permitida',
+                    message: 'A janela de entrega so pode ser alterada em pedidos pendentes'
+                });
+            }
+
+            const validation = applyDeliveryWindow(order, deliveryWindow);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Dados invalidos',
+                    message: validation.errors[0],
+                    details: validation.errors
+                });
+            }
+        }
+
+        // Mudança de status (ou de drone, numa reatribuição) pelo ciclo de vida
+        if (status && (status !== order.status || (status === 'assigned' && assignedDrone !== order.assignedDrone))) {
+            const result = transitionOrder(order, status, { droneId: assignedDrone });
+            if (result.error) {
+                order.deliveryWindow = previousWindow;
+                return sendTransitionError(res, result.error);
+            }
+        }
+
+        Object.assign(order, changes);
+        order.updatedAt = new Date();
+        orderRepository.save();
 
         res.json({
             success: true,
-            data: updatedOrder,
+            data: order,
             message: 'Pedido atualizado com sucesso',
             timestamp: new Date().toISOString()
         });
@@ -262,28 +399,28 @@ router.put('/:id', async (req, res) => {
  */
 router.delete('/:id', (req, res) => {
     try {
-        const orderIndex = orders.findIndex(o => o.id === req.params.id);
+        const order = orderRepository.findById(req.params.id);
         
-        if (orderIndex === -1) {
+        if (!order) {
             return res.status(404).json({
                 success: false,
                 error: 'Pedido nao encontrado',
                 message: `Pedido com ID ${req.params.id} nao existe`
             });
         }
-
-        const order = orders[orderIndex];
         
-        // Nao permite deletar pedidos ja atribuidos
-        if (order.status === 'assigned') {
-            return res.status(400).json({
+        // Pedidos com um drone precisam ser cancelados antes, liberando o drone
+        if (!REMOVABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({
                 success: false,
                 error: 'Operacao nao permitida',
-                message: 'Nao e possivel deletar pedido ja atribuido a um drone'
+                message: `Pedido ${order.id} esta com status ${order.status}; cancele-o antes de remover`,
+                allowedTransitions: order.getAllowedTransitions()
             });
         }
 
-        orders.splice(orderIndex, 1);
+        orderRepository.remove(order.id);
+        eventBus.publish(EVENT_TYPES.ORDER_CANCELLED, { orderId: order.id, removed: true });
 
         res.json({
             success: true,
@@ -301,13 +438,14 @@ router.delete('/:id', (req, res) => {
 
 /**
  * POST /api/v1/pedidos/:id/deliver
- * Marca um pedido como entregue
+ * Marca um pedido em voo como entregue e registra o comprovante de entrega; pedidos
+ * com PIN só são entregues com o PIN do destinatário
  */
 router.post('/:id/deliver', (req, res) => {
     try {
-        const orderIndex = orders.findIndex(o => o.id === req.params.id);
+        const order = orderRepository.findById(req.params.id);
         
-        if (orderIndex === -1) {
+        if (!order) {
             return res.status(404).json({
                 success: false,
                 error: 'Pedido nao encontrado',
@@ -315,27 +453,41 @@ router.post('/:id/deliver', (req, res) => {
             });
         }
 
-        const order = orders[orderIndex];
-        
-        if (order.status !== 'assigned') {
+        const { error, value } = deliverSchema.validate(req.body);
+
+        if (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Operacao nao permitida',
-                message: 'Apenas pedidos atribuidos podem ser marcados como entregues'
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const drop = value.dropLocation ? mapService.normalizePoint(value.dropLocation) : { point: order.location, error: null };
+        if (drop.error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: drop.error
             });
         }
 
         // Move para lista de entregues
-        order.status = 'delivered';
-        order.deliveredAt = new Date().toISOString();
-        order.updatedAt = new Date().toISOString();
-        
-        deliveredOrders.push(order);
-        orders.splice(orderIndex, 1);
+        const result = transitionOrder(order, 'delivered', {
+            pin: value.pin,
+            proof: {
+                location: drop.point,
+                photo: value.photo ? { data: Buffer.from(value.photo.data, 'base64'), mimeType: value.photo.mimeType } : null
+            }
+        });
+        if (result.error) {
+            return sendTransitionError(res, result.error);
+        }
 
         res.json({
             success: true,
             data: order,
+            proof: proofService.getProof(order.id),
             message: 'Pedido marcado como entregue',
             timestamp: new Date().toISOString()
         });
@@ -348,24 +500,113 @@ router.post('/:id/deliver', (req, res) => {
     }
 });
 
+/**
+ * POST /api/v1/pedidos/:id/cancel
+ * Cancela o pedido, liberando a carga do drone; com o drone em voo a entrega sai da rota
+ * e o pacote volta com ele
+ */
+router.post('/:id/cancel', (req, res) => {
+    try {
+        const order = orderRepository.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pedido nao encontrado',
+                message: `Pedido com ID ${req.params.id} nao existe`
+            });
+        }
+
+        const result = transitionOrder(order, 'cancelled');
+        if (result.error) {
+            return sendTransitionError(res, result.error);
+        }
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Pedido ${order.id} cancelado`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/pedidos/:id/reassign
+ * Reatribui o pedido a outro drone ocioso ou, sem droneId, devolve-o aos pendentes
+ */
+router.post('/:id/reassign', (req, res) => {
+    try {
+        const order = orderRepository.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pedido nao encontrado',
+                message: `Pedido com ID ${req.params.id} nao existe`
+            });
+        }
+
+        const { error, value } = reassignSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dados invalidos',
+                message: error.details[0].message
+            });
+        }
+
+        const result = transitionOrder(order, value.droneId ? 'assigned' : 'pending', { droneId: value.droneId });
+        if (result.error) {
+            return sendTransitionError(res, result.error);
+        }
+
+        res.json({
+            success: true,
+            data: order,
+            message: value.droneId
+                ? `Pedido ${order.id} atribuido ao drone ${value.droneId}`
+                : `Pedido ${order.id} devolvido aos pendentes`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/v1/pedidos/stats/summary
  * Retorna estatísticas resumidas dos pedidos
  */
 router.get('/stats/summary', (req, res) => {
     try {
+        const orders = orderRepository.all();
+        const deliveredOrders = deliveredOrderRepository.all();
         const allOrders = [...orders, ...deliveredOrders];
-        const now = new Date();
         
         const stats = {
             total: allOrders.length,
             pending: orders.filter(o => o.status === 'pending').length,
             assigned: orders.filter(o => o.status === 'assigned').length,
+            inFlight: orders.filter(o => o.status === 'in_flight').length,
+            failed: orders.filter(o => o.status === 'failed').length,
+            returned: orders.filter(o => o.status === 'returned').length,
+            cancelled: orders.filter(o => o.status === 'cancelled').length,
             delivered: deliveredOrders.length,
-            overdue: orders.filter(o => {
-                const waitingTime = Math.floor((now - new Date(o.createdAt)) / (1000 * 60));
-                return waitingTime > getMaxWaitTime(o.priority);
-            }).length,
+            overdue: orders.filter(o => o.isOverdue()).length,
+            withDeliveryWindow: orders.filter(o => o.deliveryWindow).length,
+            deliveredLate: deliveredOrders.filter(o => o.isOverdue()).length,
             byPriority: {
                 alta: allOrders.filter(o => o.priority === 'alta').length,
                 media: allOrders.filter(o => o.priority === 'media').length,
@@ -374,9 +615,7 @@ router.get('/stats/summary', (req, res) => {
             averageWeight: allOrders.length > 0 ? 
                 (allOrders.reduce((sum, o) => sum + o.weight, 0) / allOrders.length).toFixed(1) : 0,
             averageDeliveryTime: deliveredOrders.length > 0 ?
-                Math.round(deliveredOrders.reduce((sum, o) => {
-                    return sum + Math.floor((new Date(o.deliveredAt) - new Date(o.createdAt)) / (1000 * 60));
-                }, 0) / deliveredOrders.length) : 0
+                Math.round(deliveredOrders.reduce((sum, o) => sum + o.getDeliveryTime(), 0) / deliveredOrders.length) : 0
         };
 
         res.json({
@@ -395,31 +634,192 @@ router.get('/stats/summary', (req, res) => {
 
 // Middleware para resetar pedidos (usado pelo sistema)
 const resetOrders = () => {
-    orders = [];
-    deliveredOrders = [];
-    orderIdCounter = 1;
+    orderRepository.clear();
+    deliveredOrderRepository.clear();
+    proofService.clear();
 };
 
 // Funções utilitárias
-const markAsDelivered = (orderId) => {
-    const orderIndex = orders.findIndex(o => o.id === orderId);
-    if (orderIndex !== -1) {
-        const order = orders[orderIndex];
-        order.status = 'delivered';
-        order.deliveredAt = new Date().toISOString();
-        order.updatedAt = new Date().toISOString();
-        
-        deliveredOrders.push(order);
-        orders.splice(orderIndex, 1);
-        return true;
+
+// Cria um pedido a partir dos dados validados; só registra se o modelo aceitar
+const createOrder = ({ clientLocation, pickupLocation, weight, priority, customerInfo, deliveryWindow, dimensions, fragile, temperature, recipientPin }) => {
+    const { point, error: locationError } = mapService.normalizePoint(clientLocation);
+    const pickup = pickupLocation ? mapService.normalizePoint(pickupLocation) : { point: null, error: null };
+    const error = locationError || pickup.error;
+    const order = new Order(null, point, weight, priority);
+    order.pickupLocation = pickup.point;
+    order.uuid = uuidv4();
+    order.customerInfo = customerInfo || {};
+    order.dimensions = dimensions ? { ...dimensions } : null;
+    order.fragile = Boolean(fragile);
+    order.temperature = temperature || 'ambiente';
+    order.recipientPin = recipientPin || null;
+    if (deliveryWindow) {
+        order.setDeliveryWindow(deliveryWindow.start, deliveryWindow.end);
+    }
+
+    const validation = error ? { isValid: false, errors: [error] } : order.validate(mapService.getWorld());
+    if (validation.isValid) {
+        order.id = `ORDER-${orderRepository.nextId()}`;
+        orderRepository.add(order);
+        eventBus.publish(EVENT_TYPES.ORDER_CREATED, { order: order.toJSON() });
+
+        // Prioridade alta entra, quando possível, na rota de um drone já em voo
+        if (order.priority === 'alta') {
+            simulationService.insertIntoFlights(order);
+        }
+    }
+
+    return { order, validation };
+};
+
+// Define (ou remove, com null) a janela de entrega; desfaz a alteração se o modelo rejeitar
+const applyDeliveryWindow = (order, deliveryWindow) => {
+    const previous = order.deliveryWindow;
+
+    if (deliveryWindow) {
+        order.setDeliveryWindow(deliveryWindow.start, deliveryWindow.end);
+    } else {
+        order.clearDeliveryWindow();
+    }
+
+    const errors = order.validateDeliveryWindow();
+    if (errors.length > 0) {
+        order.deliveryWindow = previous;
     }
-    return false;
+    return { isValid: errors.length === 0, errors };
 };
 
+// Comprovante de entrega de um pedido ou o erro 404 (pedido inexistente ou sem comprovante)
+const findProof = (orderId) => {
+    const order = orderRepository.findById(orderId) || deliveredOrderRepository.findById(orderId);
+    if (!order) {
+        return { error: { error: 'Pedido nao encontrado', message: `Pedido com ID ${orderId} nao existe` } };
+    }
+
+    const proof = proofService.getProof(orderId);
+    if (!proof) {
+        return {
+            error: { error: 'Comprovante nao encontrado', message: `Pedido ${orderId} nao tem comprovante de entrega (status ${order.status})` }
+        };
+    }
+    return { proof };
+};
+
+// Status em que o pedido não está com nenhum drone e pode ser removido
+const REMOVABLE_STATUSES = ['pending', 'cancelled', 'returned'];
+
+// Status em que o pacote está a bordo de um drone em voo
+const ON_BOARD_STATUSES = ['in_flight', 'failed'];
+
+/**
+ * Aplica uma transição do ciclo de vida do pedido mantendo o drone em dia
+ * Atribuir (ou reatribuir, passando por pending) exige um drone ocioso que possa levar o
+ * pedido; cancelar, entregar ou devolver à fila tira o pedido do drone. Cancelado com o
+ * pacote ainda a bordo, a carga só sai quando o drone volta à base; de volta à fila, o
+ * pedido pode ir para outro drone e o peso sai do original
+ * @param {Order} order - Pedido
+ * @param {string} status - Novo status
+ * @param {Object} options - {droneId} ao passar para assigned
+ * @returns {Object} - {order} ou {error: {statusCode, error, message, allowedTransitions}}
+ */
+const transitionOrder = (order, status, { droneId, pin, proof = {} } = {}) => {
+    const previousStatus = order.status;
+    const previousDrone = order.assignedDrone ? droneRepository.findById(order.assignedDrone) : null;
+    const reassigning = status === 'assigned' && previousStatus !== 'pending';
+
+    if (!order.canTransitionTo(reassigning ? 'pending' : status)) {
+        return {
+            error: {
+                statusCode: 409,
+                error: 'Operacao nao permitida',
+                message: `Pedido ${order.id} nao pode passar de ${previousStatus} para ${status}`,
+                allowedTransitions: order.getAllowedTransitions()
+            }
+        };
+    }
+
+    // Pedido com PIN só é entregue com o PIN do destinatário
+    if (status === 'delivered' && !order.verifyPin(pin)) {
+        return {
+            error: {
+                statusCode: 403,
+                error: 'PIN invalido',
+                message: pin === undefined
+                    ? `Pedido ${order.id} exige o PIN do destinatario (POST /api/v1/pedidos/${order.id}/deliver)`
+                    : `PIN do destinatario nao confere para o pedido ${order.id}`
+            }
+        };
+    }
+
+    let drone = null;
+    if (status === 'assigned') {
+        drone = droneRepository.findById(droneId);
+        const conflict = (message) => ({ error: { statusCode: 409, error: 'Operacao nao permitida', message } });
+
+        if (!drone) {
+            return { error: { statusCode: 404, error: 'Drone nao encontrado', message: `Drone com ID ${droneId} nao existe` } };
+        }
+        if (previousStatus === 'assigned' && order.assignedDrone === drone.id) {
+            return conflict(`Pedido ${order.id} ja esta atribuido ao drone ${drone.id}`);
+        }
+        if (!drone.isAvailableForDispatch()) {
+            return conflict(`Drone ${drone.id} esta com status ${drone.status}`);
+        }
+        // Mesmo limite de pedidos por viagem do planejamento, depois as regras do modelo
+        const limit = planningService.checkOrderLimit(drone.assignedOrders.length);
+        const check = limit.feasible ? drone.checkOrder(order) : limit;
+        if (!check.feasible) {
+            const { error } = conflict(`Drone ${drone.id} nao pode levar o pedido ${order.id}: ${check.reason}`);
+            return { error: { ...error, constraint: check.constraint } };
+        }
+    }
+
+    // Decolagem e falha na entrega mantêm o pedido com o drone
+    if (previousDrone && status !== 'in_flight' && status !== 'failed') {
+        const onBoard = ON_BOARD_STATUSES.includes(previousStatus) && status === 'cancelled';
+        previousDrone.releaseOrder(order, !onBoard);
+        if (status === 'delivered') {
+            previousDrone.deliveriesCount++;
+        }
+    }
+
+    if (status === 'delivered') {
+        if (previousDrone) {
+            order.recordAttempt('delivered', previousDrone.id);
+        }
+        orderService.markAsDelivered(order.id, new Date(), { ...proof, pinVerified: order.requiresPin() });
+    } else {
+        if (reassigning) {
+            order.updateStatus('pending');
+        }
+        if (drone) {
+            drone.assignOrder(order);
+        } else {
+            order.updateStatus(status);
+        }
+        orderRepository.save();
+        orderService.publishStatus(order, { previousStatus, previousDrone: previousDrone ? previousDrone.id : null });
+    }
+
+    // Cancelado em voo: a entrega sai da rota do drone na simulação
+    if (status === 'cancelled' && previousStatus === 'in_flight') {
+        simulationService.removeFromFlight(order.id);
+    }
+
+    droneRepository.save();
+    return { order };
+};
+
+// Responde ao erro de uma transição recusada (409 traz as transições permitidas)
+const sendTransitionError = (res, { statusCode, ...body }) => res.status(statusCode).json({ success: false, ...body });
+
 // Exporta o router e funções utilitárias
 module.exports = router;
 module.exports.resetOrders = resetOrders;
-module.exports.getOrders = () => orders;
-module.exports.getDeliveredOrders = () => deliveredOrders;
-module.exports.setOrders = (newOrders) => { orders = newOrders; };
-module.exports.markAsDelivered = markAsDelivered;
\ No newline at end of file
+module.exports.getOrders = () => orderRepository.all();
+module.exports.getDeliveredOrders = () => deliveredOrderRepository.all();
+module.exports.setOrders = (newOrders) => orderRepository.replaceAll(newOrders);
+module.exports.saveOrders = () => orderRepository.save();
+module.exports.createOrder = createOrder;
+module.exports.transitionOrder = transitionOrder;
\ No newline at end of file
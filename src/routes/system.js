@@ -10,15 +10,33 @@ const Joi = require('joi');
 // Importa módulos para resetar dados
 const dronesModule = require('./drones');
 const pedidosModule = require('./pedidos');
+const despachoModule = require('./despacho');
+const manutencaoModule = require('./manutencao');
+const eventBus = require('../services/eventBus');
+const configService = require('../services/configService');
+const mapService = require('../services/mapService');
+const planningService = require('../services/planningService');
+const simulationService = require('../services/simulationService');
+const EnergyModel = require('../../js/utils/EnergyModel');
+const DroneCatalog = require('../../js/utils/DroneCatalog');
+const { EVENT_TYPES } = eventBus;
 
-// Schema para configurações do sistema
+// Schema para configurações do sistema (atualização parcial)
 const configSchema = Joi.object({
-    maxDrones: Joi.number().min(1).max(50).default(10),
-    maxOrdersPerDrone: Joi.number().min(1).max(20).default(10),
-    defaultDroneCapacity: Joi.number().min(1).max(20).default(5),
-    defaultDroneRange: Joi.number().min(1).max(50).default(10),
-    simulationSpeed: Joi.number().min(0.1).max(5.0).default(0.5)
-});
+    maxDrones: Joi.number().integer().min(1).max(50),
+    maxOrdersPerDrone: Joi.number().integer().min(1).max(20),
+    defaultDroneCapacity: Joi.number().min(1).max(20),
+    defaultDroneRange: Joi.number().min(1).max(50),
+    simulationSpeed: Joi.number().min(0.1).max(5.0),
+    // Vento em km/h nos eixos do mapa (no sistema geo: x leste, y norte)
+    windX: Joi.number().min(-100).max(100),
+    windY: Joi.number().min(-100).max(100),
+    baseChargeRate: Joi.number().min(0.1).max(100), // % de bateria por minuto nas bases
+    turnaroundTime: Joi.number().min(0.1).max(120), // minutos de preparo na base entre viagens
+    deliveryFailureRate: Joi.number().min(0).max(1), // probabilidade de falha de cada entrega na simulação
+    maxDeliveryAttempts: Joi.number().integer().min(1).max(10), // tentativas sem sucesso antes de escalonar o pedido
+    pinWaitMinutes: Joi.number().min(0.1).max(120) // minutos de espera pelo PIN do destinatário na simulação
+}).min(1);
 
 /**
  * POST /api/v1/system/reset
@@ -26,9 +44,7 @@ const configSchema = Joi.object({
  */
 router.post('/reset', (req, res) => {
     try {
-        // Reseta dados
-        dronesModule.resetDrones();
-        pedidosModule.resetOrders();
+        resetSystemData();
         
         const resetInfo = {
             timestamp: new Date().toISOString(),
@@ -37,7 +53,10 @@ router.post('/reset', (req, res) => {
                 'drones',
                 'orders',
                 'delivered_orders',
-                'simulations'
+                'simulations',
+                'dispatcher',
+                'maintenance_records',
+                'proofs_of_delivery'
             ]
         };
 
@@ -76,14 +95,19 @@ router.get('/stats', (req, res) => {
             },
             drones: {
                 total: drones.length,
-                active: drones.filter(d => d.status !== 'idle').length,
+                active: drones.filter(d => d.isOnMission()).length,
                 idle: drones.filter(d => d.status === 'idle').length,
+                unavailable: drones.filter(d => !d.isOnMission() && d.status !== 'idle').length,
                 byStatus: {
                     idle: drones.filter(d => d.status === 'idle').length,
                     loading: drones.filter(d => d.status === 'loading').length,
                     flying: drones.filter(d => d.status === 'flying').length,
                     delivering: drones.filter(d => d.status === 'delivering').length,
-                    returning: drones.filter(d => d.status === 'returning').length
+                    returning: drones.filter(d => d.status === 'returning').length,
+                    charging: drones.filter(d => d.status === 'charging').length,
+                    maintenance: drones.filter(d => d.status === 'maintenance').length,
+                    offline: drones.filter(d => d.status === 'offline').length,
+                    emergency_landing: drones.filter(d => d.status === 'emergency_landing').length
                 },
                 totalCapacity: drones.reduce((sum, d) => sum + d.capacity, 0),
                 totalRange: drones.reduce((sum, d) => sum + d.range, 0),
@@ -96,6 +120,7 @@ router.get('/stats', (req, res) => {
                 total: allOrders.length,
                 pending: orders.filter(o => o.status === 'pending').length,
                 assigned: orders.filter(o => o.status === 'assigned').length,
+                inFlight: orders.filter(o => o.status === 'in_flight').length,
                 delivered: deliveredOrders.length,
                 byPriority: {
                     alta: allOrders.filter(o => o.priority === 'alta').length,
@@ -144,6 +169,7 @@ router.get('/stats', (req, res) => {
  */
 router.get('/config', (req, res) => {
     try {
+        const world = mapService.getWorld();
         const config = {
             api: {
                 version: '1.0.0',
@@ -155,15 +181,19 @@ router.get('/config', (req, res) => {
                 }
             },
             system: {
-                maxDrones: 50,
-                maxOrdersPerDrone: 10,
-                defaultDroneCapacity: 5,
-                defaultDroneRange: 10,
-                simulationSpeed: 0.5,
-                batteryConsumptionRate: 5, // % por km
-                citySize: { width: 21, height: 21 },
-                basePosition: { x: 10, y: 10 }
+                ...configService.getAll(),
+                coordinateSystem: world.coordinateSystem,
+                citySize: world.getSizeKm(), // km, também no sistema geo
+                basePosition: world.getDefaultBase().location
+            },
+            map: world.toJSON(),
+            energy: {
+                models: EnergyModel.listModels(),
+                droneModels: DroneCatalog.getModelNames().map(name => ({ name, ...DroneCatalog.getProfile(name) })),
+                defaultDroneModel: DroneCatalog.DEFAULT_MODEL, // Catálogo completo em /api/v1/modelos
+                wind: EnergyModel.getWind() // km/h
             },
+            overrides: Object.keys(configService.getOverrides()),
             features: {
                 realTimeTracking: true,
                 routeOptimization: true,
@@ -173,13 +203,9 @@ router.get('/config', (req, res) => {
                 exportImport: true
             },
             algorithms: {
-                optimization: [
-                    'priority_first',
-                    'capacity_optimization', 
-                    'distance_optimization',
-                    'balanced_optimization'
-                ],
-                routing: 'nearest_neighbor'
+                optimization: planningService.getStrategies(), // aceitas em strategy de /entregas/otimizar
+                defaultStrategy: planningService.DEFAULT_STRATEGY,
+                routing: 'nearest_neighbor' // ordem de visita, exceto nos planos do vrp_solver, que fixam a sua
             }
         };
 
@@ -213,12 +239,11 @@ router.put('/config', async (req, res) => {
             });
         }
 
-        // Em uma implementação real, as configurações seriam salvas em banco de dados
-        // Por enquanto, apenas retorna as configurações validadas
-        
+        const config = configService.update(value);
+
         res.json({
             success: true,
-            data: value,
+            data: config,
             message: 'Configuracoes atualizadas com sucesso',
             timestamp: new Date().toISOString()
         });
@@ -231,6 +256,29 @@ router.put('/config', async (req, res) => {
     }
 });
 
+/**
+ * DELETE /api/v1/system/config
+ * Descarta as alterações feitas via API, voltando aos valores do ambiente
+ */
+router.delete('/config', (req, res) => {
+    try {
+        const config = configService.reset();
+
+        res.json({
+            success: true,
+            data: config,
+            message: 'Configuracoes restauradas para os valores do ambiente',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Erro interno do servidor',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/v1/system/health
  * Health check detalhado do sistema
@@ -304,6 +352,13 @@ router.post('/seed', (req, res) => {
             });
         }
 
+        if (drones > configService.get('maxDrones')) {
+            return res.status(400).json({
+                success: false,
+                error: `Numero de drones excede o limite configurado (maxDrones: ${configService.get('maxDrones')})`
+            });
+        }
+
         if (orders < 1 || orders > 20) {
             return res.status(400).json({
                 success: false,
@@ -312,30 +367,22 @@ router.post('/seed', (req, res) => {
         }
 
         // Reseta sistema
-        dronesModule.resetDrones();
-        pedidosModule.resetOrders();
+        resetSystemData();
 
-        // Cria drones usando a API interna
+        // Coordenadas de exemplo (grade 0-20) são escaladas para os limites do mapa
+        const world = mapService.getWorld();
+        const { minX, minY } = world.bounds;
+        const scaleX = world.getWidth() / 20;
+        const scaleY = world.getHeight() / 20;
+
+        // Cria drones usando a API interna, distribuídos entre as bases
+        // Alcance suficiente para ida e volta até qualquer pedido de exemplo (canCarryOrder)
+        const sizeKm = world.getSizeKm();
+        const range = Math.min(50, Math.max(sizeKm.width, sizeKm.height, 20));
         const createdDrones = [];
-        const dronesList = dronesModule.getDrones();
         for (let i = 0; i < drones; i++) {
-            const drone = {
-                id: `DRONE-${i + 1}`,
-                capacity: 5,
-                range: 10,
-                currentLoad: 0,
-                battery: 100,
-                position: { x: 10, y: 10 },
-                status: 'idle',
-                assignedOrders: [],
-                currentRoute: [],
-                totalDistance: 0,
-                deliveriesCount: 0,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            dronesList.push(drone);
-            createdDrones.push(drone);
+            const base = world.bases[i % world.bases.length];
+            createdDrones.push(dronesModule.createDrone({ capacity: 5, range, baseId: base.id }));
         }
 
         // Cria pedidos usando a API interna
@@ -351,23 +398,17 @@ router.post('/seed', (req, res) => {
             { x: 4, y: 16, weight: 3.5, priority: 'media' }
         ];
 
-        const ordersList = pedidosModule.getOrders();
         for (let i = 0; i < Math.min(orders, sampleOrders.length); i++) {
             const sampleData = sampleOrders[i];
-            const order = {
-                id: `ORDER-${i + 1}`,
-                location: { x: sampleData.x, y: sampleData.y },
+            const { order, validation } = pedidosModule.createOrder({
+                clientLocation: { x: minX + sampleData.x * scaleX, y: minY + sampleData.y * scaleY },
                 weight: sampleData.weight,
-                priority: sampleData.priority,
-                status: 'pending',
-                customerInfo: {},
-                assignedDrone: null,
-                createdAt: new Date().toISOString(),
-                deliveredAt: null,
-                updatedAt: new Date().toISOString()
-            };
-            ordersList.push(order);
-            createdOrders.push(order);
+                priority: sampleData.priority
+            });
+            // Pontos de exemplo dentro de zonas de exclusão aérea são descartados
+            if (validation.isValid) {
+                createdOrders.push(order);
+            }
         }
 
         res.json({
@@ -390,12 +431,23 @@ router.post('/seed', (req, res) => {
 });
 
 // Funções auxiliares
+
+// Descarta drones, pedidos, simulações, o despacho automático e os registros de manutenção (reset e seed)
+function resetSystemData() {
+    despachoModule.resetDispatcher();
+    simulationService.reset();
+    dronesModule.resetDrones();
+    pedidosModule.resetOrders();
+    manutencaoModule.resetMaintenance();
+    eventBus.publish(EVENT_TYPES.SYSTEM_RESET, {});
+}
+
 function calculateSystemEfficiency(allOrders, deliveredOrders, drones) {
     if (allOrders.length === 0) return 100;
     
     const deliveryRate = (deliveredOrders.length / allOrders.length) * 100;
     const droneUtilization = drones.length > 0 ? 
-        (drones.filter(d => d.status !== 'idle').length / drones.length) * 100 : 0;
+        (drones.filter(d => d.isOnMission()).length / drones.length) * 100 : 0;
     
     return Math.round((deliveryRate + droneUtilization) / 2);
 }
@@ -405,14 +457,14 @@ function calculateSystemUtilization(drones, orders) {
     
     const totalCapacity = drones.reduce((sum, d) => sum + d.capacity, 0);
     const usedCapacity = orders
-        .filter(o => o.status === 'assigned')
+        .filter(o => o.status === 'assigned' || o.status === 'in_flight')
         .reduce((sum, o) => sum + o.weight, 0);
     
     return totalCapacity > 0 ? Math.round((usedCapacity / totalCapacity) * 100) : 0;
 }
 
 function calculateAverageResponseTime(orders) {
-    const assignedOrders = orders.filter(o => o.status === 'assigned' || o.status === 'delivered');
+    const assignedOrders = orders.filter(o => ['assigned', 'in_flight', 'delivered'].includes(o.status));
     
     if (assignedOrders.length === 0) return 0;
     
@@ -0,0 +1,301 @@
+/**
+ * AutoDispatcher - Despacho automático contínuo
+ * Reage a novos pedidos e a drones que ficam ociosos: agrupa os pedidos novos por uma
+ * janela de espera (holdingWindow, contada a partir do pedido novo mais antigo), executa
+ * a estratégia configurada e lança as viagens. Pedidos que ficaram de fora de um ciclo
+ * voltam a ser tentados quando um drone fica ocioso. Cada decisão (despacho, espera,
+ * descarte ou falha) fica registrada e é publicada no barramento
+ */
+
+const EventEmitter = require('events');
+const eventBus = require('./eventBus');
+const planningService = require('./planningService');
+const vrpSolver = require('../utils/vrpSolver');
+const { EVENT_TYPES } = eventBus;
+
+const LOG_SIZE = 200; // Decisões mantidas no registro
+
+// Configuração inicial do despacho
+const DEFAULT_CONFIG = Object.freeze({
+    strategy: planningService.DEFAULT_STRATEGY,
+    holdingWindow: 30, // segundos de espera para agrupar pedidos novos
+    maxBatchSize: 10, // pedidos novos que disparam o despacho antes do fim da janela
+    maxDistance: 15,
+    timeBudget: vrpSolver.DEFAULT_TIME_BUDGET,
+    speed: null, // null = simulationSpeed na proporção do cruzeiro de cada drone
+    realTime: false
+});
+
+class AutoDispatcher extends EventEmitter {
+    /**
+     * @param {Object} options - Acesso aos dados e à execução do despacho
+     * @param {Function} options.getPendingOrders - () => pedidos pendentes despacháveis
+     * @param {Function} options.getIdleDrones - () => drones ociosos
+     * @param {Function} options.dispatch - (config) => {strategy, assignments, drones, simulationId};
+     *                                      atribui os pedidos e lança as viagens
+     */
+    constructor(options = {}) {
+        super();
+        this.getPendingOrders = options.getPendingOrders;
+        this.getIdleDrones = options.getIdleDrones;
+        this.dispatch = options.dispatch;
+
+        this.status = 'stopped'; // Estados: stopped, running
+        this.config = { ...DEFAULT_CONFIG };
+        this.timer = null;
+        this.nextDispatchAt = null;
+        this.unsubscribe = null;
+        this.startedAt = null;
+        this.attempted = new Set(); // Pedidos que ficaram de fora de um ciclo
+        this.decisions = [];
+        this.lastDecisionId = 0;
+        this.stats = { cycles: 0, dispatchedOrders: 0, launchedSimulations: 0 };
+    }
+
+    /**
+     * Liga o despacho automático e despacha os pedidos que já aguardam
+     * @param {Object} changes - Alterações de configuração (opcional)
+     * @returns {boolean} - True se o despacho foi ligado
+     */
+    start(changes = {}) {
+        if (this.status === 'running') return false;
+
+        this.config = { ...this.config, ...changes };
+        this.status = 'running';
+        this.startedAt = new Date().toISOString();
+        this.unsubscribe = eventBus.subscribe(event => this.handleEvent(event));
+        this.record('started', { trigger: 'api', config: { ...this.config } });
+        this.trigger('start');
+        return true;
+    }
+
+    /**
+     * Desliga o despacho automático; viagens já lançadas continuam
+     * @returns {boolean} - True se o despacho foi desligado
+     */
+    stop() {
+        if (this.status !== 'running') return false;
+
+        this.clearTimer();
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.status = 'stopped';
+        this.record('stopped', { trigger: 'api' });
+        return true;
+    }
+
+    /**
+     * Altera a configuração; com o despacho ligado, reavalia o próximo despacho
+     * @param {Object} changes - Chaves a alterar
+     * @returns {Object} - Configuração em vigor
+     */
+    updateConfig(changes) {
+        this.config = { ...this.config, ...changes };
+        this.record('configured', { trigger: 'api', config: { ...this.config } });
+
+        if (this.status === 'running') {
+            this.trigger('config');
+        }
+        return { ...this.config };
+    }
+
+    /**
+     * Reage aos eventos do sistema: pedido criado, drone criado ou ocioso
+     * @param {Object} event - Evento do barramento
+     */
+    handleEvent(event) {
+        if (event.type === EVENT_TYPES.ORDER_CREATED) {
+            this.trigger('order.created');
+        } else if (event.type === EVENT_TYPES.DRONE_CREATED ||
+            (event.type === EVENT_TYPES.DRONE_STATUS && event.data.status === 'idle')) {
+            this.trigger('drone.idle');
+        }
+    }
+
+    /**
+     * Agenda o próximo despacho: ao fim da janela de espera do pedido novo mais antigo, logo
+     * se a janela já passou ou o lote atingiu maxBatchSize e, sem pedidos novos, logo quando
+     * um drone fica ocioso (ou o despacho é ligado ou reconfigurado) e há pedidos já tentados
+     * @param {string} trigger - O que motivou a reavaliação
+     */
+    trigger(trigger) {
+        if (this.status !== 'running') return;
+
+        const pending = this.getPendingOrders();
+        if (pending.length === 0) {
+            this.attempted.clear();
+            this.clearTimer();
+            return;
+        }
+
+        // Esquece os pedidos que saíram da fila (despachados ou cancelados)
+        const pendingIds = new Set(pending.map(order => order.id));
+        this.attempted = new Set([...this.attempted].filter(id => pendingIds.has(id)));
+        const fresh = pending.filter(order => !this.attempted.has(order.id));
+
+        let due;
+        if (fresh.length >= this.config.maxBatchSize) {
+            due = Date.now();
+        } else if (fresh.length > 0) {
+            const oldest = Math.min(...fresh.map(order => new Date(order.createdAt).getTime()));
+            due = Math.max(Date.now(), oldest + this.config.holdingWindow * 1000);
+        } else if (trigger !== 'order.created') {
+            due = Date.now();
+        } else {
+            return;
+        }
+
+        // Mantém o agendamento em vigor se ele já acontece antes
+        if (this.timer && this.nextDispatchAt <= due) return;
+
+        this.clearTimer();
+        this.nextDispatchAt = due;
+        // O ciclo roda fora do evento que o disparou (ex.: um passo da simulação)
+        this.timer = setTimeout(() => this.runCycle(trigger), due - Date.now());
+
+        // Não impede o encerramento do processo (ex.: testes)
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Executa um ciclo de despacho e registra a decisão
+     * @param {string} trigger - O que motivou o ciclo
+     */
+    runCycle(trigger) {
+        this.timer = null;
+        this.nextDispatchAt = null;
+        if (this.status !== 'running') return;
+
+        const pending = this.getPendingOrders();
+        if (pending.length === 0) return;
+
+        this.stats.cycles++;
+        const pendingIds = pending.map(order => order.id);
+        // Os que não forem despachados aguardam o próximo drone ocioso
+        pendingIds.forEach(id => this.attempted.add(id));
+
+        // Sem drone ocioso o lote aguarda: o próximo drone que ficar ocioso dispara o despacho
+        if (this.getIdleDrones().length === 0) {
+            this.record('waiting', { trigger, orders: pendingIds, reason: 'Nenhum drone disponivel' });
+            return;
+        }
+
+        let result;
+        try {
+            result = this.dispatch({ ...this.config });
+        } catch (error) {
+            this.record('failed', { trigger, orders: pendingIds, reason: error.message });
+            return;
+        }
+
+        if (result.assignments.length === 0) {
+            this.record('skipped', {
+                trigger,
+                strategy: result.strategy,
+                orders: pendingIds,
+                reason: 'Nenhum pedido cabe nos drones disponiveis'
+            });
+            return;
+        }
+
+        const dispatched = result.assignments.map(assignment => assignment.orderId);
+        dispatched.forEach(id => this.attempted.delete(id));
+        this.stats.dispatchedOrders += dispatched.length;
+        if (result.simulationId) {
+            this.stats.launchedSimulations++;
+        }
+
+        this.record('dispatched', {
+            trigger,
+            strategy: result.strategy,
+            orders: dispatched,
+            drones: result.drones,
+            simulationId: result.simulationId,
+            remainingOrders: pendingIds.filter(id => !dispatched.includes(id))
+        });
+    }
+
+    /**
+     * Registra uma decisão e a publica no barramento
+     * @param {string} action - started, stopped, configured, dispatched, waiting, skipped ou failed
+     * @param {Object} details - Dados da decisão
+     * @returns {Object} - Decisão registrada
+     */
+    record(action, details = {}) {
+        const decision = {
+            id: ++this.lastDecisionId,
+            timestamp: new Date().toISOString(),
+            action,
+            ...details
+        };
+
+        this.decisions.push(decision);
+        if (this.decisions.length > LOG_SIZE) {
+            this.decisions.shift();
+        }
+
+        this.emit('decision', decision);
+        eventBus.publish(EVENT_TYPES.DISPATCH_DECISION, decision);
+        return decision;
+    }
+
+    /**
+     * Cancela o despacho agendado
+     */
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.nextDispatchAt = null;
+    }
+
+    /**
+     * Retorna as decisões mais recentes
+     * @param {number} limit - Quantidade máxima
+     * @returns {Array<Object>} - Decisões da mais recente para a mais antiga
+     */
+    getDecisions(limit = LOG_SIZE) {
+        return this.decisions.slice(-limit).reverse();
+    }
+
+    /**
+     * Retorna o estado do despacho automático
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        const running = this.status === 'running';
+        return {
+            status: this.status,
+            startedAt: running ? this.startedAt : null,
+            config: { ...this.config },
+            pendingOrders: this.getPendingOrders().length,
+            idleDrones: this.getIdleDrones().length,
+            nextDispatchAt: this.nextDispatchAt ? new Date(this.nextDispatchAt).toISOString() : null,
+            stats: { ...this.stats },
+            lastDecision: this.decisions.length > 0 ? this.decisions[this.decisions.length - 1] : null
+        };
+    }
+
+    /**
+     * Desliga o despacho e descarta o registro e a configuração alterada (usado ao reiniciar o sistema)
+     */
+    reset() {
+        if (this.status === 'running') {
+            this.clearTimer();
+            this.unsubscribe();
+            this.unsubscribe = null;
+            this.status = 'stopped';
+        }
+        this.config = { ...DEFAULT_CONFIG };
+        this.startedAt = null;
+        this.attempted.clear();
+        this.decisions = [];
+        this.stats = { cycles: 0, dispatchedOrders: 0, launchedSimulations: 0 };
+    }
+}
+
+module.exports = AutoDispatcher;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
\ No newline at end of file
@@ -0,0 +1,916 @@
+/**
+ * SimulationEngine - Simulação de entregas no servidor (sem navegador)
+ * Avança os drones pelas rotas em um relógio virtual, consumindo bateria
+ * e concluindo pedidos à medida que os destinos são alcançados; recargas em
+ * estações e na base levam tempo virtual conforme a taxa de recarga.
+ * O relógio virtual parte do horário de início: entregas são registradas nesse
+ * relógio e drones que chegam antes da janela do pedido aguardam sua abertura.
+ * Pedidos novos podem entrar na rota de um drone ainda a caminho das entregas.
+ * Pedidos com coleta fora da base sobem a bordo ao alcançar o waypoint de coleta.
+ * Cada tentativa de entrega pode falhar com a probabilidade configurada; o pacote
+ * segue a bordo (e pesando) até a base, onde volta como returned.
+ * Um pedido com PIN só é entregue com a confirmação do destinatário pela API: o drone
+ * aguarda no ponto de entrega e, sem ela no prazo, a tentativa falha como pin_invalido.
+ * Um pouso de emergência encerra a missão do drone onde ele estiver; interrompida a
+ * simulação, os drones voltam ociosos à base com os pedidos que ainda levavam
+ */
+
+const EventEmitter = require('events');
+const ChargingPlanner = require('../../js/utils/ChargingPlanner');
+const DeliveryOutcomes = require('../../js/utils/DeliveryOutcomes');
+const DroneCatalog = require('../../js/utils/DroneCatalog');
+const PickupPlanner = require('../../js/utils/PickupPlanner');
+const chargingService = require('./chargingService');
+const planningService = require('./planningService');
+const { calculateDistance, calculateOptimizedRoute, calculateRemainingRoute } = require('../utils/routing');
+
+const DEFAULT_TICK_MS = 100;
+const FAST_FORWARD_FACTOR = 60; // segundos virtuais por segundo real fora do modo tempo real
+const DEFAULT_PIN_WAIT_MINUTES = 5; // espera pela confirmação do PIN no ponto de entrega
+
+class SimulationEngine extends EventEmitter {
+    /**
+     * @param {Object} options - Configuração da simulação
+     * @param {string} options.id - Identificador da simulação
+     * @param {Array<Drone>} options.drones - Drones participantes (mutados durante a simulação)
+     * @param {Array<Order>} options.orders - Pedidos atribuídos aos drones
+     * @param {number} options.speed - Velocidade de todos os drones em km por minuto virtual (padrão: a de cada drone)
+     * @param {number} options.baseSpeed - Velocidade em km por minuto virtual do modelo padrão do catálogo; os demais
+     *                                     modelos voam na proporção do seu cruzeiro (padrão: o cruzeiro de cada drone)
+     * @param {boolean} options.realTime - Se true, 1s virtual corresponde a 1s real
+     * @param {number} options.tickMs - Intervalo do relógio em ms reais
+     * @param {number} options.baseChargeRate - Recarga na base em % por minuto virtual
+     * @param {Function} options.onOrderDelivered - Chamado quando um pedido é entregue (pedido, horário virtual, drone)
+     * @param {number} options.failureRate - Probabilidade de falha de cada entrega, de 0 a 1 (padrão: a configurada)
+     * @param {Function} options.random - Gerador em [0, 1) usado no sorteio dos resultados (padrão: Math.random)
+     * @param {number} options.pinWaitMinutes - Minutos virtuais de espera pela confirmação do PIN do destinatário
+     */
+    constructor(options = {}) {
+        super();
+        this.id = options.id || `SIM-${Date.now()}`;
+        this.drones = options.drones || [];
+        this.orders = options.orders || [];
+        this.speed = options.speed || null; // null = velocidade de cada drone
+        this.baseSpeed = options.baseSpeed || null; // null = velocidade de cruzeiro de cada drone
+        this.realTime = Boolean(options.realTime);
+        this.tickMs = options.tickMs || DEFAULT_TICK_MS;
+        this.baseChargeRate = options.baseChargeRate || ChargingPlanner.getBaseChargeRate();
+        this.onOrderDelivered = options.onOrderDelivered || ((order, at) => order.updateStatus('delivered', null, at));
+        this.failureRate = options.failureRate !== undefined ? options.failureRate : DeliveryOutcomes.getFailureRate();
+        this.random = options.random || Math.random;
+        this.pinWaitMinutes = options.pinWaitMinutes || DEFAULT_PIN_WAIT_MINUTES;
+
+        this.status = 'created'; // Estados: created, running, paused, stopped, completed
+        this.virtualTime = 0; // Segundos virtuais decorridos
+        this.missions = new Map();
+        this.timer = null;
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.clockOrigin = null; // Horário real do início, origem do relógio virtual
+        this.deliveredCount = 0;
+        this.lateCount = 0; // Entregas em atraso (fim da janela ou, sem janela, espera máxima da prioridade)
+        this.failedCount = 0; // Tentativas de entrega sem sucesso
+    }
+
+    /**
+     * Monta as missões dos drones e inicia o relógio
+     * @returns {SimulationEngine} - A própria simulação
+     */
+    start() {
+        if (this.status !== 'created') {
+            return this;
+        }
+
+        for (const drone of this.drones) {
+            const droneOrders = this.orders.filter(o =>
+                o.assignedDrone === drone.id && o.status === 'assigned'
+            );
+            if (droneOrders.length === 0) continue;
+
+            const route = calculateOptimizedRoute(drone, droneOrders);
+            const waypoints = route.waypoints;
+
+            // Reserva a passagem pelas estações de recarga do plano
+            route.chargingStops.forEach(stop => chargingService.expect(stop.stationId, drone.id));
+
+            this.setDroneStatus(drone, 'flying');
+            drone.cycles++;
+            droneOrders.forEach(order => order.updateStatus('in_flight'));
+            drone.position = { ...drone.position };
+            // Decola só com os pacotes da base; os demais sobem a bordo nas coletas
+            drone.currentLoad = PickupPlanner.getInitialLoad(droneOrders);
+            drone.currentRoute = [{ ...drone.position }, ...waypoints.map(w => ({ x: w.x, y: w.y, type: w.type }))];
+            drone.updatedAt = new Date();
+
+            this.missions.set(drone.id, {
+                drone,
+                waypoints,
+                index: 0,
+                plannedDistance: route.distance,
+                chargingStops: route.chargingStops.length,
+                charging: null, // {stationId, rate, target, from, queued} enquanto recarrega ou aguarda vaga
+                waiting: null, // {order, until, pin} enquanto aguarda a abertura da janela ou a confirmação do PIN
+                reportedBattery: Math.floor(drone.battery),
+                flownSinceCharge: 0, // km desde a última recarga, para o alcance ao replanejar
+                completed: false,
+                aborted: false // Encerrada por pouso de emergência
+            });
+        }
+
+        this.status = 'running';
+        this.clockOrigin = Date.now();
+        this.startedAt = new Date(this.clockOrigin).toISOString();
+        this.emit('started', this.getStatus());
+
+        if (this.missions.size === 0) {
+            this.complete();
+        } else {
+            this.startClock();
+        }
+
+        return this;
+    }
+
+    /**
+     * Pausa o relógio virtual
+     * @returns {boolean} - True se a simulação foi pausada
+     */
+    pause() {
+        if (this.status !== 'running') return false;
+        this.stopClock();
+        this.status = 'paused';
+        this.emit('paused', this.getStatus());
+        return true;
+    }
+
+    /**
+     * Retoma uma simulação pausada
+     * @returns {boolean} - True se a simulação foi retomada
+     */
+    resume() {
+        if (this.status !== 'paused') return false;
+        this.status = 'running';
+        this.startClock();
+        this.emit('resumed', this.getStatus());
+        return true;
+    }
+
+    /**
+     * Interrompe a simulação, liberando as vagas ocupadas nas estações de recarga
+     * Os drones das missões em andamento são recolhidos à base (ver recallMission)
+     * @returns {boolean} - True se a simulação foi interrompida
+     */
+    stop() {
+        if (this.status === 'stopped' || this.status === 'completed') return false;
+        this.stopClock();
+
+        for (const mission of this.missions.values()) {
+            mission.waypoints
+                .filter(waypoint => waypoint.type === 'charging')
+                .forEach(waypoint => chargingService.release(waypoint.station.id, mission.drone.id));
+            if (!mission.completed) {
+                this.recallMission(mission);
+            }
+        }
+
+        this.status = 'stopped';
+        this.finishedAt = new Date().toISOString();
+        this.emit('stopped', this.getStatus());
+        return true;
+    }
+
+    /**
+     * Avança o relógio virtual
+     * @param {number} seconds - Segundos virtuais a avançar
+     * @returns {Object} - Status após o avanço
+     */
+    step(seconds) {
+        if (this.status !== 'running' && this.status !== 'paused') {
+            return this.getStatus();
+        }
+
+        this.virtualTime += seconds;
+
+        for (const mission of this.missions.values()) {
+            if (!mission.completed) {
+                this.advanceMission(mission, seconds);
+                this.reportTelemetry(mission);
+            }
+        }
+
+        if ([...this.missions.values()].every(m => m.completed)) {
+            this.complete();
+        }
+
+        return this.getStatus();
+    }
+
+    /**
+     * Converte segundos do relógio virtual em horário
+     * @param {number} seconds - Segundos virtuais desde o início
+     * @returns {Date} - Horário virtual
+     */
+    getVirtualDate(seconds = this.virtualTime) {
+        return new Date(this.clockOrigin + seconds * 1000);
+    }
+
+    /**
+     * Avança a missão de um drone pelo tempo do passo: aguarda a janela de entrega ou o PIN,
+     * recarrega (ou aguarda vaga) numa estação ou na base e voa pelos waypoints no restante
+     * @param {Object} mission - Missão do drone
+     * @param {number} seconds - Segundos virtuais do passo
+     */
+    advanceMission(mission, seconds) {
+        const drone = mission.drone;
+        let remaining = seconds;
+
+        while (remaining > 0 && !mission.completed) {
+            const now = this.virtualTime - remaining;
+
+            if (mission.waiting) {
+                const { order, until, pin } = mission.waiting;
+                // PIN confirmado pela API enquanto o drone aguardava no local
+                if (pin && order.status === 'delivered') {
+                    mission.waiting = null;
+                    this.finishDelivery(mission, order);
+                    continue;
+                }
+                if (this.virtualTime < until) {
+                    remaining = 0;
+                    continue;
+                }
+                remaining = this.virtualTime - Math.max(until, now);
+                mission.waiting = null;
+                if (pin) {
+                    order.recordAttempt('pin_invalido', drone.id, this.getVirtualDate(until));
+                    this.failDelivery(mission, order, 'pin_invalido', until);
+                } else {
+                    this.deliverOrder(mission, order, Math.max(until, now));
+                }
+                continue;
+            }
+
+            if (mission.charging) {
+                remaining = this.advanceCharging(mission, remaining);
+                continue;
+            }
+
+            if (mission.index >= mission.waypoints.length) {
+                break;
+            }
+
+            const target = mission.waypoints[mission.index];
+            const speed = this.getSpeed(drone);
+            const distanceToTarget = calculateDistance(drone.position, target);
+            const distanceBudget = speed * (remaining / 60);
+
+            if (distanceBudget >= distanceToTarget) {
+                this.fly(drone, target, distanceToTarget);
+                mission.flownSinceCharge += distanceToTarget;
+                remaining -= (distanceToTarget / speed) * 60;
+                mission.index++;
+                this.handleArrival(mission, target, now + (distanceToTarget / speed) * 60);
+            } else {
+                const progress = distanceBudget / distanceToTarget;
+                this.fly(drone, {
+                    x: drone.position.x + (target.x - drone.position.x) * progress,
+                    y: drone.position.y + (target.y - drone.position.y) * progress
+                }, distanceBudget);
+                mission.flownSinceCharge += distanceBudget;
+                remaining = 0;
+            }
+        }
+    }
+
+    /**
+     * Avalia a entrada de um pedido na rota de cada drone a caminho das entregas
+     * Só drones em voo de ida (sem recarregar nem aguardar janela) com capacidade, espaço e
+     * vaga no limite de pedidos por viagem (maxOrdersPerDrone) são considerados; as entregas restantes e o pedido são reordenados a partir da
+     * posição atual e a nova rota precisa caber na bateria, no alcance e nas janelas
+     * @param {Order} order - Pedido pendente
+     * @returns {Object|null} - Melhor encaixe {droneId, route, addedDistance} ou null
+     */
+    findInsertion(order) {
+        if (this.status !== 'running' && this.status !== 'paused') return null;
+
+        let best = null;
+        for (const mission of this.missions.values()) {
+            const drone = mission.drone;
+            if (mission.completed || mission.charging || mission.waiting || drone.status !== 'flying') continue;
+
+            const remaining = mission.waypoints.slice(mission.index);
+            const remainingOrders = remaining.filter(w => w.type === 'delivery').map(w => w.order);
+            if (remainingOrders.length === 0) continue;
+            if (!planningService.checkOrderLimit(drone.assignedOrders.length).feasible) continue;
+            const pickups = PickupPlanner.hasPickups([...remainingOrders, order]);
+            if (!pickups && drone.currentLoad + order.weight > drone.capacity) continue;
+            if (!drone.checkCargo([...remainingOrders, order]).feasible) continue;
+
+            const route = calculateRemainingRoute(drone, [...remainingOrders, order],
+                this.getVirtualDate(), mission.flownSinceCharge);
+            if (!route.feasible) continue;
+            // Com coletas pela frente, vale a maior carga a bordo no restante da rota
+            if (pickups && PickupPlanner.getPeakLoad(drone.getVisits(route.sequence)) > drone.capacity) continue;
+
+            const points = [drone.position, ...remaining];
+            const currentDistance = points.slice(1).reduce((sum, point, i) => sum + calculateDistance(points[i], point), 0);
+            const addedDistance = route.distance - currentDistance;
+
+            if (!best || addedDistance < best.addedDistance) {
+                best = { droneId: drone.id, route, addedDistance };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Coloca o pedido na rota do drone, substituindo o restante da rota pela replanejada
+     * @param {Order} order - Pedido pendente
+     * @param {Object} insertion - Encaixe retornado por findInsertion
+     * @returns {Object} - Dados do evento 'routeChanged'
+     */
+    insertOrder(order, insertion) {
+        const mission = this.missions.get(insertion.droneId);
+        const drone = mission.drone;
+        const { route } = insertion;
+
+        drone.assignPlannedRoute(route.sequence);
+        order.updateStatus('in_flight');
+        // Com a lista de pedidos do sistema (repositório) o pedido já está nela
+        if (!this.orders.includes(order)) {
+            this.orders.push(order);
+        }
+        this.replaceRemainingRoute(mission, route.waypoints, route.chargingStops);
+        mission.plannedDistance += insertion.addedDistance;
+
+        const change = {
+            simulationId: this.id,
+            droneId: drone.id,
+            orderId: order.id,
+            action: 'inserted',
+            orders: route.sequence.map(o => o.id),
+            route: drone.currentRoute,
+            addedDistance: insertion.addedDistance
+        };
+        this.emit('routeChanged', change);
+        return change;
+    }
+
+    /**
+     * Tira da rota de um drone em voo a entrega de um pedido cancelado
+     * As entregas restantes são replanejadas a partir da posição atual; se o novo plano não
+     * couber na bateria ou no alcance, apenas a parada do pedido sai da rota
+     * @param {string} orderId - Id do pedido
+     * @returns {Object|null} - Dados do evento 'routeChanged' ou null se nenhum drone leva o pedido
+     */
+    removeOrder(orderId) {
+        const mission = [...this.missions.values()].find(m => !m.completed &&
+            ((m.waiting && m.waiting.order.id === orderId) ||
+                m.waypoints.slice(m.index).some(w => w.type === 'delivery' && w.order.id === orderId)));
+        if (!mission) return null;
+
+        const drone = mission.drone;
+        const remaining = mission.waypoints.slice(mission.index);
+        const points = [drone.position, ...remaining];
+        const previousDistance = points.slice(1).reduce((sum, point, i) => sum + calculateDistance(points[i], point), 0);
+
+        // Aguardando a janela ou o PIN do pedido cancelado: segue viagem
+        if (mission.waiting && mission.waiting.order.id === orderId) {
+            mission.waiting = null;
+        }
+
+        const remainingOrders = remaining
+            .filter(w => w.type === 'delivery' && w.order.id !== orderId)
+            .map(w => w.order);
+        const route = mission.charging
+            ? null
+            : calculateRemainingRoute(drone, remainingOrders, this.getVirtualDate(), mission.flownSinceCharge);
+
+        let waypoints;
+        if (route && route.feasible) {
+            drone.plannedSequence = route.sequence.map(order => order.id);
+            this.replaceRemainingRoute(mission, route.waypoints, route.chargingStops);
+            waypoints = route.waypoints;
+        } else {
+            // Sai a entrega e, se ainda não foi feita, a coleta do pedido
+            waypoints = remaining.filter(w => !(w.order && w.order.id === orderId));
+            this.replaceRemainingRoute(mission, waypoints,
+                waypoints.filter(w => w.type === 'charging').map(w => w.station.id));
+        }
+
+        const nextPoints = [drone.position, ...waypoints];
+        const distance = nextPoints.slice(1).reduce((sum, point, i) => sum + calculateDistance(nextPoints[i], point), 0);
+        mission.plannedDistance += distance - previousDistance;
+
+        if (!mission.charging && !mission.waiting) {
+            this.setDroneStatus(drone, waypoints.some(w => w.type === 'delivery') ? 'flying' : 'returning');
+        }
+
+        const change = {
+            simulationId: this.id,
+            droneId: drone.id,
+            orderId,
+            action: 'removed',
+            orders: waypoints.filter(w => w.type === 'delivery').map(w => w.order.id),
+            route: drone.currentRoute,
+            addedDistance: distance - previousDistance
+        };
+        this.emit('routeChanged', change);
+        return change;
+    }
+
+    /**
+     * Substitui o restante da rota da missão (a partir do waypoint atual)
+     * @param {Object} mission - Missão do drone
+     * @param {Array<Object>} waypoints - Novos waypoints até a base
+     * @param {Array<string>} chargingStops - Ids das estações com parada na nova rota
+     */
+    replaceRemainingRoute(mission, waypoints, chargingStops) {
+        const drone = mission.drone;
+
+        // Troca as paradas de recarga previstas no restante da rota pelas da nova rota
+        mission.waypoints.slice(mission.index)
+            .filter(waypoint => waypoint.type === 'charging')
+            .forEach(waypoint => chargingService.release(waypoint.station.id, drone.id));
+        chargingStops.forEach(stationId => chargingService.expect(stationId, drone.id));
+
+        drone.currentRoute = [{ ...drone.position }, ...waypoints.map(w => ({ x: w.x, y: w.y, type: w.type }))];
+        drone.currentRouteIndex = 0;
+        drone.updatedAt = new Date();
+
+        mission.waypoints = [...mission.waypoints.slice(0, mission.index), ...waypoints];
+        mission.chargingStops = mission.waypoints.filter(w => w.type === 'charging').length;
+    }
+
+    /**
+     * Recarrega o drone pelo tempo disponível; numa estação lotada o drone aguarda na fila
+     * @param {Object} mission - Missão do drone (com charging definido)
+     * @param {number} seconds - Segundos virtuais disponíveis
+     * @returns {number} - Segundos que sobraram após concluir a recarga (0 se ainda recarregando)
+     */
+    advanceCharging(mission, seconds) {
+        const drone = mission.drone;
+        const charging = mission.charging;
+
+        if (charging.queued) {
+            const station = ChargingPlanner.getStation(charging.stationId);
+            if (!chargingService.acquire(charging.stationId, drone.id, station ? station.slots : 1)) {
+                return 0;
+            }
+            charging.queued = false;
+            this.emit('chargingStarted', { simulationId: this.id, droneId: drone.id, stationId: charging.stationId });
+        }
+
+        const secondsToTarget = Math.max(0, (charging.target - drone.battery) / charging.rate * 60);
+        if (seconds < secondsToTarget) {
+            drone.battery += charging.rate * (seconds / 60);
+            drone.updatedAt = new Date();
+            return 0;
+        }
+
+        drone.battery = Math.max(drone.battery, charging.target);
+        drone.recordCharge(charging.from, drone.battery, this.getVirtualDate(this.virtualTime - seconds + secondsToTarget));
+        drone.updatedAt = new Date();
+        mission.charging = null;
+        mission.flownSinceCharge = 0;
+
+        if (charging.stationId) {
+            chargingService.release(charging.stationId, drone.id);
+            this.emit('droneCharged', { simulationId: this.id, droneId: drone.id, stationId: charging.stationId });
+            this.setDroneStatus(drone, 'flying');
+        } else {
+            this.finishMission(mission);
+        }
+
+        return seconds - secondsToTarget;
+    }
+
+    /**
+     * Velocidade de um drone na simulação: a da simulação, se definida, ou a do modelo do drone
+     * @param {Object} drone - Drone da simulação
+     * @returns {number} - Velocidade em km por minuto virtual
+     */
+    getSpeed(drone) {
+        return SimulationEngine.resolveSpeed(drone, this.speed, this.baseSpeed);
+    }
+
+    /**
+     * Velocidade de um drone numa simulação: a fixa, se definida; senão a de referência
+     * escalada pelo cruzeiro do drone em relação ao do modelo padrão; senão o cruzeiro do drone
+     * @param {Object} drone - Drone
+     * @param {number|null} speed - Velocidade fixa de todos os drones (km por minuto virtual)
+     * @param {number|null} baseSpeed - Velocidade do modelo padrão (km por minuto virtual)
+     * @returns {number} - Velocidade em km por minuto virtual
+     */
+    static resolveSpeed(drone, speed, baseSpeed) {
+        if (speed) {
+            return speed;
+        }
+        if (baseSpeed) {
+            return baseSpeed * drone.speed / DroneCatalog.getSpeed(DroneCatalog.DEFAULT_MODEL);
+        }
+        return drone.speed;
+    }
+
+    /**
+     * Desloca o drone e consome bateria pelo modelo de energia (carga atual e vento)
+     * @param {Object} drone - Drone em voo
+     * @param {Object} position - Nova posição {x, y}
+     * @param {number} distance - Distância percorrida
+     */
+    fly(drone, position, distance) {
+        const consumption = drone.calculateSegmentBattery(drone.position, position, drone.currentLoad);
+        drone.position = { x: position.x, y: position.y };
+        drone.battery = Math.max(0, drone.battery - consumption);
+        drone.totalDistance += distance;
+        drone.flightMinutes += distance / this.getSpeed(drone);
+        drone.updatedAt = new Date();
+    }
+
+    /**
+     * Emite a posição do drone após o passo e a bateria quando muda de ponto percentual
+     * @param {Object} mission - Missão do drone
+     */
+    reportTelemetry(mission) {
+        const drone = mission.drone;
+        if (mission.completed) return; // Posição e bateria já reportadas ao concluir a missão
+
+        this.emit('droneMoved', { simulationId: this.id, droneId: drone.id, position: drone.position });
+
+        const battery = Math.floor(drone.battery);
+        if (battery !== mission.reportedBattery) {
+            mission.reportedBattery = battery;
+            this.emit('batteryChanged', { simulationId: this.id, droneId: drone.id, battery: drone.battery });
+        }
+    }
+
+    /**
+     * Altera o status do drone pelo ciclo de vida, emitindo 'droneStatus' quando há mudança
+     * @param {Object} drone - Drone da simulação
+     * @param {string} status - Novo status
+     * @returns {boolean} - False se o ciclo de vida não permite a transição
+     */
+    setDroneStatus(drone, status) {
+        const previousStatus = drone.status;
+        if (!drone.updateStatus(status)) {
+            return false;
+        }
+
+        if (previousStatus !== status) {
+            this.emit('droneStatus', { simulationId: this.id, droneId: drone.id, status, previousStatus });
+        }
+        return true;
+    }
+
+    /**
+     * Encerra a missão de um drone que fez um pouso de emergência
+     * O drone fica onde pousou, os pedidos ainda a bordo passam a failed e as
+     * reservas nas estações de recarga da rota são liberadas
+     * @param {string} droneId - Id do drone
+     * @returns {Object|null} - Dados do evento 'missionAborted' ou null se o drone não tem missão em andamento
+     */
+    abortMission(droneId) {
+        const mission = this.missions.get(droneId);
+        if (!mission || mission.completed || (this.status !== 'running' && this.status !== 'paused')) {
+            return null;
+        }
+
+        const drone = mission.drone;
+        mission.waypoints
+            .filter(waypoint => waypoint.type === 'charging')
+            .forEach(waypoint => chargingService.release(waypoint.station.id, drone.id));
+
+        const at = this.getVirtualDate();
+        const failed = drone.assignedOrders.filter(order => order.updateStatus('failed', null, at));
+        failed.forEach(order => this.emit('orderFailed', { simulationId: this.id, droneId, orderId: order.id }));
+
+        mission.waiting = null;
+        mission.charging = null;
+        mission.completed = true;
+        mission.aborted = true;
+        drone.currentRoute = [];
+        drone.currentRouteIndex = 0;
+        drone.updatedAt = new Date();
+
+        const abort = {
+            simulationId: this.id,
+            droneId,
+            position: drone.position,
+            failedOrders: failed.map(order => order.id)
+        };
+        this.emit('missionAborted', abort);
+
+        if ([...this.missions.values()].every(m => m.completed)) {
+            this.complete();
+        }
+        return abort;
+    }
+
+    /**
+     * Recolhe à base o drone de uma missão interrompida, pelo ciclo de vida do drone e dos pedidos
+     * Os pedidos ainda com ele passam a returned ('orderReturned' com stopped; outcome é o motivo
+     * da falha dos que tiveram a entrega tentada) e o drone fica ocioso na base, passando por
+     * returning se estava em voo; a bateria fica como estava
+     * @param {Object} mission - Missão do drone
+     */
+    recallMission(mission) {
+        const drone = mission.drone;
+
+        // Cópia: o pedido que volta à fila sai do drone durante o 'orderReturned'
+        for (const order of [...drone.assignedOrders]) {
+            const outcome = order.status === 'failed' ? order.getLastAttempt().outcome : null;
+            if (order.updateStatus('returned')) {
+                this.emit('orderReturned', { simulationId: this.id, droneId: drone.id, orderId: order.id, outcome, stopped: true });
+            }
+        }
+
+        mission.waiting = null;
+        mission.charging = null;
+        mission.completed = true;
+        drone.recoverToBase();
+        drone.updatedAt = new Date();
+
+        if (!drone.canTransitionTo('idle')) {
+            this.setDroneStatus(drone, 'returning');
+        }
+        this.setDroneStatus(drone, 'idle');
+        this.emit('droneMoved', { simulationId: this.id, droneId: drone.id, position: drone.position });
+    }
+
+    /**
+     * Trata a chegada do drone a um waypoint
+     * @param {Object} mission - Missão do drone
+     * @param {Object} waypoint - Waypoint alcançado
+     * @param {number} arrivedAt - Segundos virtuais da chegada
+     */
+    handleArrival(mission, waypoint, arrivedAt) {
+        const drone = mission.drone;
+
+        // Vértice de desvio de zona de exclusão: segue para o próximo waypoint
+        if (waypoint.type === 'waypoint') {
+            return;
+        }
+
+        // Estação de recarga: ocupa uma vaga (ou entra na fila) e recarrega até o alvo do plano
+        if (waypoint.type === 'charging') {
+            const station = waypoint.station;
+            const acquired = chargingService.acquire(station.id, drone.id, station.slots);
+            mission.charging = {
+                stationId: station.id,
+                rate: station.chargeRate,
+                target: waypoint.chargeTo,
+                from: drone.battery, // Nível na chegada, para o desgaste do pack
+                queued: !acquired
+            };
+            this.setDroneStatus(drone, 'charging');
+
+            if (acquired) {
+                this.emit('chargingStarted', { simulationId: this.id, droneId: drone.id, stationId: station.id });
+            }
+            return;
+        }
+
+        if (waypoint.type === 'pickup') {
+            this.pickupOrder(mission, waypoint.order, arrivedAt);
+            return;
+        }
+
+        if (waypoint.type === 'delivery') {
+            // Chegou antes da janela: aguarda no local até a abertura
+            const window = waypoint.order.deliveryWindow;
+            if (window && window.start && this.getVirtualDate(arrivedAt) < window.start) {
+                mission.waiting = { order: waypoint.order, until: (window.start.getTime() - this.clockOrigin) / 1000, pin: false };
+                this.setDroneStatus(drone, 'delivering');
+                return;
+            }
+
+            this.deliverOrder(mission, waypoint.order, arrivedAt);
+            return;
+        }
+
+        // Retorno à base: pedidos que não foram entregues voltam com o drone (outcome é o motivo da
+        // falha dos que tiveram a entrega tentada sem sucesso nesta missão)
+        // Cópia: o pedido que volta à fila sai do drone durante o 'orderReturned'
+        for (const order of [...drone.assignedOrders]) {
+            const outcome = order.status === 'failed' ? order.getLastAttempt().outcome : null;
+            if (order.updateStatus('returned')) {
+                this.emit('orderReturned', { simulationId: this.id, droneId: drone.id, orderId: order.id, outcome });
+            }
+        }
+
+        // O drone descarrega e recarrega na taxa da base antes de ficar ocioso
+        drone.currentLoad = 0;
+        drone.assignedOrders = [];
+        drone.currentRoute = [];
+        drone.currentRouteIndex = 0;
+        drone.updatedAt = new Date();
+        mission.charging = { stationId: null, rate: this.baseChargeRate, target: 100, from: drone.battery, queued: false };
+        this.setDroneStatus(drone, 'charging');
+
+        this.emit('droneReturned', { simulationId: this.id, droneId: drone.id });
+    }
+
+    /**
+     * Coleta o pacote do pedido no horário virtual informado; a partir daqui ele viaja a bordo
+     * @param {Object} mission - Missão do drone
+     * @param {Order} order - Pedido coletado
+     * @param {number} pickedUpAt - Segundos virtuais da coleta
+     */
+    pickupOrder(mission, order, pickedUpAt) {
+        const drone = mission.drone;
+        order.recordPickup(this.getVirtualDate(pickedUpAt));
+        drone.currentLoad += order.weight;
+
+        this.emit('orderPickedUp', { simulationId: this.id, droneId: drone.id, orderId: order.id });
+    }
+
+    /**
+     * Tenta entregar o pedido no horário virtual informado; o resultado é sorteado pela probabilidade de falha
+     * Com PIN, o drone passa a aguardar no local a confirmação do destinatário pela API
+     * @param {Object} mission - Missão do drone
+     * @param {Order} order - Pedido a entregar
+     * @param {number} deliveredAt - Segundos virtuais da tentativa
+     */
+    deliverOrder(mission, order, deliveredAt) {
+        const drone = mission.drone;
+
+        // Confirmado pela API antes da chegada: a entrega já foi registrada
+        if (order.status === 'delivered') {
+            this.finishDelivery(mission, order);
+            return;
+        }
+
+        const outcome = DeliveryOutcomes.draw(this.failureRate, this.random);
+        if (DeliveryOutcomes.isFailure(outcome)) {
+            order.recordAttempt(outcome, drone.id, this.getVirtualDate(deliveredAt));
+            this.failDelivery(mission, order, outcome, deliveredAt);
+            return;
+        }
+
+        if (order.requiresPin()) {
+            mission.waiting = { order, until: deliveredAt + this.pinWaitMinutes * 60, pin: true };
+            this.setDroneStatus(drone, 'delivering');
+            this.emit('awaitingPin', {
+                simulationId: this.id,
+                droneId: drone.id,
+                orderId: order.id,
+                until: this.getVirtualDate(mission.waiting.until).toISOString()
+            });
+            return;
+        }
+
+        order.recordAttempt(outcome, drone.id, this.getVirtualDate(deliveredAt));
+        this.onOrderDelivered(order, this.getVirtualDate(deliveredAt), drone);
+        drone.deliveriesCount++;
+        drone.currentLoad = Math.max(0, drone.currentLoad - order.weight);
+        drone.assignedOrders = drone.assignedOrders.filter(o => o.id !== order.id);
+        this.finishDelivery(mission, order);
+    }
+
+    /**
+     * Contabiliza uma entrega concluída e segue para o próximo trecho da rota
+     * A carga e os pedidos do drone já foram atualizados por quem registrou a entrega
+     * @param {Object} mission - Missão do drone
+     * @param {Order} order - Pedido entregue
+     */
+    finishDelivery(mission, order) {
+        const drone = mission.drone;
+        this.deliveredCount++;
+
+        const late = order.isOverdue();
+        if (late) {
+            this.lateCount++;
+        }
+
+        const hasDeliveriesLeft = mission.waypoints.slice(mission.index).some(w => w.type === 'delivery');
+        this.setDroneStatus(drone, hasDeliveriesLeft ? 'flying' : 'returning');
+
+        this.emit('delivery', { simulationId: this.id, droneId: drone.id, orderId: order.id, late });
+    }
+
+    /**
+     * Registra a entrega sem sucesso: o pedido passa a failed e o pacote segue a bordo até a base
+     * @param {Object} mission - Missão do drone
+     * @param {Order} order - Pedido não entregue
+     * @param {string} outcome - Motivo da falha (ver DeliveryOutcomes.OUTCOMES)
+     * @param {number} failedAt - Segundos virtuais da tentativa
+     */
+    failDelivery(mission, order, outcome, failedAt) {
+        const drone = mission.drone;
+        order.updateStatus('failed', null, this.getVirtualDate(failedAt));
+        this.failedCount++;
+
+        const hasDeliveriesLeft = mission.waypoints.slice(mission.index).some(w => w.type === 'delivery');
+        this.setDroneStatus(drone, hasDeliveriesLeft ? 'flying' : 'returning');
+
+        this.emit('orderFailed', { simulationId: this.id, droneId: drone.id, orderId: order.id, outcome });
+    }
+
+    /**
+     * Conclui a missão quando o drone termina de recarregar na base
+     * @param {Object} mission - Missão do drone
+     */
+    finishMission(mission) {
+        const drone = mission.drone;
+        const previousStatus = drone.status;
+        drone.reset();
+        drone.updatedAt = new Date();
+        mission.completed = true;
+
+        this.emit('droneStatus', { simulationId: this.id, droneId: drone.id, status: drone.status, previousStatus });
+        this.emit('droneMoved', { simulationId: this.id, droneId: drone.id, position: drone.position });
+        this.emit('batteryChanged', { simulationId: this.id, droneId: drone.id, battery: drone.battery });
+
+        this.emit('droneCharged', { simulationId: this.id, droneId: drone.id, stationId: null });
+    }
+
+    /**
+     * Finaliza a simulação quando todas as missões terminaram
+     */
+    complete() {
+        this.stopClock();
+        this.status = 'completed';
+        this.finishedAt = new Date().toISOString();
+        this.emit('completed', this.getStatus());
+    }
+
+    /**
+     * Inicia o timer que avança o relógio virtual
+     */
+    startClock() {
+        if (this.timer) return;
+
+        const secondsPerTick = (this.tickMs / 1000) * (this.realTime ? 1 : FAST_FORWARD_FACTOR);
+        this.timer = setInterval(() => this.step(secondsPerTick), this.tickMs);
+
+        // Não impede o encerramento do processo (ex.: testes)
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Para o timer do relógio virtual
+     */
+    stopClock() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Retorna o estado atual da simulação
+     * @returns {Object} - Status da simulação
+     */
+    getStatus() {
+        const missions = [...this.missions.values()];
+        const totalOrders = missions.reduce((sum, m) =>
+            sum + m.waypoints.filter(w => w.type === 'delivery').length, 0
+        );
+
+        return {
+            id: this.id,
+            status: this.status,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            virtualTime: Math.round(this.virtualTime),
+            virtualClock: this.clockOrigin ? this.getVirtualDate().toISOString() : null,
+            speed: this.speed,
+            realTime: this.realTime,
+            totalOrders,
+            deliveredOrders: this.deliveredCount,
+            failedDeliveries: this.failedCount,
+            lateDeliveries: this.lateCount,
+            // Entregas tentadas, com ou sem sucesso
+            progress: totalOrders > 0 ? Math.round(((this.deliveredCount + this.failedCount) / totalOrders) * 100) : 100,
+            drones: missions.map(m => ({
+                droneId: m.drone.id,
+                status: m.drone.status,
+                position: m.drone.position,
+                battery: Math.round(m.drone.battery * 10) / 10,
+                speed: this.getSpeed(m.drone),
+                currentLoad: m.drone.currentLoad,
+                deliveriesCount: m.drone.deliveriesCount,
+                remainingStops: m.waypoints.slice(m.index).filter(w => w.type !== 'waypoint').length,
+                chargingStops: m.chargingStops,
+                waitingUntil: m.waiting ? this.getVirtualDate(m.waiting.until).toISOString() : null,
+                awaitingPin: m.waiting && m.waiting.pin ? m.waiting.order.id : null,
+                charging: m.charging
+                    ? {
+                        stationId: m.charging.stationId, // null na base
+                        queued: m.charging.queued,
+                        queuePosition: m.charging.queued
+                            ? chargingService.getOccupancy(m.charging.stationId).queue.indexOf(m.drone.id) + 1
+                            : 0
+                    }
+                    : null,
+                completed: m.completed,
+                aborted: m.aborted
+            }))
+        };
+    }
+}
+
+module.exports = SimulationEngine;
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * CatalogService - Catálogo de modelos de drone em uso pela API
+ * Mantém os modelos persistidos pelo repositório, aplica-os ao catálogo compartilhado
+ * (DroneCatalog) usado pelos drones e pelo planejamento, e publica as mudanças no
+ * stream como catalog.updated
+ */
+
+const DroneCatalog = require('../../js/utils/DroneCatalog');
+const repositories = require('../repositories');
+const eventBus = require('./eventBus');
+
+class CatalogService {
+    constructor() {
+        this.models = repositories.droneModels;
+        this.drones = repositories.drones;
+
+        // Primeira execução: cadastra os modelos de fábrica
+        if (this.models.all().length === 0) {
+            DroneCatalog.DEFAULT_MODELS.forEach(model => this.models.add(this.toDocument(model)));
+        }
+        DroneCatalog.setModels(this.getModels());
+    }
+
+    /**
+     * Retorna os modelos cadastrados
+     * @returns {Array<Object>} - Modelos {name, description, maxPayload, range, cruiseSpeed, energy, compartment}
+     */
+    getModels() {
+        return this.models.all().map(document => this.fromDocument(document));
+    }
+
+    /**
+     * Busca um modelo pelo nome
+     * @param {string} name - Nome do modelo
+     * @returns {Object|null} - Modelo encontrado ou null
+     */
+    getModel(name) {
+        const document = this.models.findById(name);
+        return document ? this.fromDocument(document) : null;
+    }
+
+    /**
+     * Retorna os drones de um modelo
+     * @param {string} name - Nome do modelo
+     * @returns {Array<Drone>} - Drones do modelo
+     */
+    getDronesOfModel(name) {
+        return this.drones.all().filter(drone => drone.model === name);
+    }
+
+    /**
+     * Cadastra um modelo
+     * @param {Object} model - Modelo validado
+     * @returns {Object} - Modelo cadastrado
+     */
+    createModel(model) {
+        this.models.add(this.toDocument({ description: '', ...model }));
+        this.apply();
+        return this.getModel(model.name);
+    }
+
+    /**
+     * Atualiza um modelo; o perfil de energia informado substitui o anterior e o compartimento
+     * é atualizado por dimensão. Os drones do modelo passam a voar no novo cruzeiro, e a carga
+     * e o alcance deles ficam limitados aos novos valores do modelo
+     * @param {string} name - Nome do modelo
+     * @param {Object} changes - {description, maxPayload, range, cruiseSpeed, energy, compartment}
+     * @returns {Object} - {model, drones: ids dos drones ajustados}
+     */
+    updateModel(name, changes) {
+        const document = this.models.findById(name);
+        Object.assign(document, {
+            ...changes,
+            energy: changes.energy ? { ...changes.energy } : document.energy,
+            compartment: { ...document.compartment, ...(changes.compartment || {}) }
+        });
+        this.models.save();
+        this.apply();
+
+        const drones = this.getDronesOfModel(name);
+        drones.forEach(drone => {
+            drone.setModel(name);
+            drone.capacity = Math.min(drone.capacity, document.maxPayload);
+            drone.range = Math.min(drone.range, document.range);
+            drone.updatedAt = new Date();
+        });
+        this.drones.save();
+
+        return { model: this.getModel(name), drones: drones.map(drone => drone.id) };
+    }
+
+    /**
+     * Remove um modelo (a rota garante que nenhum drone o usa)
+     * @param {string} name - Nome do modelo
+     * @returns {Object|null} - Modelo removido ou null
+     */
+    removeModel(name) {
+        const removed = this.models.remove(name);
+        if (removed) {
+            this.apply();
+        }
+        return removed ? this.fromDocument(removed) : null;
+    }
+
+    /**
+     * Atualiza o catálogo compartilhado e publica os modelos no stream de eventos
+     */
+    apply() {
+        DroneCatalog.setModels(this.getModels());
+        eventBus.publish(eventBus.EVENT_TYPES.CATALOG_UPDATED, { models: this.getModels() });
+    }
+
+    // Documento persistido: o nome do modelo é o id no repositório
+    toDocument(model) {
+        return {
+            id: model.name,
+            ...model,
+            energy: { ...model.energy },
+            compartment: { ...model.compartment }
+        };
+    }
+
+    fromDocument({ id, ...model }) {
+        return { ...model, energy: { ...model.energy }, compartment: { ...model.compartment } };
+    }
+}
+
+// Instância única compartilhada pelas rotas
+const catalogService = new CatalogService();
+
+module.exports = catalogService;
\ No newline at end of file
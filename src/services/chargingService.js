@@ -0,0 +1,112 @@
+/**
+ * ChargingService - Ocupação das estações de recarga
+ * Controla as vagas de cada estação durante as simulações: drones que chegam
+ * com todas as vagas ocupadas entram numa fila (FIFO) e recebem a vaga
+ * liberada pelo próximo que terminar de recarregar. Drones com parada planejada
+ * ficam registrados como a caminho até chegarem à estação
+ */
+
+class ChargingService {
+    constructor() {
+        this.stations = new Map(); // stationId -> {incoming: [droneId], charging: [droneId], queue: [droneId]}
+    }
+
+    /**
+     * Retorna (criando se necessário) o estado de ocupação de uma estação
+     * @param {string} stationId - Id da estação
+     * @returns {Object} - {incoming, charging, queue}
+     */
+    getState(stationId) {
+        if (!this.stations.has(stationId)) {
+            this.stations.set(stationId, { incoming: [], charging: [], queue: [] });
+        }
+        return this.stations.get(stationId);
+    }
+
+    /**
+     * Registra um drone com parada planejada na estação
+     * @param {string} stationId - Id da estação
+     * @param {string} droneId - Id do drone
+     */
+    expect(stationId, droneId) {
+        const state = this.getState(stationId);
+        if (!state.incoming.includes(droneId)) {
+            state.incoming.push(droneId);
+        }
+    }
+
+    /**
+     * Solicita uma vaga para o drone; sem vaga livre o drone entra na fila
+     * @param {string} stationId - Id da estação
+     * @param {string} droneId - Id do drone
+     * @param {number} slots - Número de vagas da estação
+     * @returns {boolean} - True se o drone está recarregando, false se está na fila
+     */
+    acquire(stationId, droneId, slots) {
+        const state = this.getState(stationId);
+        state.incoming = state.incoming.filter(id => id !== droneId);
+
+        if (state.charging.includes(droneId)) {
+            return true;
+        }
+
+        // Só assume a vaga quem está na frente da fila
+        const position = state.queue.indexOf(droneId);
+        if (state.charging.length < slots && position <= 0) {
+            if (position === 0) {
+                state.queue.shift();
+            }
+            state.charging.push(droneId);
+            return true;
+        }
+
+        if (position === -1) {
+            state.queue.push(droneId);
+        }
+        return false;
+    }
+
+    /**
+     * Libera a vaga, o lugar na fila ou a parada planejada do drone
+     * @param {string} stationId - Id da estação
+     * @param {string} droneId - Id do drone
+     */
+    release(stationId, droneId) {
+        const state = this.getState(stationId);
+        state.incoming = state.incoming.filter(id => id !== droneId);
+        state.charging = state.charging.filter(id => id !== droneId);
+        state.queue = state.queue.filter(id => id !== droneId);
+    }
+
+    /**
+     * Retorna os drones a caminho, recarregando e na fila de uma estação
+     * @param {string} stationId - Id da estação
+     * @returns {Object} - {incoming: [droneId], charging: [droneId], queue: [droneId]}
+     */
+    getOccupancy(stationId) {
+        const state = this.getState(stationId);
+        return { incoming: [...state.incoming], charging: [...state.charging], queue: [...state.queue] };
+    }
+
+    /**
+     * Verifica se a estação tem drones a caminho, recarregando ou aguardando
+     * @param {string} stationId - Id da estação
+     * @returns {boolean} - True se em uso
+     */
+    isOccupied(stationId) {
+        const { incoming, charging, queue } = this.getState(stationId);
+        return incoming.length > 0 || charging.length > 0 || queue.length > 0;
+    }
+
+    /**
+     * Libera todas as vagas e filas (usado ao reiniciar o sistema)
+     */
+    reset() {
+        this.stations.clear();
+    }
+}
+
+// Instância única compartilhada pelas rotas e simulações
+const chargingService = new ChargingService();
+
+module.exports = chargingService;
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * ConfigService - Configuração de runtime do sistema
+ * Valores iniciais vêm das variáveis de ambiente; alterações feitas via
+ * PUT /api/v1/system/config sobrescrevem esses valores e são persistidas
+ */
+
+const EnergyModel = require('../../js/utils/EnergyModel');
+const ChargingPlanner = require('../../js/utils/ChargingPlanner');
+const TimeWindows = require('../../js/utils/TimeWindows');
+const DeliveryOutcomes = require('../../js/utils/DeliveryOutcomes');
+const repositories = require('../repositories');
+const eventBus = require('./eventBus');
+
+const SETTINGS_ID = 'system-config';
+
+// Variável de ambiente e valor padrão de cada chave configurável
+// Chaves com signed aceitam zero e valores negativos (componentes do vento); com allowZero, só o zero
+const ENV_KEYS = {
+    maxDrones: { env: 'MAX_DRONES', fallback: 50 },
+    maxOrdersPerDrone: { env: 'MAX_ORDERS_PER_DRONE', fallback: 10 },
+    defaultDroneCapacity: { env: 'DEFAULT_DRONE_CAPACITY', fallback: 5 },
+    defaultDroneRange: { env: 'DEFAULT_DRONE_RANGE', fallback: 10 },
+    simulationSpeed: { env: 'SIMULATION_SPEED', fallback: 0.5 },
+    windX: { env: 'WIND_X', fallback: 0, signed: true },
+    windY: { env: 'WIND_Y', fallback: 0, signed: true },
+    baseChargeRate: { env: 'BASE_CHARGE_RATE', fallback: 5 },
+    turnaroundTime: { env: 'TURNAROUND_TIME', fallback: 5 },
+    deliveryFailureRate: { env: 'DELIVERY_FAILURE_RATE', fallback: 0, allowZero: true },
+    maxDeliveryAttempts: { env: 'MAX_DELIVERY_ATTEMPTS', fallback: 3 },
+    pinWaitMinutes: { env: 'PIN_WAIT_MINUTES', fallback: 5 }
+};
+
+/**
+ * Lê a configuração das variáveis de ambiente
+ * @returns {Object} - Valores por chave
+ */
+function loadFromEnv() {
+    const config = {};
+
+    for (const [key, { env, fallback, signed, allowZero }] of Object.entries(ENV_KEYS)) {
+        if (process.env[env] === undefined || process.env[env] === '') {
+            config[key] = fallback;
+            continue;
+        }
+
+        const value = Number(process.env[env]);
+        if (signed && !Number.isFinite(value)) {
+            throw new Error(`${env} invalido: ${process.env[env]} (esperado numero)`);
+        }
+        if (allowZero && (!Number.isFinite(value) || value < 0)) {
+            throw new Error(`${env} invalido: ${process.env[env]} (esperado numero nao negativo)`);
+        }
+        if (!signed && !allowZero && (!Number.isFinite(value) || value <= 0)) {
+            throw new Error(`${env} invalido: ${process.env[env]} (esperado numero positivo)`);
+        }
+        config[key] = value;
+    }
+
+    return config;
+}
+
+class ConfigService {
+    constructor() {
+        this.settings = repositories.settings;
+        this.defaults = loadFromEnv();
+        this.applyPlanningSettings();
+    }
+
+    /**
+     * Aplica o vento ao modelo de energia dos drones, a taxa de recarga das bases ao planejador
+     * de recargas, a velocidade das simulações à previsão de horários das janelas de entrega e a
+     * probabilidade de falha e o limite de tentativas aos resultados das entregas
+     */
+    applyPlanningSettings() {
+        EnergyModel.setWind({ x: this.get('windX'), y: this.get('windY') });
+        ChargingPlanner.setBaseChargeRate(this.get('baseChargeRate'));
+        TimeWindows.setSpeed(this.get('simulationSpeed'));
+        DeliveryOutcomes.setFailureRate(this.get('deliveryFailureRate'));
+        DeliveryOutcomes.setMaxAttempts(this.get('maxDeliveryAttempts'));
+    }
+
+    /**
+     * Retorna o documento de sobrescritas persistido
+     * @returns {Object} - Valores alterados via API
+     */
+    getOverrides() {
+        const document = this.settings.findById(SETTINGS_ID);
+        return document ? document.values : {};
+    }
+
+    /**
+     * Retorna a configuração em vigor (ambiente + sobrescritas)
+     * @returns {Object} - Configuração atual
+     */
+    getAll() {
+        return { ...this.defaults, ...this.getOverrides() };
+    }
+
+    /**
+     * Retorna o valor atual de uma chave
+     * @param {string} key - Chave da configuração (ex.: 'maxDrones')
+     * @returns {number} - Valor em vigor
+     */
+    get(key) {
+        return this.getAll()[key];
+    }
+
+    /**
+     * Sobrescreve chaves da configuração e persiste a alteração
+     * @param {Object} changes - Valores já validados
+     * @returns {Object} - Configuração atual após a alteração
+     */
+    update(changes) {
+        const values = { ...this.getOverrides(), ...changes };
+        const document = this.settings.findById(SETTINGS_ID);
+
+        if (document) {
+            document.values = values;
+            document.updatedAt = new Date().toISOString();
+            this.settings.save();
+        } else {
+            this.settings.add({ id: SETTINGS_ID, values, updatedAt: new Date().toISOString() });
+        }
+
+        return this.publish();
+    }
+
+    /**
+     * Descarta as sobrescritas, voltando aos valores do ambiente
+     * @returns {Object} - Configuração atual
+     */
+    reset() {
+        this.settings.remove(SETTINGS_ID);
+        return this.publish();
+    }
+
+    /**
+     * Publica a configuração atual no stream de eventos
+     * @returns {Object} - Configuração atual
+     */
+    publish() {
+        this.applyPlanningSettings();
+
+        const config = this.getAll();
+        eventBus.publish(eventBus.EVENT_TYPES.CONFIG_UPDATED, {
+            config,
+            overrides: Object.keys(this.getOverrides())
+        });
+        return config;
+    }
+}
+
+// Instância única compartilhada pelas rotas
+const configService = new ConfigService();
+
+module.exports = configService;
\ No newline at end of file
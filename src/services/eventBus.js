@@ -0,0 +1,114 @@
+/**
+ * EventBus - Barramento de eventos do sistema
+ * Publica eventos tipados sempre que drones, pedidos ou otimizações mudam,
+ * consumidos pelo stream em tempo real (/api/v1/events)
+ */
+
+const EventEmitter = require('events');
+
+const HISTORY_SIZE = 200; // Eventos mantidos para reconexão (Last-Event-ID)
+
+// Tipos de evento publicados
+const EVENT_TYPES = Object.freeze({
+    DRONE_CREATED: 'drone.created',
+    DRONE_REMOVED: 'drone.removed',
+    DRONE_POSITION: 'drone.position',
+    DRONE_BATTERY: 'drone.battery',
+    DRONE_BATTERY_SWAPPED: 'drone.battery_swapped',
+    DRONE_STATUS: 'drone.status',
+    DRONE_ROUTE: 'drone.route',
+    MAINTENANCE_DUE: 'maintenance.due',
+    MAINTENANCE_RECORDED: 'maintenance.recorded',
+    ORDER_CREATED: 'order.created',
+    ORDER_ASSIGNED: 'order.assigned',
+    ORDER_IN_FLIGHT: 'order.in_flight',
+    ORDER_PICKED_UP: 'order.picked_up',
+    ORDER_AWAITING_PIN: 'order.awaiting_pin',
+    ORDER_DELIVERED: 'order.delivered',
+    ORDER_FAILED: 'order.failed',
+    ORDER_RETURNED: 'order.returned',
+    ORDER_REQUEUED: 'order.requeued',
+    ORDER_CANCELLED: 'order.cancelled',
+    ORDER_ESCALATED: 'order.escalated',
+    OPTIMIZATION_COMPLETED: 'optimization.completed',
+    DISPATCH_DECISION: 'dispatch.decision',
+    CONFIG_UPDATED: 'config.updated',
+    MAP_UPDATED: 'map.updated',
+    CATALOG_UPDATED: 'catalog.updated',
+    SYSTEM_RESET: 'system.reset'
+});
+
+// Telemetria publicada a cada passo das simulações: fica fora do histórico, que guarda
+// apenas a última posição e a última bateria de cada drone para a reconexão
+const TELEMETRY_TYPES = Object.freeze([EVENT_TYPES.DRONE_POSITION, EVENT_TYPES.DRONE_BATTERY]);
+
+class EventBus extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0); // Um listener por cliente conectado ao stream
+        this.lastId = 0;
+        this.history = [];
+        this.telemetry = new Map(); // `${type}:${droneId}` -> último evento de telemetria do drone
+    }
+
+    /**
+     * Publica um evento para todos os assinantes
+     * @param {string} type - Tipo do evento (ver EVENT_TYPES)
+     * @param {Object} data - Dados do evento
+     * @returns {Object} - Evento publicado {id, type, timestamp, data}
+     */
+    publish(type, data = {}) {
+        const event = {
+            id: ++this.lastId,
+            type,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        if (TELEMETRY_TYPES.includes(type)) {
+            this.telemetry.set(`${type}:${data.droneId}`, event);
+        } else {
+            this.history.push(event);
+            if (this.history.length > HISTORY_SIZE) {
+                this.history.shift();
+            }
+        }
+
+        if (type === EVENT_TYPES.SYSTEM_RESET) {
+            this.telemetry.clear();
+        } else if (type === EVENT_TYPES.DRONE_REMOVED) {
+            TELEMETRY_TYPES.forEach(telemetryType => this.telemetry.delete(`${telemetryType}:${data.droneId}`));
+        }
+
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Registra um assinante de todos os eventos
+     * @param {Function} listener - Chamado com cada evento publicado
+     * @returns {Function} - Função que cancela a assinatura
+     */
+    subscribe(listener) {
+        this.on('event', listener);
+        return () => this.off('event', listener);
+    }
+
+    /**
+     * Retorna os eventos publicados após um id (para reconexão), em ordem de publicação
+     * Da telemetria, vem só o último evento de posição e de bateria de cada drone
+     * @param {number} id - Último id recebido pelo cliente
+     * @returns {Array<Object>} - Eventos posteriores ainda no histórico
+     */
+    since(id) {
+        return [...this.history, ...this.telemetry.values()]
+            .filter(event => event.id > id)
+            .sort((a, b) => a.id - b.id);
+    }
+}
+
+// Instância única compartilhada pelas rotas e serviços
+const eventBus = new EventBus();
+
+module.exports = eventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * MaintenanceService - Entrada automática dos drones em manutenção preventiva
+ * Drones ociosos com a manutenção vencida passam para maintenance e ficam fora do despacho.
+ * A verificação roda no fim de cada missão (pela simulação), ao mudar o plano de um drone e
+ * periodicamente na frota inteira, para os vencimentos por calendário, que não dependem de voo
+ */
+
+const repositories = require('../repositories');
+const eventBus = require('./eventBus');
+const { EVENT_TYPES } = eventBus;
+
+const CHECK_INTERVAL_MS = 60 * 1000; // Intervalo da verificação periódica da frota
+
+class MaintenanceService {
+    constructor() {
+        this.drones = repositories.drones;
+        this.timer = null;
+    }
+
+    /**
+     * Leva para manutenção o drone ocioso com a manutenção vencida, publicando a mudança
+     * @param {Drone} drone - Drone a verificar
+     * @returns {boolean} - True se o drone entrou em manutenção
+     */
+    checkDrone(drone) {
+        const previousStatus = drone.status;
+        if (!drone.enterMaintenanceIfDue()) {
+            return false;
+        }
+
+        drone.updatedAt = new Date();
+        this.drones.save();
+        const { dueCriteria } = drone.getMaintenanceStatus();
+        eventBus.publish(EVENT_TYPES.DRONE_STATUS, {
+            droneId: drone.id,
+            status: drone.status,
+            previousStatus,
+            reason: 'maintenance_due'
+        });
+        eventBus.publish(EVENT_TYPES.MAINTENANCE_DUE, { droneId: drone.id, dueCriteria });
+        return true;
+    }
+
+    /**
+     * Verifica todos os drones
+     * @returns {Array<string>} - Ids dos drones que entraram em manutenção
+     */
+    checkFleet() {
+        return this.drones.all().filter(drone => this.checkDrone(drone)).map(drone => drone.id);
+    }
+
+    /**
+     * Liga a verificação periódica da frota
+     * @param {number} intervalMs - Intervalo entre as verificações
+     * @returns {boolean} - True se a verificação foi ligada
+     */
+    start(intervalMs = CHECK_INTERVAL_MS) {
+        if (this.timer) return false;
+
+        this.timer = setInterval(() => this.checkFleet(), intervalMs);
+
+        // Não impede o encerramento do processo
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+        return true;
+    }
+
+    /**
+     * Desliga a verificação periódica
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// Instância única compartilhada pelas rotas, pelas simulações e pelo servidor
+const maintenanceService = new MaintenanceService();
+
+module.exports = maintenanceService;
+module.exports.CHECK_INTERVAL_MS = CHECK_INTERVAL_MS;
\ No newline at end of file
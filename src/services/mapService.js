@@ -0,0 +1,442 @@
+/**
+ * MapService - Mapa da cidade em uso pela API
+ * Mantém os limites da área de operação, o sistema de coordenadas (grade ou lat/lon),
+ * o cadastro de bases (depósitos), as estações de recarga e as zonas de exclusão aérea,
+ * persistidos pelos repositórios e publicados no stream como map.updated
+ */
+
+const World = require('../../js/models/World');
+const Geo = require('../../js/utils/Geo');
+const Airspace = require('../../js/utils/Airspace');
+const ChargingPlanner = require('../../js/utils/ChargingPlanner');
+const repositories = require('../repositories');
+const eventBus = require('./eventBus');
+
+const BOUNDS_ID = 'map-bounds';
+
+class MapService {
+    constructor() {
+        this.settings = repositories.settings;
+        this.bases = repositories.bases;
+        this.drones = repositories.drones;
+        this.orders = repositories.orders;
+        this.noFlyZones = repositories.noFlyZones;
+        this.chargingStations = repositories.chargingStations;
+
+        // Distâncias de modelos e rotas seguem o sistema de coordenadas e as zonas persistidos;
+        // o planejamento de rotas considera as estações de recarga cadastradas
+        Geo.setCoordinateSystem(this.getCoordinateSystem());
+        Airspace.setZones(this.noFlyZones.all());
+        ChargingPlanner.setStations(this.chargingStations.all());
+
+        // Primeira execução: cadastra a base central padrão
+        if (this.bases.all().length === 0) {
+            World.DEFAULT_BASES.forEach(base => this.createBase(base));
+        }
+    }
+
+    /**
+     * Retorna o mapa atual
+     * @returns {World} - Limites e bases em vigor
+     */
+    getWorld() {
+        return new World(
+            this.getBounds(),
+            this.bases.all(),
+            this.getCoordinateSystem(),
+            this.noFlyZones.all(),
+            this.chargingStations.all()
+        );
+    }
+
+    /**
+     * Retorna o sistema de coordenadas do mapa
+     * @returns {string} - 'grid' ou 'geo'
+     */
+    getCoordinateSystem() {
+        const document = this.settings.findById(BOUNDS_ID);
+        return (document && document.coordinateSystem) || 'grid';
+    }
+
+    /**
+     * Converte um ponto recebido pela API para o formato interno {x, y}
+     * Pontos {lat, lon} só são aceitos no sistema geo
+     * @param {Object} point - Ponto {x, y} ou {lat, lon}
+     * @returns {Object} - {point, error}
+     */
+    normalizePoint(point) {
+        if (!Geo.isLatLon(point)) {
+            return { point: { x: point.x, y: point.y }, error: null };
+        }
+
+        if (this.getCoordinateSystem() !== 'geo') {
+            return {
+                point: null,
+                error: 'Coordenadas lat/lon exigem o mapa no sistema geo (PUT /api/v1/mapa/limites)'
+            };
+        }
+
+        return { point: Geo.fromLatLon(point), error: null };
+    }
+
+    /**
+     * Lista o que impede a troca do sistema de coordenadas
+     * Posições de drones e pedidos não são convertidas entre grade e lat/lon
+     * @returns {Array<string>} - Motivos (vazio se a troca é permitida)
+     */
+    getCoordinateSystemBlockers() {
+        const blockers = [];
+
+        if (this.drones.all().length > 0) {
+            blockers.push(`${this.drones.all().length} drone(s) cadastrado(s)`);
+        }
+        if (this.orders.all().length > 0) {
+            blockers.push(`${this.orders.all().length} pedido(s) cadastrado(s)`);
+        }
+
+        return blockers;
+    }
+
+    /**
+     * Retorna os limites atuais do mapa
+     * @returns {Object} - {minX, minY, maxX, maxY}
+     */
+    getBounds() {
+        const document = this.settings.findById(BOUNDS_ID);
+        return document ? document.bounds : World.DEFAULT_BOUNDS;
+    }
+
+    /**
+     * Altera os limites do mapa; todas as bases precisam continuar dentro deles
+     * Ao trocar o sistema de coordenadas as zonas de exclusão e as estações são removidas e as bases
+     * substituídas por uma base central nos novos limites (verifique getCoordinateSystemBlockers antes)
+     * @param {Object} bounds - Novos limites {minX, minY, maxX, maxY}
+     * @param {string} coordinateSystem - 'grid' ou 'geo' (padrão: o atual)
+     * @returns {Object} - {isValid, errors}
+     */
+    updateBounds(bounds, coordinateSystem = this.getCoordinateSystem()) {
+        const validation = World.validateBounds(bounds, coordinateSystem);
+        if (!validation.isValid) {
+            return validation;
+        }
+
+        const world = new World(bounds, [], coordinateSystem);
+        const systemChanged = coordinateSystem !== this.getCoordinateSystem();
+        const outside = this.bases.all().filter(base => !world.contains(base.location));
+        if (!systemChanged && outside.length > 0) {
+            return {
+                isValid: false,
+                errors: [`Bases fora dos novos limites: ${outside.map(base => base.id).join(', ')}`]
+            };
+        }
+
+        const zonesOutside = this.noFlyZones.all().filter(zone => zone.polygon.some(point => !world.contains(point)));
+        if (!systemChanged && zonesOutside.length > 0) {
+            return {
+                isValid: false,
+                errors: [`Zonas de exclusao fora dos novos limites: ${zonesOutside.map(zone => zone.id).join(', ')}`]
+            };
+        }
+
+        const stationsOutside = this.chargingStations.all().filter(station => !world.contains(station.location));
+        if (!systemChanged && stationsOutside.length > 0) {
+            return {
+                isValid: false,
+                errors: [`Estacoes de recarga fora dos novos limites: ${stationsOutside.map(station => station.id).join(', ')}`]
+            };
+        }
+
+        const document = this.settings.findById(BOUNDS_ID);
+        if (document) {
+            document.bounds = { ...bounds };
+            document.coordinateSystem = coordinateSystem;
+            this.settings.save();
+        } else {
+            this.settings.add({ id: BOUNDS_ID, bounds: { ...bounds }, coordinateSystem });
+        }
+
+        Geo.setCoordinateSystem(coordinateSystem);
+
+        if (systemChanged) {
+            this.noFlyZones.clear();
+            Airspace.setZones([]);
+            this.chargingStations.clear();
+            ChargingPlanner.setStations([]);
+            this.bases.clear();
+            this.createBase({ name: World.DEFAULT_BASES[0].name, location: world.getCenter() });
+        } else {
+            this.publish();
+        }
+
+        return validation;
+    }
+
+    /**
+     * Cadastra uma base
+     * @param {Object} data - {name, location}
+     * @returns {Object} - {base, validation}
+     */
+    createBase({ name, location }) {
+        const base = { id: null, name, location: { ...location } };
+        const validation = this.getWorld().validateBase(base);
+
+        if (validation.isValid) {
+            base.id = `BASE-${this.bases.nextId()}`;
+            base.createdAt = new Date().toISOString();
+            this.bases.add(base);
+            this.publish();
+        }
+
+        return { base, validation };
+    }
+
+    /**
+     * Atualiza nome e/ou localização de uma base
+     * Drones da base passam a usar a nova localização (e são movidos se estiverem ociosos nela)
+     * @param {string} id - Id da base
+     * @param {Object} changes - {name, location}
+     * @returns {Object} - {base, validation}
+     */
+    updateBase(id, changes) {
+        const base = this.bases.findById(id);
+        const updated = {
+            ...base,
+            ...changes,
+            location: changes.location ? { ...changes.location } : base.location
+        };
+        const validation = this.getWorld().validateBase(updated);
+
+        if (!validation.isValid) {
+            return { base, validation };
+        }
+
+        const previousLocation = base.location;
+        Object.assign(base, updated);
+
+        for (const drone of this.getDronesOfBase(id)) {
+            const atBase = drone.position.x === previousLocation.x && drone.position.y === previousLocation.y;
+            drone.setHomeBase(base);
+            if (drone.status === 'idle' && atBase) {
+                drone.position = { ...base.location };
+            }
+        }
+
+        this.bases.save();
+        this.drones.save();
+        this.publish();
+        return { base, validation };
+    }
+
+    /**
+     * Remove uma base
+     * @param {string} id - Id da base
+     * @returns {Object|null} - Base removida ou null
+     */
+    removeBase(id) {
+        const removed = this.bases.remove(id);
+        if (removed) {
+            this.publish();
+        }
+        return removed;
+    }
+
+    /**
+     * Retorna os drones que têm a base como origem
+     * Drones sem base definida pertencem à base padrão
+     * @param {string} id - Id da base
+     * @returns {Array<Drone>} - Drones da base
+     */
+    getDronesOfBase(id) {
+        const defaultBase = this.getWorld().getDefaultBase();
+        return this.drones.all().filter(drone =>
+            (drone.homeBaseId || (defaultBase && defaultBase.id)) === id
+        );
+    }
+
+    /**
+     * Cadastra uma estação de recarga
+     * @param {Object} data - {name, location, chargeRate, slots}
+     * @returns {Object} - {station, validation}
+     */
+    createChargingStation({ name, location, chargeRate, slots }) {
+        const station = { id: null, name, location: { ...location }, chargeRate, slots };
+        const validation = this.getWorld().validateChargingStation(station);
+
+        if (validation.isValid) {
+            station.id = `STATION-${this.chargingStations.nextId()}`;
+            station.createdAt = new Date().toISOString();
+            this.chargingStations.add(station);
+            this.applyChargingStations();
+        }
+
+        return { station, validation };
+    }
+
+    /**
+     * Atualiza nome, localização, taxa de recarga e/ou vagas de uma estação
+     * @param {string} id - Id da estação
+     * @param {Object} changes - {name, location, chargeRate, slots}
+     * @returns {Object} - {station, validation}
+     */
+    updateChargingStation(id, changes) {
+        const station = this.chargingStations.findById(id);
+        const updated = {
+            ...station,
+            ...changes,
+            location: changes.location ? { ...changes.location } : station.location
+        };
+        const validation = this.getWorld().validateChargingStation(updated);
+
+        if (validation.isValid) {
+            Object.assign(station, updated);
+            this.chargingStations.save();
+            this.applyChargingStations();
+        }
+
+        return { station, validation };
+    }
+
+    /**
+     * Remove uma estação de recarga
+     * @param {string} id - Id da estação
+     * @returns {Object|null} - Estação removida ou null
+     */
+    removeChargingStation(id) {
+        const removed = this.chargingStations.remove(id);
+        if (removed) {
+            this.applyChargingStations();
+        }
+        return removed;
+    }
+
+    /**
+     * Atualiza o planejamento de recargas após mudança nas estações
+     */
+    applyChargingStations() {
+        ChargingPlanner.setStations(this.chargingStations.all());
+        this.publish();
+    }
+
+    /**
+     * Cadastra uma zona de exclusão aérea
+     * Pedidos já cadastrados dentro da zona passam a ser sinalizados (noFlyZoneId) e os
+     * atribuídos a drones que ainda não decolaram voltam à fila
+     * @param {Object} data - {name, type, polygon}
+     * @returns {Object} - {zone, validation, requeuedOrders}
+     */
+    createNoFlyZone({ name, type, polygon }) {
+        const zone = { id: null, name, type, polygon: polygon.map(point => ({ x: point.x, y: point.y })) };
+        const validation = this.getWorld().validateNoFlyZone(zone);
+        let requeuedOrders = [];
+
+        if (validation.isValid) {
+            zone.id = `ZONE-${this.noFlyZones.nextId()}`;
+            zone.createdAt = new Date().toISOString();
+            this.noFlyZones.add(zone);
+            requeuedOrders = this.applyNoFlyZones();
+        }
+
+        return { zone, validation, requeuedOrders };
+    }
+
+    /**
+     * Atualiza nome, tipo e/ou polígono de uma zona de exclusão
+     * @param {string} id - Id da zona
+     * @param {Object} changes - {name, type, polygon}
+     * @returns {Object} - {zone, validation, requeuedOrders}
+     */
+    updateNoFlyZone(id, changes) {
+        const zone = this.noFlyZones.findById(id);
+        const updated = {
+            ...zone,
+            ...changes,
+            polygon: (changes.polygon || zone.polygon).map(point => ({ x: point.x, y: point.y }))
+        };
+        const validation = this.getWorld().validateNoFlyZone(updated);
+        let requeuedOrders = [];
+
+        if (validation.isValid) {
+            Object.assign(zone, updated);
+            this.noFlyZones.save();
+            requeuedOrders = this.applyNoFlyZones();
+        }
+
+        return { zone, validation, requeuedOrders };
+    }
+
+    /**
+     * Remove uma zona de exclusão; pedidos sinalizados por ela voltam a ser atendidos
+     * @param {string} id - Id da zona
+     * @returns {Object|null} - Zona removida ou null
+     */
+    removeNoFlyZone(id) {
+        const removed = this.noFlyZones.remove(id);
+        if (removed) {
+            this.applyNoFlyZones();
+        }
+        return removed;
+    }
+
+    /**
+     * Retorna os pedidos ativos localizados dentro de uma zona
+     * @param {string} id - Id da zona
+     * @returns {Array<Order>} - Pedidos sinalizados pela zona
+     */
+    getOrdersInNoFlyZone(id) {
+        return this.orders.all().filter(order => order.noFlyZoneId === id);
+    }
+
+    /**
+     * Atualiza o cálculo de caminhos e a sinalização dos pedidos após mudança nas zonas
+     * Pedidos atribuídos que caem numa zona saem do drone e voltam à fila, onde ficam fora
+     * da otimização até a zona ser removida
+     * @returns {Array<string>} - Ids dos pedidos devolvidos à fila
+     */
+    applyNoFlyZones() {
+        Airspace.setZones(this.noFlyZones.all());
+
+        const world = this.getWorld();
+        const requeued = [];
+        for (const order of this.orders.all()) {
+            const zone = world.findNoFlyZone(order.location);
+            order.noFlyZoneId = zone ? zone.id : null;
+
+            if (zone && order.status === 'assigned') {
+                const drone = this.drones.findById(order.assignedDrone);
+                if (drone) {
+                    drone.releaseOrder(order);
+                }
+                requeued.push({ order, previousDrone: order.assignedDrone, zone });
+                order.updateStatus('pending');
+            }
+        }
+        this.orders.save();
+        if (requeued.length > 0) {
+            this.drones.save();
+        }
+
+        requeued.forEach(({ order, previousDrone, zone }) => eventBus.publish(eventBus.EVENT_TYPES.ORDER_REQUEUED, {
+            orderId: order.id,
+            status: order.status,
+            assignedDrone: null,
+            previousStatus: 'assigned',
+            previousDrone,
+            reason: `Endereco dentro da zona de exclusao ${zone.id}`
+        }));
+
+        this.publish();
+        return requeued.map(({ order }) => order.id);
+    }
+
+    /**
+     * Publica o mapa atual no stream de eventos
+     */
+    publish() {
+        eventBus.publish(eventBus.EVENT_TYPES.MAP_UPDATED, { map: this.getWorld().toJSON() });
+    }
+}
+
+// Instância única compartilhada pelas rotas
+const mapService = new MapService();
+
+module.exports = mapService;
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * OrderService - Mudanças de status dos pedidos compartilhadas pelas rotas e simulações
+ * Registra entregas com o comprovante, publica o evento de cada status e decide o destino
+ * dos pedidos que voltam à base sem entrega (nova tentativa ou escalonamento)
+ */
+
+const DeliveryOutcomes = require('../../js/utils/DeliveryOutcomes');
+const repositories = require('../repositories');
+const eventBus = require('./eventBus');
+const proofService = require('./proofService');
+const { EVENT_TYPES } = eventBus;
+
+// Eventos publicados por status do pedido
+const ORDER_STATUS_EVENTS = Object.freeze({
+    pending: EVENT_TYPES.ORDER_REQUEUED,
+    assigned: EVENT_TYPES.ORDER_ASSIGNED,
+    in_flight: EVENT_TYPES.ORDER_IN_FLIGHT,
+    delivered: EVENT_TYPES.ORDER_DELIVERED,
+    failed: EVENT_TYPES.ORDER_FAILED,
+    returned: EVENT_TYPES.ORDER_RETURNED,
+    cancelled: EVENT_TYPES.ORDER_CANCELLED
+});
+
+class OrderService {
+    constructor() {
+        this.orders = repositories.orders;
+        this.deliveredOrders = repositories.deliveredOrders;
+    }
+
+    /**
+     * Conclui a entrega: o pedido passa para os entregues e ganha o comprovante
+     * Entregas das simulações usam o horário do relógio virtual
+     * @param {string} orderId - Id do pedido
+     * @param {Date} deliveredAt - Horário da entrega
+     * @param {Object} proof - Dados do comprovante (ver proofService.record)
+     * @returns {boolean} - True se o pedido foi entregue
+     */
+    markAsDelivered(orderId, deliveredAt = new Date(), proof = {}) {
+        const order = this.orders.findById(orderId);
+        if (order && order.updateStatus('delivered', null, deliveredAt)) {
+            this.deliveredOrders.add(order);
+            this.orders.remove(orderId);
+            proofService.record(order, proof);
+            this.publishStatus(order);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Publica o evento correspondente ao status atual do pedido (pending só ao voltar para a fila)
+     * @param {Order} order - Pedido
+     * @param {Object} details - Dados extras do evento (previousStatus, previousDrone, motivo...)
+     */
+    publishStatus(order, details = {}) {
+        const type = ORDER_STATUS_EVENTS[order.status];
+        if (type) {
+            eventBus.publish(type, {
+                orderId: order.id,
+                status: order.status,
+                assignedDrone: order.assignedDrone,
+                ...details
+            });
+        }
+    }
+
+    /**
+     * Tira o pedido (e o peso do pacote) do drone ao qual estava atribuído, para que possa ir
+     * para outro drone ao voltar à fila
+     * @param {Order} order - Pedido
+     */
+    releaseFromDrone(order) {
+        const drone = order.assignedDrone ? repositories.drones.findById(order.assignedDrone) : null;
+        if (drone && drone.releaseOrder(order)) {
+            repositories.drones.save();
+        }
+    }
+
+    /**
+     * Devolve à fila um pedido que voltou à base, publicando o motivo
+     * @param {Order} order - Pedido returned
+     * @param {string} reason - Motivo da volta à fila
+     * @returns {boolean} - True se o pedido voltou a pending
+     */
+    requeue(order, reason) {
+        if (!order.canTransitionTo('pending')) {
+            return false;
+        }
+        this.releaseFromDrone(order);
+        order.updateStatus('pending');
+        this.orders.save();
+        this.publishStatus(order, { previousStatus: 'returned', reason });
+        return true;
+    }
+
+    /**
+     * Pedido de volta à base após uma entrega sem sucesso: volta à fila para nova tentativa ou é
+     * escalonado (pacote avariado ou tentativas esgotadas, em maxDeliveryAttempts)
+     * @param {Order} order - Pedido returned com as tentativas registradas
+     * @returns {Object} - {action: 'requeue' ou 'escalate', reason}
+     */
+    resolveFailedDelivery(order) {
+        const { action, reason } = DeliveryOutcomes.resolve(order);
+        const details = {
+            orderId: order.id,
+            attempts: order.deliveryAttempts.length,
+            failedAttempts: order.getFailedAttempts(),
+            reason
+        };
+
+        if (action === 'requeue') {
+            this.releaseFromDrone(order);
+            order.updateStatus('pending');
+            this.orders.save();
+            this.publishStatus(order, { ...details, previousStatus: 'returned' });
+        } else {
+            order.escalate(reason);
+            this.orders.save();
+            eventBus.publish(EVENT_TYPES.ORDER_ESCALATED, { ...details, status: order.status, assignedDrone: order.assignedDrone });
+        }
+        return { action, reason };
+    }
+}
+
+// Instância única compartilhada pelas rotas e simulações
+const orderService = new OrderService();
+
+module.exports = orderService;
+module.exports.ORDER_STATUS_EVENTS = ORDER_STATUS_EVENTS;
\ No newline at end of file
@@ -0,0 +1,690 @@
+/**
+ * PlanningService - Planejamento da atribuição de pedidos aos drones
+ * Único ponto onde as estratégias de otimização são implementadas: a API aplica os planos
+ * aos drones e pedidos do servidor (/entregas/otimizar) e a interface envia seus drones e
+ * pedidos para planejar (/entregas/planejar), de modo que as mesmas entradas levam ao mesmo
+ * plano. Planejar não altera drones nem pedidos; apply() executa o plano. planShift() encadeia
+ * as viagens de cada drone até atender todos os pedidos pendentes (planejamento do turno)
+ */
+
+const Drone = require('../../js/models/Drone');
+const Order = require('../../js/models/Order');
+const configService = require('./configService');
+const mapService = require('./mapService');
+const vrpSolver = require('../utils/vrpSolver');
+const ChargingPlanner = require('../../js/utils/ChargingPlanner');
+const { calculateDistance } = require('../utils/routing');
+
+const PRIORITY_SCORES = { alta: 3, media: 2, baixa: 1 };
+
+class PlanningService {
+    constructor() {
+        // Estratégia -> planejador (orders, drones, options) => Map<droneId, Array<Order>>
+        this.planners = {
+            priority_first: (orders, drones, options) => this.planPriorityFirst(orders, drones, options),
+            capacity_optimization: (orders, drones, options) => this.planCapacity(orders, drones, options),
+            distance_optimization: (orders, drones, options) => this.planDistance(orders, drones, options),
+            balanced_optimization: (orders, drones, options) => this.planBalanced(orders, drones, options)
+        };
+    }
+
+    /**
+     * Estratégia usada quando nenhuma é informada
+     */
+    get DEFAULT_STRATEGY() {
+        return 'balanced_optimization';
+    }
+
+    /**
+     * Estratégias aceitas: as gulosas, o solver de VRP e 'auto' (escolhida pelo cenário)
+     * @returns {Array<string>} - Nomes das estratégias
+     */
+    getStrategies() {
+        return [...Object.keys(this.planners), 'vrp_solver', 'auto'];
+    }
+
+    /**
+     * Planeja a atribuição dos pedidos pendentes aos drones ociosos
+     * @param {Array<Order>} orders - Pedidos pendentes
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @param {Object} options - {strategy, maxDistance (km da base), timeBudget (ms, vrp_solver),
+     *                            departure (partida das viagens, padrão: agora)}
+     * @returns {Object} - {strategy, requestedStrategy, routes: [{drone, orders, sequenceFixed}], unassigned, totalOrders,
+     *                     departure, solver, drones, options}; strategy é a que realmente rodou; sequenceFixed indica ordem
+     *                     de visita definida pelo plano; drones e options (ociosos e limites usados) explicam os não atribuídos
+     */
+    plan(orders, drones, { strategy = this.DEFAULT_STRATEGY, maxDistance = Infinity, timeBudget, departure = new Date() } = {}) {
+        const requestedStrategy = strategy;
+        const idleDrones = drones.filter(drone => drone.isAvailableForDispatch());
+        const pendingOrders = orders.filter(order => order.status === 'pending');
+        const options = { maxDistance, maxOrdersPerDrone: configService.get('maxOrdersPerDrone'), departure };
+
+        if (strategy === 'auto') {
+            strategy = this.selectStrategy(pendingOrders, idleDrones);
+        }
+
+        if (strategy === 'vrp_solver') {
+            return { ...this.planVrp(pendingOrders, idleDrones, { ...options, timeBudget, requestedStrategy }), drones: idleDrones, options };
+        }
+
+        const assignment = this.planners[strategy](pendingOrders, idleDrones, options);
+        const routes = idleDrones
+            .filter(drone => assignment.get(drone.id).length > 0)
+            .map(drone => ({ drone, orders: assignment.get(drone.id), sequenceFixed: false }));
+        const assigned = new Set(routes.flatMap(route => route.orders.map(order => order.id)));
+
+        return {
+            strategy,
+            requestedStrategy,
+            routes,
+            unassigned: pendingOrders.filter(order => !assigned.has(order.id)),
+            totalOrders: pendingOrders.length,
+            departure,
+            solver: null,
+            drones: idleDrones,
+            options
+        };
+    }
+
+    /**
+     * Executa um plano: atribui os pedidos aos drones
+     * @param {Object} plan - Plano retornado por plan()
+     * @returns {Array<Object>} - Atribuições {orderId, droneId, distance}
+     */
+    apply(plan) {
+        const assignments = [];
+
+        for (const route of plan.routes) {
+            const { drone } = route;
+            let assigned;
+
+            if (route.sequenceFixed) {
+                // A ordem de visita encontrada pelo solver fica fixada no drone
+                assigned = route.orders.filter(order => order.status === 'pending');
+                drone.assignPlannedRoute(route.orders);
+            } else {
+                assigned = route.orders.filter(order => drone.assignOrder(order, plan.departure));
+            }
+
+            assigned.forEach(order => assignments.push({
+                orderId: order.id,
+                droneId: drone.id,
+                distance: calculateDistance(drone.basePosition, order.location)
+            }));
+        }
+
+        return assignments;
+    }
+
+    /**
+     * Resumo serializável de um plano (pedidos e drones pelos ids)
+     * @param {Object} plan - Plano retornado por plan()
+     * @returns {Object} - {strategy, requestedStrategy, routes, unassignedOrders, assignedOrders, totalOrders, efficiency, solver,
+     *                     rejections}
+     */
+    describe(plan) {
+        const assignedOrders = plan.totalOrders - plan.unassigned.length;
+        return {
+            strategy: plan.strategy,
+            requestedStrategy: plan.requestedStrategy,
+            routes: plan.routes.map(route => ({
+                droneId: route.drone.id,
+                orders: route.orders.map(order => order.id),
+                sequenceFixed: route.sequenceFixed
+            })),
+            unassignedOrders: plan.unassigned.map(order => order.id),
+            assignedOrders,
+            totalOrders: plan.totalOrders,
+            efficiency: plan.totalOrders > 0 ? Math.round((assignedOrders / plan.totalOrders) * 100) : 0,
+            solver: plan.solver,
+            rejections: this.explain(plan)
+        };
+    }
+
+    /**
+     * Explica por que cada pedido não atribuído ficou fora do plano: para cada drone ocioso, a
+     * restrição que impede o pedido de entrar na viagem planejada para ele
+     * @param {Object} plan - Plano retornado por plan() (antes ou depois de apply())
+     * @returns {Array<Object>} - [{orderId, drones: [{droneId, constraint, reason}]}]; constraint é 'orders', 'distance',
+     *                            uma das restrições de Drone.checkOrder ou 'combination' (o pedido caberia, mas a
+     *                            estratégia preferiu outra combinação)
+     */
+    explain(plan) {
+        const { drones = [], options = {} } = plan;
+
+        return plan.unassigned.map(order => ({
+            orderId: order.id,
+            drones: drones.map(drone => {
+                // Pedidos do plano que o drone ainda não recebeu (o plano pode já ter sido aplicado)
+                const route = plan.routes.find(r => r.drone === drone);
+                const selected = route
+                    ? route.orders.filter(o => !drone.assignedOrders.some(assigned => assigned.id === o.id))
+                    : [];
+                return { droneId: drone.id, ...this.explainRejection(drone, order, selected, options) };
+            })
+        }));
+    }
+
+    /**
+     * Restrição que impede um pedido de entrar na viagem de um drone, na ordem verificada por canAdd()
+     * @param {Drone} drone - Drone
+     * @param {Order} order - Pedido não atribuído
+     * @param {Array<Order>} selected - Pedidos planejados para o drone, ainda não atribuídos
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone, departure}
+     * @returns {Object} - {constraint, reason}
+     */
+    explainRejection(drone, order, selected, { maxDistance = Infinity, maxOrdersPerDrone = Infinity, departure = new Date() }) {
+        const limit = this.checkOrderLimit(drone.assignedOrders.length + selected.length, maxOrdersPerDrone);
+        if (!limit.feasible) {
+            return { constraint: limit.constraint, reason: limit.reason };
+        }
+
+        const distance = this.distanceFromBase(drone, order);
+        if (distance > maxDistance) {
+            return {
+                constraint: 'distance',
+                reason: `Pedido a ${Math.round(distance * 10) / 10} km da base excede a distância máxima de ${maxDistance} km`
+            };
+        }
+
+        const check = drone.checkOrder(order, selected, departure);
+        if (!check.feasible) {
+            return { constraint: check.constraint, reason: check.reason };
+        }
+        return { constraint: 'combination', reason: 'Pedido caberia na viagem, mas a estratégia escolheu outra combinação de pedidos' };
+    }
+
+    /**
+     * Planeja o turno: a sequência de viagens de cada drone até atender os pedidos pendentes
+     * A cada rodada, os drones que ficam livres primeiro recebem a próxima viagem pela estratégia
+     * pedida ('auto' é resolvida uma vez, no início), partindo no horário em que ficam livres.
+     * Ao voltar, o drone recarrega na base até 100% (baseChargeRate) e é preparado para a próxima
+     * viagem (turnaroundTime). Um drone que não recebe pedidos recarrega, se preciso, e tenta de
+     * novo; com a bateria cheia encerra o turno. Trabalha sobre cópias: drones e pedidos não são alterados
+     * @param {Array<Order>} orders - Pedidos (apenas os pendentes entram no turno)
+     * @param {Array<Drone>} drones - Drones (apenas os ociosos entram no turno; pedidos já atribuídos
+     *                                vão na primeira viagem)
+     * @param {Object} options - {strategy, maxDistance, timeBudget, start (início do turno, padrão: agora)}
+     * @returns {Object} - {strategy, requestedStrategy, start, end, drones: [{drone, trips, completedAt}],
+     *                     unassigned, totalOrders (pendentes e já atribuídos)}; trips traz {trip, departure, returnTime, readyAt, orders,
+     *                     distance, batteryNeeded, chargingStops, rechargeMinutes, turnaroundMinutes}
+     */
+    planShift(orders, drones, { start = new Date(), ...options } = {}) {
+        const copies = JSON.parse(JSON.stringify({
+            drones: drones.filter(drone => drone.isAvailableForDispatch()),
+            orders: orders.filter(order => order.status === 'pending')
+        }));
+        const snapshot = this.fromSnapshot(copies);
+        const requestedStrategy = options.strategy || this.DEFAULT_STRATEGY;
+        const strategy = requestedStrategy === 'auto'
+            ? this.selectStrategy(snapshot.orders, snapshot.drones)
+            : requestedStrategy;
+        const turnaroundMinutes = configService.get('turnaroundTime');
+        const shifts = snapshot.drones.map(drone => ({ drone, availableAt: start.getTime(), trips: [], done: false }));
+        const totalOrders = snapshot.orders.length + snapshot.drones.reduce((sum, drone) => sum + drone.assignedOrders.length, 0);
+        let remaining = snapshot.orders;
+
+        const hasWork = () => remaining.length > 0 || shifts.some(shift => !shift.done && shift.drone.assignedOrders.length > 0);
+
+        while (hasWork() && shifts.some(shift => !shift.done)) {
+            const active = shifts.filter(shift => !shift.done);
+            const time = Math.min(...active.map(shift => shift.availableAt));
+            const ready = active.filter(shift => shift.availableAt === time);
+            const departure = new Date(time);
+
+            this.apply(this.plan(remaining, ready.map(shift => shift.drone), { ...options, strategy, departure }));
+            remaining = remaining.filter(order => order.status === 'pending');
+
+            for (const shift of ready) {
+                const { drone } = shift;
+
+                if (drone.assignedOrders.length === 0) {
+                    // Sem pedidos viáveis: recarrega e tenta de novo, ou encerra com a bateria cheia
+                    if (drone.battery < ChargingPlanner.CHARGE_TARGET) {
+                        shift.availableAt = time + this.getRechargeMinutes(drone.battery) * 60000;
+                        drone.battery = ChargingPlanner.CHARGE_TARGET;
+                    } else {
+                        shift.done = true;
+                    }
+                    continue;
+                }
+
+                const trip = this.scheduleTrip(drone, departure, turnaroundMinutes);
+                shift.trips.push({ trip: shift.trips.length + 1, ...trip });
+                shift.availableAt = trip.readyAt.getTime();
+
+                // O drone volta à base, recarregado e vazio
+                drone.assignedOrders = [];
+                drone.plannedSequence = [];
+                drone.currentLoad = 0;
+                drone.battery = ChargingPlanner.CHARGE_TARGET;
+                drone.position = { ...drone.basePosition };
+            }
+        }
+
+        const completedAt = shifts
+            .filter(shift => shift.trips.length > 0)
+            .map(shift => shift.trips[shift.trips.length - 1].returnTime);
+
+        return {
+            strategy,
+            requestedStrategy,
+            start,
+            end: completedAt.length > 0 ? new Date(Math.max(...completedAt)) : start,
+            drones: shifts.map(shift => ({
+                drone: shift.drone,
+                trips: shift.trips,
+                completedAt: shift.trips.length > 0 ? shift.trips[shift.trips.length - 1].returnTime : null
+            })),
+            unassigned: remaining,
+            totalOrders
+        };
+    }
+
+    /**
+     * Prevê uma viagem do turno com os pedidos atribuídos ao drone
+     * @param {Drone} drone - Drone com os pedidos da viagem
+     * @param {Date} departure - Partida da base
+     * @param {number} turnaroundMinutes - Preparo entre viagens (min)
+     * @returns {Object} - {departure, returnTime, readyAt, orders: [{orderId, expectedArrival, expectedDelivery,
+     *                     waitMinutes, lateMinutes}], distance, batteryNeeded, chargingStops, rechargeMinutes,
+     *                     turnaroundMinutes, feasible}
+     */
+    scheduleTrip(drone, departure, turnaroundMinutes) {
+        const base = drone.basePosition;
+        const trip = drone.planTrip(drone.assignedOrders, base, departure);
+        // Sem plano viável (pedidos atribuídos antes do turno) a viagem segue sem paradas de recarga
+        const stops = trip.feasible
+            ? trip.sequence
+            : trip.schedule.stops.map(stop => drone.assignedOrders.find(order => order.id === stop.orderId));
+        const points = [base, ...stops.map(stop => stop.location), base];
+        const rechargeMinutes = this.getRechargeMinutes(trip.finalBattery);
+        const returnTime = trip.schedule.returnTime;
+
+        return {
+            departure,
+            returnTime,
+            readyAt: new Date(returnTime.getTime() + (rechargeMinutes + turnaroundMinutes) * 60000),
+            orders: trip.schedule.stops.map(stop => ({
+                orderId: stop.orderId,
+                expectedArrival: stop.arrival,
+                expectedDelivery: stop.serviceStart,
+                waitMinutes: stop.waitMinutes,
+                lateMinutes: stop.lateMinutes
+            })),
+            distance: points.slice(1).reduce((sum, point, i) => sum + calculateDistance(points[i], point), 0),
+            batteryNeeded: trip.batteryNeeded,
+            chargingStops: trip.feasible ? trip.chargingStops.map(stop => stop.station.id) : [],
+            rechargeMinutes,
+            turnaroundMinutes,
+            feasible: trip.feasible
+        };
+    }
+
+    /**
+     * Tempo de recarga na base até 100%
+     * @param {number} battery - Bateria na chegada (%)
+     * @returns {number} - Minutos
+     */
+    getRechargeMinutes(battery) {
+        return Math.max(0, ChargingPlanner.CHARGE_TARGET - battery) / ChargingPlanner.getBaseChargeRate();
+    }
+
+    /**
+     * Resumo serializável de um turno (drones e pedidos pelos ids)
+     * @param {Object} shift - Turno retornado por planShift()
+     * @returns {Object} - {strategy, requestedStrategy, start, end, durationMinutes, drones: [{droneId, trips,
+     *                     completedAt, totalOrders}], completions: [{orderId, droneId, trip, expectedDelivery}],
+     *                     unassignedOrders, assignedOrders, totalOrders, totalTrips}
+     */
+    describeShift(shift) {
+        const drones = shift.drones.map(({ drone, trips, completedAt }) => ({
+            droneId: drone.id,
+            trips,
+            completedAt,
+            totalOrders: trips.reduce((sum, trip) => sum + trip.orders.length, 0)
+        }));
+        const completions = drones
+            .flatMap(({ droneId, trips }) => trips.flatMap(trip => trip.orders.map(order => ({
+                orderId: order.orderId,
+                droneId,
+                trip: trip.trip,
+                expectedDelivery: order.expectedDelivery
+            }))))
+            .sort((a, b) => a.expectedDelivery - b.expectedDelivery);
+
+        return {
+            strategy: shift.strategy,
+            requestedStrategy: shift.requestedStrategy,
+            start: shift.start,
+            end: shift.end,
+            durationMinutes: (shift.end - shift.start) / 60000,
+            drones,
+            completions,
+            unassignedOrders: shift.unassigned.map(order => order.id),
+            assignedOrders: shift.totalOrders - shift.unassigned.length,
+            totalOrders: shift.totalOrders,
+            totalTrips: drones.reduce((sum, drone) => sum + drone.trips.length, 0)
+        };
+    }
+
+    /**
+     * Reconstrói drones e pedidos enviados por um cliente (ex.: a interface) para planejar
+     * Pedidos atribuídos aos drones podem vir como objetos ou pelos ids dos pedidos enviados
+     * @param {Object} snapshot - {drones: [JSON de Drone], orders: [JSON de Order]}
+     * @returns {Object} - {drones: Array<Drone>, orders: Array<Order>}
+     */
+    fromSnapshot(snapshot) {
+        const orders = snapshot.orders.map(data => Order.fromJSON(data));
+        const drones = snapshot.drones.map(data => {
+            const drone = Drone.fromJSON(data);
+            drone.assignedOrders = drone.assignedOrders
+                .map(ref => (typeof ref === 'string' ? orders.find(order => order.id === ref) : Order.fromJSON(ref)))
+                .filter(Boolean);
+            return drone;
+        });
+
+        return { drones, orders };
+    }
+
+    /**
+     * Escolhe a estratégia pelo cenário: muitos pedidos urgentes, volume alto,
+     * pedidos distantes da base ou o caso geral
+     * @param {Array<Order>} orders - Pedidos pendentes
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @returns {string} - Estratégia
+     */
+    selectStrategy(orders, drones) {
+        if (orders.length === 0) {
+            return this.DEFAULT_STRATEGY;
+        }
+
+        const world = mapService.getWorld();
+        const highPriorityCount = orders.filter(order => order.priority === 'alta').length;
+        const averageDistance = orders.reduce((sum, order) =>
+            sum + calculateDistance(order.location, world.findNearestBase(order.location).location), 0) / orders.length;
+
+        if (highPriorityCount > orders.length * 0.5) {
+            return 'priority_first';
+        } else if (orders.length > drones.length * 3) {
+            return 'capacity_optimization';
+        } else if (averageDistance > 10) {
+            return 'distance_optimization';
+        }
+        return 'balanced_optimization';
+    }
+
+    /**
+     * Verifica se o drone pode levar mais um pedido na viagem planejada: limite de pedidos,
+     * distância máxima da base e as regras de capacidade, bateria e janelas do modelo
+     * @param {Drone} drone - Drone
+     * @param {Order} order - Pedido candidato
+     * @param {Array<Order>} selected - Pedidos já planejados para o drone
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone, departure}
+     * @returns {boolean} - True se o pedido cabe na viagem
+     */
+    canAdd(drone, order, selected, { maxDistance, maxOrdersPerDrone, departure }) {
+        if (!this.checkOrderLimit(drone.assignedOrders.length + selected.length, maxOrdersPerDrone).feasible) return false;
+        if (this.distanceFromBase(drone, order) > maxDistance) return false;
+        return drone.canCarryOrder(order, selected, departure);
+    }
+
+    /**
+     * Verifica o limite de pedidos por viagem (maxOrdersPerDrone) antes de mais um pedido entrar
+     * Vale para o planejamento, a atribuição manual e o encaixe de pedidos em drones em voo
+     * @param {number} tripSize - Pedidos já na viagem
+     * @param {number} maxOrdersPerDrone - Limite (padrão: o configurado)
+     * @returns {Object} - {feasible, constraint: 'orders', reason} no formato de Drone.checkOrder()
+     */
+    checkOrderLimit(tripSize, maxOrdersPerDrone = configService.get('maxOrdersPerDrone')) {
+        if (tripSize >= maxOrdersPerDrone) {
+            return { feasible: false, constraint: 'orders', reason: `Viagem já tem ${tripSize} pedidos (máximo ${maxOrdersPerDrone})` };
+        }
+        return { feasible: true };
+    }
+
+    /**
+     * Distância do pedido à base do drone: a da entrega ou, se mais longe, a da coleta fora da base
+     * @param {Drone} drone - Drone
+     * @param {Order} order - Pedido
+     * @returns {number} - Distância em km
+     */
+    distanceFromBase(drone, order) {
+        const distance = calculateDistance(drone.basePosition, order.location);
+        return order.pickupLocation
+            ? Math.max(distance, calculateDistance(drone.basePosition, order.pickupLocation))
+            : distance;
+    }
+
+    /**
+     * Atribuição gulosa: cada pedido, na ordem dada, vai para o drone de maior score que pode levá-lo
+     * @param {Array<Order>} orders - Pedidos na ordem de atribuição
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone}
+     * @param {Function} score - (drone, order, selected) => número; maior é melhor
+     * @returns {Map<string, Array<Order>>} - droneId -> pedidos planejados
+     */
+    greedyAssignment(orders, drones, options, score) {
+        const assignment = new Map(drones.map(drone => [drone.id, []]));
+
+        for (const order of orders) {
+            let bestDrone = null;
+            let bestScore = -Infinity;
+
+            for (const drone of drones) {
+                const selected = assignment.get(drone.id);
+                if (!this.canAdd(drone, order, selected, options)) continue;
+
+                const droneScore = score(drone, order, selected);
+                if (droneScore > bestScore) {
+                    bestScore = droneScore;
+                    bestDrone = drone;
+                }
+            }
+
+            if (bestDrone) {
+                assignment.get(bestDrone.id).push(order);
+            }
+        }
+
+        return assignment;
+    }
+
+    /**
+     * Carga do drone somada aos pedidos planejados
+     * @param {Drone} drone - Drone
+     * @param {Array<Order>} selected - Pedidos planejados
+     * @returns {number} - Carga em kg
+     */
+    plannedLoad(drone, selected) {
+        return drone.currentLoad + selected.reduce((sum, order) => sum + order.weight, 0);
+    }
+
+    /**
+     * priority_first: prioridade e, na mesma prioridade, o prazo mais próximo (fim da janela
+     * de entrega ou espera máxima); cada pedido vai para o drone com mais capacidade livre
+     * em relação à distância da base
+     * @param {Array<Order>} orders - Pedidos pendentes
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone}
+     * @returns {Map<string, Array<Order>>} - droneId -> pedidos planejados
+     */
+    planPriorityFirst(orders, drones, options) {
+        const sorted = [...orders].sort((a, b) =>
+            (PRIORITY_SCORES[b.priority] - PRIORITY_SCORES[a.priority]) || (a.getDeadline() - b.getDeadline()));
+
+        return this.greedyAssignment(sorted, drones, options, (drone, order, selected) =>
+            (drone.capacity - this.plannedLoad(drone, selected)) / (calculateDistance(drone.basePosition, order.location) + 1));
+    }
+
+    /**
+     * balanced_optimization: ordena por prioridade, tempo de espera e proximidade da base
+     * mais próxima; cada pedido vai para o drone com melhor uso da capacidade e bateria
+     * em relação à distância
+     * @param {Array<Order>} orders - Pedidos pendentes
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone}
+     * @returns {Map<string, Array<Order>>} - droneId -> pedidos planejados
+     */
+    planBalanced(orders, drones, options) {
+        const priorityWeight = { alta: 100, media: 50, baixa: 10 };
+        const balancedScore = order => {
+            const timeBonus = Math.min(order.getWaitingTime() * 2, 50);
+            const minDistance = Math.min(...drones.map(drone => calculateDistance(drone.basePosition, order.location)));
+            return priorityWeight[order.priority] + timeBonus - minDistance * 5;
+        };
+        const sorted = orders
+            .map(order => ({ order, score: balancedScore(order) }))
+            .sort((a, b) => b.score - a.score)
+            .map(item => item.order);
+
+        return this.greedyAssignment(sorted, drones, options, (drone, order, selected) => {
+            const utilization = (this.plannedLoad(drone, selected) + order.weight) / drone.capacity;
+            // Energia disponível: nível da bateria sobre a capacidade que resta ao pack
+            const energy = drone.battery / 100 * drone.getBatteryHealth() / 100;
+            return (utilization * energy) / (calculateDistance(drone.basePosition, order.location) + 0.1);
+        });
+    }
+
+    /**
+     * capacity_optimization: cada drone, em sequência, enche a viagem com os pedidos de
+     * melhor relação prioridade e espera por distância que ainda cabem nela
+     * @param {Array<Order>} orders - Pedidos pendentes
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone}
+     * @returns {Map<string, Array<Order>>} - droneId -> pedidos planejados
+     */
+    planCapacity(orders, drones, options) {
+        const assignment = new Map(drones.map(drone => [drone.id, []]));
+        const remaining = [...orders];
+
+        for (const drone of drones) {
+            const efficiency = order => {
+                const timeWeight = Math.min(order.getWaitingTime() / 30, 2);
+                return (PRIORITY_SCORES[order.priority] + timeWeight) /
+                    (calculateDistance(drone.basePosition, order.location) + 0.1);
+            };
+            const candidates = remaining
+                .map(order => ({ order, score: efficiency(order) }))
+                .sort((a, b) => b.score - a.score)
+                .map(item => item.order);
+
+            const selected = assignment.get(drone.id);
+            for (const order of candidates) {
+                if (this.canAdd(drone, order, selected, options)) {
+                    selected.push(order);
+                    remaining.splice(remaining.indexOf(order), 1);
+                }
+            }
+        }
+
+        return assignment;
+    }
+
+    /**
+     * distance_optimization: agrupa os pedidos por proximidade (k-means, um grupo por drone)
+     * e cada drone leva, por prioridade, os pedidos do seu grupo que cabem na viagem
+     * @param {Array<Order>} orders - Pedidos pendentes
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone}
+     * @returns {Map<string, Array<Order>>} - droneId -> pedidos planejados
+     */
+    planDistance(orders, drones, options) {
+        const assignment = new Map(drones.map(drone => [drone.id, []]));
+        const clusters = this.clusterOrders(orders, drones.length);
+
+        clusters.forEach((cluster, i) => {
+            const drone = drones[i];
+            const selected = assignment.get(drone.id);
+            const sorted = [...cluster].sort((a, b) => PRIORITY_SCORES[b.priority] - PRIORITY_SCORES[a.priority]);
+
+            for (const order of sorted) {
+                if (this.canAdd(drone, order, selected, options)) {
+                    selected.push(order);
+                }
+            }
+        });
+
+        return assignment;
+    }
+
+    /**
+     * Agrupa pedidos por proximidade com k-means (3 iterações); os centroides iniciais são
+     * pedidos espaçados na lista, para que o agrupamento seja determinístico
+     * @param {Array<Order>} orders - Pedidos
+     * @param {number} k - Número de grupos
+     * @returns {Array<Array<Order>>} - Grupos não vazios
+     */
+    clusterOrders(orders, k) {
+        if (orders.length <= k) {
+            return orders.map(order => [order]);
+        }
+
+        let centroids = Array.from({ length: k }, (_, i) => ({ ...orders[Math.floor(i * orders.length / k)].location }));
+        const assign = () => {
+            const clusters = centroids.map(() => []);
+            for (const order of orders) {
+                let nearest = 0;
+                for (let i = 1; i < centroids.length; i++) {
+                    if (calculateDistance(order.location, centroids[i]) < calculateDistance(order.location, centroids[nearest])) {
+                        nearest = i;
+                    }
+                }
+                clusters[nearest].push(order);
+            }
+            return clusters;
+        };
+
+        for (let iteration = 0; iteration < 3; iteration++) {
+            centroids = assign().map((cluster, i) => (cluster.length === 0 ? centroids[i] : {
+                x: cluster.reduce((sum, order) => sum + order.location.x, 0) / cluster.length,
+                y: cluster.reduce((sum, order) => sum + order.location.y, 0) / cluster.length
+            }));
+        }
+
+        return assign().filter(cluster => cluster.length > 0);
+    }
+
+    /**
+     * vrp_solver: Clarke-Wright e recozimento simulado, comparado à estratégia padrão
+     * @param {Array<Order>} orders - Pedidos pendentes
+     * @param {Array<Drone>} drones - Drones disponíveis
+     * @param {Object} options - {maxDistance, maxOrdersPerDrone, departure, timeBudget, requestedStrategy}
+     * @returns {Object} - Plano com ordem de visita fixada e o resumo do solver
+     */
+    planVrp(orders, drones, { maxDistance, maxOrdersPerDrone, departure, timeBudget = vrpSolver.DEFAULT_TIME_BUDGET, requestedStrategy }) {
+        const options = { maxDistance, maxOrdersPerDrone, departure };
+        const result = vrpSolver.solve(orders, drones, {
+            ...options,
+            timeBudget,
+            baseline: this.planners[this.DEFAULT_STRATEGY](orders, drones, options)
+        });
+
+        return {
+            strategy: 'vrp_solver',
+            requestedStrategy,
+            routes: result.routes
+                .filter(route => route.sequence.some(order => order.status === 'pending'))
+                .map(route => ({ drone: route.drone, orders: route.sequence, sequenceFixed: true })),
+            unassigned: result.unassigned,
+            totalOrders: orders.length,
+            departure,
+            solver: {
+                objective: result.objective,
+                baselineStrategy: this.DEFAULT_STRATEGY,
+                baselineObjective: result.baselineObjective,
+                improvement: result.improvement,
+                totalDistance: result.totalDistance,
+                construction: result.construction,
+                iterations: result.iterations,
+                elapsedMs: result.elapsedMs,
+                timeBudget
+            }
+        };
+    }
+}
+
+// Instância única compartilhada pelas rotas da API
+const planningService = new PlanningService();
+
+module.exports = planningService;
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * ProofService - Comprovantes de entrega
+ * Registra, para cada pedido entregue, o horário, o drone, o ponto exato em que o
+ * pacote foi deixado, a verificação do PIN do destinatário e, opcionalmente, a foto
+ * da entrega. As fotos ficam em disco, no diretório de dados (DATA_DIR/comprovantes)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const repositories = require('../repositories');
+
+// Tipos de foto aceitos e a extensão do arquivo gravado
+const PHOTO_TYPES = Object.freeze({
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+});
+
+// Tamanho máximo da foto em bytes (5 MB)
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+class ProofService {
+    constructor() {
+        this.proofs = repositories.proofsOfDelivery;
+        this.photoDir = path.join(repositories.dataDir, 'comprovantes');
+    }
+
+    /**
+     * Busca o comprovante de um pedido
+     * @param {string} orderId - Id do pedido
+     * @returns {Object|null} - Comprovante ou null se o pedido não foi entregue
+     */
+    getProof(orderId) {
+        return this.proofs.findById(orderId);
+    }
+
+    /**
+     * Registra o comprovante de um pedido entregue
+     * @param {Order} order - Pedido entregue
+     * @param {Object} details - Dados da entrega
+     * @param {string} details.droneId - Drone que entregou (padrão: o atribuído ao pedido)
+     * @param {Object} details.location - Ponto {x, y} em que o pacote foi deixado (padrão: o endereço do pedido)
+     * @param {string} details.source - 'api' (confirmação manual) ou 'simulation'
+     * @param {boolean} details.pinVerified - True se o PIN do destinatário foi conferido
+     * @param {Object} details.photo - Foto opcional {data: Buffer, mimeType}
+     * @returns {Object} - Comprovante registrado
+     */
+    record(order, { droneId = order.assignedDrone, location = order.location, source = 'api', pinVerified = false, photo = null } = {}) {
+        const proof = {
+            id: order.id,
+            orderId: order.id,
+            droneId: droneId || null,
+            deliveredAt: order.deliveredAt.toISOString(),
+            location: { x: location.x, y: location.y },
+            source,
+            pinRequired: order.requiresPin(),
+            pinVerified,
+            photo: photo ? this.savePhoto(order.id, photo) : null,
+            recordedAt: new Date().toISOString()
+        };
+
+        this.proofs.add(proof);
+        return proof;
+    }
+
+    /**
+     * Grava a foto da entrega no diretório de comprovantes
+     * @param {string} orderId - Id do pedido
+     * @param {Object} photo - {data: Buffer, mimeType}
+     * @returns {Object} - {fileName, mimeType, size (bytes)}
+     */
+    savePhoto(orderId, { data, mimeType }) {
+        const fileName = `${orderId}.${PHOTO_TYPES[mimeType]}`;
+        fs.mkdirSync(this.photoDir, { recursive: true });
+        fs.writeFileSync(path.join(this.photoDir, fileName), data);
+        return { fileName, mimeType, size: data.length };
+    }
+
+    /**
+     * Caminho do arquivo da foto de um comprovante
+     * @param {Object} proof - Comprovante
+     * @returns {string|null} - Caminho absoluto ou null se o comprovante não tem foto (ou o arquivo sumiu)
+     */
+    getPhotoPath(proof) {
+        if (!proof || !proof.photo) {
+            return null;
+        }
+        const photoPath = path.join(this.photoDir, proof.photo.fileName);
+        return fs.existsSync(photoPath) ? photoPath : null;
+    }
+
+    /**
+     * Remove todos os comprovantes e as fotos gravadas
+     */
+    clear() {
+        for (const proof of this.proofs.all()) {
+            if (proof.photo) {
+                fs.rmSync(path.join(this.photoDir, proof.photo.fileName), { force: true });
+            }
+        }
+        this.proofs.clear();
+    }
+}
+
+// Instância única compartilhada pelas rotas e simulações
+const proofService = new ProofService();
+
+module.exports = proofService;
+module.exports.PHOTO_TYPES = PHOTO_TYPES;
+module.exports.MAX_PHOTO_BYTES = MAX_PHOTO_BYTES;
\ No newline at end of file
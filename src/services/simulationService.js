@@ -0,0 +1,244 @@
+/**
+ * SimulationService - Simulações de entrega em andamento no servidor
+ * Registra as simulações, persiste e publica as mudanças de drones e pedidos a cada
+ * evento do motor e aplica às missões em voo o que acontece fora delas: pedidos de
+ * prioridade alta que entram na rota, cancelamentos e pousos de emergência
+ */
+
+const SimulationEngine = require('./SimulationEngine');
+const repositories = require('../repositories');
+const eventBus = require('./eventBus');
+const configService = require('./configService');
+const chargingService = require('./chargingService');
+const orderService = require('./orderService');
+const maintenanceService = require('./maintenanceService');
+const { EVENT_TYPES } = eventBus;
+
+// Tempo em que uma simulação encerrada (concluída ou interrompida) segue consultável antes de ser descartada
+const FINISHED_TTL_MS = 10 * 60 * 1000;
+
+class SimulationService {
+    constructor() {
+        this.simulations = new Map();
+        this.orders = repositories.orders;
+        this.drones = repositories.drones;
+    }
+
+    /**
+     * Busca uma simulação registrada
+     * @param {string} id - Id da simulação
+     * @returns {SimulationEngine|null} - Simulação ou null se não existe
+     */
+    get(id) {
+        this.prune();
+        return this.simulations.get(id) || null;
+    }
+
+    /**
+     * Lista as simulações registradas
+     * @returns {Array<SimulationEngine>} - Simulações
+     */
+    list() {
+        this.prune();
+        return [...this.simulations.values()];
+    }
+
+    /**
+     * Descarta as simulações encerradas há mais de FINISHED_TTL_MS
+     * @param {number} now - Horário de referência em ms (padrão: agora)
+     * @returns {Array<string>} - Ids das simulações descartadas
+     */
+    prune(now = Date.now()) {
+        const removed = [];
+        for (const [id, simulation] of this.simulations) {
+            if (simulation.finishedAt && now - new Date(simulation.finishedAt).getTime() > FINISHED_TTL_MS) {
+                simulation.removeAllListeners();
+                this.simulations.delete(id);
+                removed.push(id);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Cria, inicia e registra uma simulação para os drones com pedidos atribuídos
+     * Usado por /simular e pelo despacho automático
+     * @param {Array<Drone>} dronesWithOrders - Drones que partem
+     * @param {Array<Order>} orders - Pedidos do sistema
+     * @param {Object} options - {speed (km por minuto virtual; null = simulationSpeed na proporção do cruzeiro), realTime,
+     *                           failureRate (probabilidade de falha de cada entrega; padrão: deliveryFailureRate)}
+     * @returns {SimulationEngine} - Simulação iniciada
+     */
+    launch(dronesWithOrders, orders, { speed, realTime, failureRate }) {
+        this.prune();
+        const simulation = new SimulationEngine({
+            id: `SIM-${Date.now()}`,
+            drones: dronesWithOrders,
+            orders,
+            speed,
+            baseSpeed: configService.get('simulationSpeed'),
+            realTime,
+            failureRate: failureRate !== undefined ? failureRate : configService.get('deliveryFailureRate'),
+            baseChargeRate: configService.get('baseChargeRate'),
+            pinWaitMinutes: configService.get('pinWaitMinutes'),
+            // Comprovante com o ponto em que o drone deixou o pacote; pedidos com PIN não passam por
+            // aqui: aguardam a confirmação do destinatário em POST /pedidos/:id/deliver
+            onOrderDelivered: (order, deliveredAt, drone) => orderService.markAsDelivered(order.id, deliveredAt, {
+                droneId: drone.id,
+                location: { ...drone.position },
+                source: 'simulation'
+            })
+        });
+
+        // Persiste o estado dos drones a cada marco da simulação
+        for (const event of ['started', 'orderPickedUp', 'delivery', 'chargingStarted', 'droneCharged', 'droneReturned', 'missionAborted', 'stopped', 'completed']) {
+            simulation.on(event, () => this.drones.save());
+        }
+
+        // Repassa a telemetria dos drones ao stream de eventos
+        simulation.on('droneMoved', ({ droneId, position }) =>
+            eventBus.publish(EVENT_TYPES.DRONE_POSITION, { droneId, position }));
+        simulation.on('batteryChanged', ({ droneId, battery }) =>
+            eventBus.publish(EVENT_TYPES.DRONE_BATTERY, { droneId, battery }));
+        simulation.on('droneStatus', ({ droneId, status, previousStatus }) =>
+            eventBus.publish(EVENT_TYPES.DRONE_STATUS, { droneId, status, previousStatus }));
+        // Fim da missão: ocioso com a manutenção vencida, o drone entra em manutenção (depois do idle publicado)
+        simulation.on('droneStatus', ({ droneId, status }) => {
+            const drone = status === 'idle' ? this.drones.findById(droneId) : null;
+            if (drone) {
+                maintenanceService.checkDrone(drone);
+            }
+        });
+        simulation.on('routeChanged', ({ droneId, orderId, action, orders, route, addedDistance }) =>
+            eventBus.publish(EVENT_TYPES.DRONE_ROUTE, { droneId, orderId, action, orders, route, addedDistance }));
+
+        // Pedidos que decolam com os drones e os que voltam à base sem entrega
+        const departing = orders.filter(o => o.status === 'assigned' && dronesWithOrders.some(d => d.id === o.assignedDrone));
+        simulation.on('orderReturned', ({ orderId, outcome, stopped }) => {
+            const order = orders.find(o => o.id === orderId);
+            this.orders.save();
+            orderService.publishStatus(order, outcome ? { outcome } : {});
+            // Entrega sem sucesso: o pedido volta à fila ou é escalonado
+            if (outcome) {
+                orderService.resolveFailedDelivery(order);
+            } else if (stopped) {
+                orderService.requeue(order, 'Simulacao interrompida antes da entrega');
+            }
+        });
+        // Pacotes coletados fora da base sobem a bordo
+        simulation.on('orderPickedUp', ({ droneId, orderId }) => {
+            this.orders.save();
+            const order = orders.find(o => o.id === orderId);
+            eventBus.publish(EVENT_TYPES.ORDER_PICKED_UP, {
+                orderId,
+                status: order.status,
+                assignedDrone: droneId,
+                pickupLocation: order.pickupLocation,
+                pickedUpAt: order.pickedUpAt.toISOString()
+            });
+        });
+        // Drone parado no local aguardando o PIN do destinatário
+        simulation.on('awaitingPin', ({ droneId, orderId, until }) =>
+            eventBus.publish(EVENT_TYPES.ORDER_AWAITING_PIN, { orderId, status: 'in_flight', assignedDrone: droneId, until }));
+        // Entregas sem sucesso (o pacote segue a bordo) e pedidos a bordo de um drone que pousou em emergência
+        simulation.on('orderFailed', ({ orderId, outcome }) => {
+            this.orders.save();
+            orderService.publishStatus(orders.find(o => o.id === orderId),
+                outcome ? { previousStatus: 'in_flight', outcome } : { previousStatus: 'in_flight' });
+        });
+
+        simulation.start();
+        this.simulations.set(simulation.id, simulation);
+
+        this.orders.save();
+        departing.forEach(order => orderService.publishStatus(order));
+        return simulation;
+    }
+
+    /**
+     * Insere o pedido na rota do drone em voo que menos se desvia para levá-lo,
+     * entre todas as simulações em andamento
+     * @param {Order} order - Pedido pendente
+     * @returns {Object|null} - {simulationId, droneId, orderId, orders, route, addedDistance} ou null
+     */
+    insertIntoFlights(order) {
+        let best = null;
+        for (const simulation of this.simulations.values()) {
+            const insertion = simulation.findInsertion(order);
+            if (insertion && (!best || insertion.addedDistance < best.insertion.addedDistance)) {
+                best = { simulation, insertion };
+            }
+        }
+
+        if (!best) return null;
+
+        const change = best.simulation.insertOrder(order, best.insertion);
+        this.drones.save();
+        this.orders.save();
+        orderService.publishStatus(order);
+        return change;
+    }
+
+    /**
+     * Tira da rota do drone em voo a entrega de um pedido cancelado
+     * @param {string} orderId - Id do pedido
+     * @returns {Object|null} - Mudança da rota ou null se nenhuma simulação leva o pedido
+     */
+    removeFromFlight(orderId) {
+        for (const simulation of this.simulations.values()) {
+            const change = simulation.removeOrder(orderId);
+            if (change) {
+                this.drones.save();
+                return change;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Encerra a missão do drone que pousou em emergência; os pedidos a bordo passam a failed
+     * @param {string} droneId - Id do drone
+     */
+    handleEmergencyLanding(droneId) {
+        for (const simulation of this.simulations.values()) {
+            if (simulation.abortMission(droneId)) break;
+        }
+
+        // Pedidos a bordo fora de uma simulação em andamento
+        const onBoard = this.orders.all().filter(o => o.assignedDrone === droneId && o.status === 'in_flight');
+        onBoard.forEach(order => order.updateStatus('failed'));
+        this.orders.save();
+        onBoard.forEach(order => orderService.publishStatus(order, { previousStatus: 'in_flight' }));
+        this.drones.save();
+    }
+
+    /**
+     * Pedidos que falharam no pouso de emergência voltam à base com o drone recolhido
+     * @param {string} droneId - Id do drone
+     */
+    returnFailedOrders(droneId) {
+        const failed = this.orders.all().filter(o => o.assignedDrone === droneId && o.status === 'failed');
+        failed.forEach(order => order.updateStatus('returned'));
+        this.orders.save();
+        failed.forEach(order => orderService.publishStatus(order, { previousStatus: 'failed' }));
+    }
+
+    /**
+     * Interrompe e descarta todas as simulações (usado pelo sistema)
+     */
+    reset() {
+        // Drones e pedidos são descartados em seguida: a interrupção não é persistida nem publicada
+        for (const simulation of this.simulations.values()) {
+            simulation.removeAllListeners();
+            simulation.stop();
+        }
+        this.simulations.clear();
+        chargingService.reset();
+    }
+}
+
+// Instância única compartilhada pelas rotas e pelo despacho automático
+const simulationService = new SimulationService();
+
+module.exports = simulationService;
+module.exports.FINISHED_TTL_MS = FINISHED_TTL_MS;
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * Utilitários de roteamento
+ * Cálculo de distâncias e rotas compartilhado pelas rotas da API e pelo simulador
+ */
+
+const Airspace = require('../../js/utils/Airspace');
+const EnergyModel = require('../../js/utils/EnergyModel');
+const ChargingPlanner = require('../../js/utils/ChargingPlanner');
+const PickupPlanner = require('../../js/utils/PickupPlanner');
+const TimeWindows = require('../../js/utils/TimeWindows');
+
+/**
+ * Calcula a distância de voo entre dois pontos no sistema de coordenadas do mapa
+ * (euclidiana na grade, haversine em lat/lon), contornando zonas de exclusão aérea
+ * @param {Object} point1 - Ponto inicial {x, y}
+ * @param {Object} point2 - Ponto final {x, y}
+ * @returns {number} - Distância em km
+ */
+function calculateDistance(point1, point2) {
+    return Airspace.distance(point1, point2);
+}
+
+/**
+ * Calcula a rota de um drone pelos pedidos usando nearest neighbor (ou, havendo janelas
+ * de entrega, a ordem que respeita as janelas) e prevê o horário de cada entrega
+ * A rota parte e termina na base de origem do drone; trechos que cruzam zonas de
+ * exclusão aérea são desviados e os vértices do desvio entram como waypoints.
+ * Quando a bateria ou o alcance não bastam, paradas em estações de recarga entram
+ * como waypoints do tipo 'charging'. Pedidos com coleta fora da base ganham um waypoint
+ * 'pickup' antes da entrega, onde a carga a bordo aumenta
+ * @param {Object} drone - Drone que fará a rota
+ * @param {Array} orders - Pedidos atribuídos ao drone
+ * @param {Date} departure - Horário de partida da base (padrão: agora)
+ * @returns {Object} - {path, stops, visits, waypoints, distance, detourDistance, batteryNeeded, estimatedTime,
+ *                     chargingStops, chargingTime, feasible, schedule, windowViolations}; visits traz as
+ *                     coletas e entregas na ordem, com a carga a bordo (kg) após cada uma
+ */
+function calculateOptimizedRoute(drone, orders, departure = new Date()) {
+    const basePosition = drone.basePosition;
+
+    if (orders.length === 0) {
+        return {
+            path: [basePosition],
+            stops: [],
+            visits: [],
+            waypoints: [],
+            distance: 0,
+            detourDistance: 0,
+            batteryNeeded: 0,
+            estimatedTime: 0,
+            chargingStops: [],
+            chargingTime: 0,
+            feasible: true,
+            schedule: [],
+            windowViolations: []
+        };
+    }
+
+    // Ordem de visita: vizinho mais próximo, ou pelas janelas de entrega quando houver
+    const stops = drone.sequenceOrders(orders, basePosition, departure);
+    // Paradas da viagem: as coletas antes das respectivas entregas
+    const visits = drone.getVisits(stops, basePosition);
+    const route = [basePosition, ...visits.map(visit => visit.location)];
+    const currentPosition = route[route.length - 1];
+    let totalDistance = route.slice(1).reduce((sum, point, i) => sum + calculateDistance(route[i], point), 0);
+
+    // Retorna à base
+    const returnDistance = calculateDistance(currentPosition, basePosition);
+    route.push(basePosition);
+    totalDistance += returnDistance;
+
+    // Paradas de recarga onde a bateria ou o alcance não bastam; sem plano viável a rota segue sem elas
+    const plan = ChargingPlanner.planTrip(drone, stops, basePosition, basePosition);
+    const plannedStops = plan.feasible
+        ? plan.sequence.map(stop => (stop.type === 'charging'
+            ? { ...stop.location, type: 'charging', station: stop.station, chargeTo: stop.chargeTo }
+            : { ...stop.location, type: stop.type, order: stop.order }))
+        : visits.map(visit => ({ ...visit.location, type: visit.type, order: visit.order }));
+
+    if (plan.chargingStops.length > 0 && plan.feasible) {
+        const points = [basePosition, ...plannedStops, basePosition];
+        route.splice(0, route.length, ...points.map(point => ({ x: point.x, y: point.y })));
+        totalDistance = points.slice(1).reduce((sum, point, i) => sum + calculateDistance(points[i], point), 0);
+    }
+
+    // Waypoints do voo: desvios, recargas, coletas, entregas e o retorno à base
+    const waypoints = Airspace.expandRoute([
+        basePosition,
+        ...plannedStops,
+        { ...basePosition, type: 'base' }
+    ]).slice(1);
+
+    const GeoUtils = Airspace.getGeo();
+    const straightDistance = route.slice(1).reduce((sum, point, i) => sum + GeoUtils.distance(route[i], point), 0);
+    const chargingTime = plan.feasible
+        ? plan.chargingStops.reduce((sum, stop) => sum + stop.chargingTime, 0)
+        : 0;
+
+    // Horários previstos, com o tempo parado em estações e a espera pelo início das janelas
+    const schedule = TimeWindows.estimate(
+        plan.feasible ? plan.sequence : visits,
+        basePosition,
+        basePosition,
+        departure,
+        drone.speed
+    );
+    const describeStop = (stop) => ({
+        orderId: stop.orderId,
+        predictedArrival: stop.arrival.toISOString(),
+        waitMinutes: stop.waitMinutes,
+        lateMinutes: stop.lateMinutes,
+        deliveryWindow: stop.window
+            ? { start: stop.window.start ? stop.window.start.toISOString() : null, end: stop.window.end.toISOString() }
+            : null
+    });
+
+    const loads = PickupPlanner.getLoadProfile(visits);
+
+    return {
+        path: [basePosition, ...waypoints.map(waypoint => ({ x: waypoint.x, y: waypoint.y }))],
+        stops,
+        visits: visits.map((visit, i) => ({
+            type: visit.type,
+            orderId: visit.order.id,
+            location: visit.location,
+            load: loads[i + 1]
+        })),
+        waypoints,
+        distance: totalDistance,
+        detourDistance: totalDistance - straightDistance,
+        // Consumo pelo modelo de energia do drone, com a carga aumentando a cada coleta e diminuindo a cada entrega
+        batteryNeeded: plan.feasible
+            ? plan.batteryNeeded
+            : EnergyModel.tripConsumption(drone.getEnergyProfile(), basePosition, visits, basePosition),
+        estimatedTime: Math.round(totalDistance / drone.speed + chargingTime), // minutos, no cruzeiro do drone
+        chargingStops: plan.feasible
+            ? plan.chargingStops.map(stop => ({
+                stationId: stop.station.id,
+                location: stop.location,
+                arrivalBattery: stop.arrivalBattery,
+                chargeTo: stop.chargeTo,
+                chargingTime: stop.chargingTime
+            }))
+            : [],
+        chargingTime, // minutos parados em estações
+        feasible: plan.feasible,
+        schedule: schedule.stops.map(describeStop),
+        windowViolations: schedule.violations.map(describeStop)
+    };
+}
+
+/**
+ * Recalcula o restante da rota de um drone em voo, da posição atual até a base
+ * Os pedidos são reordenados a partir da posição atual com a bateria restante e os km
+ * já voados desde a última recarga; paradas de recarga entram quando necessárias
+ * @param {Object} drone - Drone em voo
+ * @param {Array} orders - Pedidos ainda a entregar, incluindo os novos
+ * @param {Date} departure - Horário atual (no relógio da simulação)
+ * @param {number} flownSinceCharge - Km voados desde a última recarga
+ * @returns {Object} - {sequence, waypoints, distance, batteryNeeded, chargingStops, feasible, windowViolations}
+ */
+function calculateRemainingRoute(drone, orders, departure = new Date(), flownSinceCharge = 0) {
+    const start = { x: drone.position.x, y: drone.position.y };
+    const plan = drone.planTrip(orders, start, departure, flownSinceCharge);
+    const plannedStops = plan.sequence.map(stop => (stop.type === 'charging'
+        ? { ...stop.location, type: 'charging', station: stop.station, chargeTo: stop.chargeTo }
+        : { ...stop.location, type: stop.type, order: stop.order }));
+
+    const points = [start, ...plannedStops, drone.basePosition];
+    const waypoints = Airspace.expandRoute([start, ...plannedStops, { ...drone.basePosition, type: 'base' }]).slice(1);
+
+    return {
+        sequence: plan.sequence.filter(stop => stop.type === 'delivery').map(stop => stop.order),
+        waypoints,
+        distance: points.slice(1).reduce((sum, point, i) => sum + calculateDistance(points[i], point), 0),
+        batteryNeeded: plan.batteryNeeded,
+        chargingStops: plan.chargingStops.map(stop => stop.station.id),
+        feasible: plan.feasible,
+        windowViolations: plan.schedule.violations.map(stop => stop.orderId)
+    };
+}
+
+module.exports = {
+    calculateDistance,
+    calculateOptimizedRoute,
+    calculateRemainingRoute
+};
\ No newline at end of file
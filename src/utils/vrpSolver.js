@@ -0,0 +1,581 @@
+/**
+ * Solver de roteamento de veículos (VRP capacitado com várias bases)
+ * Constrói as rotas pelas economias de Clarke-Wright e as melhora com recozimento simulado
+ * sobre os movimentos 2-opt, or-opt, realocação e troca, dentro de um orçamento de tempo.
+ * Uma rota só é aceita se couber na capacidade, no limite de pedidos e na distância máxima
+ * da base, e se o ChargingPlanner e as janelas de entrega a aceitarem na ordem de visita.
+ * Com coletas fora da base, a capacidade vale para a maior carga a bordo ao longo da rota
+ */
+
+const Airspace = require('../../js/utils/Airspace');
+const ChargingPlanner = require('../../js/utils/ChargingPlanner');
+const PickupPlanner = require('../../js/utils/PickupPlanner');
+const TimeWindows = require('../../js/utils/TimeWindows');
+
+// Orçamento de tempo padrão da busca, em ms
+const DEFAULT_TIME_BUDGET = 1000;
+
+// Custo (em km) de deixar um pedido sem drone, por peso de prioridade:
+// atender mais pedidos sempre vale mais que encurtar as rotas
+const UNASSIGNED_PENALTY = 1000;
+const PRIORITY_WEIGHTS = { alta: 3, media: 2, baixa: 1 };
+
+// Temperatura mínima do recozimento, em km, e resfriamento a cada iteração
+// (por iteração, e não por tempo, para que as mesmas entradas levem ao mesmo plano)
+const FINAL_TEMPERATURE = 0.01;
+const COOLING_RATE = 0.999;
+
+/**
+ * Gerador pseudoaleatório com semente (mulberry32), para que as mesmas entradas
+ * levem ao mesmo plano
+ * @param {number} seed - Semente
+ * @returns {Function} - Função que retorna números em [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Cria o contexto de uma execução: parâmetros, pedidos fixos de cada drone e caches
+ * @param {Array<Drone>} drones - Drones disponíveis
+ * @param {Object} options - Opções do solve
+ * @returns {Object} - Contexto
+ */
+function createContext(drones, options) {
+    return {
+        drones,
+        departure: options.departure || new Date(),
+        maxOrdersPerDrone: options.maxOrdersPerDrone || Infinity,
+        maxDistance: options.maxDistance || Infinity,
+        random: createRandom(options.seed || 1),
+        // Pedidos já atribuídos continuam no drone (podem mudar de posição, não de drone)
+        locked: new Map(drones.map(drone => [drone.id, new Set(drone.assignedOrders.map(order => order.id))])),
+        routeCache: new Map(),
+        distanceCache: new Map()
+    };
+}
+
+/**
+ * Distância de voo entre dois pontos, com cache (desvios de zonas de exclusão são caros)
+ * @param {Object} context - Contexto da execução
+ * @param {Object} from - Ponto inicial {x, y}
+ * @param {Object} to - Ponto final {x, y}
+ * @returns {number} - Distância em km
+ */
+function distance(context, from, to) {
+    const key = `${from.x},${from.y}|${to.x},${to.y}`;
+    if (!context.distanceCache.has(key)) {
+        context.distanceCache.set(key, Airspace.distance(from, to));
+    }
+    return context.distanceCache.get(key);
+}
+
+/**
+ * Avalia a rota de um drone na ordem informada
+ * @param {Object} context - Contexto da execução
+ * @param {Drone} drone - Drone da rota
+ * @param {Array<Order>} sequence - Pedidos na ordem de visita
+ * @returns {Object} - {feasible, cost}; cost é a distância da base à base, com as paradas de recarga
+ */
+function evaluateRoute(context, drone, sequence) {
+    if (sequence.length === 0) {
+        return { feasible: true, cost: 0 };
+    }
+
+    const key = `${drone.id}:${sequence.map(order => order.id).join(',')}`;
+    if (context.routeCache.has(key)) {
+        return context.routeCache.get(key);
+    }
+
+    const result = { feasible: false, cost: Infinity };
+    context.routeCache.set(key, result);
+
+    const base = drone.basePosition;
+    const locked = context.locked.get(drone.id);
+    let load = sequence.reduce((sum, order) => sum + order.weight, 0);
+    if (load > drone.capacity && PickupPlanner.hasPickups(sequence)) {
+        // Pacotes entregues antes de outros serem coletados não viajam juntos
+        load = PickupPlanner.getPeakLoad(PickupPlanner.getVisits(sequence, base, base, drone.capacity));
+    }
+    if (load > drone.capacity || sequence.length > context.maxOrdersPerDrone) {
+        return result;
+    }
+    if (!drone.checkCargo(sequence).feasible) {
+        return result;
+    }
+    const farthest = (order) => Math.max(distance(context, base, order.location),
+        order.pickupLocation ? distance(context, base, order.pickupLocation) : 0);
+    if (sequence.some(order => !locked.has(order.id) && farthest(order) > context.maxDistance)) {
+        return result;
+    }
+
+    const plan = ChargingPlanner.planTrip(drone, sequence, base, base);
+    if (!plan.feasible) {
+        return result;
+    }
+
+    const schedule = TimeWindows.estimate(plan.sequence, base, base, context.departure, drone.speed);
+    if (schedule.violations.length > 0) {
+        return result;
+    }
+
+    const points = [base, ...plan.sequence.map(stop => stop.location), base];
+    result.feasible = true;
+    result.cost = points.slice(1).reduce((sum, point, i) => sum + distance(context, points[i], point), 0);
+    return result;
+}
+
+/**
+ * Valor da função objetivo: distância total mais a penalidade dos pedidos sem drone
+ * @param {Object} solution - {routes: Map<droneId, {drone, sequence, cost}>, unassigned}
+ * @returns {number} - Objetivo em km
+ */
+function objective(solution) {
+    return totalDistance(solution) +
+        solution.unassigned.reduce((sum, order) => sum + UNASSIGNED_PENALTY * PRIORITY_WEIGHTS[order.priority], 0);
+}
+
+/**
+ * Distância total das rotas de uma solução
+ * @param {Object} solution - Solução
+ * @returns {number} - Distância em km
+ */
+function totalDistance(solution) {
+    let total = 0;
+    for (const route of solution.routes.values()) {
+        total += route.cost;
+    }
+    return total;
+}
+
+/**
+ * Copia uma solução (as sequências são copiadas, os pedidos e drones não)
+ * @param {Object} solution - Solução
+ * @returns {Object} - Cópia
+ */
+function cloneSolution(solution) {
+    return {
+        routes: new Map([...solution.routes].map(([id, route]) => [id, { ...route, sequence: [...route.sequence] }])),
+        unassigned: [...solution.unassigned]
+    };
+}
+
+/**
+ * Solução com apenas os pedidos já atribuídos a cada drone
+ * @param {Object} context - Contexto da execução
+ * @returns {Object} - Solução
+ */
+function createLockedSolution(context) {
+    const routes = new Map();
+    for (const drone of context.drones) {
+        const sequence = drone.sequenceOrders(drone.assignedOrders, drone.basePosition, context.departure);
+        const { cost } = evaluateRoute(context, drone, sequence);
+        routes.set(drone.id, { drone, sequence, cost: Number.isFinite(cost) ? cost : 0 });
+    }
+    return { routes, unassigned: [] };
+}
+
+/**
+ * Insere cada pedido na posição mais barata de qualquer rota; sem posição viável o pedido fica sem drone
+ * @param {Object} context - Contexto da execução
+ * @param {Object} solution - Solução alterada no lugar
+ * @param {Array<Order>} orders - Pedidos a inserir
+ */
+function insertCheapest(context, solution, orders) {
+    const sorted = [...orders].sort((a, b) => PRIORITY_WEIGHTS[b.priority] - PRIORITY_WEIGHTS[a.priority]);
+
+    for (const order of sorted) {
+        let best = null;
+
+        for (const route of solution.routes.values()) {
+            for (let position = 0; position <= route.sequence.length; position++) {
+                const sequence = [...route.sequence];
+                sequence.splice(position, 0, order);
+                const evaluation = evaluateRoute(context, route.drone, sequence);
+                const delta = evaluation.cost - route.cost;
+
+                if (evaluation.feasible && (!best || delta < best.delta)) {
+                    best = { route, sequence, cost: evaluation.cost, delta };
+                }
+            }
+        }
+
+        if (best) {
+            best.route.sequence = best.sequence;
+            best.route.cost = best.cost;
+        } else {
+            solution.unassigned.push(order);
+        }
+    }
+}
+
+/**
+ * Construção pelas economias de Clarke-Wright, com cada pedido na base mais próxima
+ * Rotas de uma mesma base são unidas pela maior economia enquanto algum drone da base
+ * puder voá-las; depois cada rota vai para o drone livre que a voa com menor custo e
+ * os pedidos que sobrarem entram por inserção mais barata
+ * @param {Object} context - Contexto da execução
+ * @param {Array<Order>} orders - Pedidos a atribuir
+ * @returns {Object} - Solução
+ */
+function clarkeWright(context, orders) {
+    const solution = createLockedSolution(context);
+    const freeDrones = context.drones.filter(drone => drone.assignedOrders.length === 0);
+    const leftovers = [];
+
+    // Agrupa os pedidos pela base livre mais próxima
+    const groups = new Map();
+    for (const order of orders) {
+        let nearest = null;
+        for (const drone of freeDrones) {
+            const d = distance(context, drone.basePosition, order.location);
+            if (!nearest || d < nearest.distance) {
+                nearest = { base: drone.basePosition, distance: d };
+            }
+        }
+        if (!nearest) {
+            leftovers.push(order);
+            continue;
+        }
+
+        const key = `${nearest.base.x},${nearest.base.y}`;
+        if (!groups.has(key)) {
+            groups.set(key, { base: nearest.base, orders: [] });
+        }
+        groups.get(key).orders.push(order);
+    }
+
+    for (const { base, orders: groupOrders } of groups.values()) {
+        const baseDrones = freeDrones.filter(drone => drone.basePosition.x === base.x && drone.basePosition.y === base.y);
+        const canFly = sequence => baseDrones.some(drone => evaluateRoute(context, drone, sequence).feasible);
+
+        // Cada pedido começa numa rota própria
+        const routes = [];
+        const routeOf = new Map();
+        for (const order of groupOrders) {
+            if (!canFly([order])) {
+                leftovers.push(order);
+                continue;
+            }
+            const route = [order];
+            routes.push(route);
+            routeOf.set(order.id, route);
+        }
+
+        const savings = [];
+        const served = routes.map(route => route[0]);
+        for (let i = 0; i < served.length; i++) {
+            for (let j = i + 1; j < served.length; j++) {
+                const a = served[i];
+                const b = served[j];
+                savings.push({
+                    a,
+                    b,
+                    value: distance(context, base, a.location) + distance(context, base, b.location) -
+                        distance(context, a.location, b.location)
+                });
+            }
+        }
+        savings.sort((x, y) => y.value - x.value);
+
+        for (const { a, b } of savings) {
+            const routeA = routeOf.get(a.id);
+            const routeB = routeOf.get(b.id);
+            if (routeA === routeB) continue;
+
+            // Só une pelas pontas: a no fim de uma rota e b no início da outra (ou o inverso)
+            const candidates = [];
+            if (routeA[routeA.length - 1] === a && routeB[0] === b) candidates.push([...routeA, ...routeB]);
+            if (routeB[routeB.length - 1] === b && routeA[0] === a) candidates.push([...routeB, ...routeA]);
+            if (routeA[0] === a && routeB[0] === b) candidates.push([...[...routeA].reverse(), ...routeB]);
+            if (routeA[routeA.length - 1] === a && routeB[routeB.length - 1] === b) candidates.push([...routeA, ...[...routeB].reverse()]);
+
+            const merged = candidates.find(canFly);
+            if (!merged) continue;
+
+            routes.splice(routes.indexOf(routeA), 1);
+            routes.splice(routes.indexOf(routeB), 1);
+            routes.push(merged);
+            merged.forEach(order => routeOf.set(order.id, merged));
+        }
+
+        // Rotas maiores escolhem drone primeiro
+        routes.sort((x, y) => y.length - x.length);
+        for (const sequence of routes) {
+            let best = null;
+            for (const drone of baseDrones) {
+                const route = solution.routes.get(drone.id);
+                if (route.sequence.length > 0) continue;
+
+                const evaluation = evaluateRoute(context, drone, sequence);
+                if (evaluation.feasible && (!best || evaluation.cost < best.cost)) {
+                    best = { route, cost: evaluation.cost };
+                }
+            }
+
+            if (best) {
+                best.route.sequence = sequence;
+                best.route.cost = best.cost;
+            } else {
+                leftovers.push(...sequence);
+            }
+        }
+    }
+
+    insertCheapest(context, solution, leftovers);
+    return solution;
+}
+
+/**
+ * Solução a partir de uma atribuição já pronta (a linha de base gulosa)
+ * @param {Object} context - Contexto da execução
+ * @param {Map<string, Array<Order>>} assignment - droneId -> pedidos escolhidos (sem os já atribuídos)
+ * @param {Array<Order>} orders - Todos os pedidos a atribuir
+ * @returns {Object} - Solução
+ */
+function fromAssignment(context, assignment, orders) {
+    const solution = createLockedSolution(context);
+    const assigned = new Set();
+
+    for (const route of solution.routes.values()) {
+        const selected = assignment.get(route.drone.id) || [];
+        if (selected.length === 0) continue;
+
+        const all = [...route.drone.assignedOrders, ...selected];
+        const sequence = route.drone.sequenceOrders(all, route.drone.basePosition, context.departure);
+        const evaluation = evaluateRoute(context, route.drone, sequence);
+        if (!evaluation.feasible) continue;
+
+        route.sequence = sequence;
+        route.cost = evaluation.cost;
+        selected.forEach(order => assigned.add(order.id));
+    }
+
+    solution.unassigned = orders.filter(order => !assigned.has(order.id));
+    return solution;
+}
+
+/**
+ * Sorteia um inteiro em [0, n)
+ * @param {Object} context - Contexto da execução
+ * @param {number} n - Limite superior
+ * @returns {number} - Inteiro sorteado
+ */
+function randomIndex(context, n) {
+    return Math.floor(context.random() * n);
+}
+
+/**
+ * Gera um movimento aleatório sobre a solução
+ * Movimentos: 2-opt e or-opt dentro de uma rota, realocação e troca entre rotas
+ * (a realocação também tenta encaixar pedidos sem drone). Pedidos já atribuídos
+ * não mudam de drone
+ * @param {Object} context - Contexto da execução
+ * @param {Object} solution - Solução atual
+ * @returns {Object|null} - {changes: Map<droneId, sequence>, inserted: Order|null}
+ */
+function randomMove(context, solution) {
+    const routes = [...solution.routes.values()];
+    const filled = routes.filter(route => route.sequence.length > 0);
+    const isMovable = (route, order) => !context.locked.get(route.drone.id).has(order.id);
+    const move = randomIndex(context, 4);
+
+    if (move === 0 || move === 1) {
+        // 2-opt: inverte um trecho; or-opt: move um trecho de até 3 pedidos dentro da rota
+        const candidates = filled.filter(route => route.sequence.length >= 2);
+        if (candidates.length === 0) return null;
+
+        const route = candidates[randomIndex(context, candidates.length)];
+        const sequence = [...route.sequence];
+        const i = randomIndex(context, sequence.length);
+        const j = randomIndex(context, sequence.length);
+        if (i === j) return null;
+
+        if (move === 0) {
+            const [from, to] = i < j ? [i, j] : [j, i];
+            const reversed = sequence.slice(from, to + 1).reverse();
+            sequence.splice(from, reversed.length, ...reversed);
+        } else {
+            const length = Math.min(1 + randomIndex(context, 3), sequence.length - i);
+            const segment = sequence.splice(i, length);
+            sequence.splice(Math.min(j, sequence.length), 0, ...segment);
+        }
+        return { changes: new Map([[route.drone.id, sequence]]), inserted: null };
+    }
+
+    if (move === 2) {
+        // Realocação: pedido de uma rota (ou sem drone) para outra posição em outra rota
+        const fromUnassigned = solution.unassigned.length > 0 && context.random() < 0.5;
+        const target = routes[randomIndex(context, routes.length)];
+        const targetSequence = [...target.sequence];
+        const changes = new Map();
+        let order;
+
+        if (fromUnassigned) {
+            order = solution.unassigned[randomIndex(context, solution.unassigned.length)];
+        } else {
+            const sources = filled.filter(route => route !== target && route.sequence.some(o => isMovable(route, o)));
+            if (sources.length === 0) return null;
+
+            const source = sources[randomIndex(context, sources.length)];
+            const movable = source.sequence.filter(o => isMovable(source, o));
+            order = movable[randomIndex(context, movable.length)];
+            changes.set(source.drone.id, source.sequence.filter(o => o !== order));
+        }
+
+        targetSequence.splice(randomIndex(context, targetSequence.length + 1), 0, order);
+        changes.set(target.drone.id, targetSequence);
+        return { changes, inserted: fromUnassigned ? order : null };
+    }
+
+    // Troca: dois pedidos de rotas diferentes trocam de lugar
+    const swappable = filled.filter(route => route.sequence.some(o => isMovable(route, o)));
+    if (swappable.length < 2) return null;
+
+    const first = swappable[randomIndex(context, swappable.length)];
+    const second = swappable[randomIndex(context, swappable.length)];
+    if (first === second) return null;
+
+    const pickMovable = (route) => {
+        const movable = route.sequence.filter(o => isMovable(route, o));
+        return route.sequence.indexOf(movable[randomIndex(context, movable.length)]);
+    };
+    const firstSequence = [...first.sequence];
+    const secondSequence = [...second.sequence];
+    const i = pickMovable(first);
+    const j = pickMovable(second);
+    [firstSequence[i], secondSequence[j]] = [secondSequence[j], firstSequence[i]];
+
+    return { changes: new Map([[first.drone.id, firstSequence], [second.drone.id, secondSequence]]), inserted: null };
+}
+
+/**
+ * Recozimento simulado a partir da solução inicial, até o fim do orçamento de tempo
+ * ou até a busca estagnar
+ * @param {Object} context - Contexto da execução
+ * @param {Object} initial - Solução inicial
+ * @param {number} deadline - Timestamp (ms) limite
+ * @returns {Object} - {best, iterations}
+ */
+function anneal(context, initial, deadline) {
+    const current = cloneSolution(initial);
+    let currentObjective = objective(current);
+    let best = cloneSolution(current);
+    let bestObjective = currentObjective;
+
+    const orderCount = [...current.routes.values()].reduce((sum, route) => sum + route.sequence.length, 0) +
+        current.unassigned.length;
+    const stagnationLimit = 2000 + 200 * orderCount;
+    let temperature = Math.max(FINAL_TEMPERATURE * 10, totalDistance(current) / Math.max(1, orderCount) * 0.5);
+    let iterations = 0;
+    let sinceImprovement = 0;
+
+    while (sinceImprovement < stagnationLimit && Date.now() < deadline) {
+        iterations++;
+        sinceImprovement++;
+        temperature = Math.max(FINAL_TEMPERATURE, temperature * COOLING_RATE);
+
+        const move = randomMove(context, current);
+        if (!move) continue;
+
+        let delta = 0;
+        const evaluations = new Map();
+        let feasible = true;
+        for (const [droneId, sequence] of move.changes) {
+            const route = current.routes.get(droneId);
+            const evaluation = evaluateRoute(context, route.drone, sequence);
+            if (!evaluation.feasible) {
+                feasible = false;
+                break;
+            }
+            evaluations.set(droneId, evaluation);
+            delta += evaluation.cost - route.cost;
+        }
+        if (!feasible) continue;
+        if (move.inserted) {
+            delta -= UNASSIGNED_PENALTY * PRIORITY_WEIGHTS[move.inserted.priority];
+        }
+
+        if (delta > 0 && context.random() >= Math.exp(-delta / temperature)) continue;
+
+        for (const [droneId, sequence] of move.changes) {
+            const route = current.routes.get(droneId);
+            route.sequence = sequence;
+            route.cost = evaluations.get(droneId).cost;
+        }
+        if (move.inserted) {
+            current.unassigned = current.unassigned.filter(order => order !== move.inserted);
+        }
+        currentObjective += delta;
+
+        if (currentObjective < bestObjective - 1e-9) {
+            best = cloneSolution(current);
+            bestObjective = currentObjective;
+            sinceImprovement = 0;
+        }
+    }
+
+    return { best, iterations };
+}
+
+/**
+ * Resolve a atribuição e a ordem de visita dos pedidos pelos drones
+ * @param {Array<Order>} orders - Pedidos pendentes a atribuir
+ * @param {Array<Drone>} drones - Drones disponíveis (os pedidos já atribuídos permanecem neles)
+ * @param {Object} options - {timeBudget (ms), maxOrdersPerDrone, maxDistance (km da base),
+ *                           baseline: Map<droneId, Array<Order>> da estratégia gulosa, seed, departure}
+ * @returns {Object} - {routes: [{drone, sequence, distance}], unassigned, objective, totalDistance,
+ *                     baselineObjective, improvement (% sobre a linha de base), construction, iterations, elapsedMs}
+ */
+function solve(orders, drones, options = {}) {
+    const startedAt = Date.now();
+    const timeBudget = options.timeBudget || DEFAULT_TIME_BUDGET;
+    const context = createContext(drones, options);
+
+    const constructed = clarkeWright(context, orders);
+    let initial = constructed;
+    let construction = 'clarke_wright';
+    let baselineObjective = null;
+
+    // A busca parte da melhor entre a construção e a linha de base, então nunca fica pior que ela
+    if (options.baseline) {
+        const baseline = fromAssignment(context, options.baseline, orders);
+        baselineObjective = objective(baseline);
+        if (baselineObjective < objective(constructed)) {
+            initial = baseline;
+            construction = 'baseline';
+        }
+    }
+
+    const { best, iterations } = anneal(context, initial, startedAt + timeBudget);
+    const bestObjective = objective(best);
+
+    return {
+        routes: [...best.routes.values()]
+            .filter(route => route.sequence.length > 0)
+            .map(route => ({ drone: route.drone, sequence: route.sequence, distance: route.cost })),
+        unassigned: best.unassigned,
+        objective: bestObjective,
+        totalDistance: totalDistance(best),
+        baselineObjective,
+        improvement: baselineObjective
+            ? ((baselineObjective - bestObjective) / baselineObjective) * 100
+            : null,
+        construction,
+        iterations,
+        elapsedMs: Date.now() - startedAt
+    };
+}
+
+module.exports = {
+    DEFAULT_TIME_BUDGET,
+    UNASSIGNED_PENALTY,
+    solve
+};
\ No newline at end of file
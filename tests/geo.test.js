@@ -0,0 +1,133 @@
+/**
+ * Sistema de coordenadas: distâncias grid/geo e conversão das respostas com ?coords=
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const Geo = require('../js/utils/Geo');
+
+// Limites geográficos usados nos testes da API (região central de São Paulo)
+const GEO_BOUNDS = { minLat: -23.65, minLon: -46.75, maxLat: -23.50, maxLon: -46.55 };
+
+// Comprimento de um grau de latitude no raio médio da Terra
+const KM_PER_DEGREE = Geo.EARTH_RADIUS_KM * Math.PI / 180;
+
+describe('Geo', () => {
+    afterEach(() => Geo.setCoordinateSystem('grid'));
+
+    test('haversine mede um grau de latitude em cerca de 111,2 km', () => {
+        expect(Geo.haversine({ x: -46.6, y: -23.5 }, { x: -46.6, y: -22.5 })).toBeCloseTo(KM_PER_DEGREE, 6);
+        expect(KM_PER_DEGREE).toBeCloseTo(111.2, 1);
+    });
+
+    test('euclidean mede a distância na grade em km', () => {
+        expect(Geo.euclidean({ x: 0, y: 0 }, { x: 3, y: 4 })).toBe(5);
+    });
+
+    test('distance segue o sistema de coordenadas em uso', () => {
+        const from = { x: -46.6, y: -23.5 };
+        const to = { x: -46.5, y: -23.4 };
+
+        expect(Geo.getCoordinateSystem()).toBe('grid');
+        expect(Geo.distance(from, to)).toBeCloseTo(Geo.euclidean(from, to), 10);
+
+        Geo.setCoordinateSystem('geo');
+        expect(Geo.isGeographic()).toBe(true);
+        expect(Geo.distance(from, to)).toBeCloseTo(Geo.haversine(from, to), 10);
+    });
+
+    test('recusa sistemas de coordenadas desconhecidos', () => {
+        expect(() => Geo.setCoordinateSystem('utm')).toThrow('Sistema de coordenadas invalido: utm');
+        expect(Geo.getCoordinateSystem()).toBe('grid');
+    });
+
+    test('converte entre {lat, lon} e o ponto interno {x: lon, y: lat}', () => {
+        const point = { lat: -23.55, lon: -46.63 };
+
+        expect(Geo.isLatLon(point)).toBe(true);
+        expect(Geo.isLatLon({ x: 1, y: 2 })).toBe(false);
+        expect(Geo.fromLatLon(point)).toEqual({ x: -46.63, y: -23.55 });
+        expect(Geo.toLatLon(Geo.fromLatLon(point))).toEqual(point);
+    });
+
+    test('toLocalKm projeta o ponto em km a partir da origem', () => {
+        const origin = { x: -46.75, y: -23.65 };
+
+        expect(Geo.toLocalKm(origin, origin)).toEqual({ x: 0, y: 0 });
+
+        const north = Geo.toLocalKm({ x: -46.75, y: -23.55 }, origin);
+        expect(north.x).toBeCloseTo(0, 10);
+        expect(north.y).toBeCloseTo(0.1 * KM_PER_DEGREE, 6);
+
+        // A leste, o grau de longitude encolhe com o cosseno da latitude
+        const east = Geo.toLocalKm({ x: -46.65, y: -23.65 }, origin);
+        expect(east.x).toBeCloseTo(0.1 * KM_PER_DEGREE * Math.cos(-23.65 * Math.PI / 180), 6);
+        expect(east.x).toBeCloseTo(Geo.haversine(origin, { x: -46.65, y: -23.65 }), 2);
+    });
+});
+
+describe('?coords= nas respostas da API', () => {
+    test('coords=latlon exige o mapa no sistema geo', async () => {
+        const response = await request(app).get('/api/v1/mapa?coords=latlon');
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('coords=latlon exige o mapa no sistema geo');
+    });
+
+    test('recusa formatos desconhecidos', async () => {
+        const response = await request(app).get('/api/v1/drones?coords=utm');
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('coords deve ser: latlon, km');
+    });
+
+    describe('mapa no sistema geo', () => {
+        beforeAll(async () => {
+            await request(app).post('/api/v1/system/reset');
+            const response = await request(app).put('/api/v1/mapa/limites').send(GEO_BOUNDS);
+            expect(response.status).toBe(200);
+            expect(response.body.data.coordinateSystem).toBe('geo');
+
+            await request(app).post('/api/v1/drones').send({});
+            await request(app).post('/api/v1/pedidos')
+                .send({ clientLocation: { lat: -23.56, lon: -46.64 }, weight: 1, priority: 'media' });
+        });
+
+        afterAll(() => Geo.setCoordinateSystem('grid'));
+
+        test('pedidos informados em {lat, lon} ficam no formato interno', async () => {
+            const response = await request(app).get('/api/v1/pedidos/ORDER-1');
+
+            expect(response.body.data.location).toEqual({ x: -46.64, y: -23.56 });
+        });
+
+        test('coords=latlon devolve os pontos em {lat, lon}', async () => {
+            const order = await request(app).get('/api/v1/pedidos/ORDER-1?coords=latlon');
+            expect(order.status).toBe(200);
+            expect(order.body.data.location).toEqual({ lat: -23.56, lon: -46.64 });
+
+            const drone = await request(app).get('/api/v1/drones/DRONE-1?coords=latlon');
+            expect(drone.body.data.position).toEqual({
+                lat: expect.any(Number),
+                lon: expect.any(Number)
+            });
+        });
+
+        test('coords=latlon mantém o vento como vetor {x, y}', async () => {
+            const response = await request(app).get('/api/v1/system/config?coords=latlon');
+
+            expect(response.status).toBe(200);
+            expect(Object.keys(response.body.data.energy.wind).sort()).toEqual(['x', 'y']);
+        });
+
+        test('coords=km projeta os pontos a partir do canto mínimo do mapa', async () => {
+            const response = await request(app).get('/api/v1/pedidos/ORDER-1?coords=km');
+            const expected = Geo.toLocalKm({ x: -46.64, y: -23.56 }, { x: GEO_BOUNDS.minLon, y: GEO_BOUNDS.minLat });
+            const { x, y } = response.body.data.location;
+
+            // A projeção do mapa corrige a longitude pela latitude central; a diferença é de metros
+            expect(x).toBeCloseTo(expected.x, 1);
+            expect(y).toBeCloseTo(expected.y, 6);
+        });
+    });
+});
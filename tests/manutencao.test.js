@@ -0,0 +1,66 @@
+/**
+ * Manutenção preventiva: agenda da frota e entrada automática dos drones com a manutenção vencida
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const repositories = require('../src/repositories');
+const eventBus = require('../src/services/eventBus');
+const maintenanceService = require('../src/services/maintenanceService');
+const { EVENT_TYPES } = eventBus;
+
+// Coleta os eventos publicados durante o teste
+let events;
+let unsubscribe;
+
+// DRONE-1 ocioso com a manutenção vencida pelo calendário
+beforeEach(async () => {
+    await request(app).post('/api/v1/system/reset');
+    await request(app).post('/api/v1/drones').send({});
+    await request(app).post('/api/v1/drones').send({});
+    repositories.drones.findById('DRONE-1').lastMaintenance.at = new Date(Date.now() - 400 * 86400000);
+
+    events = [];
+    unsubscribe = eventBus.subscribe(event => events.push(event));
+});
+
+afterEach(() => {
+    unsubscribe();
+    maintenanceService.stop();
+    jest.useRealTimers();
+});
+
+describe('GET /api/v1/manutencao', () => {
+    test('a agenda não leva drones para manutenção', async () => {
+        const response = await request(app).get('/api/v1/manutencao?due=true');
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0]).toMatchObject({ droneId: 'DRONE-1', status: 'idle', due: true });
+
+        expect(repositories.drones.findById('DRONE-1').status).toBe('idle');
+        expect(events).toEqual([]);
+    });
+});
+
+describe('maintenanceService', () => {
+    test('checkFleet leva para manutenção só os drones vencidos', () => {
+        expect(maintenanceService.checkFleet()).toEqual(['DRONE-1']);
+        expect(repositories.drones.findById('DRONE-1').status).toBe('maintenance');
+        expect(repositories.drones.findById('DRONE-2').status).toBe('idle');
+
+        expect(events.map(event => event.type)).toEqual([EVENT_TYPES.DRONE_STATUS, EVENT_TYPES.MAINTENANCE_DUE]);
+        expect(events[0].data).toMatchObject({ droneId: 'DRONE-1', status: 'maintenance', reason: 'maintenance_due' });
+    });
+
+    test('a verificação periódica roda no intervalo configurado', () => {
+        jest.useFakeTimers();
+        expect(maintenanceService.start(1000)).toBe(true);
+        expect(maintenanceService.start(1000)).toBe(false);
+
+        jest.advanceTimersByTime(999);
+        expect(repositories.drones.findById('DRONE-1').status).toBe('idle');
+
+        jest.advanceTimersByTime(1);
+        expect(repositories.drones.findById('DRONE-1').status).toBe('maintenance');
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Ciclo de vida dos modelos: tabelas de transição de Order e Drone
+ */
+
+const Order = require('../js/models/Order');
+const Drone = require('../js/models/Drone');
+
+const createOrder = () => new Order('ORDER-1', { x: 12, y: 10 }, 1, 'media');
+
+describe('Order.TRANSITIONS', () => {
+    test('pedidos entregues e cancelados não mudam mais de status', () => {
+        expect(Order.TRANSITIONS.delivered).toEqual([]);
+        expect(Order.TRANSITIONS.cancelled).toEqual([]);
+    });
+
+    test('segue o ciclo pending → assigned → in_flight → delivered', () => {
+        const order = createOrder();
+
+        expect(order.status).toBe('pending');
+        expect(order.updateStatus('assigned', 'DRONE-1')).toBe(true);
+        expect(order.assignedDrone).toBe('DRONE-1');
+        expect(order.updateStatus('in_flight')).toBe(true);
+
+        const deliveredAt = new Date('2024-01-01T12:00:00Z');
+        expect(order.updateStatus('delivered', null, deliveredAt)).toBe(true);
+        expect(order.deliveredAt).toBe(deliveredAt);
+        expect(order.getAllowedTransitions()).toEqual([]);
+    });
+
+    test('recusa transições fora da tabela sem alterar o pedido', () => {
+        const order = createOrder();
+
+        expect(order.canTransitionTo('delivered')).toBe(false);
+        expect(order.updateStatus('delivered')).toBe(false);
+        expect(order.updateStatus('in_flight')).toBe(false);
+        expect(order.status).toBe('pending');
+    });
+
+    test('a volta para pending libera o drone e o escalonamento', () => {
+        const order = createOrder();
+        order.updateStatus('assigned', 'DRONE-1');
+        order.updateStatus('in_flight');
+        order.updateStatus('failed');
+        order.updateStatus('returned');
+        order.escalate('Pacote avariado');
+
+        expect(order.assignedDrone).toBe('DRONE-1');
+        expect(order.updateStatus('pending')).toBe(true);
+        expect(order.assignedDrone).toBeNull();
+        expect(order.escalation).toBeNull();
+    });
+
+    test('decolagem e entrega não estão entre os status manuais', () => {
+        const statuses = Object.keys(Order.TRANSITIONS);
+
+        Order.MANUAL_STATUSES.forEach(status => expect(statuses).toContain(status));
+        expect(Order.MANUAL_STATUSES).not.toContain('in_flight');
+        expect(Order.MANUAL_STATUSES).not.toContain('delivered');
+    });
+
+    test('cada status da tabela só leva a status conhecidos', () => {
+        const statuses = Object.keys(Order.TRANSITIONS);
+        for (const next of Object.values(Order.TRANSITIONS)) {
+            next.forEach(status => expect(statuses).toContain(status));
+        }
+    });
+});
+
+describe('Drone.TRANSITIONS', () => {
+    test('status manuais e de missão pertencem à tabela', () => {
+        const statuses = Object.keys(Drone.TRANSITIONS);
+        [...Drone.MANUAL_STATUSES, ...Drone.MISSION_STATUSES].forEach(status => expect(statuses).toContain(status));
+    });
+
+    test('registra cada transição no histórico com o momento', () => {
+        const drone = new Drone('DRONE-1');
+        const at = new Date('2024-01-01T12:00:00Z');
+
+        expect(drone.status).toBe('idle');
+        expect(drone.updateStatus('flying', at)).toBe(true);
+        expect(drone.statusChangedAt).toBe(at);
+        expect(drone.statusHistory).toEqual([{ from: 'idle', to: 'flying', at }]);
+    });
+
+    test('manter o status atual não é uma transição', () => {
+        const drone = new Drone('DRONE-1');
+
+        expect(drone.updateStatus('idle')).toBe(true);
+        expect(drone.statusHistory).toEqual([]);
+    });
+
+    test('um drone em voo só fica ocioso depois de retornar', () => {
+        const drone = new Drone('DRONE-1');
+        drone.updateStatus('flying');
+
+        expect(drone.updateStatus('idle')).toBe(false);
+        expect(drone.status).toBe('flying');
+        expect(drone.updateStatus('returning')).toBe(true);
+        expect(drone.updateStatus('idle')).toBe(true);
+    });
+
+    test('o pouso de emergência só sai para manutenção ou offline', () => {
+        const drone = new Drone('DRONE-1');
+        drone.updateStatus('flying');
+        drone.updateStatus('emergency_landing');
+
+        expect(drone.getAllowedTransitions()).toEqual(['maintenance', 'offline']);
+        expect(drone.updateStatus('idle')).toBe(false);
+        expect(drone.isAvailableForDispatch()).toBe(false);
+    });
+
+    test('drones fora de operação não recebem pedidos', () => {
+        const drone = new Drone('DRONE-1');
+
+        expect(drone.isAvailableForDispatch()).toBe(true);
+        drone.updateStatus('offline');
+        expect(drone.isAvailableForDispatch()).toBe(false);
+    });
+});
\ No newline at end of file
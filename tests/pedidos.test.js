@@ -0,0 +1,295 @@
+/**
+ * API de pedidos: comprovante de entrega com PIN e foto, cancelamento, volta à fila e escalonamento
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Fotos dos comprovantes ficam num diretório temporário
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'drone-pedidos-'));
+
+const request = require('supertest');
+const app = require('../server');
+const repositories = require('../src/repositories');
+const eventBus = require('../src/services/eventBus');
+const orderService = require('../src/services/orderService');
+const { EVENT_TYPES } = eventBus;
+
+// PNG de 1x1 pixel
+const PHOTO = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const createDrone = () => request(app).post('/api/v1/drones').send({});
+const createOrder = (fields = {}) => request(app).post('/api/v1/pedidos')
+    .send({ clientLocation: { x: 12, y: 10 }, weight: 1, priority: 'media', ...fields });
+const assign = (orderId, droneId) => request(app).post(`/api/v1/pedidos/${orderId}/reassign`).send({ droneId });
+const setStatus = (orderId, status) => request(app).put(`/api/v1/pedidos/${orderId}`).send({ status });
+
+// Pedido a bordo do DRONE-1, pronto para a confirmação da entrega
+// (a decolagem é da simulação; aqui é feita direto nos modelos)
+const createOrderInFlight = async (fields) => {
+    await createDrone();
+    await createOrder(fields);
+    await assign('ORDER-1', 'DRONE-1');
+    repositories.orders.findById('ORDER-1').updateStatus('in_flight');
+    repositories.drones.findById('DRONE-1').updateStatus('flying');
+};
+
+// Coleta os eventos publicados durante o teste
+let events;
+let unsubscribe;
+
+beforeEach(async () => {
+    await request(app).post('/api/v1/system/reset');
+    events = [];
+    unsubscribe = eventBus.subscribe(event => events.push(event));
+});
+
+afterEach(() => unsubscribe());
+
+afterAll(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+describe('POST /api/v1/pedidos/:id/deliver', () => {
+    test('pedido com PIN só é entregue com o PIN do destinatário', async () => {
+        await createOrderInFlight({ recipientPin: '4821' });
+
+        let response = await request(app).post('/api/v1/pedidos/ORDER-1/deliver').send({});
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe('PIN invalido');
+
+        response = await request(app).post('/api/v1/pedidos/ORDER-1/deliver').send({ pin: '0000' });
+        expect(response.status).toBe(403);
+
+        response = await request(app).post('/api/v1/pedidos/ORDER-1/deliver').send({ pin: '4821' });
+        expect(response.status).toBe(200);
+        expect(response.body.data.status).toBe('delivered');
+        expect(response.body.data.deliveryAttempts.map(attempt => attempt.outcome)).toEqual(['delivered']);
+        expect(response.body.proof).toMatchObject({
+            orderId: 'ORDER-1',
+            droneId: 'DRONE-1',
+            source: 'api',
+            pinRequired: true,
+            pinVerified: true,
+            location: { x: 12, y: 10 },
+            photo: null
+        });
+    });
+
+    test('o PIN não aparece no JSON do pedido', async () => {
+        const response = await createOrder({ recipientPin: '4821' });
+
+        expect(response.body.data.pinRequired).toBe(true);
+        expect(response.body.data.recipientPin).toBeUndefined();
+    });
+
+    test('PIN recusado mantém o pedido a bordo e sem comprovante', async () => {
+        await createOrderInFlight({ recipientPin: '4821' });
+        await request(app).post('/api/v1/pedidos/ORDER-1/deliver').send({ pin: '1111' });
+
+        const order = await request(app).get('/api/v1/pedidos/ORDER-1');
+        expect(order.body.data.status).toBe('in_flight');
+
+        const proof = await request(app).get('/api/v1/pedidos/ORDER-1/proof');
+        expect(proof.status).toBe(404);
+    });
+
+    test('registra o ponto de entrega e a foto no comprovante', async () => {
+        await createOrderInFlight();
+
+        const response = await request(app).post('/api/v1/pedidos/ORDER-1/deliver').send({
+            dropLocation: { x: 12.1, y: 10.2 },
+            photo: { data: PHOTO, mimeType: 'image/png' }
+        });
+        expect(response.status).toBe(200);
+
+        const proof = await request(app).get('/api/v1/pedidos/ORDER-1/proof');
+        expect(proof.status).toBe(200);
+        expect(proof.body.data).toMatchObject({
+            location: { x: 12.1, y: 10.2 },
+            pinRequired: false,
+            pinVerified: false,
+            photo: { fileName: 'ORDER-1.png', mimeType: 'image/png', size: Buffer.from(PHOTO, 'base64').length }
+        });
+
+        const photo = await request(app).get('/api/v1/pedidos/ORDER-1/proof/photo');
+        expect(photo.status).toBe(200);
+        expect(photo.headers['content-type']).toBe('image/png');
+    });
+
+    test('a entrega libera o drone e conta para ele', async () => {
+        await createOrderInFlight();
+        await request(app).post('/api/v1/pedidos/ORDER-1/deliver').send({});
+
+        const drone = await request(app).get('/api/v1/drones/DRONE-1');
+        expect(drone.body.data.assignedOrders).toEqual([]);
+        expect(drone.body.data.currentLoad).toBe(0);
+        expect(drone.body.data.deliveriesCount).toBe(1);
+        expect(events.map(event => event.type)).toContain(EVENT_TYPES.ORDER_DELIVERED);
+    });
+});
+
+describe('cancelamento e volta à fila', () => {
+    test('cancelar um pedido atribuído libera o drone', async () => {
+        await createDrone();
+        await createOrder();
+        await assign('ORDER-1', 'DRONE-1');
+
+        const response = await request(app).post('/api/v1/pedidos/ORDER-1/cancel');
+        expect(response.status).toBe(200);
+        expect(response.body.data.status).toBe('cancelled');
+
+        const drone = await request(app).get('/api/v1/drones/DRONE-1');
+        expect(drone.body.data.assignedOrders).toEqual([]);
+
+        const cancelled = events.find(event => event.type === EVENT_TYPES.ORDER_CANCELLED);
+        expect(cancelled.data).toMatchObject({ orderId: 'ORDER-1', previousStatus: 'assigned', previousDrone: 'DRONE-1' });
+    });
+
+    test.each(['in_flight', 'delivered'])('PUT não aceita o status %s', async (status) => {
+        await createDrone();
+        await createOrder();
+        await assign('ORDER-1', 'DRONE-1');
+
+        const response = await setStatus('ORDER-1', status);
+        expect(response.status).toBe(400);
+
+        const order = await request(app).get('/api/v1/pedidos/ORDER-1');
+        expect(order.body.data.status).toBe('assigned');
+    });
+
+    test('pedido cancelado sai da rota do drone', async () => {
+        await createDrone();
+        await createOrder();
+        await createOrder({ clientLocation: { x: 11, y: 10 } });
+        await assign('ORDER-1', 'DRONE-1');
+        await assign('ORDER-2', 'DRONE-1');
+        await request(app).post('/api/v1/pedidos/ORDER-1/cancel');
+
+        const route = await request(app).get('/api/v1/entregas/rota/DRONE-1');
+        expect(route.body.data.orders.map(order => order.id)).toEqual(['ORDER-2']);
+    });
+
+    test('pedido cancelado não volta a mudar de status', async () => {
+        await createOrder();
+        await request(app).post('/api/v1/pedidos/ORDER-1/cancel');
+
+        const response = await request(app).post('/api/v1/pedidos/ORDER-1/cancel');
+        expect(response.status).toBe(409);
+        expect(response.body.allowedTransitions).toEqual([]);
+    });
+
+    test('reatribuir sem drone devolve o pedido aos pendentes', async () => {
+        await createDrone();
+        await createOrder();
+        await assign('ORDER-1', 'DRONE-1');
+
+        const response = await request(app).post('/api/v1/pedidos/ORDER-1/reassign').send({});
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ status: 'pending', assignedDrone: null });
+        expect(events.some(event => event.type === EVENT_TYPES.ORDER_REQUEUED)).toBe(true);
+    });
+
+    test('pedido que falhou volta à fila sem o peso no drone original', async () => {
+        await createOrderInFlight({ weight: 2 });
+        await setStatus('ORDER-1', 'failed');
+
+        const response = await setStatus('ORDER-1', 'pending');
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ status: 'pending', assignedDrone: null });
+
+        const drone = repositories.drones.findById('DRONE-1');
+        expect(drone.assignedOrders).toEqual([]);
+        expect(drone.currentLoad).toBe(0);
+    });
+
+    test('reatribuir passa o pedido para outro drone ocioso', async () => {
+        await createDrone();
+        await createDrone();
+        await createOrder();
+        await assign('ORDER-1', 'DRONE-1');
+
+        const response = await assign('ORDER-1', 'DRONE-2');
+        expect(response.status).toBe(200);
+        expect(response.body.data.assignedDrone).toBe('DRONE-2');
+
+        const drone = await request(app).get('/api/v1/drones/DRONE-1');
+        expect(drone.body.data.assignedOrders).toEqual([]);
+    });
+
+    test('atribuição manual respeita maxOrdersPerDrone', async () => {
+        await request(app).put('/api/v1/system/config').send({ maxOrdersPerDrone: 1 });
+        await createDrone();
+        await createOrder();
+        await createOrder({ clientLocation: { x: 11, y: 10 } });
+        await assign('ORDER-1', 'DRONE-1');
+
+        const response = await assign('ORDER-2', 'DRONE-1');
+        await request(app).delete('/api/v1/system/config');
+
+        expect(response.status).toBe(409);
+        expect(response.body.constraint).toBe('orders');
+    });
+});
+
+describe('orderService.resolveFailedDelivery', () => {
+    // Pedido de volta à base após as tentativas informadas
+    const returnWithAttempts = async (outcomes) => {
+        await createOrderInFlight();
+        const order = repositories.orders.findById('ORDER-1');
+        outcomes.forEach(outcome => order.recordAttempt(outcome, 'DRONE-1'));
+        order.updateStatus('failed');
+        order.updateStatus('returned');
+        return order;
+    };
+
+    test('destinatário ausente volta à fila para nova tentativa', async () => {
+        const order = await returnWithAttempts(['recipient_unavailable']);
+
+        const result = orderService.resolveFailedDelivery(order);
+        expect(result.action).toBe('requeue');
+        expect(order.status).toBe('pending');
+        expect(order.assignedDrone).toBeNull();
+
+        const requeued = events.find(event => event.type === EVENT_TYPES.ORDER_REQUEUED);
+        expect(requeued.data).toMatchObject({ orderId: 'ORDER-1', previousStatus: 'returned', failedAttempts: 1 });
+    });
+
+    test('pedido de volta à fila sai do drone original', async () => {
+        const order = await returnWithAttempts(['recipient_unavailable']);
+        orderService.resolveFailedDelivery(order);
+
+        const drone = repositories.drones.findById('DRONE-1');
+        expect(drone.assignedOrders).toEqual([]);
+        expect(drone.currentLoad).toBe(0);
+    });
+
+    test('pacote avariado é escalonado', async () => {
+        const order = await returnWithAttempts(['damaged']);
+
+        const result = orderService.resolveFailedDelivery(order);
+        expect(result.action).toBe('escalate');
+        expect(order.status).toBe('returned');
+        expect(order.escalation.reason).toBe(result.reason);
+        expect(events.some(event => event.type === EVENT_TYPES.ORDER_ESCALATED)).toBe(true);
+    });
+
+    test('esgotadas as tentativas, o pedido é escalonado', async () => {
+        await request(app).put('/api/v1/system/config').send({ maxDeliveryAttempts: 2 });
+        const order = await returnWithAttempts(['recipient_unavailable', 'drop_zone_blocked']);
+
+        const result = orderService.resolveFailedDelivery(order);
+        await request(app).delete('/api/v1/system/config');
+
+        expect(result.action).toBe('escalate');
+        expect(result.reason).toMatch(/^2 tentativa\(s\) sem sucesso \(máximo 2\)/);
+    });
+
+    test('pedido escalonado volta à fila pela reatribuição', async () => {
+        const order = await returnWithAttempts(['damaged']);
+        orderService.resolveFailedDelivery(order);
+
+        const response = await request(app).post('/api/v1/pedidos/ORDER-1/reassign').send({});
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ status: 'pending', escalation: null });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Planejamento das atribuições: estratégias gulosas, vrp_solver, auto e o turno com várias viagens
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const Drone = require('../js/models/Drone');
+const Order = require('../js/models/Order');
+const planningService = require('../src/services/planningService');
+
+// Pedidos leves perto da base padrão (10, 10)
+const POINTS = [[12, 10], [10, 12], [8, 10], [10, 8], [13, 11], [11, 13]];
+
+const createOrders = (priority = 'media') =>
+    POINTS.map(([x, y], i) => new Order(`ORDER-${i + 1}`, { x, y }, 0.5, priority));
+const createDrones = (count = 2) =>
+    Array.from({ length: count }, (_, i) => new Drone(`DRONE-${i + 1}`));
+
+// Ids dos pedidos de cada rota do plano
+const plannedIds = (plan) => plan.routes.flatMap(route => route.orders.map(order => order.id));
+
+describe('planningService.plan', () => {
+    test('lista as estratégias gulosas, o vrp_solver e auto', () => {
+        expect(planningService.getStrategies()).toEqual([
+            'priority_first',
+            'capacity_optimization',
+            'distance_optimization',
+            'balanced_optimization',
+            'vrp_solver',
+            'auto'
+        ]);
+    });
+
+    test.each(['priority_first', 'capacity_optimization', 'distance_optimization', 'balanced_optimization'])(
+        '%s atribui cada pedido a no máximo um drone',
+        (strategy) => {
+            const orders = createOrders();
+            const plan = planningService.plan(orders, createDrones(), { strategy });
+
+            expect(plan.strategy).toBe(strategy);
+            const ids = plannedIds(plan);
+            expect(new Set(ids).size).toBe(ids.length);
+            expect(ids.length + plan.unassigned.length).toBe(orders.length);
+            expect(ids.length).toBeGreaterThan(0);
+        }
+    );
+
+    test('vrp_solver fixa a ordem de visita e não fica pior que a linha de base', () => {
+        const orders = createOrders();
+        const plan = planningService.plan(orders, createDrones(), { strategy: 'vrp_solver', timeBudget: 100 });
+
+        expect(plan.strategy).toBe('vrp_solver');
+        expect(plan.routes.every(route => route.sequenceFixed)).toBe(true);
+        expect(plan.solver.baselineStrategy).toBe(planningService.DEFAULT_STRATEGY);
+        expect(plan.solver.objective).toBeLessThanOrEqual(plan.solver.baselineObjective);
+
+        const ids = plannedIds(plan);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ids.length + plan.unassigned.length).toBe(orders.length);
+    });
+
+    test('apply atribui os pedidos do plano aos drones', () => {
+        const orders = createOrders();
+        const drones = createDrones();
+        const plan = planningService.plan(orders, drones, { strategy: 'vrp_solver', timeBudget: 100 });
+        const assignments = planningService.apply(plan);
+
+        expect(assignments.length).toBe(plannedIds(plan).length);
+        for (const { orderId, droneId } of assignments) {
+            const order = orders.find(o => o.id === orderId);
+            expect(order.status).toBe('assigned');
+            expect(order.assignedDrone).toBe(droneId);
+            expect(drones.find(d => d.id === droneId).assignedOrders).toContain(order);
+        }
+    });
+
+    test('auto escolhe priority_first com maioria de pedidos de prioridade alta', () => {
+        const plan = planningService.plan(createOrders('alta'), createDrones(), { strategy: 'auto' });
+
+        expect(plan.requestedStrategy).toBe('auto');
+        expect(plan.strategy).toBe('priority_first');
+    });
+
+    test('auto escolhe capacity_optimization com muito mais pedidos que drones', () => {
+        const plan = planningService.plan(createOrders(), createDrones(1), { strategy: 'auto' });
+
+        expect(plan.strategy).toBe('capacity_optimization');
+    });
+
+    test('auto fica com a estratégia padrão no cenário equilibrado', () => {
+        const plan = planningService.plan(createOrders(), createDrones(2), { strategy: 'auto' });
+
+        expect(plan.strategy).toBe(planningService.DEFAULT_STRATEGY);
+    });
+
+    test('drones indisponíveis ficam fora do plano', () => {
+        const drones = createDrones();
+        drones[1].updateStatus('maintenance');
+        const plan = planningService.plan(createOrders(), drones, { strategy: 'balanced_optimization' });
+
+        expect(plan.routes.every(route => route.drone.id === 'DRONE-1')).toBe(true);
+    });
+
+    test('maxOrdersPerDrone limita os pedidos de cada viagem e explica os que ficaram de fora', async () => {
+        await request(app).put('/api/v1/system/config').send({ maxOrdersPerDrone: 2 });
+        const plan = planningService.plan(createOrders().slice(0, 3), createDrones(1), { strategy: 'balanced_optimization' });
+        await request(app).delete('/api/v1/system/config');
+
+        expect(plan.routes[0].orders).toHaveLength(2);
+        expect(plan.unassigned).toHaveLength(1);
+        const [rejection] = planningService.describe(plan).rejections;
+        expect(rejection.drones[0].constraint).toBe('orders');
+    });
+});
+
+describe('planningService.planShift', () => {
+    const start = new Date('2024-01-01T08:00:00Z');
+
+    // Seis pedidos de 2 kg: um drone de 5 kg precisa de pelo menos três viagens
+    const createHeavyOrders = () =>
+        POINTS.map(([x, y], i) => new Order(`ORDER-${i + 1}`, { x, y }, 2, 'media'));
+
+    test('divide os pedidos em viagens sucessivas do mesmo drone', () => {
+        const shift = planningService.describeShift(
+            planningService.planShift(createHeavyOrders(), createDrones(1), { strategy: 'balanced_optimization', start }));
+
+        expect(shift.assignedOrders).toBe(6);
+        expect(shift.unassignedOrders).toEqual([]);
+        expect(shift.totalTrips).toBeGreaterThanOrEqual(3);
+
+        const { trips } = shift.drones[0];
+        expect(trips[0].departure).toEqual(start);
+        for (let i = 1; i < trips.length; i++) {
+            // Cada viagem parte depois da recarga e do preparo da anterior
+            expect(trips[i].departure.getTime()).toBe(trips[i - 1].readyAt.getTime());
+            expect(trips[i].departure.getTime()).toBeGreaterThan(trips[i - 1].returnTime.getTime());
+        }
+        expect(shift.end).toEqual(trips[trips.length - 1].returnTime);
+    });
+
+    test('não altera os drones nem os pedidos recebidos', () => {
+        const orders = createHeavyOrders();
+        const drones = createDrones(2);
+        planningService.planShift(orders, drones, { start });
+
+        expect(orders.every(order => order.status === 'pending')).toBe(true);
+        expect(drones.every(drone => drone.assignedOrders.length === 0 && drone.battery === 100)).toBe(true);
+    });
+
+    test('POST /api/v1/entregas/turno planeja com os drones e pedidos do servidor', async () => {
+        await request(app).post('/api/v1/system/reset');
+        await request(app).post('/api/v1/drones').send({});
+        for (const [x, y] of POINTS) {
+            await request(app).post('/api/v1/pedidos').send({ clientLocation: { x, y }, weight: 2, priority: 'media' });
+        }
+
+        const response = await request(app).post('/api/v1/entregas/turno').send({});
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ assignedOrders: 6, totalOrders: 6 });
+        expect(response.body.data.totalTrips).toBeGreaterThanOrEqual(3);
+
+        const pending = await request(app).get('/api/v1/pedidos');
+        expect(pending.body.data.every(order => order.status === 'pending')).toBe(true);
+    });
+});
+
+describe('POST /api/v1/entregas/otimizar', () => {
+    beforeEach(async () => {
+        await request(app).post('/api/v1/system/reset');
+        await request(app).post('/api/v1/drones').send({});
+        await request(app).post('/api/v1/drones').send({});
+        for (const [x, y] of POINTS) {
+            await request(app).post('/api/v1/pedidos').send({ clientLocation: { x, y }, weight: 0.5, priority: 'media' });
+        }
+    });
+
+    test.each(planningService.getStrategies())('aceita a estratégia %s', async (strategy) => {
+        const response = await request(app).post('/api/v1/entregas/otimizar').send({ strategy, timeBudget: 100 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.requestedStrategy).toBe(strategy);
+        expect(response.body.data.assignedOrders).toBe(response.body.data.assignments.length);
+        expect(response.body.data.assignedOrders).toBeGreaterThan(0);
+    });
+
+    test('recusa estratégias desconhecidas', async () => {
+        const response = await request(app).post('/api/v1/entregas/otimizar').send({ strategy: 'genetic' });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('a configuração lista as estratégias do planejador', async () => {
+        const response = await request(app).get('/api/v1/system/config');
+
+        expect(response.body.data.algorithms.optimization).toEqual(planningService.getStrategies());
+        expect(response.body.data.algorithms.defaultStrategy).toBe(planningService.DEFAULT_STRATEGY);
+    });
+});
\ No newline at end of file
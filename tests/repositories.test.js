@@ -0,0 +1,213 @@
+/**
+ * Repositórios com STORAGE_DRIVER=json: os dados gravados pela API voltam ao reiniciar o servidor
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.STORAGE_DRIVER = 'json';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'drone-repositorios-'));
+
+/**
+ * Carrega os módulos num registro novo, como um servidor recém-iniciado
+ * @param {Function} load - Recebe require e retorna os módulos carregados
+ * @returns {Object} - Módulos carregados
+ */
+const restart = (load) => {
+    let modules;
+    jest.isolateModules(() => {
+        modules = load(require);
+    });
+    return modules;
+};
+
+const loadRepositories = () => restart(req => ({
+    repositories: req('../src/repositories'),
+    Drone: req('../js/models/Drone'),
+    Order: req('../js/models/Order')
+}));
+
+afterAll(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+describe('JsonFileRepository', () => {
+    beforeAll(async () => {
+        const { app } = restart(req => ({ app: req('../server') }));
+
+        await request(app).post('/api/v1/system/reset');
+        await request(app).post('/api/v1/drones').send({});
+        await request(app).post('/api/v1/drones').send({});
+        await request(app).post('/api/v1/pedidos')
+            .send({ clientLocation: { x: 12, y: 10 }, weight: 1, priority: 'alta', recipientPin: '4821' });
+        await request(app).post('/api/v1/pedidos')
+            .send({ clientLocation: { x: 10, y: 12 }, weight: 2, priority: 'baixa' });
+        await request(app).post('/api/v1/pedidos/ORDER-1/reassign').send({ droneId: 'DRONE-1' });
+        await request(app).post('/api/v1/pedidos/ORDER-2/cancel');
+    });
+
+    test('grava cada coleção no seu arquivo dentro de DATA_DIR', () => {
+        const content = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'drones.json'), 'utf8'));
+
+        expect(content.collection).toBe('drones');
+        expect(content.items.map(item => item.id)).toEqual(['DRONE-1', 'DRONE-2']);
+        expect(content.items[0].assignedOrders).toEqual(['ORDER-1']);
+        expect(fs.existsSync(path.join(process.env.DATA_DIR, 'drones.json.tmp'))).toBe(false);
+    });
+
+    test('recarrega drones e pedidos como instâncias dos modelos', () => {
+        const { repositories, Drone, Order } = loadRepositories();
+
+        expect(repositories.driver).toBe('json');
+        expect(repositories.drones.all()).toHaveLength(2);
+        repositories.drones.all().forEach(drone => expect(drone).toBeInstanceOf(Drone));
+
+        const order = repositories.orders.findById('ORDER-1');
+        expect(order).toBeInstanceOf(Order);
+        expect(order).toMatchObject({ status: 'assigned', assignedDrone: 'DRONE-1', priority: 'alta', location: { x: 12, y: 10 } });
+        expect(order.createdAt).toBeInstanceOf(Date);
+        expect(repositories.orders.findById('ORDER-2').status).toBe('cancelled');
+    });
+
+    test('religa os pedidos atribuídos aos mesmos objetos do repositório de pedidos', () => {
+        const { repositories } = loadRepositories();
+        const drone = repositories.drones.findById('DRONE-1');
+
+        expect(drone.assignedOrders).toHaveLength(1);
+        expect(drone.assignedOrders[0]).toBe(repositories.orders.findById('ORDER-1'));
+        expect(drone.currentLoad).toBe(1);
+        expect(repositories.drones.findById('DRONE-2').assignedOrders).toEqual([]);
+    });
+
+    test('o PIN do destinatário sobrevive à recarga, mas fica fora do JSON da API', () => {
+        const { repositories } = loadRepositories();
+        const order = repositories.orders.findById('ORDER-1');
+
+        expect(order.requiresPin()).toBe(true);
+        expect(order.verifyPin('4821')).toBe(true);
+        expect(order.toJSON().recipientPin).toBeUndefined();
+    });
+
+    test('os contadores de id continuam de onde pararam', () => {
+        const { repositories } = loadRepositories();
+
+        expect(repositories.drones.nextId()).toBe(3);
+        expect(repositories.orders.nextId()).toBe(3);
+    });
+
+    test('a API reiniciada serve os dados gravados', async () => {
+        const { app } = restart(req => ({ app: req('../server') }));
+
+        const drone = await request(app).get('/api/v1/drones/DRONE-1');
+        expect(drone.body.data.assignedOrders.map(order => order.id)).toEqual(['ORDER-1']);
+
+        const created = await request(app).post('/api/v1/pedidos')
+            .send({ clientLocation: { x: 11, y: 11 }, weight: 1, priority: 'media' });
+        expect(created.body.data.id).toBe('ORDER-3');
+    });
+});
+
+describe('missões interrompidas pelo reinício', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drone-missoes-'));
+    const previousDataDir = process.env.DATA_DIR;
+
+    // DRONE-1 em voo com um pedido a bordo e outro que falhou; DRONE-2 pousado em emergência
+    beforeAll(async () => {
+        process.env.DATA_DIR = dataDir;
+        const { app, repositories } = restart(req => ({ app: req('../server'), repositories: req('../src/repositories') }));
+
+        await request(app).post('/api/v1/drones').send({});
+        await request(app).post('/api/v1/drones').send({});
+        for (const x of [12, 10, 8]) {
+            await request(app).post('/api/v1/pedidos').send({ clientLocation: { x, y: 10 }, weight: 1, priority: 'media' });
+        }
+        await request(app).post('/api/v1/pedidos/ORDER-1/reassign').send({ droneId: 'DRONE-1' });
+        await request(app).post('/api/v1/pedidos/ORDER-2/reassign').send({ droneId: 'DRONE-1' });
+        await request(app).post('/api/v1/pedidos/ORDER-3/reassign').send({ droneId: 'DRONE-2' });
+
+        const [order1, order2, order3] = ['ORDER-1', 'ORDER-2', 'ORDER-3'].map(id => repositories.orders.findById(id));
+        [order1, order2, order3].forEach(order => order.updateStatus('in_flight'));
+        order2.recordAttempt('recipient_unavailable', 'DRONE-1');
+        order2.updateStatus('failed');
+        order3.updateStatus('failed');
+
+        const [drone1, drone2] = ['DRONE-1', 'DRONE-2'].map(id => repositories.drones.findById(id));
+        [drone1, drone2].forEach(drone => {
+            drone.updateStatus('flying');
+            drone.position = { x: 11, y: 10 };
+        });
+        drone2.updateStatus('emergency_landing');
+        repositories.orders.save();
+        repositories.drones.save();
+    });
+
+    afterAll(() => {
+        process.env.DATA_DIR = previousDataDir;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('o drone em missão volta ocioso à base, descarregado', () => {
+        const { repositories } = loadRepositories();
+        const drone = repositories.drones.findById('DRONE-1');
+
+        expect(drone.status).toBe('idle');
+        expect(drone.position).toEqual(drone.basePosition);
+        expect(drone.assignedOrders).toEqual([]);
+        expect(drone.currentLoad).toBe(0);
+    });
+
+    test('os pedidos que o drone levava voltam à fila', () => {
+        const { repositories } = loadRepositories();
+
+        for (const id of ['ORDER-1', 'ORDER-2']) {
+            expect(repositories.orders.findById(id)).toMatchObject({ status: 'pending', assignedDrone: null });
+        }
+        expect(repositories.orders.findById('ORDER-2').getFailedAttempts()).toBe(1);
+    });
+
+    test('o drone em pouso de emergência continua onde pousou, com os pedidos', () => {
+        const { repositories } = loadRepositories();
+        const drone = repositories.drones.findById('DRONE-2');
+
+        expect(drone.status).toBe('emergency_landing');
+        expect(drone.position).toEqual({ x: 11, y: 10 });
+        expect(drone.assignedOrders.map(order => order.id)).toEqual(['ORDER-3']);
+        expect(repositories.orders.findById('ORDER-3').status).toBe('failed');
+    });
+});
+
+describe('DATA_DIR dentro do diretório do servidor', () => {
+    const dataDir = fs.mkdtempSync(path.join(__dirname, '..', 'data-teste-'));
+    const previousDataDir = process.env.DATA_DIR;
+
+    beforeAll(() => {
+        process.env.DATA_DIR = dataDir;
+    });
+
+    afterAll(() => {
+        process.env.DATA_DIR = previousDataDir;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('os arquivos de dados não são servidos como estáticos', async () => {
+        const { app } = restart(req => ({ app: req('../server') }));
+        await request(app).post('/api/v1/pedidos')
+            .send({ clientLocation: { x: 12, y: 10 }, weight: 1, priority: 'media', recipientPin: '4821' });
+        expect(fs.existsSync(path.join(dataDir, 'orders.json'))).toBe(true);
+
+        const response = await request(app).get(`/${path.basename(dataDir)}/orders.json`);
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('STORAGE_DRIVER', () => {
+    afterEach(() => {
+        process.env.STORAGE_DRIVER = 'json';
+    });
+
+    test('recusa drivers desconhecidos', () => {
+        process.env.STORAGE_DRIVER = 'sqlite';
+
+        expect(loadRepositories).toThrow('STORAGE_DRIVER invalido: sqlite (use memory ou json)');
+    });
+});
@@ -0,0 +1,26 @@
+/**
+ * Servidor: arquivos estáticos do frontend
+ */
+
+const request = require('supertest');
+const app = require('../server');
+
+describe('arquivos estáticos', () => {
+    test.each(['/', '/index.html', '/css/style.css', '/js/main.js', '/js/models/Order.js'])('serve %s', async (url) => {
+        const response = await request(app).get(url);
+
+        expect(response.status).toBe(200);
+    });
+
+    test.each([
+        '/server.js',
+        '/package.json',
+        '/src/repositories/index.js',
+        '/data/orders.json',
+        '/data/comprovantes/ORDER-1.png'
+    ])('não serve %s', async (url) => {
+        const response = await request(app).get(url);
+
+        expect(response.status).toBe(404);
+    });
+});
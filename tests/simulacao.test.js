@@ -0,0 +1,207 @@
+/**
+ * Simulações de entrega: interrupção, descarte das encerradas, pedidos durante o voo, pouso de emergência e telemetria
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const repositories = require('../src/repositories');
+const eventBus = require('../src/services/eventBus');
+const simulationService = require('../src/services/simulationService');
+const { EVENT_TYPES } = eventBus;
+const { FINISHED_TTL_MS } = simulationService;
+
+const createOrder = (x, y, fields = {}) => request(app).post('/api/v1/pedidos')
+    .send({ clientLocation: { x, y }, weight: 1, priority: 'media', ...fields });
+const control = (id, action, body = {}) => request(app).post(`/api/v1/entregas/simular/${id}/${action}`).send(body);
+const setDroneStatus = (status) => request(app).put('/api/v1/drones/DRONE-1').send({ status });
+
+// Coleta os eventos publicados durante o teste
+let events;
+let unsubscribe;
+let simulationId;
+
+// Drone com dois pedidos em voo numa simulação pausada (o relógio só anda com avancar)
+beforeEach(async () => {
+    await request(app).post('/api/v1/system/reset');
+    await request(app).post('/api/v1/drones').send({});
+    await createOrder(12, 10);
+    await createOrder(10, 13);
+    await request(app).post('/api/v1/entregas/otimizar').send({});
+
+    const simulation = await request(app).post('/api/v1/entregas/simular').send({ failureRate: 0 });
+    simulationId = simulation.body.data.id;
+    await control(simulationId, 'pausar');
+
+    events = [];
+    unsubscribe = eventBus.subscribe(event => events.push(event));
+});
+
+afterEach(() => unsubscribe());
+
+afterAll(() => simulationService.reset());
+
+describe('parar', () => {
+    test('recolhe o drone à base e devolve os pedidos à fila', async () => {
+        await control(simulationId, 'avancar', { seconds: 30 });
+
+        const response = await control(simulationId, 'parar');
+        expect(response.status).toBe(200);
+        expect(response.body.data.status).toBe('stopped');
+
+        const drone = await request(app).get('/api/v1/drones/DRONE-1');
+        expect(drone.body.data).toMatchObject({ status: 'idle', assignedOrders: [], currentLoad: 0 });
+        expect(drone.body.data.position).toEqual(drone.body.data.basePosition);
+
+        const orders = await request(app).get('/api/v1/pedidos');
+        expect(orders.body.data.map(order => order.status)).toEqual(['pending', 'pending']);
+
+        const requeued = events.filter(event => event.type === EVENT_TYPES.ORDER_REQUEUED);
+        expect(requeued.map(event => event.data.orderId).sort()).toEqual(['ORDER-1', 'ORDER-2']);
+        requeued.forEach(event => expect(event.data.reason).toBe('Simulacao interrompida antes da entrega'));
+    });
+
+    test('os pedidos devolvidos podem partir numa nova simulação', async () => {
+        await control(simulationId, 'parar');
+        await request(app).post('/api/v1/entregas/otimizar').send({});
+
+        const response = await request(app).post('/api/v1/entregas/simular').send({ failureRate: 0 });
+        expect(response.status).toBe(200);
+        expect(response.body.data.drones).toBe(1);
+    });
+
+    test('a simulação encerrada é descartada depois de FINISHED_TTL_MS', async () => {
+        await control(simulationId, 'parar');
+
+        expect(simulationService.prune()).toEqual([]);
+        expect(simulationService.prune(Date.now() + FINISHED_TTL_MS + 1000)).toEqual([simulationId]);
+
+        const response = await request(app).get(`/api/v1/entregas/simular/${simulationId}`);
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('pedidos durante o voo', () => {
+    test('cancelar um pedido em voo tira a entrega da rota', async () => {
+        const response = await request(app).post('/api/v1/pedidos/ORDER-1/cancel');
+        expect(response.status).toBe(200);
+
+        const routeChanged = events.find(event => event.type === EVENT_TYPES.DRONE_ROUTE);
+        expect(routeChanged.data).toMatchObject({ droneId: 'DRONE-1', orderId: 'ORDER-1', action: 'removed', orders: ['ORDER-2'] });
+
+        const status = await control(simulationId, 'avancar', { seconds: 86400 });
+        expect(status.body.data.status).toBe('completed');
+        expect(status.body.data).toMatchObject({ totalOrders: 1, deliveredOrders: 1 });
+
+        const cancelled = await request(app).get('/api/v1/pedidos/ORDER-1');
+        expect(cancelled.body.data.status).toBe('cancelled');
+    });
+
+    test('pedido de prioridade alta entra na rota do drone em voo', async () => {
+        const response = await createOrder(11, 11, { priority: 'alta' });
+        expect(response.status).toBe(201);
+
+        const order = await request(app).get(`/api/v1/pedidos/${response.body.data.id}`);
+        expect(order.body.data).toMatchObject({ status: 'in_flight', assignedDrone: 'DRONE-1' });
+
+        const routeChanged = events.find(event => event.type === EVENT_TYPES.DRONE_ROUTE);
+        expect(routeChanged.data).toMatchObject({ orderId: 'ORDER-3', action: 'inserted' });
+    });
+
+    test('o pedido inserido em voo não fica duplicado nos pedidos do sistema', async () => {
+        await createOrder(11, 11, { priority: 'alta' });
+        expect(repositories.orders.all().filter(order => order.id === 'ORDER-3')).toHaveLength(1);
+
+        const status = await control(simulationId, 'avancar', { seconds: 86400 });
+        expect(status.body.data).toMatchObject({ status: 'completed', deliveredOrders: 3 });
+
+        const orders = await request(app).get('/api/v1/pedidos');
+        expect(orders.body.data).toEqual([]);
+        expect(repositories.deliveredOrders.all().map(order => order.id).sort()).toEqual(['ORDER-1', 'ORDER-2', 'ORDER-3']);
+    });
+
+    test('drone no limite de maxOrdersPerDrone não recebe o pedido', async () => {
+        await request(app).put('/api/v1/system/config').send({ maxOrdersPerDrone: 2 });
+        const response = await createOrder(11, 11, { priority: 'alta' });
+        await request(app).delete('/api/v1/system/config');
+
+        const order = await request(app).get(`/api/v1/pedidos/${response.body.data.id}`);
+        expect(order.body.data.status).toBe('pending');
+        expect(events.some(event => event.type === EVENT_TYPES.DRONE_ROUTE)).toBe(false);
+    });
+});
+
+describe('drone em missão', () => {
+    test.each([
+        ['position', { position: { x: 5, y: 5 } }],
+        ['battery', { battery: 100 }],
+        ['capacity', { capacity: 20 }]
+    ])('não aceita alterar %s durante o voo', async (field, changes) => {
+        const before = await request(app).get('/api/v1/drones/DRONE-1');
+
+        const response = await request(app).put('/api/v1/drones/DRONE-1').send(changes);
+        expect(response.status).toBe(409);
+        expect(response.body.message).toContain(field);
+
+        const after = await request(app).get('/api/v1/drones/DRONE-1');
+        expect(after.body.data[field]).toEqual(before.body.data[field]);
+    });
+
+    test('os campos voltam a ser editáveis depois do voo', async () => {
+        await control(simulationId, 'avancar', { seconds: 86400 });
+
+        const response = await request(app).put('/api/v1/drones/DRONE-1').send({ battery: 100 });
+        expect(response.status).toBe(200);
+        expect(response.body.data.battery).toBe(100);
+    });
+
+    test('no fim da missão, o drone com a manutenção vencida entra em manutenção', async () => {
+        repositories.drones.findById('DRONE-1').maintenancePlan = { cycles: 1 };
+
+        await control(simulationId, 'avancar', { seconds: 86400 });
+
+        expect(repositories.drones.findById('DRONE-1').status).toBe('maintenance');
+        const statuses = events.filter(event => event.type === EVENT_TYPES.DRONE_STATUS).map(event => event.data.status);
+        expect(statuses.slice(-2)).toEqual(['idle', 'maintenance']);
+        expect(events.some(event => event.type === EVENT_TYPES.MAINTENANCE_DUE)).toBe(true);
+    });
+});
+
+describe('pouso de emergência', () => {
+    test('encerra a missão e os pedidos a bordo falham', async () => {
+        const response = await setDroneStatus('emergency_landing');
+        expect(response.status).toBe(200);
+
+        const orders = await request(app).get('/api/v1/pedidos');
+        expect(orders.body.data.map(order => order.status)).toEqual(['failed', 'failed']);
+
+        const failed = events.filter(event => event.type === EVENT_TYPES.ORDER_FAILED);
+        expect(failed.map(event => event.data.orderId).sort()).toEqual(['ORDER-1', 'ORDER-2']);
+
+        const simulation = await request(app).get(`/api/v1/entregas/simular/${simulationId}`);
+        expect(simulation.body.data).toMatchObject({ status: 'completed', deliveredOrders: 0 });
+    });
+
+    test('recolhido o drone, os pedidos voltam à base com ele', async () => {
+        await setDroneStatus('emergency_landing');
+        await setDroneStatus('maintenance');
+
+        const orders = await request(app).get('/api/v1/pedidos');
+        expect(orders.body.data.map(order => order.status)).toEqual(['returned', 'returned']);
+    });
+});
+
+describe('telemetria', () => {
+    test('o histórico guarda só a última posição e bateria de cada drone', async () => {
+        const lastId = eventBus.since(0).reduce((max, event) => Math.max(max, event.id), 0);
+        for (let i = 0; i < 5; i++) {
+            await control(simulationId, 'avancar', { seconds: 10 });
+        }
+
+        const positions = events.filter(event => event.type === EVENT_TYPES.DRONE_POSITION);
+        expect(positions.length).toBeGreaterThan(1);
+
+        const replay = eventBus.since(lastId);
+        expect(replay.filter(event => event.type === EVENT_TYPES.DRONE_POSITION)).toEqual([positions[positions.length - 1]]);
+        expect(eventBus.history.some(event => event.type === EVENT_TYPES.DRONE_POSITION)).toBe(false);
+    });
+});
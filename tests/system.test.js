@@ -0,0 +1,31 @@
+/**
+ * Sistema: o seed começa do zero, como o reset
+ */
+
+const request = require('supertest');
+const app = require('../server');
+
+beforeEach(async () => {
+    await request(app).post('/api/v1/system/reset');
+});
+
+afterAll(async () => {
+    await request(app).post('/api/v1/system/reset');
+});
+
+describe('POST /api/v1/system/seed', () => {
+    test('desliga o despacho automático e descarta os registros de manutenção', async () => {
+        await request(app).post('/api/v1/drones').send({});
+        await request(app).post('/api/v1/manutencao/registros').send({ droneId: 'DRONE-1' });
+        await request(app).post('/api/v1/despacho/iniciar').send({});
+
+        const response = await request(app).post('/api/v1/system/seed').send({ drones: 2, orders: 3 });
+        expect(response.status).toBe(200);
+
+        const dispatcher = await request(app).get('/api/v1/despacho');
+        expect(dispatcher.body.data).toMatchObject({ status: 'stopped', lastDecision: null });
+
+        const records = await request(app).get('/api/v1/manutencao/registros');
+        expect(records.body.data).toEqual([]);
+    });
+});